@@ -0,0 +1,229 @@
+// Offline cache for gallery.html (registered with scope "./gallery", so the
+// guest app and admin are never controlled by it).
+//
+//   gallery.html           network first, cached copy when the venue is offline
+//   /gallery/approved      network first; the last good manifest per URL is kept
+//   /gallery/active-overlay-image
+//                          network first; only the latest overlay is kept
+//   /gallery/photo/:id     cache first by photo id (the ?v= buster is ignored),
+//                          capped at MAX_CACHED_PHOTOS / MAX_CACHED_PHOTO_BYTES
+//
+// Photos that drop out of a fresh manifest are deleted, so a rejected or
+// hidden photo never comes back from cache. Every lookup is reported to the
+// page ("gallery-cache" message), which counts hits and misses for the
+// device status.
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `gallery-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `gallery-data-${CACHE_VERSION}`;
+const PHOTO_CACHE = `gallery-photos-${CACHE_VERSION}`;
+const NETWORK_TIMEOUT_MS = 8000;
+const MAX_CACHED_PHOTOS = 150;
+const MAX_CACHED_PHOTO_BYTES = 150 * 1024 * 1024;
+const CACHED_BYTES_HEADER = "X-Gallery-Cached-Bytes";
+
+const APPROVED_PATH = /\/gallery\/approved$/;
+const OVERLAY_PATH = /\/gallery\/active-overlay-image$/;
+const PHOTO_PATH = /\/gallery\/photo\/([^/]+)$/;
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, PHOTO_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith("gallery-") && !current.includes(name))
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request, url));
+  } else if (APPROVED_PATH.test(url.pathname)) {
+    event.respondWith(handleManifest(event, request));
+  } else if (OVERLAY_PATH.test(url.pathname)) {
+    event.respondWith(handleOverlay(event, request));
+  } else if (PHOTO_PATH.test(url.pathname)) {
+    event.respondWith(handlePhoto(event, request, url));
+  }
+});
+
+function fetchWithTimeout(input, init = {}) {
+  const controller = typeof AbortController === "function" ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), NETWORK_TIMEOUT_MS) : null;
+  return fetch(input, controller ? { ...init, signal: controller.signal } : init)
+    .finally(() => {
+      if (timer) clearTimeout(timer);
+    });
+}
+
+function report(event, resource, result) {
+  const clientId = event.clientId || event.resultingClientId;
+  if (!clientId) return;
+  self.clients.get(clientId)
+    .then((client) => {
+      if (client) client.postMessage({ type: "gallery-cache", resource, result });
+    })
+    .catch(() => {});
+}
+
+// Marks a cached copy so the page can tell it is running offline
+function fromCache(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Gallery-Cache", "stale");
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+function photoCacheKey(url) {
+  const key = new URL(url.toString());
+  key.searchParams.delete("v");
+  return key.toString();
+}
+
+function clearGalleryCaches() {
+  return Promise.all([DATA_CACHE, PHOTO_CACHE].map((name) => caches.delete(name)));
+}
+
+// The shell is cached without its query string; a clear-cache reload
+// (?cacheReset=) drops cached data once the network has answered.
+async function handleNavigation(request, url) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    // A navigate-mode request cannot be re-sent with an abort signal
+    const response = await fetchWithTimeout(request.url, { credentials: "same-origin" });
+    if (response.ok) {
+      if (url.searchParams.has("cacheReset")) await clearGalleryCaches();
+      await cache.put(url.origin + url.pathname, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(url.origin + url.pathname);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function handleManifest(event, request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetchWithTimeout(request, { cache: "no-store" });
+    if (response.ok) {
+      const data = await response.clone().json().catch(() => null);
+      if (data && data.ok) {
+        await cache.put(request.url, response.clone());
+        prunePhotos(data.files).catch(() => {});
+      }
+    }
+    report(event, "manifest", "miss");
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request.url);
+    report(event, "manifest", cached ? "fallback" : "unavailable");
+    if (cached) return fromCache(cached);
+    throw err;
+  }
+}
+
+async function handleOverlay(event, request) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = new URL(request.url);
+  key.searchParams.delete("v");
+  try {
+    const response = await fetchWithTimeout(request.url, { mode: "cors", credentials: "omit" });
+    if (response.ok) {
+      await cache.put(key.toString(), response.clone());
+    }
+    report(event, "overlay", "miss");
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key.toString());
+    report(event, "overlay", cached ? "fallback" : "unavailable");
+    if (cached) return fromCache(cached);
+    throw err;
+  }
+}
+
+async function handlePhoto(event, request, url) {
+  const cache = await caches.open(PHOTO_CACHE);
+  const key = photoCacheKey(url);
+  const cached = await cache.match(key);
+  if (cached) {
+    report(event, "photo", "hit");
+    return cached;
+  }
+
+  try {
+    // <img> requests are no-cors; asking for CORS keeps the cached copy
+    // readable, so its size counts towards the cap instead of being padded
+    const response = await fetchWithTimeout(request.url, { mode: "cors", credentials: "omit" });
+    report(event, "photo", "miss");
+    if (!response.ok) return response;
+
+    const blob = await response.blob();
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_BYTES_HEADER, String(blob.size));
+    await cache.put(key, new Response(blob, { status: 200, headers }));
+    trimPhotos().catch(() => {});
+    return new Response(blob, { status: 200, headers: response.headers });
+  } catch (err) {
+    report(event, "photo", "unavailable");
+    throw err;
+  }
+}
+
+async function prunePhotos(files) {
+  if (!Array.isArray(files)) return;
+  const keep = new Set(files.map((file) => String(file && file.id ? file.id : "")));
+  const cache = await caches.open(PHOTO_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.map((request) => {
+    const match = new URL(request.url).pathname.match(PHOTO_PATH);
+    const fileId = match ? decodeURIComponent(match[1]) : "";
+    return keep.has(fileId) ? null : cache.delete(request);
+  }));
+}
+
+// Oldest first (Cache API keys keep insertion order)
+async function trimPhotos() {
+  const cache = await caches.open(PHOTO_CACHE);
+  const keys = await cache.keys();
+  const sizes = await Promise.all(keys.map((request) => cache.match(request)
+    .then((response) => Number(response && response.headers.get(CACHED_BYTES_HEADER)) || 0)));
+
+  let count = keys.length;
+  let bytes = sizes.reduce((sum, size) => sum + size, 0);
+  for (let index = 0; index < keys.length; index += 1) {
+    if (count <= MAX_CACHED_PHOTOS && bytes <= MAX_CACHED_PHOTO_BYTES) break;
+    await cache.delete(keys[index]);
+    count -= 1;
+    bytes -= sizes[index];
+  }
+}
+
+// The page asks for usage when it builds its device status
+self.addEventListener("message", (event) => {
+  if (!event.data || event.data.type !== "gallery-cache-usage" || !event.ports[0]) return;
+  const port = event.ports[0];
+  caches.open(PHOTO_CACHE)
+    .then((cache) => cache.keys().then((keys) => Promise.all(keys.map((request) => cache.match(request)))))
+    .then((responses) => {
+      port.postMessage({
+        cachedPhotos: responses.length,
+        cachedBytes: responses.reduce((sum, response) => sum + (Number(response && response.headers.get(CACHED_BYTES_HEADER)) || 0), 0),
+        maxPhotos: MAX_CACHED_PHOTOS,
+        maxBytes: MAX_CACHED_PHOTO_BYTES,
+      });
+    })
+    .catch(() => port.postMessage(null));
+});
@@ -7,8 +7,10 @@ const nodemailer = require('nodemailer');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
 const multer = require('multer');
-// sharp REMOVED from usage – we leave the import out so nothing touches the image
+const sharp = require('sharp');
 
 dotenv.config();
 
@@ -29,6 +31,59 @@ const TEMPLATES_QR_FOLDER_ID =
   process.env.TEMPLATES_QR_FOLDER_ID ||
   '1X824xBfxPLJ6-mL-oxEw_dZhUiQ0IRrZ'; // uploaded QR assets for templates
 
+// Photo storage backend for guest uploads: 'drive' (default), 'local' or 's3'
+const PHOTO_STORAGE_DRIVER = String(process.env.PHOTO_STORAGE_DRIVER || 'drive').trim().toLowerCase();
+const PHOTO_STORAGE_LOCAL_DIR =
+  process.env.PHOTO_STORAGE_LOCAL_DIR ||
+  path.join(__dirname, 'data', 'photos');
+const PHOTO_STORAGE_S3_BUCKET = process.env.PHOTO_STORAGE_S3_BUCKET || '';
+const PHOTO_STORAGE_S3_REGION = process.env.PHOTO_STORAGE_S3_REGION || 'us-east-1';
+const PHOTO_STORAGE_S3_ENDPOINT = process.env.PHOTO_STORAGE_S3_ENDPOINT || ''; // MinIO, R2, Spaces...
+const PHOTO_STORAGE_S3_PREFIX = process.env.PHOTO_STORAGE_S3_PREFIX || '';
+const PHOTO_STORAGE_S3_FORCE_PATH_STYLE = process.env.PHOTO_STORAGE_S3_FORCE_PATH_STYLE === 'true';
+// Drive folder for resized copies (thumbnail / gallery / full). Local and S3 use a "derivatives" subfolder.
+const PHOTO_DERIVATIVES_FOLDER_ID = process.env.PHOTO_DERIVATIVES_FOLDER_ID || '';
+// Drive folder for rejected / hidden photos so they can be restored. Without it
+// they go to the Drive trash, marked with their state, and are restored from there.
+const PHOTO_ARCHIVE_FOLDER_ID = process.env.PHOTO_ARCHIVE_FOLDER_ID || '';
+// How long a rejected / hidden photo can be restored before it is trashed for good
+const PHOTO_RESTORE_WINDOW_HOURS = parseFloat(process.env.PHOTO_RESTORE_WINDOW_HOURS) || 72;
+
+// Upload ingest: longest edge of the stored original after auto-rotate + re-encode
+const PHOTO_INGEST_MAX_DIMENSION = parseInt(process.env.PHOTO_INGEST_MAX_DIMENSION, 10) || 4096;
+
+// Auto-moderation classifier run on each upload: 'none' (default), 'http' or 'rules'.
+// 'http' POSTs the photo to AUTO_MODERATION_URL and expects { labels: [{ label, score }] }.
+// 'rules' is a built-in stub that returns the fixed "label=score,..." list in AUTO_MODERATION_RULES.
+const AUTO_MODERATION_PROVIDER = String(process.env.AUTO_MODERATION_PROVIDER || 'none').trim().toLowerCase();
+const AUTO_MODERATION_URL = process.env.AUTO_MODERATION_URL || '';
+const AUTO_MODERATION_TOKEN = process.env.AUTO_MODERATION_TOKEN || ''; // sent as a Bearer token when set
+const AUTO_MODERATION_TIMEOUT_MS = parseInt(process.env.AUTO_MODERATION_TIMEOUT_MS, 10) || 5000;
+const AUTO_MODERATION_RULES = process.env.AUTO_MODERATION_RULES || '';
+
+// Moderation queue alerts for the default event (thresholds live in the admin settings).
+// The email goes to QUEUE_ALERT_EMAIL_TO, or the event's report address when empty.
+const QUEUE_ALERT_EMAIL_TO = process.env.QUEUE_ALERT_EMAIL_TO || '';
+const QUEUE_ALERT_WEBHOOK_URL = process.env.QUEUE_ALERT_WEBHOOK_URL || '';
+
+// Vercel Cron sends it as "Authorization: Bearer <CRON_SECRET>"; only those
+// requests to /background-jobs skip the per-job throttles
+const CRON_SECRET = process.env.CRON_SECRET || '';
+
+// How long gallery screen heartbeats, errors and logs stay in the data store for the device timeline
+const DEVICE_TELEMETRY_RETENTION_HOURS = parseFloat(process.env.DEVICE_TELEMETRY_RETENTION_HOURS) || 72;
+
+// Data store for logs, metrics, settings and templates: 'sheets' (default) or 'sqlite'.
+// On Vercel only /tmp is writable, so point DATA_STORE_SQLITE_PATH there (or at a mounted volume).
+const DATA_STORE_DRIVER = String(process.env.DATA_STORE_DRIVER || 'sheets').trim().toLowerCase();
+const DATA_STORE_SQLITE_PATH =
+  process.env.DATA_STORE_SQLITE_PATH ||
+  path.join(__dirname, 'data', 'photoapp.sqlite');
+
+// Multi-event: slug of the event built from the env vars below, plus optional extra events
+const DEFAULT_EVENT_SLUG = normalizeEventSlug(process.env.DEFAULT_EVENT_SLUG || 'mayaguez');
+const EVENTS_CONFIG_FILE = process.env.EVENTS_CONFIG_FILE || path.join(__dirname, 'events.json');
+
 // Logs Google Sheet ID
 const SESSION_SHEET_ID =
   process.env.SESSION_SHEET_ID ||
@@ -38,6 +93,9 @@ const SETTINGS_SHEET_ID =
   process.env.SETTINGS_SHEET_ID ||
   '1vAcoPK5Xm588PQULy2eOlNTknihofKuiijlfLidKhbI';
 const SETTINGS_SHEET_NAME = process.env.SETTINGS_SHEET_NAME || 'Settings';
+const COUNTERS_SHEET_NAME = process.env.COUNTERS_SHEET_NAME || 'Counters';
+const COUNTERS_SHEET_RANGE = `${COUNTERS_SHEET_NAME}!A:E`; // Name, Value, Reset At, Updated At, Log Row
+const COUNTER_LOG_SHEET_NAME = process.env.COUNTER_LOG_SHEET_NAME || 'CounterLog'; // Name, Reserved At
 
 const TEMPLATES_SHEET_ID =
   process.env.TEMPLATES_SHEET_ID ||
@@ -53,6 +111,8 @@ const METRICS_DAILY_SHEET_NAME = process.env.METRICS_DAILY_SHEET_NAME || 'Daily
 const METRICS_NEWSLETTER_SHEET_NAME = process.env.METRICS_NEWSLETTER_SHEET_NAME || 'Newsletter Leads';
 const METRICS_SCHEMA_SHEET_NAME = process.env.METRICS_SCHEMA_SHEET_NAME || 'Schema';
 const METRICS_EVENTS_SHEET_RANGE = `${METRICS_EVENTS_SHEET_NAME}!A:X`;
+const DEVICE_TELEMETRY_SHEET_NAME = process.env.DEVICE_TELEMETRY_SHEET_NAME || 'Device Telemetry';
+const DEVICE_TELEMETRY_SHEET_RANGE = `${DEVICE_TELEMETRY_SHEET_NAME}!A:F`;
 
 // Range with columns:
 // timestamp_utc, timestamp_pr, event_type, email, session_id,
@@ -129,6 +189,14 @@ const METRICS_NEWSLETTER_HEADERS = [
   'source',
   'metadata_json'
 ];
+const DEVICE_TELEMETRY_HEADERS = [
+  'timestamp_utc',
+  'device_id',
+  'device_name',
+  'kind', // heartbeat | error | log | command
+  'message',
+  'details_json'
+];
 
 // ---------- ADMIN SECURITY ----------
 const ADMIN_ACCESS_CODE = process.env.ADMIN_ACCESS_CODE; // e.g. "MAYAGUEZ2025!"
@@ -145,10 +213,13 @@ const ADMIN_SESSION_SECRET =
   process.env.ADMIN_SESSION_SECRET ||
   (ADMIN_ACCESS_CODE ? `${ADMIN_ACCESS_CODE}_secret` : 'fallback_admin_secret');
 
-function createAdminSession(ip) {
+function createAdminSession(ip, moderatorName = '') {
   // payload we will sign
   const payload = {
     ip,
+    eventId: currentEvent().event.id, // token only unlocks the event it was issued for
+    sid: crypto.randomBytes(6).toString('hex'), // moderator session, used by review claims
+    name: moderatorName,
     iat: Date.now(), // issued-at
   };
 
@@ -188,7 +259,7 @@ function verifyAdminSessionToken(token) {
       return null;
     }
 
-    return payload; // { ip, iat }
+    return payload; // { ip, eventId, sid, name, iat }
   } catch (e) {
     return null;
   }
@@ -203,7 +274,27 @@ function getAdminSessionFromRequest(req) {
   const payload = verifyAdminSessionToken(token);
   if (!payload) return null;
 
-  return payload; // { ip, iat }
+  // Tokens issued before multi-event support belong to the default event
+  const tokenEventId = payload.eventId || eventRegistry.defaultEvent.id;
+  if (tokenEventId !== currentEvent().event.id) return null;
+
+  return payload; // { ip, eventId, sid, name, iat }
+}
+
+// Who is behind an admin request. Tokens issued before moderator names
+// existed have no sid, so their issue time stands in for it.
+function getModeratorFromRequest(req) {
+  const session = req.adminSession || getAdminSessionFromRequest(req) || {};
+  const id = String(session.sid || `legacy-${session.iat || 0}`);
+  return {
+    id,
+    name: String(session.name || '').trim() || `Moderator ${id.slice(-4).toUpperCase()}`,
+  };
+}
+
+// Each event can have its own admin code; the default event uses ADMIN_ACCESS_CODE
+function getAdminAccessCode() {
+  return currentEvent().event.adminCode || ADMIN_ACCESS_CODE || '';
 }
 
 // ---------- Mail setup ----------
@@ -222,6 +313,22 @@ if (process.env.MAIL_USER && process.env.MAIL_PASS) {
   console.log('Mail transporter NOT configured (missing MAIL_USER or MAIL_PASS)');
 }
 
+// Sender / report recipient for the current event's emails
+function getEventMailFrom() {
+  const senderName = currentEvent().event.branding.senderName || 'Luminar Apps';
+  return `"${senderName}" <${process.env.MAIL_FROM || process.env.MAIL_USER}>`;
+}
+
+function getEventReportMailTo() {
+  return currentEvent().event.branding.reportEmailTo || process.env.MAIL_TO || '';
+}
+
+// "Pantalla Plaza Colón · Selfie App · Municipio de Mayagüez"
+function getEventEmailTagline() {
+  const { branding } = currentEvent().event;
+  return [branding.venueLabel, 'Selfie App', branding.organizerName].filter(Boolean).join(' · ');
+}
+
 // ---------- Express setup ----------
 const app = express();
 
@@ -243,14 +350,16 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.options('*', cors(corsOptions)); // handle preflight
 
 app.use(cookieParser());
 app.use(express.json());
 
-// ---------- App enabled flag (for /admin/shutdown) ----------
-let appEnabled = true; // admin toggle will set this to false after event
-let appSessionId = null;
+// Pick the event (tenant) for every request: /e/<slug>/..., x-event-slug, ?event= or host
+app.use(resolveEventMiddleware);
+
+// After the event prefix is stripped: the '*' route decodes the path and would
+// turn a malformed "/e/%E0/" into a 400 before the event lookup can 404 it
+app.options('*', cors(corsOptions)); // handle preflight
 
 // ---------- APP SETTINGS (admin-configurable) ----------
 const DEFAULT_APP_SETTINGS = {
@@ -265,6 +374,11 @@ const DEFAULT_APP_SETTINGS = {
     reason: '',
     clearCache: false,
   },
+  deviceGroups: [], // per-screen playlist / template overrides, see DEVICE GROUPS
+  gallerySlides: [], // announcements, schedule, QR and sponsor slides, see GALLERY SLIDES
+  deviceCommands: {}, // latest targeted command per screen, see DEVICE COMMANDS
+  deviceHealthRecords: {}, // open problems and recovery attempts per screen, see DEVICE HEALTH
+  queueAlertState: { active: false, since: null, lastAlertAt: 0, lastResolvedAt: 0 }, // see QUEUE SLA ALERTS
   intro: {
     title: '¿Desde dónde nos visitas? 😊',
     subtitle: 'Selecciona tu país y municipio/estado, escribe tus apellidos y continúa a tu selfie.'
@@ -288,6 +402,43 @@ const DEFAULT_APP_SETTINGS = {
       helper: 'Tu email será utilizado únicamente si autorizas recibir nuestro boletín.'
     }
   },
+  guestEmail: {
+    enabled: false, // per-event opt-in: email families their framed photo on approval
+    language: 'es', // used when the upload did not say which language the guest had on
+  },
+  duplicates: {
+    autoMerge: false, // near-identical re-uploads reuse the earlier ticket instead of queueing again
+  },
+  quality: {
+    autoReject: false, // reject uploads scoring below autoRejectBelow before a moderator sees them
+    autoRejectBelow: 20, // 0-100, see measurePhotoQuality
+  },
+  moderation: {
+    mode: 'manual', // 'manual', 'delayed' (approve after autoApproveAfterMinutes) or 'immediate'
+    autoApproveAfterMinutes: 10,
+  },
+  autoModeration: {
+    enabled: false, // route uploads through the configured classifier (AUTO_MODERATION_PROVIDER)
+    rejectLabels: 'nsfw,violence,hate', // labels that count against a photo
+    rejectAbove: 0.9, // any rejectLabel scoring at least this auto-rejects
+    approveBelow: 0, // every rejectLabel below this auto-approves; 0 keeps approval manual
+  },
+  queueAlerts: {
+    enabled: false,
+    maxPending: 25, // alert when this many photos are waiting...
+    maxWaitMinutes: 15, // ...or the oldest has waited this long
+    cooldownMinutes: 30, // repeat while still over, at most this often
+    channel: 'email', // 'email', 'webhook' or 'both' (destinations come from the event config)
+  },
+  deviceHealth: {
+    alertsEnabled: false, // alert when a screen goes offline, stalls or keeps failing to load
+    offlineMinutes: 5, // no heartbeat for this long counts as offline
+    cooldownMinutes: 30, // repeat while still unhealthy, at most this often
+    channel: 'email', // 'email', 'webhook' or 'both' (same destinations as queue alerts)
+    autoRecovery: false, // send an unhealthy screen a targeted reload
+    recoveryMaxAttempts: 3,
+    recoveryBackoffMinutes: 2, // before the second attempt; doubles after each one
+  },
   galleryRuntime: {
     enablePiSafeLegacyRuntime: true,
     enablePiStablePlayerMode: true,
@@ -301,17 +452,32 @@ const DEFAULT_APP_SETTINGS = {
     enableGalleryDebugOverlay: false,
     enableRuntimeWatchdog: false,
     enableDirectSwapMode: false,
+    galleryLayout: 'single', // 'single', 'mosaic', 'collage' or 'featured' (one photo plus a strip of recent ones)
+    mosaicGridSize: 2, // 2 (2x2) or 3 (3x3); the Pi-safe runtime plays 3x3 as 2x2
+    displaySeconds: 8, // how long each photo (or mosaic tile swap) stays
+    transition: 'crossfade', // one of GALLERY_TRANSITIONS; 'none' swaps directly
+    transitionDurations: { crossfade: 800, slide: 700, push: 700, zoom: 900, kenburns: 1200 }, // ms per effect
   }
 };
 
-let appSettings = JSON.parse(JSON.stringify(DEFAULT_APP_SETTINGS));
-let settingsSheetReady = false;
-let settingsLoadedFromSheet = false;
-let settingsLastHydratedAt = 0;
-let settingsHydrationPromise = null;
+// Per-event copy of the defaults (the app enabled flag, settings and their
+// hydration state live on the event context, see EVENTS below)
+function buildDefaultAppSettingsForEvent(event) {
+  const settings = JSON.parse(JSON.stringify(DEFAULT_APP_SETTINGS));
+  const organizerName = event && event.branding ? event.branding.organizerName : '';
+  if (organizerName) {
+    settings.form.newsletter.label = `Deseo recibir noticias y ofertas de ${organizerName}.`;
+  }
+  return settings;
+}
+
 const SETTINGS_REFRESH_TTL_MS = 2000;
-let metricsSheetsReady = false;
-let metricsSheetHeadersReady = false;
+const GUEST_EMAIL_LANGUAGES = ['es', 'en'];
+const MODERATION_MODES = ['manual', 'delayed', 'immediate']; // see TRUSTED AUTO-APPROVE
+const QUEUE_ALERT_CHANNELS = ['email', 'webhook', 'both'];
+const GALLERY_LAYOUTS = ['single', 'mosaic', 'collage', 'featured'];
+const GALLERY_MOSAIC_GRID_SIZES = [2, 3];
+const GALLERY_TRANSITIONS = ['crossfade', 'slide', 'push', 'zoom', 'kenburns', 'none'];
 const DEVICE_ONLINE_WINDOW_MS = 2 * 60 * 1000;
 const DEVICE_WARNING_WINDOW_MS = 15 * 1000;
 const DEVICE_OFFLINE_WINDOW_MS = 30 * 1000;
@@ -322,7 +488,6 @@ const DEVICE_FETCH_FAILURE_BURST_WINDOW_MS = 60 * 1000;
 const DEVICE_OLD_CHROMIUM_WARNING_VERSION = 110;
 const MAX_DEVICE_ERRORS = 20;
 const MAX_DEVICE_LOGS = 200;
-const liveGalleryDevices = new Map();
 
 const SETTINGS_FIELDS = [
   { key: 'Ticket Overlay Enabled', type: 'boolean', path: ['ticketEnabled'] },
@@ -341,6 +506,15 @@ const SETTINGS_FIELDS = [
   { key: 'Gallery Debug Overlay Enabled', type: 'boolean', path: ['galleryRuntime', 'enableGalleryDebugOverlay'] },
   { key: 'Runtime Watchdog Enabled', type: 'boolean', path: ['galleryRuntime', 'enableRuntimeWatchdog'] },
   { key: 'Direct Swap Mode Enabled', type: 'boolean', path: ['galleryRuntime', 'enableDirectSwapMode'] },
+  { key: 'Gallery Layout', type: 'string', path: ['galleryRuntime', 'galleryLayout'] },
+  { key: 'Gallery Mosaic Grid Size', type: 'string', path: ['galleryRuntime', 'mosaicGridSize'] },
+  { key: 'Gallery Display Seconds', type: 'string', path: ['galleryRuntime', 'displaySeconds'] },
+  { key: 'Gallery Transition', type: 'string', path: ['galleryRuntime', 'transition'] },
+  { key: 'Crossfade Duration Ms', type: 'string', path: ['galleryRuntime', 'transitionDurations', 'crossfade'] },
+  { key: 'Slide Duration Ms', type: 'string', path: ['galleryRuntime', 'transitionDurations', 'slide'] },
+  { key: 'Push Duration Ms', type: 'string', path: ['galleryRuntime', 'transitionDurations', 'push'] },
+  { key: 'Zoom Duration Ms', type: 'string', path: ['galleryRuntime', 'transitionDurations', 'zoom'] },
+  { key: 'Ken Burns Duration Ms', type: 'string', path: ['galleryRuntime', 'transitionDurations', 'kenburns'] },
   { key: 'Intro Title', type: 'string', path: ['intro', 'title'] },
   { key: 'Intro Subtitle', type: 'string', path: ['intro', 'subtitle'] },
   { key: 'Location Enabled', type: 'boolean', path: ['form', 'locationEnabled'] },
@@ -354,8 +528,36 @@ const SETTINGS_FIELDS = [
   { key: 'Email Opt-in Enabled', type: 'boolean', path: ['form', 'newsletter', 'enabled'] },
   { key: 'Email Opt-in Label', type: 'string', path: ['form', 'newsletter', 'label'] },
   { key: 'Email Opt-in Helper', type: 'string', path: ['form', 'newsletter', 'helper'] },
+  { key: 'Guest Photo Email Enabled', type: 'boolean', path: ['guestEmail', 'enabled'] },
+  { key: 'Guest Photo Email Language', type: 'string', path: ['guestEmail', 'language'] },
+  { key: 'Duplicate Auto Merge Enabled', type: 'boolean', path: ['duplicates', 'autoMerge'] },
+  { key: 'Quality Auto Reject Enabled', type: 'boolean', path: ['quality', 'autoReject'] },
+  { key: 'Quality Auto Reject Below', type: 'string', path: ['quality', 'autoRejectBelow'] },
+  { key: 'Moderation Mode', type: 'string', path: ['moderation', 'mode'] },
+  { key: 'Auto Approve After Minutes', type: 'string', path: ['moderation', 'autoApproveAfterMinutes'] },
+  { key: 'Queue Alerts Enabled', type: 'boolean', path: ['queueAlerts', 'enabled'] },
+  { key: 'Queue Alert Max Pending', type: 'string', path: ['queueAlerts', 'maxPending'] },
+  { key: 'Queue Alert Max Wait Minutes', type: 'string', path: ['queueAlerts', 'maxWaitMinutes'] },
+  { key: 'Queue Alert Cooldown Minutes', type: 'string', path: ['queueAlerts', 'cooldownMinutes'] },
+  { key: 'Queue Alert Channel', type: 'string', path: ['queueAlerts', 'channel'] },
+  { key: 'Device Alerts Enabled', type: 'boolean', path: ['deviceHealth', 'alertsEnabled'] },
+  { key: 'Device Offline Minutes', type: 'string', path: ['deviceHealth', 'offlineMinutes'] },
+  { key: 'Device Alert Cooldown Minutes', type: 'string', path: ['deviceHealth', 'cooldownMinutes'] },
+  { key: 'Device Alert Channel', type: 'string', path: ['deviceHealth', 'channel'] },
+  { key: 'Device Auto Recovery', type: 'boolean', path: ['deviceHealth', 'autoRecovery'] },
+  { key: 'Device Recovery Max Attempts', type: 'string', path: ['deviceHealth', 'recoveryMaxAttempts'] },
+  { key: 'Device Recovery Backoff Minutes', type: 'string', path: ['deviceHealth', 'recoveryBackoffMinutes'] },
+  { key: 'Auto Moderation Enabled', type: 'boolean', path: ['autoModeration', 'enabled'] },
+  { key: 'Auto Moderation Reject Labels', type: 'string', path: ['autoModeration', 'rejectLabels'] },
+  { key: 'Auto Moderation Reject Above', type: 'string', path: ['autoModeration', 'rejectAbove'] },
+  { key: 'Auto Moderation Approve Below', type: 'string', path: ['autoModeration', 'approveBelow'] },
 ];
 const GALLERY_RUNTIME_COMMAND_ROW_KEY = 'Gallery Runtime Command';
+const DEVICE_GROUPS_ROW_KEY = 'Device Groups';
+const DEVICE_COMMANDS_ROW_KEY = 'Device Commands';
+const DEVICE_HEALTH_ROW_KEY = 'Device Health';
+const QUEUE_ALERT_STATE_ROW_KEY = 'Queue Alert State';
+const GALLERY_SLIDES_ROW_KEY = 'Gallery Slides';
 
 function coerceBoolean(value, fallback) {
   if (typeof value === 'boolean') return value;
@@ -456,6 +658,22 @@ function sanitizeDeviceErrors(rawErrors) {
     .filter((entry) => entry.message && !NON_FAILURE_DEVICE_ERROR_CATEGORIES.has(entry.category));
 }
 
+// Offline cache stats reported by gallery.html (see gallery-sw.js)
+function sanitizeDeviceCacheStats(rawCache) {
+  if (!rawCache || typeof rawCache !== 'object') return null;
+  return {
+    serviceWorker: clampString(rawCache.serviceWorker || '', 20),
+    servingFromCache: clampBoolean(rawCache.servingFromCache),
+    photoHits: clampNumber(rawCache.photoHits),
+    photoMisses: clampNumber(rawCache.photoMisses),
+    manifestFallbacks: clampNumber(rawCache.manifestFallbacks),
+    overlayFallbacks: clampNumber(rawCache.overlayFallbacks),
+    unavailable: clampNumber(rawCache.unavailable),
+    cachedPhotos: clampNumber(rawCache.cachedPhotos),
+    cachedBytes: clampNumber(rawCache.cachedBytes),
+  };
+}
+
 function sanitizeDeviceStatus(rawStatus) {
   const status = rawStatus && typeof rawStatus === 'object' ? rawStatus : {};
   const overlayStatus = status.overlayStatus && typeof status.overlayStatus === 'object'
@@ -528,6 +746,7 @@ function sanitizeDeviceStatus(rawStatus) {
     screenHeight: clampNumber(status.screenHeight),
     devicePixelRatio: clampNumber(status.devicePixelRatio),
     memory: sanitizeDeviceMemory(status.memory),
+    offlineCache: sanitizeDeviceCacheStats(status.offlineCache),
     objectUrlCount: clampNumber(status.objectUrlCount),
     objectUrlPeak: clampNumber(status.objectUrlPeak),
     objectUrlWarningActive: clampBoolean(status.objectUrlWarningActive),
@@ -870,7 +1089,7 @@ function sanitizeDeviceLogEntry(rawEntry = {}) {
 
 function getOrCreateLiveGalleryDevice(deviceId, deviceName = '') {
   const now = new Date().toISOString();
-  const existing = liveGalleryDevices.get(deviceId);
+  const existing = currentEvent().liveGalleryDevices.get(deviceId);
   if (existing) {
     return existing;
   }
@@ -884,16 +1103,16 @@ function getOrCreateLiveGalleryDevice(deviceId, deviceName = '') {
     recentErrors: [],
     recentLogs: [],
   };
-  liveGalleryDevices.set(deviceId, created);
+  currentEvent().liveGalleryDevices.set(deviceId, created);
   return created;
 }
 
 function pruneLiveGalleryDevices() {
   const cutoff = Date.now() - DEVICE_HISTORY_WINDOW_MS;
-  for (const [deviceId, device] of liveGalleryDevices.entries()) {
+  for (const [deviceId, device] of currentEvent().liveGalleryDevices.entries()) {
     const lastSeenAtMs = Date.parse(device.lastSeenAt || '') || 0;
     if (lastSeenAtMs < cutoff) {
-      liveGalleryDevices.delete(deviceId);
+      currentEvent().liveGalleryDevices.delete(deviceId);
     }
   }
 }
@@ -923,6 +1142,9 @@ function buildLiveGalleryDeviceSummary(device) {
     retainedInHistory: lastSeenAtMs > 0 && (now - lastSeenAtMs) <= DEVICE_HISTORY_WINDOW_MS,
     status: device.status || {},
     deviceName: clampString(device.deviceName || device.status?.deviceName || device.deviceId, 120),
+    deviceGroup: serializeDeviceGroup(findDeviceGroup(device.deviceId)),
+    command: serializeDeviceCommand(getDeviceCommand(device.deviceId)),
+    health: serializeDeviceHealth(device.deviceId),
     recentErrors: Array.isArray(device.recentErrors) ? device.recentErrors : [],
     recentLogs: Array.isArray(device.recentLogs) ? device.recentLogs : [],
     analysis,
@@ -978,6 +1200,9 @@ function getDefaultGalleryRuntimeCommand() {
 function normalizeGalleryRuntimeSettings(rawSettings = {}) {
   const fallback = getDefaultGalleryRuntimeSettings();
   const candidate = rawSettings && typeof rawSettings === 'object' ? rawSettings : {};
+  const layout = String(candidate.galleryLayout || '').trim().toLowerCase();
+  const gridSize = parseInt(candidate.mosaicGridSize, 10);
+  const transition = String(candidate.transition || '').trim().toLowerCase();
   return {
     enablePiSafeLegacyRuntime: coerceBoolean(candidate.enablePiSafeLegacyRuntime, fallback.enablePiSafeLegacyRuntime),
     enablePiStablePlayerMode: coerceBoolean(candidate.enablePiStablePlayerMode, fallback.enablePiStablePlayerMode),
@@ -991,9 +1216,27 @@ function normalizeGalleryRuntimeSettings(rawSettings = {}) {
     enableGalleryDebugOverlay: coerceBoolean(candidate.enableGalleryDebugOverlay, fallback.enableGalleryDebugOverlay),
     enableRuntimeWatchdog: coerceBoolean(candidate.enableRuntimeWatchdog, fallback.enableRuntimeWatchdog),
     enableDirectSwapMode: coerceBoolean(candidate.enableDirectSwapMode, fallback.enableDirectSwapMode),
+    galleryLayout: GALLERY_LAYOUTS.includes(layout) ? layout : fallback.galleryLayout,
+    mosaicGridSize: GALLERY_MOSAIC_GRID_SIZES.includes(gridSize) ? gridSize : fallback.mosaicGridSize,
+    displaySeconds: clampGalleryRuntimeInt(candidate.displaySeconds, fallback.displaySeconds, 3, 120),
+    transition: GALLERY_TRANSITIONS.includes(transition) ? transition : fallback.transition,
+    transitionDurations: normalizeGalleryTransitionDurations(candidate.transitionDurations, fallback.transitionDurations),
   };
 }
 
+function clampGalleryRuntimeInt(value, fallback, min, max) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+}
+
+function normalizeGalleryTransitionDurations(rawDurations, fallback) {
+  const candidate = rawDurations && typeof rawDurations === 'object' ? rawDurations : {};
+  return Object.keys(DEFAULT_APP_SETTINGS.galleryRuntime.transitionDurations).reduce((durations, effect) => {
+    durations[effect] = clampGalleryRuntimeInt(candidate[effect], fallback[effect], 100, 5000);
+    return durations;
+  }, {});
+}
+
 function normalizeGalleryRuntimeCommand(rawCommand = {}) {
   const fallback = getDefaultGalleryRuntimeCommand();
   const candidate = rawCommand && typeof rawCommand === 'object' ? rawCommand : {};
@@ -1040,7 +1283,45 @@ function buildGalleryRuntimeDisabledSystems(runtimeSettings = {}) {
   return [...new Set(disabledSystems)];
 }
 
-function buildGalleryRuntimeSettingsPayload(settings = appSettings) {
+// The layout gallery.html plays. Under the Pi-safe runtime every swap stays
+// one small decode: no 3x3 mosaic and fewer collage prints / strip thumbnails.
+function buildGalleryLayoutPayload(runtimeSettings = {}) {
+  const runtime = normalizeGalleryRuntimeSettings(runtimeSettings);
+  const piSafe = runtime.enablePiSafeLegacyRuntime;
+  const gridSize = piSafe ? 2 : runtime.mosaicGridSize;
+  const tileCounts = {
+    single: 1,
+    mosaic: gridSize * gridSize,
+    collage: piSafe ? 4 : 6,
+    featured: piSafe ? 4 : 6, // strip thumbnails next to the featured photo
+  };
+  return {
+    mode: runtime.galleryLayout,
+    gridSize,
+    tileCount: tileCounts[runtime.galleryLayout],
+    piSafe,
+  };
+}
+
+// Timing and effect for gallery.html. The older switches still win: direct
+// swap mode, or crossfade turned off, means no transition at all. The screen
+// falls back to a cheaper effect by itself when its swaps run slow, so it
+// gets every duration.
+function buildGalleryPlaybackPayload(runtimeSettings = {}) {
+  const runtime = normalizeGalleryRuntimeSettings(runtimeSettings);
+  let transition = runtime.transition;
+  if (runtime.enableDirectSwapMode || (transition === 'crossfade' && !runtime.enableGalleryCrossfade)) {
+    transition = 'none';
+  }
+  return {
+    displayMs: runtime.displaySeconds * 1000,
+    transition,
+    transitionMs: transition === 'none' ? 0 : runtime.transitionDurations[transition],
+    transitionDurations: runtime.transitionDurations,
+  };
+}
+
+function buildGalleryRuntimeSettingsPayload(settings = currentEvent().appSettings) {
   const runtimeSettings = normalizeGalleryRuntimeSettings(
     settings && typeof settings === 'object' ? settings.galleryRuntime : null
   );
@@ -1075,28 +1356,43 @@ function setNestedValue(obj, path, value) {
   cursor[path[path.length - 1]] = value;
 }
 
+function normalizeGalleryDisplayLimit(value) {
+  const limit = String(value || 'all').trim().toLowerCase();
+  // Support: 'all', 'last10', 'last25', or 'custom:20' format
+  if (['all', 'last10', 'last25'].includes(limit)) {
+    return limit;
+  }
+  if (limit.startsWith('custom:')) {
+    const customNum = parseInt(limit.replace('custom:', ''), 10);
+    if (customNum > 0 && customNum <= 1000) {
+      return limit; // Keep as 'custom:20'
+    }
+  }
+  return 'all';
+}
+
+// Settings rows the server keeps for itself (see writeSettingsState): device
+// ids, pending commands and alert state are never sent to browsers, and never
+// taken from an admin save (the admin posts back its whole, possibly stale, copy)
+const SERVER_STATE_SETTINGS_KEYS = ['deviceCommands', 'deviceHealthRecords', 'queueAlertState'];
+
+function omitServerStateSettings(settings) {
+  const copy = { ...(settings && typeof settings === 'object' ? settings : {}) };
+  SERVER_STATE_SETTINGS_KEYS.forEach((key) => {
+    delete copy[key];
+  });
+  return copy;
+}
+
 function mergeAppSettings(patch = {}) {
-  const next = JSON.parse(JSON.stringify(appSettings));
+  const next = JSON.parse(JSON.stringify(currentEvent().appSettings));
 
   if (Object.prototype.hasOwnProperty.call(patch, 'ticketEnabled')) {
     next.ticketEnabled = coerceBoolean(patch.ticketEnabled, next.ticketEnabled);
   }
 
   if (Object.prototype.hasOwnProperty.call(patch, 'galleryDisplayLimit')) {
-    const limit = String(patch.galleryDisplayLimit || 'all').trim().toLowerCase();
-    // Support: 'all', 'last10', 'last25', or 'custom:20' format
-    if (['all', 'last10', 'last25'].includes(limit)) {
-      next.galleryDisplayLimit = limit;
-    } else if (limit.startsWith('custom:')) {
-      const customNum = parseInt(limit.replace('custom:', ''), 10);
-      if (customNum > 0 && customNum <= 1000) {
-        next.galleryDisplayLimit = limit; // Keep as 'custom:20'
-      } else {
-        next.galleryDisplayLimit = 'all'; // Invalid custom number, fallback
-      }
-    } else {
-      next.galleryDisplayLimit = 'all';
-    }
+    next.galleryDisplayLimit = normalizeGalleryDisplayLimit(patch.galleryDisplayLimit);
   }
 
   if (Object.prototype.hasOwnProperty.call(patch, 'activeTemplateId')) {
@@ -1113,9 +1409,32 @@ function mergeAppSettings(patch = {}) {
     next.galleryRuntimeCommand = normalizeGalleryRuntimeCommand(patch.galleryRuntimeCommand);
   }
 
+  if (Array.isArray(patch.deviceGroups)) {
+    next.deviceGroups = normalizeDeviceGroups(patch.deviceGroups, next.deviceGroups);
+  }
+
+  if (Array.isArray(patch.gallerySlides)) {
+    next.gallerySlides = normalizeGallerySlides(patch.gallerySlides);
+  }
+
+  if (patch.deviceCommands && typeof patch.deviceCommands === 'object' && !Array.isArray(patch.deviceCommands)) {
+    next.deviceCommands = normalizeDeviceCommands(patch.deviceCommands);
+  }
+
+  if (patch.deviceHealthRecords && typeof patch.deviceHealthRecords === 'object' && !Array.isArray(patch.deviceHealthRecords)) {
+    next.deviceHealthRecords = normalizeDeviceHealthRecords(patch.deviceHealthRecords);
+  }
+
+  if (patch.queueAlertState && typeof patch.queueAlertState === 'object') {
+    next.queueAlertState = normalizeQueueAlertState(patch.queueAlertState);
+  }
+
   if (patch.galleryRuntime && typeof patch.galleryRuntime === 'object') {
     const currentRuntimeSettings = normalizeGalleryRuntimeSettings(next.galleryRuntime);
     const runtimePatch = patch.galleryRuntime;
+    const layout = String(runtimePatch.galleryLayout || '').trim().toLowerCase();
+    const gridSize = parseInt(runtimePatch.mosaicGridSize, 10);
+    const transition = String(runtimePatch.transition || '').trim().toLowerCase();
     next.galleryRuntime = {
       enablePiSafeLegacyRuntime: coerceBoolean(runtimePatch.enablePiSafeLegacyRuntime, currentRuntimeSettings.enablePiSafeLegacyRuntime),
       enablePiStablePlayerMode: coerceBoolean(runtimePatch.enablePiStablePlayerMode, currentRuntimeSettings.enablePiStablePlayerMode),
@@ -1129,6 +1448,14 @@ function mergeAppSettings(patch = {}) {
       enableGalleryDebugOverlay: coerceBoolean(runtimePatch.enableGalleryDebugOverlay, currentRuntimeSettings.enableGalleryDebugOverlay),
       enableRuntimeWatchdog: coerceBoolean(runtimePatch.enableRuntimeWatchdog, currentRuntimeSettings.enableRuntimeWatchdog),
       enableDirectSwapMode: coerceBoolean(runtimePatch.enableDirectSwapMode, currentRuntimeSettings.enableDirectSwapMode),
+      galleryLayout: GALLERY_LAYOUTS.includes(layout) ? layout : currentRuntimeSettings.galleryLayout,
+      mosaicGridSize: GALLERY_MOSAIC_GRID_SIZES.includes(gridSize) ? gridSize : currentRuntimeSettings.mosaicGridSize,
+      displaySeconds: clampGalleryRuntimeInt(runtimePatch.displaySeconds, currentRuntimeSettings.displaySeconds, 3, 120),
+      transition: GALLERY_TRANSITIONS.includes(transition) ? transition : currentRuntimeSettings.transition,
+      transitionDurations: normalizeGalleryTransitionDurations(
+        runtimePatch.transitionDurations,
+        currentRuntimeSettings.transitionDurations
+      ),
     };
   }
 
@@ -1185,63 +1512,105 @@ function mergeAppSettings(patch = {}) {
     }
   }
 
-  return next;
-}
+  if (patch.guestEmail && typeof patch.guestEmail === 'object') {
+    const currentGuestEmail = next.guestEmail || { ...DEFAULT_APP_SETTINGS.guestEmail };
+    const language = String(patch.guestEmail.language || '').trim().toLowerCase();
+    next.guestEmail = {
+      enabled: coerceBoolean(patch.guestEmail.enabled, currentGuestEmail.enabled),
+      language: GUEST_EMAIL_LANGUAGES.includes(language) ? language : currentGuestEmail.language,
+    };
+  }
 
-async function ensureSettingsSheet() {
-  if (settingsSheetReady) return true;
-  if (!SETTINGS_SHEET_ID) return false;
+  if (patch.duplicates && typeof patch.duplicates === 'object') {
+    const currentDuplicates = next.duplicates || { ...DEFAULT_APP_SETTINGS.duplicates };
+    next.duplicates = {
+      autoMerge: coerceBoolean(patch.duplicates.autoMerge, currentDuplicates.autoMerge),
+    };
+  }
 
-  try {
-    const meta = await sheets.spreadsheets.get({
-      spreadsheetId: SETTINGS_SHEET_ID,
-      fields: 'sheets(properties(title))'
-    });
+  if (patch.quality && typeof patch.quality === 'object') {
+    const currentQuality = next.quality || { ...DEFAULT_APP_SETTINGS.quality };
+    const threshold = parseInt(patch.quality.autoRejectBelow, 10);
+    next.quality = {
+      autoReject: coerceBoolean(patch.quality.autoReject, currentQuality.autoReject),
+      autoRejectBelow: Number.isFinite(threshold)
+        ? Math.min(100, Math.max(1, threshold))
+        : currentQuality.autoRejectBelow,
+    };
+  }
 
-    const sheetsList = meta.data.sheets || [];
-    const hasSettingsSheet = sheetsList.some(
-      (sheet) => sheet.properties && sheet.properties.title === SETTINGS_SHEET_NAME
-    );
+  if (patch.moderation && typeof patch.moderation === 'object') {
+    const currentModeration = next.moderation || { ...DEFAULT_APP_SETTINGS.moderation };
+    const mode = String(patch.moderation.mode || '').trim().toLowerCase();
+    const minutes = parseFloat(patch.moderation.autoApproveAfterMinutes);
+    next.moderation = {
+      mode: MODERATION_MODES.includes(mode) ? mode : currentModeration.mode,
+      autoApproveAfterMinutes: Number.isFinite(minutes)
+        ? Math.min(24 * 60, Math.max(1, minutes))
+        : currentModeration.autoApproveAfterMinutes,
+    };
+  }
 
-    if (!hasSettingsSheet) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: SETTINGS_SHEET_ID,
-        requestBody: {
-          requests: [
-            {
-              addSheet: {
-                properties: {
-                  title: SETTINGS_SHEET_NAME
-                }
-              }
-            }
-          ]
-        }
-      });
-    }
+  if (patch.queueAlerts && typeof patch.queueAlerts === 'object') {
+    const currentAlerts = next.queueAlerts || { ...DEFAULT_APP_SETTINGS.queueAlerts };
+    const readPositiveInt = (value, fallback, max) => {
+      const parsed = parseInt(value, 10);
+      return Number.isFinite(parsed) ? Math.min(max, Math.max(1, parsed)) : fallback;
+    };
+    const channel = String(patch.queueAlerts.channel || '').trim().toLowerCase();
+    next.queueAlerts = {
+      enabled: coerceBoolean(patch.queueAlerts.enabled, currentAlerts.enabled),
+      maxPending: readPositiveInt(patch.queueAlerts.maxPending, currentAlerts.maxPending, 10000),
+      maxWaitMinutes: readPositiveInt(patch.queueAlerts.maxWaitMinutes, currentAlerts.maxWaitMinutes, 24 * 60),
+      cooldownMinutes: readPositiveInt(patch.queueAlerts.cooldownMinutes, currentAlerts.cooldownMinutes, 24 * 60),
+      channel: QUEUE_ALERT_CHANNELS.includes(channel) ? channel : currentAlerts.channel,
+    };
+  }
 
-    settingsSheetReady = true;
-    return true;
-  } catch (err) {
-    console.warn('Unable to ensure settings sheet exists:', err.message || err);
-    return false;
+  if (patch.deviceHealth && typeof patch.deviceHealth === 'object') {
+    const currentHealth = next.deviceHealth || { ...DEFAULT_APP_SETTINGS.deviceHealth };
+    const readPositiveInt = (value, fallback, max) => {
+      const parsed = parseInt(value, 10);
+      return Number.isFinite(parsed) ? Math.min(max, Math.max(1, parsed)) : fallback;
+    };
+    const channel = String(patch.deviceHealth.channel || '').trim().toLowerCase();
+    next.deviceHealth = {
+      alertsEnabled: coerceBoolean(patch.deviceHealth.alertsEnabled, currentHealth.alertsEnabled),
+      offlineMinutes: readPositiveInt(patch.deviceHealth.offlineMinutes, currentHealth.offlineMinutes, 24 * 60),
+      cooldownMinutes: readPositiveInt(patch.deviceHealth.cooldownMinutes, currentHealth.cooldownMinutes, 24 * 60),
+      channel: QUEUE_ALERT_CHANNELS.includes(channel) ? channel : currentHealth.channel,
+      autoRecovery: coerceBoolean(patch.deviceHealth.autoRecovery, currentHealth.autoRecovery),
+      recoveryMaxAttempts: readPositiveInt(patch.deviceHealth.recoveryMaxAttempts, currentHealth.recoveryMaxAttempts, 10),
+      recoveryBackoffMinutes: readPositiveInt(patch.deviceHealth.recoveryBackoffMinutes, currentHealth.recoveryBackoffMinutes, 60),
+    };
+  }
+
+  if (patch.autoModeration && typeof patch.autoModeration === 'object') {
+    const currentPolicy = next.autoModeration || { ...DEFAULT_APP_SETTINGS.autoModeration };
+    const rejectAbove = parseFloat(patch.autoModeration.rejectAbove);
+    const approveBelow = parseFloat(patch.autoModeration.approveBelow);
+    next.autoModeration = {
+      enabled: coerceBoolean(patch.autoModeration.enabled, currentPolicy.enabled),
+      rejectLabels: typeof patch.autoModeration.rejectLabels === 'string'
+        ? parseModerationLabelList(patch.autoModeration.rejectLabels).join(',')
+        : currentPolicy.rejectLabels,
+      rejectAbove: Number.isFinite(rejectAbove)
+        ? Math.min(1, Math.max(0, rejectAbove))
+        : currentPolicy.rejectAbove,
+      approveBelow: Number.isFinite(approveBelow)
+        ? Math.min(1, Math.max(0, approveBelow))
+        : currentPolicy.approveBelow,
+    };
   }
+
+  return next;
 }
 
 async function readSettingsFromSheet() {
-  if (!SETTINGS_SHEET_ID) return null;
-
+  const context = currentEvent();
   try {
-    const ready = await ensureSettingsSheet();
-    if (!ready) return null;
-
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: SETTINGS_SHEET_ID,
-      range: SETTINGS_SHEET_RANGE
-    });
-
-    const rows = resp.data.values || [];
-    if (!rows.length) return null;
+    const rows = await context.dataStore.readSettingsRows();
+    if (!rows || !rows.length) return null;
 
     const settingsPatch = {};
     let serverStatus = null;
@@ -1260,7 +1629,7 @@ async function readSettingsFromSheet() {
           }
           continue;
         } catch (err) {
-          console.warn('Unable to parse legacy appSettings row:', err.message || err);
+          console.warn('Unable to parse legacy context.appSettings row:', err.message || err);
         }
       }
 
@@ -1284,12 +1653,62 @@ async function readSettingsFromSheet() {
         }
         continue;
       }
+      if (key === DEVICE_GROUPS_ROW_KEY) {
+        if (typeof value === 'string' && value.trim()) {
+          try {
+            settingsPatch.deviceGroups = JSON.parse(value);
+          } catch (err) {
+            console.warn('Unable to parse device groups row:', err.message || err);
+          }
+        }
+        continue;
+      }
+      if (key === GALLERY_SLIDES_ROW_KEY) {
+        if (typeof value === 'string' && value.trim()) {
+          try {
+            settingsPatch.gallerySlides = JSON.parse(value);
+          } catch (err) {
+            console.warn('Unable to parse gallery slides row:', err.message || err);
+          }
+        }
+        continue;
+      }
+      if (key === DEVICE_COMMANDS_ROW_KEY) {
+        if (typeof value === 'string' && value.trim()) {
+          try {
+            settingsPatch.deviceCommands = JSON.parse(value);
+          } catch (err) {
+            console.warn('Unable to parse device commands row:', err.message || err);
+          }
+        }
+        continue;
+      }
+      if (key === DEVICE_HEALTH_ROW_KEY) {
+        if (typeof value === 'string' && value.trim()) {
+          try {
+            settingsPatch.deviceHealthRecords = JSON.parse(value);
+          } catch (err) {
+            console.warn('Unable to parse device health row:', err.message || err);
+          }
+        }
+        continue;
+      }
+      if (key === QUEUE_ALERT_STATE_ROW_KEY) {
+        if (typeof value === 'string' && value.trim()) {
+          try {
+            settingsPatch.queueAlertState = JSON.parse(value);
+          } catch (err) {
+            console.warn('Unable to parse queue alert state row:', err.message || err);
+          }
+        }
+        continue;
+      }
 
       const field = SETTINGS_FIELDS.find((item) => item.key === key);
       if (!field) continue;
 
       if (field.type === 'boolean') {
-        const fallbackValue = Boolean(getNestedValue(appSettings, field.path));
+        const fallbackValue = Boolean(getNestedValue(context.appSettings, field.path));
         setNestedValue(settingsPatch, field.path, parseBooleanLabel(value, fallbackValue));
       } else if (field.type === 'string') {
         if (typeof value === 'string') {
@@ -1306,13 +1725,9 @@ async function readSettingsFromSheet() {
 }
 
 async function writeSettingsToSheet(settings, enabledStatus, serverSessionId) {
-  if (!SETTINGS_SHEET_ID) return false;
-
+  const context = currentEvent();
   try {
-    const ready = await ensureSettingsSheet();
-    if (!ready) return false;
-
-    const values = [['key', 'value']];
+    const values = [];
     values.push(['Server Status', normalizeStatusLabel(enabledStatus)]);
     if (serverSessionId) {
       values.push([SETTINGS_SERVER_SESSION_KEY, String(serverSessionId)]);
@@ -1330,16 +1745,32 @@ async function writeSettingsToSheet(settings, enabledStatus, serverSessionId) {
       GALLERY_RUNTIME_COMMAND_ROW_KEY,
       JSON.stringify(normalizeGalleryRuntimeCommand(settings && typeof settings === 'object' ? settings.galleryRuntimeCommand : null)),
     ]);
+    values.push([
+      DEVICE_GROUPS_ROW_KEY,
+      JSON.stringify(normalizeDeviceGroups(settings && typeof settings === 'object' ? settings.deviceGroups : null)),
+    ]);
+    values.push([
+      GALLERY_SLIDES_ROW_KEY,
+      JSON.stringify(normalizeGallerySlides(settings && typeof settings === 'object' ? settings.gallerySlides : null)),
+    ]);
+    values.push([
+      DEVICE_COMMANDS_ROW_KEY,
+      JSON.stringify(normalizeDeviceCommands(settings && typeof settings === 'object' ? settings.deviceCommands : null)),
+    ]);
+    values.push([
+      DEVICE_HEALTH_ROW_KEY,
+      JSON.stringify(normalizeDeviceHealthRecords(settings && typeof settings === 'object' ? settings.deviceHealthRecords : null)),
+    ]);
+    values.push([
+      QUEUE_ALERT_STATE_ROW_KEY,
+      JSON.stringify(normalizeQueueAlertState(settings && typeof settings === 'object' ? settings.queueAlertState : null)),
+    ]);
 
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SETTINGS_SHEET_ID,
-      range: `${SETTINGS_SHEET_NAME}!A1:B${values.length}`,
-      valueInputOption: 'RAW',
-      requestBody: { values }
-    });
+    const written = await context.dataStore.writeSettingsRows(values);
+    if (!written) return false;
 
-    settingsLoadedFromSheet = true;
-    settingsLastHydratedAt = Date.now();
+    context.settingsLoadedFromSheet = true;
+    context.settingsLastHydratedAt = Date.now();
     return true;
   } catch (err) {
     console.warn('Unable to persist settings to sheet:', err.message || err);
@@ -1348,122 +1779,81 @@ async function writeSettingsToSheet(settings, enabledStatus, serverSessionId) {
 }
 
 async function hydrateSettingsFromSheet(options = {}) {
+  const context = currentEvent();
   const force = Boolean(options && options.force);
   const now = Date.now();
 
-  if (!force && settingsLoadedFromSheet && settingsLastHydratedAt && (now - settingsLastHydratedAt) < SETTINGS_REFRESH_TTL_MS) {
+  if (!force && context.settingsLoadedFromSheet && context.settingsLastHydratedAt && (now - context.settingsLastHydratedAt) < SETTINGS_REFRESH_TTL_MS) {
     return;
   }
 
-  if (settingsHydrationPromise) {
-    return settingsHydrationPromise;
+  if (context.settingsHydrationPromise) {
+    return context.settingsHydrationPromise;
   }
 
-  settingsHydrationPromise = (async () => {
+  context.settingsHydrationPromise = (async () => {
     const sheetPayload = await readSettingsFromSheet();
     if (sheetPayload && sheetPayload.settingsPatch) {
-      appSettings = mergeAppSettings(sheetPayload.settingsPatch);
+      context.appSettings = mergeAppSettings(sheetPayload.settingsPatch);
     }
     if (sheetPayload && typeof sheetPayload.serverStatus === 'boolean') {
-      appEnabled = sheetPayload.serverStatus;
+      context.appEnabled = sheetPayload.serverStatus;
     }
     if (sheetPayload && sheetPayload.serverSessionId) {
-      appSessionId = sheetPayload.serverSessionId;
+      context.appSessionId = sheetPayload.serverSessionId;
     }
-    if (!appSessionId) {
-      appSessionId = generateServerSessionId();
+    if (!context.appSessionId) {
+      context.appSessionId = generateServerSessionId();
     }
-    settingsLoadedFromSheet = true;
-    settingsLastHydratedAt = Date.now();
+    context.settingsLoadedFromSheet = true;
+    context.settingsLastHydratedAt = Date.now();
   })();
 
   try {
-    await settingsHydrationPromise;
+    await context.settingsHydrationPromise;
   } finally {
-    settingsHydrationPromise = null;
-  }
+    context.settingsHydrationPromise = null;
+  }
+}
+
+// Server-side state kept in the settings sheet (device commands, device health
+// records, queue alert state) is written by other instances and admin saves
+// too. Each write, admin saves included, re-reads the sheet and applies
+// `update(appSettings)` (sync or async) to that fresh copy; writes are chained
+// so this instance never overwrites its own previous one.
+function writeSettingsState(update) {
+  const context = currentEvent();
+  const write = context.settingsStateWrites.then(() => runInEvent(context, async () => {
+    await hydrateSettingsFromSheet({ force: true });
+    context.appSettings = { ...context.appSettings, ...(await update(context.appSettings)) };
+    const persisted = await writeSettingsToSheet(context.appSettings, context.appEnabled, context.appSessionId);
+    if (!persisted) throw new Error('settings_state_persist_failed');
+  }));
+  context.settingsStateWrites = write.catch(() => {});
+  return write;
 }
 
 // ---------- TEMPLATE SHEET HELPERS ----------
 
-let templatesSheetReady = false;
-
-async function ensureTemplatesSheet() {
-  if (templatesSheetReady) return true;
-  if (!TEMPLATES_SHEET_ID) return false;
-
-  try {
-    const meta = await sheets.spreadsheets.get({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      fields: 'sheets(properties(title))'
-    });
-
-    const sheetsList = meta.data.sheets || [];
-    const hasTemplatesSheet = sheetsList.some(
-      (sheet) => sheet.properties && sheet.properties.title === TEMPLATES_SHEET_NAME
-    );
-
-    if (!hasTemplatesSheet) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: TEMPLATES_SHEET_ID,
-        requestBody: {
-          requests: [
-            {
-              addSheet: {
-                properties: {
-                  title: TEMPLATES_SHEET_NAME
-                }
-              }
-            }
-          ]
-        }
-      });
-    }
-
-    templatesSheetReady = true;
-    return true;
-  } catch (err) {
-    console.warn('Unable to ensure templates sheet exists:', err.message || err);
-    return false;
-  }
-}
-
 async function readTemplatesFromSheet() {
-  if (!TEMPLATES_SHEET_ID) return [];
-
   try {
-    const ready = await ensureTemplatesSheet();
-    if (!ready) return [];
-
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      range: TEMPLATES_SHEET_RANGE
-    });
-
-    const rows = resp.data.values || [];
-    if (rows.length < 2) return []; // No data (header + rows)
+    const rows = await currentEvent().dataStore.readTemplateRows();
 
     const templates = [];
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const name = row[0] || '';
-      const jsonStr = row[1] || '{}';
-      const createdAt = row[2] || '';
-      const isActive = row[3] === 'true' || row[3] === true;
-
-      if (!name) continue;
+    for (const row of rows) {
+      if (!row.name) continue;
 
       try {
-        const data = JSON.parse(jsonStr);
+        const data = JSON.parse(row.json || '{}');
         templates.push({
-          id: i + 1, // Row number as ID (i=1 means row 2, so ID = 2)
-          name,
+          id: row.id,
+          name: row.name,
           data,
-          createdAt,
-          isActive
+          createdAt: row.createdAt,
+          isActive: row.active
         });
       } catch (err) {
-        console.warn(`Unable to parse template JSON for row ${i}:`, err.message);
+        console.warn(`Unable to parse template JSON for template ${row.id}:`, err.message);
       }
     }
 
@@ -1495,12 +1885,15 @@ function buildPublicTemplateOverlayUrl(fileId) {
   return `/gallery/template-overlay/${encodeURIComponent(fileId)}`;
 }
 
-function buildPublicActiveOverlayImageUrl(version = '') {
+function buildPublicActiveOverlayImageUrl(version = '', deviceId = '') {
   const baseUrl = '/gallery/active-overlay-image';
+  const params = new URLSearchParams();
   const normalizedVersion = clampString(version || '', 120);
-  return normalizedVersion
-    ? `${baseUrl}?v=${encodeURIComponent(normalizedVersion)}`
-    : baseUrl;
+  if (normalizedVersion) params.set('v', normalizedVersion);
+  // Screens in a device group get their group's overlay
+  if (deviceId) params.set('deviceId', deviceId);
+  const query = params.toString();
+  return query ? `${baseUrl}?${query}` : baseUrl;
 }
 
 function getApprovedPlaybackTimestamp(file) {
@@ -1572,22 +1965,18 @@ function selectGalleryApprovedFiles(allFiles, displayLimit) {
   return all;
 }
 
-async function listApprovedDriveFilesForGallery() {
+async function listApprovedFilesForGallery() {
   let pageToken = null;
   const results = [];
 
   do {
-    const response = await drive.files.list({
-      q: `'${APPROVED_FOLDER_ID}' in parents and trashed = false`,
-      fields: 'nextPageToken, files(id, name, createdTime, modifiedTime, mimeType, appProperties)',
+    const response = await currentEvent().photoStorage.listFiles('approved', {
       pageSize: 200,
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
       pageToken,
     });
 
-    results.push(...(response.data.files || []));
-    pageToken = response.data.nextPageToken || null;
+    results.push(...response.files);
+    pageToken = response.nextPageToken;
   } while (pageToken);
 
   return results.sort((a, b) => {
@@ -1604,64 +1993,72 @@ async function listApprovedDriveFilesForGallery() {
 }
 
 const GALLERY_APPROVED_MANIFEST_TTL_MS = 4000;
-const galleryApprovedManifestCache = {
-  value: null,
-  expiresAt: 0,
-  promise: null,
-  cacheKey: '',
-};
 
 function invalidateGalleryApprovedManifestCache() {
-  galleryApprovedManifestCache.value = null;
-  galleryApprovedManifestCache.expiresAt = 0;
-  galleryApprovedManifestCache.promise = null;
-  galleryApprovedManifestCache.cacheKey = '';
+  const context = currentEvent();
+  context.galleryApprovedManifestCache.value = null;
+  context.galleryApprovedManifestCache.expiresAt = 0;
+  context.galleryApprovedManifestCache.promise = null;
+  scheduleGalleryStatePublish();
 }
 
-async function getGalleryApprovedManifest() {
-  await hydrateSettingsFromSheet();
-
-  const displayLimit = appSettings.galleryDisplayLimit || 'all';
-  const cacheKey = String(displayLimit);
-  const now = Date.now();
-
-  if (
-    galleryApprovedManifestCache.value &&
-    galleryApprovedManifestCache.cacheKey === cacheKey &&
-    galleryApprovedManifestCache.expiresAt > now
-  ) {
-    return galleryApprovedManifestCache.value;
+// One listing of the approved folder serves every device group; each
+// group's manifest is cut from it on first request and kept alongside.
+async function getGalleryApprovedListing() {
+  const cache = currentEvent().galleryApprovedManifestCache;
+  if (cache.value && cache.expiresAt > Date.now()) {
+    return cache.value;
   }
-
-  if (galleryApprovedManifestCache.promise && galleryApprovedManifestCache.cacheKey === cacheKey) {
-    return galleryApprovedManifestCache.promise;
+  if (cache.promise) {
+    return cache.promise;
   }
 
   const refreshPromise = (async () => {
-    const allFiles = await listApprovedDriveFilesForGallery();
-    const selected = selectGalleryApprovedFiles(allFiles, displayLimit);
-    const files = selected.map(buildGalleryApprovedFileEntry);
-    const manifest = {
-      files,
-      manifestVersion: buildGalleryApprovedManifestVersion(files),
+    const allFiles = await listApprovedFilesForGallery();
+    const listing = {
+      files: allFiles.map(buildGalleryApprovedFileEntry),
       generatedAt: new Date().toISOString(),
+      manifests: new Map(),
     };
 
-    galleryApprovedManifestCache.value = manifest;
-    galleryApprovedManifestCache.cacheKey = cacheKey;
-    galleryApprovedManifestCache.expiresAt = Date.now() + GALLERY_APPROVED_MANIFEST_TTL_MS;
-    galleryApprovedManifestCache.promise = null;
-    return manifest;
+    if (cache.promise === refreshPromise) {
+      cache.value = listing;
+      cache.expiresAt = Date.now() + GALLERY_APPROVED_MANIFEST_TTL_MS;
+      cache.promise = null;
+    }
+    return listing;
   })().catch((err) => {
-    galleryApprovedManifestCache.promise = null;
+    if (cache.promise === refreshPromise) cache.promise = null;
     throw err;
   });
 
-  galleryApprovedManifestCache.promise = refreshPromise;
-  galleryApprovedManifestCache.cacheKey = cacheKey;
+  cache.promise = refreshPromise;
   return refreshPromise;
 }
 
+async function getGalleryApprovedManifest(deviceId = '') {
+  await hydrateSettingsFromSheet();
+
+  const settings = getGallerySettingsForDevice(deviceId);
+  const displayLimit = settings.galleryDisplayLimit || 'all';
+  const group = settings.deviceGroup;
+  const order = group ? group.order : DEVICE_GROUP_ORDERS[0];
+  const cacheKey = `${group ? group.id : ''}|${displayLimit}|${order}`;
+
+  const listing = await getGalleryApprovedListing();
+  if (!listing.manifests.has(cacheKey)) {
+    const selected = selectGalleryApprovedFiles(listing.files, displayLimit);
+    const files = orderGalleryApprovedFiles(selected, order, group ? group.id : '');
+    listing.manifests.set(cacheKey, {
+      files,
+      order,
+      manifestVersion: buildGalleryApprovedManifestVersion(files),
+      generatedAt: listing.generatedAt,
+    });
+  }
+  return listing.manifests.get(cacheKey);
+}
+
 const ADMIN_THUMBNAIL_PLACEHOLDER_SVG = Buffer.from(
   '<svg xmlns="http://www.w3.org/2000/svg" width="160" height="160" viewBox="0 0 160 160"><rect width="160" height="160" fill="#1f2937"/><text x="80" y="84" text-anchor="middle" fill="#9ca3af" font-size="12" font-family="sans-serif">Preview</text></svg>',
   'utf8'
@@ -1900,7 +2297,7 @@ function buildActiveOverlayResponse(template, meta = {}) {
   };
 }
 
-function buildLegacyKioskOverlayPayload(settings = appSettings) {
+function buildLegacyKioskOverlayPayload(settings = currentEvent().appSettings) {
   const activeTemplateId = settings && settings.activeTemplateId != null
     ? String(settings.activeTemplateId).trim()
     : '';
@@ -1939,7 +2336,7 @@ function buildLegacyKioskOverlayPayload(settings = appSettings) {
     enabled: true,
     mode: 'published_flattened_overlay',
     overlayFileId: snapshotOverlayFileId,
-    overlayUrl: buildPublicActiveOverlayImageUrl(),
+    overlayUrl: buildPublicActiveOverlayImageUrl('', settings && settings.deviceGroup ? settings.deviceGroup.deviceId : ''),
     overlayVersion,
     templateId: snapshotMatchesActiveTemplate ? snapshotId : activeTemplateId,
     templateName: snapshotMatchesActiveTemplate ? snapshot.name || '' : '',
@@ -1999,32 +2396,17 @@ async function syncActiveTemplateSettings(settings) {
 }
 
 async function writeTemplateToSheet(name, templateData, isActive = true) {
-  if (!TEMPLATES_SHEET_ID) return null;
-
   try {
-    const ready = await ensureTemplatesSheet();
-    if (!ready) return null;
-
-    // Read existing to find next row
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      range: TEMPLATES_SHEET_RANGE
-    });
-
-    const rows = resp.data.values || [];
-    const nextRow = rows.length + 1;
-
     const createdAt = new Date().toISOString();
-    const values = [[name, JSON.stringify(templateData), createdAt, String(isActive)]];
-
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      range: `${TEMPLATES_SHEET_NAME}!A${nextRow}:D${nextRow}`,
-      valueInputOption: 'RAW',
-      requestBody: { values }
+    const id = await currentEvent().dataStore.insertTemplateRow({
+      name,
+      json: JSON.stringify(templateData),
+      createdAt,
+      active: isActive,
     });
+    if (id == null) return null;
 
-    return { id: nextRow, name, createdAt, isActive };
+    return { id, name, createdAt, isActive };
   } catch (err) {
     console.warn('Unable to write template to sheet:', err.message || err);
     return null;
@@ -2032,34 +2414,12 @@ async function writeTemplateToSheet(name, templateData, isActive = true) {
 }
 
 async function updateTemplateInSheet(templateId, name, templateData, isActive) {
-  if (!TEMPLATES_SHEET_ID) return false;
-
   try {
-    const ready = await ensureTemplatesSheet();
-    if (!ready) return false;
-
-    const row = parseInt(templateId, 10);
-    if (isNaN(row) || row < 2) return false;
-
-    let createdAt = '';
-    try {
-      const existingRow = await sheets.spreadsheets.values.get({
-        spreadsheetId: TEMPLATES_SHEET_ID,
-        range: `${TEMPLATES_SHEET_NAME}!A${row}:D${row}`
-      });
-      createdAt = existingRow.data?.values?.[0]?.[2] || '';
-    } catch (_) {}
-
-    const values = [[name, JSON.stringify(templateData), createdAt, String(isActive)]];
-
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      range: `${TEMPLATES_SHEET_NAME}!A${row}:D${row}`,
-      valueInputOption: 'RAW',
-      requestBody: { values }
+    return await currentEvent().dataStore.updateTemplateRow(templateId, {
+      name,
+      json: JSON.stringify(templateData),
+      active: isActive,
     });
-
-    return true;
   } catch (err) {
     console.warn('Unable to update template in sheet:', err.message || err);
     return false;
@@ -2067,2366 +2427,7156 @@ async function updateTemplateInSheet(templateId, name, templateData, isActive) {
 }
 
 async function deleteTemplateFromSheet(templateId) {
-  if (!TEMPLATES_SHEET_ID) return false;
-
   try {
-    const row = parseInt(templateId, 10);
-    if (isNaN(row) || row < 2) return false;
-
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      range: `${TEMPLATES_SHEET_NAME}!A${row}:D${row}`
-    });
-
-    return true;
+    return await currentEvent().dataStore.deleteTemplateRow(templateId);
   } catch (err) {
     console.warn('Unable to delete template from sheet:', err.message || err);
     return false;
   }
 }
 
-// ---------- Google Auth (Service Account) ----------
-const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS);
-
-// Scopes: Drive + Sheets
-const jwtClient = new google.auth.JWT(
-  credentials.client_email,
-  null,
-  credentials.private_key,
-  [
-    'https://www.googleapis.com/auth/drive',
-    'https://www.googleapis.com/auth/spreadsheets'
-  ]
-);
+// ---------- DEVICE TELEMETRY HISTORY ----------
+// liveGalleryDevices only lives as long as the instance does. Heartbeats
+// (sampled), the errors screens report and /api/device-log entries are also
+// written to the data store, so a cold start can rebuild the live list and
+// GET /api/devices/:deviceId/timeline can show what a screen did overnight.
+// The heartbeat and device-log routes write their rows before responding (a
+// serverless instance can be frozen right after), so only sampled heartbeats
+// cost a write. Rows older than DEVICE_TELEMETRY_RETENTION_HOURS are pruned
+// after a write, at most hourly.
+//
+// Heartbeat rows keep only DEVICE_TELEMETRY_STATUS_FIELDS, the timeline reads
+// just its own window, and a cold start reads only the newest rows of each
+// kind per device (DEVICE_TELEMETRY_HYDRATION_LIMITS).
+
+const DEVICE_TELEMETRY_SAMPLE_MS = 60 * 1000; // under DEVICE_ONLINE_WINDOW_MS, so a gap means offline
+const DEVICE_TELEMETRY_MAX_QUEUE = 1000;
+const DEVICE_TELEMETRY_PRUNE_EVERY_MS = 60 * 60 * 1000;
+const DEVICE_TELEMETRY_RETENTION_MS = DEVICE_TELEMETRY_RETENTION_HOURS * 60 * 60 * 1000;
+const DEVICE_TIMELINE_DEFAULT_HOURS = 24;
+const DEVICE_TIMELINE_BUCKETS = 48;
+const DEVICE_TIMELINE_MIN_BUCKET_MS = 5 * 60 * 1000;
+// What the timeline and a restored device summary read from a heartbeat's status
+const DEVICE_TELEMETRY_STATUS_FIELDS = [
+  'deviceName',
+  'pageUptimeSec',
+  'currentPhotoId',
+  'lastPhotoChangeAt',
+  'lastSuccessfulImageLoadAt',
+  'lastSuccessfulPollAt',
+  'lastSuccessfulOverlayAt',
+  'lastSuccessfulHeartbeatAt',
+  'consecutivePollFailures',
+  'consecutiveImageFailures',
+  'consecutiveOverlayFailures',
+  'transitionMode',
+  'directSwapCount',
+  'crossfadeCount',
+  'visibleImageAgeSec',
+  'slideshowStalled',
+  'playbackHealth',
+  'telemetryHealth',
+  'networkHealth',
+  'browserHealth',
+];
+// Rows per device and kind a cold start needs: the last heartbeat for the
+// status, enough errors and logs to refill recentErrors and recentLogs
+const DEVICE_TELEMETRY_HYDRATION_LIMITS = { heartbeat: 1, error: MAX_DEVICE_ERRORS, log: MAX_DEVICE_LOGS };
+// Ranges per Sheets batchGet when a cold start fetches the rows it picked
+const DEVICE_TELEMETRY_BATCH_RANGES = 100;
+
+function slimDeviceTelemetryStatus(status) {
+  return DEVICE_TELEMETRY_STATUS_FIELDS.reduce((slim, field) => {
+    if (status[field] !== undefined && status[field] !== null && status[field] !== '') slim[field] = status[field];
+    return slim;
+  }, {});
+}
+
+function queueDeviceTelemetry(device, kind, at, message = '', details = null) {
+  const telemetry = currentEvent().deviceTelemetry;
+  telemetry.queue.push([
+    at,
+    device.deviceId,
+    clampString(device.deviceName || device.deviceId, 120),
+    kind,
+    clampString(message || '', 500),
+    details ? JSON.stringify(details) : '',
+  ]);
+  if (telemetry.queue.length > DEVICE_TELEMETRY_MAX_QUEUE) {
+    telemetry.queue.splice(0, telemetry.queue.length - DEVICE_TELEMETRY_MAX_QUEUE);
+  }
+}
 
-// Clients
-const drive = google.drive({ version: 'v3', auth: jwtClient });
-const sheets = google.sheets({ version: 'v4', auth: jwtClient });
+// One heartbeat per DEVICE_TELEMETRY_SAMPLE_MS is kept, plus any heartbeat
+// where the slideshow starts or stops stalling. Screens re-send their last
+// MAX_DEVICE_ERRORS errors every time, so only newer ones are written.
+function recordDeviceHeartbeatTelemetry(device, now, hasStatus) {
+  const nowMs = Date.parse(now);
+  const stalled = hasStatus ? Boolean(device.status.slideshowStalled) : device.lastPersistedStalled;
+  const stallChanged = hasStatus && device.lastPersistedStalled !== undefined && stalled !== device.lastPersistedStalled;
+  if (stallChanged || !device.lastPersistedHeartbeatAt || nowMs - device.lastPersistedHeartbeatAt >= DEVICE_TELEMETRY_SAMPLE_MS) {
+    device.lastPersistedHeartbeatAt = nowMs;
+    device.lastPersistedStalled = stalled;
+    queueDeviceTelemetry(device, 'heartbeat', now, hasStatus ? device.status.lastErrorMessage : '', hasStatus ? slimDeviceTelemetryStatus(device.status) : null);
+  }
 
-hydrateSettingsFromSheet().catch((err) => {
-  console.warn('Unable to hydrate settings on startup:', err.message || err);
-});
+  const newErrors = (device.recentErrors || []).filter((entry) => entry.at > (device.lastPersistedErrorAt || ''));
+  newErrors.forEach((entry) => queueDeviceTelemetry(device, 'error', entry.at, entry.message, entry));
+  if (newErrors.length) {
+    device.lastPersistedErrorAt = newErrors.reduce((latest, entry) => (entry.at > latest ? entry.at : latest), '');
+  }
+}
 
-// Extract ticket number from a filename "T"
-function extractTicketNumber(filename) {
+// Writes everything queued so far. A write already in progress is waited for
+// first, and rows queued meanwhile go in the next batch.
+async function flushDeviceTelemetry() {
+  const context = currentEvent();
+  const telemetry = context.deviceTelemetry;
+  while (telemetry.flushing) await telemetry.flushing.catch(() => {});
+  if (!telemetry.queue.length) return;
+
+  telemetry.inFlight = telemetry.queue.splice(0);
+  telemetry.flushing = context.dataStore.appendDeviceTelemetryRows(telemetry.inFlight);
   try {
-    // filename starts with "T015-..."
-    const dashIndex = filename.indexOf("-");
-    if (dashIndex === -1) return null;
+    await telemetry.flushing;
+  } catch (err) {
+    // Put the batch back for the next request's write; the queue cap drops the oldest
+    telemetry.queue.unshift(...telemetry.inFlight);
+    telemetry.queue.splice(0, Math.max(0, telemetry.queue.length - DEVICE_TELEMETRY_MAX_QUEUE));
+    throw err;
+  } finally {
+    telemetry.inFlight = [];
+    telemetry.flushing = null;
+  }
 
-    const ticketPart = filename.substring(1, dashIndex); // "015"
-    return parseInt(ticketPart, 10);
-  } catch {
-    return null;
+  if (Date.now() - telemetry.lastPrunedAt >= DEVICE_TELEMETRY_PRUNE_EVERY_MS) {
+    telemetry.lastPrunedAt = Date.now();
+    const pruned = await context.dataStore.pruneDeviceTelemetryRows(
+      new Date(Date.now() - DEVICE_TELEMETRY_RETENTION_MS).toISOString()
+    );
+    if (pruned) console.log(`[device-telemetry] pruned ${pruned} row(s) older than ${DEVICE_TELEMETRY_RETENTION_HOURS}h`);
   }
 }
 
-// ---------- DATE / TIME HELPERS ----------
-
-// Puerto Rico time "now" (GMT-4 fixed, no DST)
-function getPRDate() {
-  const now = new Date();
-  const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
-  return new Date(utcMs - 4 * 60 * 60 * 1000);
+// Routes await this; a failed write never fails the screen's request
+async function persistDeviceTelemetry() {
+  try {
+    await flushDeviceTelemetry();
+  } catch (err) {
+    console.warn(`Unable to store device telemetry (${currentEvent().event.slug}):`, err.message || err);
+  }
 }
 
-// Convert a Date (UTC) to PR time
-function toPR(date) {
-  const utcMs = date.getTime() + date.getTimezoneOffset() * 60000;
-  return new Date(utcMs - 4 * 60 * 60 * 1000);
+function parseDeviceTelemetryRow(row) {
+  let details = null;
+  try {
+    details = row[5] ? JSON.parse(row[5]) : null;
+  } catch {
+    details = null;
+  }
+  return {
+    at: row[0],
+    deviceId: row[1],
+    deviceName: row[2] || '',
+    kind: row[3] || '',
+    message: row[4] || '',
+    details,
+  };
 }
 
-// Long date in Spanish: "Miércoles 3 de diciembre de 2025"
-function formatPRDateLong() {
-  const d = getPRDate();
+// Stored rows plus the ones not written yet, oldest first. With `limits`
+// (rows per kind), only the newest rows of each kind per device.
+async function readDeviceTelemetryEntries(filters = {}, limits = null) {
+  const context = currentEvent();
+  const telemetry = context.deviceTelemetry;
+  const stored = limits
+    ? await context.dataStore.readLatestDeviceTelemetryRows(filters, limits)
+    : await context.dataStore.readDeviceTelemetryRows(filters);
+  const buffered = filterDeviceTelemetryRows([...telemetry.inFlight, ...telemetry.queue], filters);
+  const rows = [...stored, ...buffered];
+  return (limits ? pickLatestDeviceTelemetryRows(rows, limits).map((index) => rows[index]) : rows)
+    .map(parseDeviceTelemetryRow)
+    .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+}
+
+function restoreDeviceFromTelemetry(deviceId, entries) {
+  const heartbeats = entries.filter((entry) => entry.kind === 'heartbeat');
+  const lastStatus = heartbeats.filter((entry) => entry.details).pop();
+  const errors = entries.filter((entry) => entry.kind === 'error' && entry.details).map((entry) => entry.details);
+  const logs = entries.filter((entry) => entry.kind === 'log' && entry.details).map((entry) => entry.details);
+  const seen = entries.filter((entry) => entry.kind === 'heartbeat' || entry.kind === 'log');
+  const lastHeartbeat = heartbeats[heartbeats.length - 1];
 
-  const days = [
-    'Domingo', 'Lunes', 'Martes', 'Miércoles',
-    'Jueves', 'Viernes', 'Sábado'
-  ];
-  const months = [
-    'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
-    'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
-  ];
+  return {
+    deviceId,
+    createdAt: entries[0].at,
+    lastSeenAt: (seen[seen.length - 1] || entries[entries.length - 1]).at,
+    deviceName: entries[entries.length - 1].deviceName || deviceId,
+    status: lastStatus ? lastStatus.details : {},
+    recentErrors: errors.slice(-MAX_DEVICE_ERRORS),
+    recentLogs: logs.slice(-MAX_DEVICE_LOGS),
+    lastPersistedHeartbeatAt: lastHeartbeat ? Date.parse(lastHeartbeat.at) || 0 : 0,
+    lastPersistedErrorAt: errors.length ? errors[errors.length - 1].at : '',
+  };
+}
 
-  const dayName = days[d.getDay()];
-  const dayNum = d.getDate();
-  const monthName = months[d.getMonth()];
-  const year = d.getFullYear();
+async function hydrateDeviceTelemetry(context) {
+  const entries = await readDeviceTelemetryEntries({
+    startUtc: new Date(Date.now() - DEVICE_HISTORY_WINDOW_MS).toISOString(),
+  }, DEVICE_TELEMETRY_HYDRATION_LIMITS);
+  const byDevice = new Map();
+  entries.forEach((entry) => {
+    if (!byDevice.has(entry.deviceId)) byDevice.set(entry.deviceId, []);
+    byDevice.get(entry.deviceId).push(entry);
+  });
 
-  return `${dayName} ${dayNum} de ${monthName} de ${year}`;
+  byDevice.forEach((deviceEntries, deviceId) => {
+    const restored = restoreDeviceFromTelemetry(deviceId, deviceEntries);
+    const existing = context.liveGalleryDevices.get(deviceId);
+    if (!existing) {
+      context.liveGalleryDevices.set(deviceId, restored);
+      return;
+    }
+    // Reported to this instance while the history was loading: keep the live
+    // state and put the older logs in front of the new ones.
+    const firstLiveLogAt = existing.recentLogs[0] ? existing.recentLogs[0].at : '\uffff';
+    existing.createdAt = restored.createdAt < existing.createdAt ? restored.createdAt : existing.createdAt;
+    existing.recentLogs = [
+      ...restored.recentLogs.filter((entry) => entry.at < firstLiveLogAt),
+      ...existing.recentLogs,
+    ].slice(-MAX_DEVICE_LOGS);
+    if (restored.lastPersistedErrorAt > (existing.lastPersistedErrorAt || '')) {
+      existing.lastPersistedErrorAt = restored.lastPersistedErrorAt;
+    }
+  });
+  if (byDevice.size) {
+    console.log(`[device-telemetry] restored ${byDevice.size} device(s) for "${context.event.slug}"`);
+  }
 }
 
-// Short date/time string for the timestamp_pr column in the Sheet
-// Example: "03/12/2025 22:05:31"
-function formatPRDateTimeShort(prDate) {
-  const pad = (n) => String(n).padStart(2, '0');
-  const dd = pad(prDate.getDate());
-  const mm = pad(prDate.getMonth() + 1);
-  const yyyy = prDate.getFullYear();
-  const HH = pad(prDate.getHours());
-  const MM = pad(prDate.getMinutes());
-  const SS = pad(prDate.getSeconds());
-  return `${dd}/${mm}/${yyyy} ${HH}:${MM}:${SS}`;
-}
+// Loads once per instance; the device routes await it before reading or
+// updating liveGalleryDevices.
+function ensureDeviceTelemetryHydrated() {
+  const context = currentEvent();
+  const telemetry = context.deviceTelemetry;
+  if (!telemetry.hydration) {
+    telemetry.hydration = hydrateDeviceTelemetry(context).catch((err) => {
+      console.warn(`Unable to restore device telemetry (${context.event.slug}):`, err.message || err);
+    });
+  }
+  return telemetry.hydration;
+}
+
+// A heartbeat or log within DEVICE_ONLINE_WINDOW_MS of the previous one means
+// the screen was up in between; longer gaps (and the edges of the window
+// without data) are offline.
+function buildDeviceOnlineSpans(entries, fromMs, toMs) {
+  const seenAt = entries
+    .filter((entry) => entry.kind === 'heartbeat' || entry.kind === 'log')
+    .map((entry) => Date.parse(entry.at))
+    .filter((ms) => Number.isFinite(ms) && ms >= fromMs && ms <= toMs);
+  const spans = [];
+  const pushSpan = (state, startMs, endMs) => {
+    if (endMs <= startMs) return;
+    const last = spans[spans.length - 1];
+    if (last && last.state === state) {
+      last.endMs = endMs;
+    } else {
+      spans.push({ state, startMs, endMs });
+    }
+  };
 
-function formatPRDateIso(prDate) {
-  const pad = (n) => String(n).padStart(2, '0');
-  const yyyy = prDate.getFullYear();
-  const mm = pad(prDate.getMonth() + 1);
-  const dd = pad(prDate.getDate());
-  return `${yyyy}-${mm}-${dd}`;
-}
+  let cursor = fromMs;
+  seenAt.forEach((ms) => {
+    pushSpan(ms - cursor > DEVICE_ONLINE_WINDOW_MS ? 'offline' : 'online', cursor, ms);
+    cursor = ms;
+  });
+  pushSpan(!seenAt.length || toMs - cursor > DEVICE_ONLINE_WINDOW_MS ? 'offline' : 'online', cursor, toMs);
 
-function formatPRHourKey(prDate) {
-  return `${String(prDate.getHours()).padStart(2, '0')}:00`;
+  return spans.map((span) => ({
+    state: span.state,
+    startAt: new Date(span.startMs).toISOString(),
+    endAt: new Date(span.endMs).toISOString(),
+    durationMs: span.endMs - span.startMs,
+  }));
 }
 
-function prDateToUtc(dateString, hour = 0, minute = 0, second = 0, millisecond = 0) {
-  if (!dateString) return null;
-  const match = String(dateString).match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (!match) return null;
-  const [, year, month, day] = match;
-  return new Date(Date.UTC(
-    Number(year),
-    Number(month) - 1,
-    Number(day),
-    Number(hour) + 4,
-    Number(minute),
-    Number(second),
-    Number(millisecond)
-  ));
-}
+// Photo swaps per bucket from the swap counters (directSwapCount +
+// crossfadeCount) of consecutive heartbeats. A bucket the screen was up for
+// without a single swap or photo change is flagged frozen.
+function buildDeviceSwapCadence(entries, fromMs, toMs) {
+  const bucketMs = Math.max(DEVICE_TIMELINE_MIN_BUCKET_MS, Math.ceil((toMs - fromMs) / DEVICE_TIMELINE_BUCKETS));
+  const buckets = [];
+  for (let startMs = fromMs; startMs < toMs; startMs += bucketMs) {
+    buckets.push({ startMs, endMs: Math.min(toMs, startMs + bucketMs), swaps: 0, photoChanges: 0, samples: 0, stalledSamples: 0, coveredMs: 0 });
+  }
 
-function formatChartHourLabel(prDate) {
-  const hour = prDate.getHours();
-  const period = hour >= 12 ? 'PM' : 'AM';
-  const hour12 = hour % 12 || 12;
-  return `${hour12}${period}`;
+  const swapCount = (status) => (
+    status.directSwapCount == null && status.crossfadeCount == null
+      ? null
+      : (Number(status.directSwapCount) || 0) + (Number(status.crossfadeCount) || 0)
+  );
+  let previous = null;
+  entries.forEach((entry) => {
+    const ms = Date.parse(entry.at);
+    if (entry.kind !== 'heartbeat' || !entry.details || !Number.isFinite(ms) || ms < fromMs || ms > toMs) return;
+    const bucket = buckets[Math.min(buckets.length - 1, Math.floor((ms - fromMs) / bucketMs))];
+    const status = entry.details;
+    bucket.samples += 1;
+    if (status.slideshowStalled) bucket.stalledSamples += 1;
+
+    if (previous && ms - previous.ms <= DEVICE_ONLINE_WINDOW_MS) {
+      const count = swapCount(status);
+      const previousCount = swapCount(previous.status);
+      if (count != null && previousCount != null) {
+        // A lower count means the page reloaded and the counter restarted
+        bucket.swaps += count >= previousCount ? count - previousCount : count;
+      }
+      if (status.currentPhotoId && status.currentPhotoId !== previous.status.currentPhotoId) {
+        bucket.photoChanges += 1;
+      }
+      bucket.coveredMs += ms - previous.ms;
+    }
+    previous = { ms, status };
+  });
+
+  return {
+    bucketMs,
+    buckets: buckets.map((bucket) => ({
+      startAt: new Date(bucket.startMs).toISOString(),
+      endAt: new Date(bucket.endMs).toISOString(),
+      swaps: bucket.swaps,
+      photoChanges: bucket.photoChanges,
+      secondsPerSwap: bucket.swaps ? Math.round(bucket.coveredMs / 1000 / bucket.swaps) : null,
+      samples: bucket.samples,
+      stalledSamples: bucket.stalledSamples,
+      frozen: bucket.coveredMs > 0 && !bucket.swaps && !bucket.photoChanges,
+    })),
+  };
 }
 
-function formatChartDateLabel(prDate) {
-  const month = String(prDate.getMonth() + 1).padStart(2, '0');
-  const day = String(prDate.getDate()).padStart(2, '0');
-  return `${month}/${day}`;
+// Errors closer together than DEVICE_FETCH_FAILURE_BURST_WINDOW_MS form one
+// cluster; clusters of DEVICE_FETCH_FAILURE_BURST_THRESHOLD or more are bursts.
+function buildDeviceFailureBursts(entries) {
+  const clusters = [];
+  entries
+    .filter((entry) => entry.kind === 'error' && Number.isFinite(Date.parse(entry.at)))
+    .forEach((entry) => {
+      const ms = Date.parse(entry.at);
+      const category = (entry.details && entry.details.category) || 'unknown';
+      const last = clusters[clusters.length - 1];
+      if (last && ms - last.endMs <= DEVICE_FETCH_FAILURE_BURST_WINDOW_MS) {
+        last.endMs = ms;
+        last.count += 1;
+        last.categories[category] = (last.categories[category] || 0) + 1;
+        last.lastMessage = entry.message;
+      } else {
+        clusters.push({ startMs: ms, endMs: ms, count: 1, categories: { [category]: 1 }, lastMessage: entry.message });
+      }
+    });
+
+  return clusters
+    .filter((cluster) => cluster.count >= DEVICE_FETCH_FAILURE_BURST_THRESHOLD)
+    .map((cluster) => ({
+      startAt: new Date(cluster.startMs).toISOString(),
+      endAt: new Date(cluster.endMs).toISOString(),
+      count: cluster.count,
+      categories: cluster.categories,
+      lastMessage: cluster.lastMessage,
+    }));
 }
 
-// For reports: "HH:00–HH:59"
-function formatHourRange(hour) {
-  const h = String(hour).padStart(2, '0');
-  return `${h}:00–${h}:59`;
+function buildDeviceTimeline(entries, fromMs, toMs) {
+  const spans = buildDeviceOnlineSpans(entries, fromMs, toMs);
+  const cadence = buildDeviceSwapCadence(entries, fromMs, toMs);
+  const failureBursts = buildDeviceFailureBursts(entries);
+  const offlineSpans = spans.filter((span) => span.state === 'offline');
+  const commands = entries
+    .filter((entry) => entry.kind === 'command')
+    .map((entry) => ({ at: entry.at, message: entry.message }));
+
+  return {
+    spans,
+    swapCadence: cadence,
+    failureBursts,
+    commands,
+    summary: {
+      onlineMs: spans.filter((span) => span.state === 'online').reduce((sum, span) => sum + span.durationMs, 0),
+      offlineMs: offlineSpans.reduce((sum, span) => sum + span.durationMs, 0),
+      offlineSpans: offlineSpans.length,
+      longestOfflineMs: offlineSpans.reduce((max, span) => Math.max(max, span.durationMs), 0),
+      swaps: cadence.buckets.reduce((sum, bucket) => sum + bucket.swaps, 0),
+      frozenBuckets: cadence.buckets.filter((bucket) => bucket.frozen).length,
+      errors: entries.filter((entry) => entry.kind === 'error').length,
+      failureBursts: failureBursts.length,
+    },
+  };
 }
 
-// Normalize newsletter input to "Y" / "N" / ""
-function getNewsletterFlag(value) {
-  if (value === null || value === undefined) return '';
+// ---------- DEVICE GROUPS ----------
+// Screens at one venue can play different things: the lobby everything, the
+// stage only the latest ten inside a sponsor frame. A group lists device IDs
+// (the ?deviceId= a screen is opened with, the same ID its heartbeats use) and
+// overrides the playlist limit, ordering and template for those screens.
+// Screens in no group follow the event-wide settings. Groups are saved with
+// the other settings, as one JSON row.
 
-  const val = String(value).toLowerCase();
-  if (val === 'true' || val === '1' || val === 'sí' || val === 'si' || val === 'y') {
-    return 'Y';
-  }
-  if (val === 'false' || val === '0' || val === 'no' || val === 'n') {
-    return 'N';
-  }
-  return '';
+const DEVICE_GROUP_ORDERS = ['oldest_first', 'newest_first', 'shuffle'];
+const DEVICE_GROUP_NO_TEMPLATE = 'none'; // templateId '' inherits the event template
+const MAX_DEVICE_GROUPS = 20;
+const MAX_DEVICE_GROUP_DEVICES = 50;
+
+function normalizeDeviceId(value) {
+  return clampString(String(value == null ? '' : value).trim(), 120);
 }
 
-// Today range (in PR) but expressed in UTC, for filtering logs
-function getTodayPRRangeUtc() {
-  const nowPR = getPRDate();
+function normalizeDeviceGroupId(value) {
+  return clampString(String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-'), 40)
+    .replace(/^-+|-+$/g, '');
+}
 
-  const startPR = new Date(nowPR);
-  startPR.setHours(0, 0, 0, 0);
+// previousGroups supplies template snapshots the admin UI does not send back
+function normalizeDeviceGroups(rawGroups, previousGroups = []) {
+  const previousById = new Map((Array.isArray(previousGroups) ? previousGroups : [])
+    .filter((group) => group && group.id)
+    .map((group) => [group.id, group]));
+  const claimedDevices = new Set();
+  const groups = [];
 
-  const endPR = new Date(nowPR);
-  endPR.setHours(23, 59, 59, 999);
+  (Array.isArray(rawGroups) ? rawGroups : []).forEach((raw) => {
+    if (!raw || typeof raw !== 'object' || groups.length >= MAX_DEVICE_GROUPS) return;
 
-  // PR time → UTC (PR = UTC-4, so we add 4h)
-  const prToUtc = (dPR) => new Date(dPR.getTime() + 4 * 60 * 60 * 1000);
+    const name = clampString(String(raw.name || '').trim(), 60);
+    const id = normalizeDeviceGroupId(raw.id) || normalizeDeviceGroupId(name) || `group-${groups.length + 1}`;
+    if (groups.some((group) => group.id === id)) return;
 
-  return {
-    startUtc: prToUtc(startPR),
-    endUtc: prToUtc(endPR)
-  };
+    // A screen plays one group: the first group listing it wins
+    const rawDeviceIds = Array.isArray(raw.deviceIds) ? raw.deviceIds : String(raw.deviceIds || '').split(',');
+    const deviceIds = [];
+    rawDeviceIds.forEach((value) => {
+      const deviceId = normalizeDeviceId(value);
+      if (!deviceId || claimedDevices.has(deviceId) || deviceIds.length >= MAX_DEVICE_GROUP_DEVICES) return;
+      claimedDevices.add(deviceId);
+      deviceIds.push(deviceId);
+    });
+
+    const order = String(raw.order || '').trim().toLowerCase();
+    const rawTemplateId = normalizeTemplateId(raw.templateId);
+    const templateId = rawTemplateId === DEVICE_GROUP_NO_TEMPLATE || /^\d+$/.test(rawTemplateId) ? rawTemplateId : '';
+    const previous = previousById.get(id);
+    let templateSnapshot = '';
+    if (templateId && templateId !== DEVICE_GROUP_NO_TEMPLATE) {
+      templateSnapshot = typeof raw.templateSnapshot === 'string'
+        ? raw.templateSnapshot
+        : (previous && previous.templateId === templateId ? previous.templateSnapshot || '' : '');
+    }
+
+    groups.push({
+      id,
+      name: name || id,
+      deviceIds,
+      displayLimit: normalizeGalleryDisplayLimit(raw.displayLimit),
+      order: DEVICE_GROUP_ORDERS.includes(order) ? order : DEVICE_GROUP_ORDERS[0],
+      templateId,
+      templateSnapshot,
+    });
+  });
+
+  return groups;
 }
 
-// ---------- ADMIN AUTH HELPERS ----------
+// Pins each group's template the way syncActiveTemplateSettings pins the
+// event's, so a screen keeps its frame while the Templates sheet is slow.
+async function syncDeviceGroupTemplates(groups) {
+  return Promise.all((groups || []).map(async (group) => {
+    if (!group.templateId || group.templateId === DEVICE_GROUP_NO_TEMPLATE) {
+      return { ...group, templateSnapshot: '' };
+    }
+    const synced = await syncActiveTemplateSettings({
+      activeTemplateId: group.templateId,
+      activeTemplateSnapshot: group.templateSnapshot,
+    });
+    return {
+      ...group,
+      templateId: synced.activeTemplateId,
+      templateSnapshot: synced.activeTemplateSnapshot,
+    };
+  }));
+}
 
-function getClientIp(req) {
-  const xfwd = req.headers['x-forwarded-for'];
-  if (xfwd) {
-    return xfwd.split(',')[0].trim();
-  }
-  return req.socket?.remoteAddress || 'unknown';
+// After a template is edited, re-pin it for every group using it. Returns
+// whether anything changed (the caller persists the settings).
+function refreshDeviceGroupTemplateSnapshots(template) {
+  const context = currentEvent();
+  const templateId = String(template.id);
+  let changed = false;
+  context.appSettings.deviceGroups = (context.appSettings.deviceGroups || []).map((group) => {
+    if (group.templateId !== templateId) return group;
+    changed = true;
+    return { ...group, templateSnapshot: buildActiveTemplateSnapshotString(template) };
+  });
+  return changed;
 }
 
-function normalizeIp(ip) {
-  if (!ip) return 'unknown';
-  if (ip.startsWith('::ffff:')) {
-    return ip.slice(7);
-  }
-  return ip;
+function findDeviceGroup(deviceId, settings = currentEvent().appSettings) {
+  const id = normalizeDeviceId(deviceId);
+  if (!id) return null;
+  return (settings.deviceGroups || []).find((group) => group.deviceIds.includes(id)) || null;
 }
 
-function safeDecodeHeader(value) {
-  if (!value) return '';
-  const raw = String(value).trim();
-  try {
-    return decodeURIComponent(raw);
-  } catch (err) {
-    return raw;
-  }
+function serializeDeviceGroup(group) {
+  if (!group) return null;
+  return { id: group.id, name: group.name, order: group.order };
 }
 
-function getClientLocation(req) {
-  const city = safeDecodeHeader(req.headers['x-vercel-ip-city']);
-  const region = safeDecodeHeader(req.headers['x-vercel-ip-country-region']);
-  const countryRaw = safeDecodeHeader(req.headers['x-vercel-ip-country']);
+// The settings one screen plays by: the event settings with its group's
+// playlist limit and template swapped in, plus deviceGroup (null when the
+// screen is in no group). The manifest, overlay and template routes take this
+// in place of currentEvent().appSettings.
+function getGallerySettingsForDevice(deviceId) {
+  const settings = currentEvent().appSettings;
+  const group = findDeviceGroup(deviceId, settings);
+  if (!group) return { ...settings, deviceGroup: null };
 
-  let country = countryRaw;
-  const countryUpper = countryRaw.toUpperCase();
-  const countryLabels = {
-    PR: 'Puerto Rico',
-    US: 'United States',
+  const ownTemplate = Boolean(group.templateId);
+  return {
+    ...settings,
+    galleryDisplayLimit: group.displayLimit,
+    activeTemplateId: ownTemplate
+      ? (group.templateId === DEVICE_GROUP_NO_TEMPLATE ? '' : group.templateId)
+      : settings.activeTemplateId,
+    activeTemplateSnapshot: ownTemplate ? group.templateSnapshot : settings.activeTemplateSnapshot,
+    deviceGroup: { ...serializeDeviceGroup(group), deviceId: normalizeDeviceId(deviceId) },
   };
-  if (countryUpper && countryLabels[countryUpper]) {
-    country = countryLabels[countryUpper];
-  }
+}
 
-  return { city, region, country };
+function orderGalleryApprovedFiles(files, order, seed = '') {
+  if (order === 'newest_first') return [...files].reverse();
+  if (order === 'shuffle') {
+    // Ranked by a hash rather than Math.random so every poll, and every screen
+    // in the group, gets the same sequence; a new photo slots in somewhere
+    // without reshuffling the rest.
+    const rank = (file) => crypto.createHash('sha1').update(`${seed}|${file.id}`).digest('hex');
+    return files
+      .map((file) => ({ file, rank: rank(file) }))
+      .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0))
+      .map((entry) => entry.file);
+  }
+  return files;
+}
+
+// ---------- GALLERY SLIDES ----------
+// Admin-authored slides the gallery plays between guest photos: announcements,
+// a schedule, a "scan to join" QR and sponsor images. A slide plays inside its
+// start/end window once every `everyPhotos` photos (0 keeps it out of the
+// rotation); with no photos to show, screens loop the slides marked `attract`
+// in place of the empty state. QR and sponsor images come from the template
+// asset library and are served by /gallery/template-asset. Slides are saved
+// with the other settings, as one JSON row.
+
+const GALLERY_SLIDE_KINDS = ['announcement', 'schedule', 'qr', 'sponsor'];
+const GALLERY_IMAGE_SLIDE_KINDS = ['qr', 'sponsor'];
+const MAX_GALLERY_SLIDES = 30;
+
+function normalizeGallerySlides(rawSlides) {
+  const slides = [];
+
+  (Array.isArray(rawSlides) ? rawSlides : []).forEach((raw) => {
+    if (!raw || typeof raw !== 'object' || slides.length >= MAX_GALLERY_SLIDES) return;
+
+    const rawId = String(raw.id || '').trim();
+    const id = /^[a-z0-9_-]{1,40}$/i.test(rawId) ? rawId : `slide-${crypto.randomBytes(4).toString('hex')}`;
+    if (slides.some((slide) => slide.id === id)) return;
+
+    const kind = String(raw.kind || '').trim().toLowerCase();
+    const imageFileId = String(raw.imageFileId || '').trim();
+    const everyPhotos = parseInt(raw.everyPhotos, 10);
+    const durationSeconds = parseInt(raw.durationSeconds, 10);
+    slides.push({
+      id,
+      kind: GALLERY_SLIDE_KINDS.includes(kind) ? kind : GALLERY_SLIDE_KINDS[0],
+      enabled: coerceBoolean(raw.enabled, true),
+      title: clampString(String(raw.title || '').trim(), 120),
+      body: clampString(String(raw.body || '').trim(), 600),
+      imageFileId: /^[\w-]{1,200}$/.test(imageFileId) ? imageFileId : '',
+      startAt: clampIsoTimestamp(raw.startAt),
+      endAt: clampIsoTimestamp(raw.endAt),
+      everyPhotos: Number.isFinite(everyPhotos) ? Math.min(100, Math.max(0, everyPhotos)) : 5,
+      durationSeconds: Number.isFinite(durationSeconds) ? Math.min(60, Math.max(3, durationSeconds)) : 10,
+      attract: coerceBoolean(raw.attract, true),
+    });
+  });
+
+  return slides;
+}
+
+// The manifest's slide items: enabled slides that have not ended yet. Screens
+// check startAt themselves, so a slide comes on at its time without a push;
+// one dropping off at endAt changes slidesVersion, which the stream publishes.
+function buildGallerySlidesPayload(rawSlides, now = Date.now()) {
+  const slides = normalizeGallerySlides(rawSlides)
+    .filter((slide) => slide.enabled && (!slide.endAt || Date.parse(slide.endAt) > now))
+    .filter((slide) => !GALLERY_IMAGE_SLIDE_KINDS.includes(slide.kind) || slide.imageFileId)
+    .map((slide) => ({
+      type: 'slide',
+      id: slide.id,
+      kind: slide.kind,
+      title: slide.title,
+      body: slide.body,
+      imageUrl: slide.imageFileId ? `/gallery/template-asset/${encodeURIComponent(slide.imageFileId)}` : '',
+      startAt: slide.startAt,
+      endAt: slide.endAt,
+      everyPhotos: slide.everyPhotos,
+      durationMs: slide.durationSeconds * 1000,
+      attract: slide.attract,
+    }));
+  const slidesVersion = slides.length
+    ? crypto.createHash('sha1').update(JSON.stringify(slides)).digest('hex').slice(0, 12)
+    : '';
+  return { slides, slidesVersion };
 }
 
-function buildSessionIdentifier(req) {
-  const ip = normalizeIp(getClientIp(req));
-  const { city, region, country } = getClientLocation(req);
-  const locationParts = [city, region, country].filter(Boolean);
-  const locationLabel = locationParts.join(', ');
+// ---------- Google Auth (Service Account) ----------
+// Built on first use: only the Drive photo storage, the Sheets data store and
+// the shared template asset folders talk to Google, so events on local / S3
+// storage with SQLite boot without GOOGLE_APPLICATION_CREDENTIALS.
+let googleClients = null;
+
+function getGoogleClients() {
+  if (!googleClients) {
+    if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      throw new Error('google_credentials_missing');
+    }
+    const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+
+    // Scopes: Drive + Sheets
+    const jwtClient = new google.auth.JWT(
+      credentials.client_email,
+      null,
+      credentials.private_key,
+      [
+        'https://www.googleapis.com/auth/drive',
+        'https://www.googleapis.com/auth/spreadsheets'
+      ]
+    );
 
-  if (locationLabel && ip !== 'unknown') {
-    return `IP ${ip} ${locationLabel}`;
+    googleClients = {
+      drive: google.drive({ version: 'v3', auth: jwtClient }),
+      sheets: google.sheets({ version: 'v4', auth: jwtClient }),
+    };
   }
+  return googleClients;
+}
+
+// ---------- DATA STORE ----------
+// Session logs, metrics events, settings rows and templates go through a
+// repository so the Sheets workbooks can be swapped for a local SQLite file.
+// Every driver speaks in the same row shapes the Sheets already use:
+//   settings  -> [key, value]
+//   templates -> { id, name, json, createdAt, active }
+//   session   -> SESSION_SHEET_HEADERS order (A:J)
+//   metrics   -> METRICS_EVENTS_HEADERS order (A:X)
+//   counters  -> { name, value, resetAt, updatedAt }
+//   device telemetry -> DEVICE_TELEMETRY_HEADERS order (A:F)
+
+const SESSION_ROWS_CACHE_TTL_MS = 1500;
+
+function filterSessionRows(rows, filters = {}) {
+  const startMs = filters.startUtc ? new Date(filters.startUtc).getTime() : null;
+  const endMs = filters.endUtc ? new Date(filters.endUtc).getTime() : null;
+
+  let result = rows.filter((row) => {
+    if (!row || !row[0]) return false;
+    if (filters.eventType && row[2] !== filters.eventType) return false;
+    if (filters.ticket && row[9] !== filters.ticket) return false;
+    if (filters.sessionId && row[4] !== filters.sessionId) return false;
+    if (startMs != null || endMs != null) {
+      const ts = new Date(row[0]).getTime();
+      if (Number.isNaN(ts)) return false;
+      if (startMs != null && ts < startMs) return false;
+      if (endMs != null && ts > endMs) return false;
+    }
+    return true;
+  });
 
-  if (ip && ip !== 'unknown') {
-    return `IP ${ip}`;
+  if (filters.newestFirst) {
+    result = result.slice().reverse();
   }
+  if (filters.limit) {
+    result = result.slice(0, filters.limit);
+  }
+  return result;
+}
 
-  const fallback = req.headers['x-session-id'];
-  return fallback ? String(fallback) : '';
+function filterMetricsRows(rows, filters = {}) {
+  const startMs = filters.startUtc ? new Date(filters.startUtc).getTime() : null;
+  const endMs = filters.endUtc ? new Date(filters.endUtc).getTime() : null;
+
+  return rows.filter((row) => {
+    if (!row || !row[1]) return false;
+    if (filters.family && row[6] !== filters.family) return false;
+    if (startMs != null || endMs != null) {
+      const ts = new Date(row[1]).getTime();
+      if (Number.isNaN(ts)) return false;
+      if (startMs != null && ts < startMs) return false;
+      if (endMs != null && ts > endMs) return false;
+    }
+    return true;
+  });
 }
 
-function getMetricsEventFamily(eventType) {
-  switch (eventType) {
-    case 'visit':
-    case 'form':
-    case 'upload':
-      return 'public';
-    case 'approve_photo':
-    case 'reject_photo':
-    case 'delete_approved_photo':
-    case 'batch_delete_approved_photos':
-    case 'clear_drive':
-    case 'reset_logs':
-      return 'admin';
-    default:
-      return 'system';
-  }
+function filterDeviceTelemetryRows(rows, filters = {}) {
+  const startUtc = filters.startUtc ? new Date(filters.startUtc).toISOString() : '';
+  const endUtc = filters.endUtc ? new Date(filters.endUtc).toISOString() : '';
+
+  return rows.filter((row) => {
+    if (!row || !row[0] || !row[1]) return false;
+    if (filters.deviceId && row[1] !== filters.deviceId) return false;
+    if (startUtc && row[0] < startUtc) return false;
+    if (endUtc && row[0] > endUtc) return false;
+    return true;
+  });
 }
 
-function extractLocationFromSessionId(sessionId = '') {
-  const match = String(sessionId || '').match(/^IP\s+[\d.:a-fA-F]+\s+(.+)$/);
-  return match && match[1] ? match[1].trim() : '';
+// Indexes of the newest `limits[kind]` rows per device and kind, in row
+// order. Rows are appended as they arrive, so later rows are newer.
+function pickLatestDeviceTelemetryRows(rows, limits) {
+  const counts = new Map();
+  const picked = [];
+  for (let index = rows.length - 1; index >= 0; index -= 1) {
+    const row = rows[index];
+    const key = `${row[1]}\n${row[3]}`;
+    const count = counts.get(key) || 0;
+    if (count >= (limits[row[3]] || 0)) continue;
+    counts.set(key, count + 1);
+    picked.push(index);
+  }
+  return picked.reverse();
 }
 
-function buildLocationLabel(country = '', region = '', sessionId = '') {
-  const direct = [region, country].filter(Boolean).join(', ').trim();
-  if (direct) return direct;
-  return extractLocationFromSessionId(sessionId);
-}
+function createSheetsDataStore({ sessionSheetId, settingsSheetId, templatesSheetId, metricsSheetId }) {
+  const { sheets } = getGoogleClients();
+  let settingsSheetReady = false;
+  let templatesSheetReady = false;
+  let metricsSheetsReady = false;
+  let metricsSheetHeadersReady = false;
 
-function safeJsonStringify(value) {
-  try {
-    return JSON.stringify(value || {});
-  } catch (err) {
-    return '{}';
-  }
-}
+  async function ensureSettingsSheet() {
+    if (settingsSheetReady) return true;
+    if (!settingsSheetId) return false;
 
-async function ensureMetricsSheets() {
-  if (metricsSheetsReady) return true;
-  if (!METRICS_SHEET_ID) return false;
+    try {
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: settingsSheetId,
+        fields: 'sheets(properties(title))'
+      });
 
-  try {
-    const meta = await sheets.spreadsheets.get({
-      spreadsheetId: METRICS_SHEET_ID,
-      fields: 'sheets(properties(title))'
-    });
+      const sheetsList = meta.data.sheets || [];
+      const hasSettingsSheet = sheetsList.some(
+        (sheet) => sheet.properties && sheet.properties.title === SETTINGS_SHEET_NAME
+      );
 
-    const existingTitles = new Set(
-      (meta.data.sheets || [])
-        .map((sheet) => sheet?.properties?.title)
-        .filter(Boolean)
-    );
+      if (!hasSettingsSheet) {
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: settingsSheetId,
+          requestBody: {
+            requests: [
+              {
+                addSheet: {
+                  properties: {
+                    title: SETTINGS_SHEET_NAME
+                  }
+                }
+              }
+            ]
+          }
+        });
+      }
 
-    const requiredTitles = [
-      METRICS_EVENTS_SHEET_NAME,
-      METRICS_DAILY_SHEET_NAME,
-      METRICS_NEWSLETTER_SHEET_NAME,
-      METRICS_SCHEMA_SHEET_NAME,
-    ];
+      settingsSheetReady = true;
+      return true;
+    } catch (err) {
+      console.warn('Unable to ensure settings sheet exists:', err.message || err);
+      return false;
+    }
+  }
 
-    const addSheetRequests = requiredTitles
-      .filter((title) => !existingTitles.has(title))
-      .map((title) => ({
-        addSheet: {
-          properties: { title }
-        }
-      }));
+  async function ensureTemplatesSheet() {
+    if (templatesSheetReady) return true;
+    if (!templatesSheetId) return false;
 
-    if (addSheetRequests.length) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: METRICS_SHEET_ID,
-        requestBody: {
-          requests: addSheetRequests
-        }
+    try {
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: templatesSheetId,
+        fields: 'sheets(properties(title))'
       });
-    }
 
-    metricsSheetsReady = true;
-    return true;
-  } catch (err) {
-    console.warn('Unable to ensure metrics workbook:', err.message || err);
-    return false;
-  }
-}
+      const sheetsList = meta.data.sheets || [];
+      const hasTemplatesSheet = sheetsList.some(
+        (sheet) => sheet.properties && sheet.properties.title === TEMPLATES_SHEET_NAME
+      );
 
-async function ensureMetricsSheetHeaders() {
-  if (metricsSheetHeadersReady) return true;
-  if (!METRICS_SHEET_ID) return false;
+      if (!hasTemplatesSheet) {
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: templatesSheetId,
+          requestBody: {
+            requests: [
+              {
+                addSheet: {
+                  properties: {
+                    title: TEMPLATES_SHEET_NAME
+                  }
+                }
+              }
+            ]
+          }
+        });
+      }
 
-  const ready = await ensureMetricsSheets();
-  if (!ready) return false;
+      templatesSheetReady = true;
+      return true;
+    } catch (err) {
+      console.warn('Unable to ensure templates sheet exists:', err.message || err);
+      return false;
+    }
+  }
 
-  try {
-    const sheetConfigs = [
-      {
-        name: METRICS_EVENTS_SHEET_NAME,
-        range: `${METRICS_EVENTS_SHEET_NAME}!A1:X`,
-        headers: METRICS_EVENTS_HEADERS,
-      },
-      {
-        name: METRICS_DAILY_SHEET_NAME,
-        range: `${METRICS_DAILY_SHEET_NAME}!A1:H`,
-        headers: METRICS_DAILY_HEADERS,
-      },
-      {
-        name: METRICS_NEWSLETTER_SHEET_NAME,
-        range: `${METRICS_NEWSLETTER_SHEET_NAME}!A1:M`,
-        headers: METRICS_NEWSLETTER_HEADERS,
-      },
-    ];
+  async function ensureMetricsSheets() {
+    if (metricsSheetsReady) return true;
+    if (!metricsSheetId) return false;
 
-    for (const config of sheetConfigs) {
-      const resp = await sheets.spreadsheets.values.get({
-        spreadsheetId: METRICS_SHEET_ID,
-        range: `${config.name}!1:1`
+    try {
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: metricsSheetId,
+        fields: 'sheets(properties(title))'
       });
-      const headerRow = resp.data.values?.[0] || [];
-      if (headerRow[0] !== config.headers[0]) {
-        await sheets.spreadsheets.values.update({
-          spreadsheetId: METRICS_SHEET_ID,
-          range: config.range,
-          valueInputOption: 'RAW',
-          requestBody: { values: [config.headers] }
+
+      const existingTitles = new Set(
+        (meta.data.sheets || [])
+          .map((sheet) => sheet?.properties?.title)
+          .filter(Boolean)
+      );
+
+      const requiredTitles = [
+        METRICS_EVENTS_SHEET_NAME,
+        METRICS_DAILY_SHEET_NAME,
+        METRICS_NEWSLETTER_SHEET_NAME,
+        METRICS_SCHEMA_SHEET_NAME,
+        DEVICE_TELEMETRY_SHEET_NAME,
+      ];
+
+      const addSheetRequests = requiredTitles
+        .filter((title) => !existingTitles.has(title))
+        .map((title) => ({
+          addSheet: {
+            properties: { title }
+          }
+        }));
+
+      if (addSheetRequests.length) {
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: metricsSheetId,
+          requestBody: {
+            requests: addSheetRequests
+          }
         });
       }
+
+      metricsSheetsReady = true;
+      return true;
+    } catch (err) {
+      console.warn('Unable to ensure metrics workbook:', err.message || err);
+      return false;
     }
+  }
 
-    const schemaRows = [
-      ['Section', 'Purpose', 'Fields'],
-      ['Events', 'Raw append-only metrics stream for every tracked interaction.', METRICS_EVENTS_HEADERS.join(', ')],
-      ['Daily Summary', 'Prepared daily rollups for future dashboard expansion.', METRICS_DAILY_HEADERS.join(', ')],
-      ['Newsletter Leads', 'Newsletter opt-ins prepared for reporting and export.', METRICS_NEWSLETTER_HEADERS.join(', ')],
-      ['Notes', 'Dates are stored in Puerto Rico time for grouping and UTC for canonical timestamps.', 'Timezone: America/Puerto_Rico (UTC-4 fixed)'],
-    ];
+  async function ensureMetricsSheetHeaders() {
+    if (metricsSheetHeadersReady) return true;
+    if (!metricsSheetId) return false;
 
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: METRICS_SHEET_ID,
-      range: `${METRICS_SCHEMA_SHEET_NAME}!A1:C${schemaRows.length}`,
-      valueInputOption: 'RAW',
-      requestBody: { values: schemaRows }
-    });
+    const ready = await ensureMetricsSheets();
+    if (!ready) return false;
 
-    metricsSheetHeadersReady = true;
-    return true;
-  } catch (err) {
-    console.warn('Unable to ensure metrics sheet headers:', err.message || err);
-    return false;
-  }
-}
+    try {
+      const sheetConfigs = [
+        {
+          name: METRICS_EVENTS_SHEET_NAME,
+          range: `${METRICS_EVENTS_SHEET_NAME}!A1:X`,
+          headers: METRICS_EVENTS_HEADERS,
+        },
+        {
+          name: METRICS_DAILY_SHEET_NAME,
+          range: `${METRICS_DAILY_SHEET_NAME}!A1:H`,
+          headers: METRICS_DAILY_HEADERS,
+        },
+        {
+          name: METRICS_NEWSLETTER_SHEET_NAME,
+          range: `${METRICS_NEWSLETTER_SHEET_NAME}!A1:M`,
+          headers: METRICS_NEWSLETTER_HEADERS,
+        },
+        {
+          name: DEVICE_TELEMETRY_SHEET_NAME,
+          range: `${DEVICE_TELEMETRY_SHEET_NAME}!A1:F`,
+          headers: DEVICE_TELEMETRY_HEADERS,
+        },
+      ];
 
-async function logMetricsEvent(
-  eventType,
-  req,
-  {
-    email = '',
-    sessionId = '',
-    country = '',
-    region = '',
-    lastName = '',
-    newsletter = null,
-    ticket = '',
-    timestampUtc = null,
-    source = '',
-    metadata = {},
-  } = {}
-) {
-  if (!METRICS_SHEET_ID) return;
+      for (const config of sheetConfigs) {
+        const resp = await sheets.spreadsheets.values.get({
+          spreadsheetId: metricsSheetId,
+          range: `${config.name}!1:1`
+        });
+        const headerRow = resp.data.values?.[0] || [];
+        if (headerRow[0] !== config.headers[0]) {
+          await sheets.spreadsheets.values.update({
+            spreadsheetId: metricsSheetId,
+            range: config.range,
+            valueInputOption: 'RAW',
+            requestBody: { values: [config.headers] }
+          });
+        }
+      }
 
-  try {
-    const ready = await ensureMetricsSheetHeaders();
-    if (!ready) return;
+      const schemaRows = [
+        ['Section', 'Purpose', 'Fields'],
+        ['Events', 'Raw append-only metrics stream for every tracked interaction.', METRICS_EVENTS_HEADERS.join(', ')],
+        ['Daily Summary', 'Prepared daily rollups for future dashboard expansion.', METRICS_DAILY_HEADERS.join(', ')],
+        ['Newsletter Leads', 'Newsletter opt-ins prepared for reporting and export.', METRICS_NEWSLETTER_HEADERS.join(', ')],
+        ['Device Telemetry', 'Sampled gallery screen heartbeats, errors and logs; pruned after the retention window.', DEVICE_TELEMETRY_HEADERS.join(', ')],
+        ['Notes', 'Dates are stored in Puerto Rico time for grouping and UTC for canonical timestamps.', 'Timezone: America/Puerto_Rico (UTC-4 fixed)'],
+      ];
 
-    const utcStr = timestampUtc || new Date().toISOString();
-    const dateUtc = new Date(utcStr);
-    if (Number.isNaN(dateUtc.getTime())) return;
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: metricsSheetId,
+        range: `${METRICS_SCHEMA_SHEET_NAME}!A1:C${schemaRows.length}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: schemaRows }
+      });
 
-    const prDate = toPR(dateUtc);
-    const normalizedSessionId = sessionId || buildSessionIdentifier(req);
-    const normalizedCountry = country || '';
-    const normalizedRegion = region || '';
-    const locationLabel = buildLocationLabel(normalizedCountry, normalizedRegion, normalizedSessionId);
-    const newsletterFlag = getNewsletterFlag(newsletter);
-    const normalizedEmail = String(email || '').trim().toLowerCase();
-    const requestIp = normalizeIp(getClientIp(req));
-    const userAgent = String(req?.headers?.['user-agent'] || '').slice(0, 500);
-    const referrer = String(req?.headers?.referer || req?.headers?.referrer || '').slice(0, 500);
-    const pathLabel = req?.path || '';
-    const methodLabel = req?.method || '';
-    const family = getMetricsEventFamily(eventType);
-    const row = [[
-      crypto.randomUUID(),
-      utcStr,
-      formatPRDateTimeShort(prDate),
-      formatPRDateIso(prDate),
-      formatPRHourKey(prDate),
-      eventType,
-      family,
-      normalizedSessionId,
-      appSessionId || '',
-      email || '',
-      normalizedEmail,
-      normalizedCountry,
-      normalizedRegion,
-      locationLabel,
-      lastName || '',
-      newsletterFlag,
-      ticket || '',
-      source || family,
-      requestIp,
-      userAgent,
-      referrer,
-      pathLabel,
-      methodLabel,
-      safeJsonStringify(metadata),
-    ]];
+      metricsSheetHeadersReady = true;
+      return true;
+    } catch (err) {
+      console.warn('Unable to ensure metrics sheet headers:', err.message || err);
+      return false;
+    }
+  }
 
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: METRICS_SHEET_ID,
-      range: METRICS_EVENTS_SHEET_RANGE,
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: { values: row }
-    });
+  async function ensureTemplatesSheetHeaders() {
+    if (!templatesSheetId) return false;
+    try {
+      const ready = await ensureTemplatesSheet();
+      if (!ready) return false;
 
-    if (newsletterFlag === 'Y' && normalizedEmail) {
-      await sheets.spreadsheets.values.append({
-        spreadsheetId: METRICS_SHEET_ID,
-        range: `${METRICS_NEWSLETTER_SHEET_NAME}!A:M`,
-        valueInputOption: 'RAW',
-        insertDataOption: 'INSERT_ROWS',
-        requestBody: {
-          values: [[
-            utcStr,
-            formatPRDateTimeShort(prDate),
-            formatPRDateIso(prDate),
-            email || '',
-            normalizedEmail,
-            lastName || '',
-            normalizedCountry,
-            normalizedRegion,
-            locationLabel,
-            normalizedSessionId,
-            appSessionId || '',
-            source || family,
-            safeJsonStringify(metadata),
-          ]]
-        }
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: templatesSheetId,
+        range: `${TEMPLATES_SHEET_NAME}!A1:D1`
       });
+
+      const rows = resp.data.values || [];
+      if (rows.length === 0 || !rows[0] || rows[0][0] !== 'Name') {
+        await sheets.spreadsheets.values.update({
+          spreadsheetId: templatesSheetId,
+          range: `${TEMPLATES_SHEET_NAME}!A1:D1`,
+          valueInputOption: 'RAW',
+          requestBody: { values: [['Name', 'Template JSON', 'Created', 'Active']] }
+        });
+      }
+      return true;
+    } catch (err) {
+      console.warn('Unable to ensure templates sheet headers:', err.message || err);
+      return false;
     }
-  } catch (err) {
-    console.warn('Unable to log metrics event:', eventType, err.message || err);
   }
-}
 
-function parseMetricsEventRow(row = []) {
-  const timestampUtc = row[1] || '';
-  const timestamp = new Date(timestampUtc);
-  if (!timestampUtc || Number.isNaN(timestamp.getTime())) return null;
+  let sessionRowsCache = { rows: null, expiresAt: 0, promise: null };
 
-  return {
-    eventId: row[0] || '',
-    timestampUtc,
-    timestamp,
-    timestampPr: row[2] || '',
-    prDate: row[3] || '',
-    prHour: row[4] || '',
-    eventType: row[5] || '',
-    eventFamily: row[6] || '',
-    sessionId: row[7] || '',
-    serverSessionId: row[8] || '',
-    email: row[9] || '',
-    emailNormalized: row[10] || '',
-    country: row[11] || '',
-    region: row[12] || '',
-    locationLabel: row[13] || '',
-    lastName: row[14] || '',
-    newsletter: row[15] || '',
-    ticket: row[16] || '',
-    source: row[17] || '',
-  };
-}
+  function invalidateSessionRows() {
+    sessionRowsCache = { rows: null, expiresAt: 0, promise: null };
+  }
 
-async function readMetricsEvents() {
-  if (!METRICS_SHEET_ID) return [];
+  // Several lookups (stats, photo-info) can land in the same second; share
+  // one download of the log sheet between them.
+  async function loadSessionRows() {
+    if (sessionRowsCache.rows && sessionRowsCache.expiresAt > Date.now()) {
+      return sessionRowsCache.rows;
+    }
+    if (sessionRowsCache.promise) return sessionRowsCache.promise;
 
-  const ready = await ensureMetricsSheetHeaders();
-  if (!ready) return [];
+    const promise = sheets.spreadsheets.values.get({
+      spreadsheetId: sessionSheetId,
+      range: SESSION_SHEET_RANGE
+    }).then((resp) => {
+      const rows = (resp.data.values || []).slice(1); // skip header row
+      sessionRowsCache = { rows, expiresAt: Date.now() + SESSION_ROWS_CACHE_TTL_MS, promise: null };
+      return rows;
+    }).catch((err) => {
+      sessionRowsCache.promise = null;
+      throw err;
+    });
 
-  const resp = await sheets.spreadsheets.values.get({
-    spreadsheetId: METRICS_SHEET_ID,
-    range: METRICS_EVENTS_SHEET_RANGE
-  });
+    sessionRowsCache.promise = promise;
+    return promise;
+  }
 
-  const rows = resp.data.values || [];
-  if (rows.length <= 1) return [];
+  let countersSheetReady = false;
 
-  return rows
-    .slice(1)
-    .map(parseMetricsEventRow)
-    .filter(Boolean);
-}
+  async function ensureCountersSheet() {
+    if (countersSheetReady) return true;
+    if (!settingsSheetId) return false;
 
-function getMetricsRangeDefinition(query = {}) {
-  const preset = String(query.preset || '24h').trim();
-  const now = new Date();
-  const definitions = {
-    '1h': { startUtc: new Date(now.getTime() - (1 * 60 * 60 * 1000)), endUtc: now, label: 'Last hour', granularity: 'hour' },
-    '6h': { startUtc: new Date(now.getTime() - (6 * 60 * 60 * 1000)), endUtc: now, label: 'Last 6 hours', granularity: 'hour' },
-    '12h': { startUtc: new Date(now.getTime() - (12 * 60 * 60 * 1000)), endUtc: now, label: 'Last 12 hours', granularity: 'hour' },
-    '24h': { startUtc: new Date(now.getTime() - (24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 24 hours', granularity: 'hour' },
-    '3d': { startUtc: new Date(now.getTime() - (3 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 3 days', granularity: 'day' },
-    '7d': { startUtc: new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 7 days', granularity: 'day' },
-    '15d': { startUtc: new Date(now.getTime() - (15 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 15 days', granularity: 'day' },
-    '30d': { startUtc: new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 30 days', granularity: 'day' },
-  };
+    try {
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: settingsSheetId,
+        fields: 'sheets(properties(title))'
+      });
 
-  if (preset === 'today') {
-    const todayPr = getPRDate();
-    const startUtc = prDateToUtc(formatPRDateIso(todayPr), 0, 0, 0, 0);
-    return {
-      preset,
-      startUtc,
-      endUtc: now,
-      label: 'Today',
-      granularity: 'hour',
-    };
+      const titles = (meta.data.sheets || []).map((sheet) => sheet.properties && sheet.properties.title);
+      const missing = [COUNTERS_SHEET_NAME, COUNTER_LOG_SHEET_NAME].filter((title) => !titles.includes(title));
+
+      if (missing.length) {
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: settingsSheetId,
+          requestBody: {
+            requests: missing.map((title) => ({ addSheet: { properties: { title } } }))
+          }
+        });
+        // Also runs when only the log is new, adding log_row to older counter sheets
+        await sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: settingsSheetId,
+          requestBody: {
+            valueInputOption: 'RAW',
+            data: [
+              { range: `${COUNTERS_SHEET_NAME}!A1:E1`, values: [['name', 'value', 'reset_at', 'updated_at', 'log_row']] },
+              { range: `${COUNTER_LOG_SHEET_NAME}!A1:B1`, values: [['name', 'reserved_at']] },
+            ]
+          }
+        });
+      }
+
+      countersSheetReady = true;
+      return true;
+    } catch (err) {
+      console.warn('Unable to ensure counters sheet exists:', err.message || err);
+      return false;
+    }
   }
 
-  if (preset === 'this_week') {
-    const nowPr = getPRDate();
-    const dayOfWeek = nowPr.getDay();
-    const startPr = new Date(nowPr);
-    startPr.setDate(nowPr.getDate() - dayOfWeek);
-    startPr.setHours(0, 0, 0, 0);
+  async function readCounterRows() {
+    const resp = await sheets.spreadsheets.values.get({
+      spreadsheetId: settingsSheetId,
+      range: COUNTERS_SHEET_RANGE
+    });
+    return resp.data.values || [];
+  }
 
+  function parseCounterRow(row) {
+    const value = parseInt(row[1], 10);
     return {
-      preset,
-      startUtc: new Date(startPr.getTime() + 4 * 60 * 60 * 1000),
-      endUtc: now,
-      label: 'This week',
-      granularity: 'day',
+      name: row[0],
+      value: Number.isFinite(value) ? value : 0,
+      resetAt: row[2] || '',
+      updatedAt: row[3] || '',
+      logRow: parseInt(row[4], 10) || 0,
     };
   }
 
-  if (preset === 'custom') {
-    const startDate = String(query.startDate || '').trim();
-    const endDate = String(query.endDate || '').trim();
-    const startUtc = prDateToUtc(startDate, 0, 0, 0, 0);
-    const endUtc = prDateToUtc(endDate, 23, 59, 59, 999);
-    if (!startUtc || !endUtc || startUtc > endUtc) {
-      throw new Error('invalid_custom_range');
-    }
-
-    const diffMs = endUtc.getTime() - startUtc.getTime();
-    return {
-      preset,
-      startUtc,
-      endUtc,
-      label: `${startDate} to ${endDate}`,
-      granularity: diffMs <= (36 * 60 * 60 * 1000) ? 'hour' : 'day',
-    };
+  // Increments of `name` logged after `afterRow`, up to and including `throughRow`
+  async function countCounterLogRows(name, afterRow, throughRow = '') {
+    const resp = await sheets.spreadsheets.values.get({
+      spreadsheetId: settingsSheetId,
+      range: `${COUNTER_LOG_SHEET_NAME}!A${afterRow + 1}:A${throughRow}`
+    });
+    return (resp.data.values || []).filter((row) => row && row[0] === name).length;
   }
 
-  if (definitions[preset]) {
-    return { preset, ...definitions[preset] };
+  async function readCounterLogLength() {
+    const resp = await sheets.spreadsheets.values.get({
+      spreadsheetId: settingsSheetId,
+      range: `${COUNTER_LOG_SHEET_NAME}!A:A`
+    });
+    return (resp.data.values || []).length;
   }
 
-  return { preset: '24h', ...definitions['24h'] };
-}
+  async function writeCounterRow(rows, counter) {
+    let rowNumber = rows.findIndex((row, index) => index > 0 && row[0] === counter.name) + 1;
+    if (rowNumber < 2) rowNumber = Math.max(rows.length, 1) + 1;
 
-function filterMetricsEventsByRange(events, rangeDef) {
-  return events.filter((event) => event.timestamp >= rangeDef.startUtc && event.timestamp <= rangeDef.endUtc);
-}
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: settingsSheetId,
+      range: `${COUNTERS_SHEET_NAME}!A${rowNumber}:E${rowNumber}`,
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [[counter.name, String(counter.value), counter.resetAt || '', counter.updatedAt || '', String(counter.logRow || 0)]]
+      }
+    });
+  }
 
-function buildMetricsTimeseries(events, rangeDef) {
-  const buckets = [];
-  const bucketMap = new Map();
+  return {
+    name: 'sheets',
+    label: 'Google Sheets',
+    // Sheets has no compare-and-swap, but values.append gives every call its
+    // own row. The Counters row holds a base value and the log row it was
+    // written at; each increment appends to the counter log, and its value is
+    // the base plus this counter's log rows up to (and including) its own.
+    // Parallel serverless instances therefore never get the same number.
+    atomicCounters: true,
+
+    async init() {
+      await Promise.all([
+        ensureTemplatesSheetHeaders(),
+        ensureMetricsSheetHeaders(),
+      ]);
+    },
 
-  if (rangeDef.granularity === 'hour') {
-    const cursor = new Date(rangeDef.startUtc);
-    cursor.setMinutes(0, 0, 0);
-    const end = new Date(rangeDef.endUtc);
-    end.setMinutes(0, 0, 0);
+    async checkHealth() {
+      if (!sessionSheetId) return false;
+      await sheets.spreadsheets.values.get({
+        spreadsheetId: sessionSheetId,
+        range: 'A1:A2',
+      });
+      return true;
+    },
 
-    while (cursor <= end) {
-      const prCursor = toPR(cursor);
-      const key = `${formatPRDateIso(prCursor)} ${formatPRHourKey(prCursor)}`;
-      const bucket = {
-        key,
-        label: formatChartHourLabel(prCursor),
-        visits: 0,
-        forms: 0,
-        uploads: 0,
-        newsletters: 0,
-      };
-      buckets.push(bucket);
-      bucketMap.set(key, bucket);
-      cursor.setHours(cursor.getHours() + 1);
-    }
+    // ----- settings -----
+    async readSettingsRows() {
+      if (!settingsSheetId) return null;
+      const ready = await ensureSettingsSheet();
+      if (!ready) return null;
 
-    events.forEach((event) => {
-      const prDate = toPR(event.timestamp);
-      const key = `${formatPRDateIso(prDate)} ${formatPRHourKey(prDate)}`;
-      const bucket = bucketMap.get(key);
-      if (!bucket) return;
-      if (event.eventType === 'visit') bucket.visits += 1;
-      if (event.eventType === 'form') bucket.forms += 1;
-      if (event.eventType === 'upload') bucket.uploads += 1;
-      if (event.eventType === 'form' && event.newsletter === 'Y') bucket.newsletters += 1;
-    });
-  } else {
-    const startPrIso = formatPRDateIso(toPR(rangeDef.startUtc));
-    const endPrIso = formatPRDateIso(toPR(rangeDef.endUtc));
-    let cursor = prDateToUtc(startPrIso, 0, 0, 0, 0);
-    const endCursor = prDateToUtc(endPrIso, 0, 0, 0, 0);
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: settingsSheetId,
+        range: SETTINGS_SHEET_RANGE
+      });
+      return resp.data.values || [];
+    },
 
-    while (cursor && endCursor && cursor <= endCursor) {
-      const prCursor = toPR(cursor);
-      const key = formatPRDateIso(prCursor);
-      const bucket = {
-        key,
-        label: formatChartDateLabel(prCursor),
-        visits: 0,
-        forms: 0,
-        uploads: 0,
-        newsletters: 0,
-      };
-      buckets.push(bucket);
-      bucketMap.set(key, bucket);
-      cursor = new Date(cursor.getTime() + (24 * 60 * 60 * 1000));
-    }
+    async writeSettingsRows(rows) {
+      if (!settingsSheetId) return false;
+      const ready = await ensureSettingsSheet();
+      if (!ready) return false;
 
-    events.forEach((event) => {
-      const key = event.prDate || formatPRDateIso(toPR(event.timestamp));
-      const bucket = bucketMap.get(key);
-      if (!bucket) return;
-      if (event.eventType === 'visit') bucket.visits += 1;
-      if (event.eventType === 'form') bucket.forms += 1;
-      if (event.eventType === 'upload') bucket.uploads += 1;
-      if (event.eventType === 'form' && event.newsletter === 'Y') bucket.newsletters += 1;
-    });
-  }
+      const values = [['key', 'value'], ...rows];
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: settingsSheetId,
+        range: `${SETTINGS_SHEET_NAME}!A1:B${values.length}`,
+        valueInputOption: 'RAW',
+        requestBody: { values }
+      });
+      return true;
+    },
 
-  return buckets;
-}
+    // ----- templates -----
+    async readTemplateRows() {
+      if (!templatesSheetId) return [];
+      const ready = await ensureTemplatesSheet();
+      if (!ready) return [];
 
-function convertMetricsEventsToCsv(events) {
-  const rows = [
-    [
-      'timestamp_utc',
-      'timestamp_pr',
-      'event_type',
-      'event_family',
-      'session_id',
-      'server_session_id',
-      'email',
-      'country',
-      'region',
-      'location_label',
-      'last_name',
-      'newsletter',
-      'ticket',
-      'source',
-    ],
-    ...events.map((event) => [
-      event.timestampUtc,
-      event.timestampPr,
-      event.eventType,
-      event.eventFamily,
-      event.sessionId,
-      event.serverSessionId,
-      event.email,
-      event.country,
-      event.region,
-      event.locationLabel,
-      event.lastName,
-      event.newsletter,
-      event.ticket,
-      event.source,
-    ])
-  ];
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: templatesSheetId,
+        range: TEMPLATES_SHEET_RANGE
+      });
 
-  return rows
-    .map((row) => row.map((value) => {
-      const str = String(value || '');
-      if (/[",\n]/.test(str)) {
-        return `"${str.replace(/"/g, '""')}"`;
+      const rows = resp.data.values || [];
+      const result = [];
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i] || [];
+        result.push({
+          id: i + 1, // Row number as ID (i=1 means row 2, so ID = 2)
+          name: row[0] || '',
+          json: row[1] || '{}',
+          createdAt: row[2] || '',
+          active: row[3] === 'true' || row[3] === true,
+        });
       }
-      return str;
-    }).join(','))
-    .join('\n');
-}
+      return result;
+    },
 
-function isBlocked(ip) {
-  const record = ipTracker.get(ip);
-  if (!record || !record.blockedUntil) return false;
-  return record.blockedUntil > Date.now();
-}
+    async insertTemplateRow({ name, json, createdAt, active }) {
+      if (!templatesSheetId) return null;
+      const ready = await ensureTemplatesSheet();
+      if (!ready) return null;
 
-function remainingBlockMinutes(ip) {
-  const record = ipTracker.get(ip);
-  if (!record || !record.blockedUntil) return 0;
-  const remainingMs = record.blockedUntil - Date.now();
-  return Math.max(0, Math.ceil(remainingMs / 60000));
-}
+      // Read existing to find next row
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: templatesSheetId,
+        range: TEMPLATES_SHEET_RANGE
+      });
+      const nextRow = (resp.data.values || []).length + 1;
 
-// Middleware: reject if IP is blocked
-function ensureNotBlocked(req, res, next) {
-  const ip = getClientIp(req);
-  if (isBlocked(ip)) {
-    return res.status(403).json({
-      error: 'blocked',
-      message: 'IP temporarily blocked',
-      blockedMinutes: remainingBlockMinutes(ip),
-    });
-  }
-  next();
-}
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: templatesSheetId,
+        range: `${TEMPLATES_SHEET_NAME}!A${nextRow}:D${nextRow}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [[name, json, createdAt, String(active)]] }
+      });
+      return nextRow;
+    },
 
-// Middleware: require valid admin token AND not blocked
-function ensureAdminAuth(req, res, next) {
-  const ip = getClientIp(req);
+    async updateTemplateRow(id, { name, json, active }) {
+      if (!templatesSheetId) return false;
+      const ready = await ensureTemplatesSheet();
+      if (!ready) return false;
 
-  if (isBlocked(ip)) {
-    return res.status(403).json({
-      error: 'blocked',
-      message: 'IP temporarily blocked',
-      blockedMinutes: remainingBlockMinutes(ip),
-    });
-  }
+      const row = parseInt(id, 10);
+      if (isNaN(row) || row < 2) return false;
 
-  const session = getAdminSessionFromRequest(req);
-  if (!session) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+      let createdAt = '';
+      try {
+        const existingRow = await sheets.spreadsheets.values.get({
+          spreadsheetId: templatesSheetId,
+          range: `${TEMPLATES_SHEET_NAME}!A${row}:D${row}`
+        });
+        createdAt = existingRow.data?.values?.[0]?.[2] || '';
+      } catch (_) {}
 
-  // Optional binding: token only valid from same IP that logged in
-  if (session.ip && session.ip !== ip) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: templatesSheetId,
+        range: `${TEMPLATES_SHEET_NAME}!A${row}:D${row}`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [[name, json, createdAt, String(active)]] }
+      });
+      return true;
+    },
 
-  next();
-}
+    async deleteTemplateRow(id) {
+      if (!templatesSheetId) return false;
+      const row = parseInt(id, 10);
+      if (isNaN(row) || row < 2) return false;
 
-// ---------- DRIVE HELPERS (PHOTOS) ----------
+      await sheets.spreadsheets.values.clear({
+        spreadsheetId: templatesSheetId,
+        range: `${TEMPLATES_SHEET_NAME}!A${row}:D${row}`
+      });
+      return true;
+    },
 
-// Ticket label: T001, T002, ...
-function formatTicketLabel(counter) {
-  const num = String(counter).padStart(3, '0');
-  return `T${num}`;
-}
+    // ----- session logs -----
+    async appendSessionRow(row) {
+      if (!sessionSheetId) return false;
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sessionSheetId,
+        range: SESSION_SHEET_RANGE,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: [row] }
+      });
+      invalidateSessionRows();
+      return true;
+    },
 
-// Build filename T001-DD-MM-YY-HH-MM-PR.jpeg
-function buildServerFileName(counter) {
-  const prNow = getPRDate();
+    async readSessionRows(filters = {}) {
+      if (!sessionSheetId) return [];
+      const rows = await loadSessionRows();
+      return filterSessionRows(rows, filters);
+    },
 
-  const pad = (n) => String(n).padStart(2, '0');
+    async resetSessionRows() {
+      if (!sessionSheetId) return false;
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sessionSheetId,
+        range: 'A1:J1',
+        valueInputOption: 'RAW',
+        requestBody: { values: [SESSION_SHEET_HEADERS] }
+      });
 
-  const dd = pad(prNow.getDate());
-  const mm = pad(prNow.getMonth() + 1);
-  const yy = String(prNow.getFullYear()).slice(-2);
-  const HH = pad(prNow.getHours());
-  const MM = pad(prNow.getMinutes());
+      await sheets.spreadsheets.values.clear({
+        spreadsheetId: sessionSheetId,
+        range: 'A2:J'
+      });
+      invalidateSessionRows();
+      return true;
+    },
 
-  const ticketLabel = formatTicketLabel(counter);
+    // ----- metrics -----
+    async appendMetricsRow(row, newsletterRow = null) {
+      if (!metricsSheetId) return false;
+      const ready = await ensureMetricsSheetHeaders();
+      if (!ready) return false;
 
-  return `${ticketLabel}-${dd}-${mm}-${yy}-${HH}-${MM}-PR.jpeg`;
-}
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: metricsSheetId,
+        range: METRICS_EVENTS_SHEET_RANGE,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: [row] }
+      });
 
-// Internal helper: read max index from one folder with a given trashed flag
-async function getMaxIndexInFolderWithTrashFlag(folderId, trashedFlag) {
-  let pageToken = null;
-  let maxIndex = 0;
+      if (newsletterRow) {
+        await sheets.spreadsheets.values.append({
+          spreadsheetId: metricsSheetId,
+          range: `${METRICS_NEWSLETTER_SHEET_NAME}!A:M`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          requestBody: { values: [newsletterRow] }
+        });
+      }
+      return true;
+    },
 
-  do {
-    const res = await drive.files.list({
-      q: `'${folderId}' in parents and trashed = ${trashedFlag ? 'true' : 'false'}`,
-      fields: 'files(name), nextPageToken',
-      pageSize: 100,
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
-      pageToken
-    });
+    async readMetricsRows(filters = {}) {
+      if (!metricsSheetId) return [];
+      const ready = await ensureMetricsSheetHeaders();
+      if (!ready) return [];
 
-    const files = res.data.files || [];
-    for (const file of files) {
-      if (!file.name) continue;
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: metricsSheetId,
+        range: METRICS_EVENTS_SHEET_RANGE
+      });
+      return filterMetricsRows((resp.data.values || []).slice(1), filters);
+    },
 
-      let idx = 0;
+    // ----- device telemetry -----
+    async appendDeviceTelemetryRows(rows) {
+      if (!metricsSheetId || !rows.length) return false;
+      const ready = await ensureMetricsSheetHeaders();
+      if (!ready) return false;
 
-      // New pattern: T001-DD-MM-YY...
-      const matchNew = /^T(\d{3,})-/.exec(file.name);
-      if (matchNew) {
-        idx = parseInt(matchNew[1], 10);
-      } else {
-        // Legacy pattern: 01_DD_MM_YY-...
-        const matchOld = /^(\d{2,})_/.exec(file.name);
-        if (matchOld) {
-          idx = parseInt(matchOld[1], 10);
-        }
-      }
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: metricsSheetId,
+        range: DEVICE_TELEMETRY_SHEET_RANGE,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: rows }
+      });
+      return true;
+    },
 
-      if (!Number.isNaN(idx) && idx > maxIndex) {
-        maxIndex = idx;
+    // With a start time, only the timestamp column is read in full; the rows
+    // themselves are read from the first one inside the window down.
+    async readDeviceTelemetryRows(filters = {}) {
+      if (!metricsSheetId) return [];
+      const ready = await ensureMetricsSheetHeaders();
+      if (!ready) return [];
+
+      let range = DEVICE_TELEMETRY_SHEET_RANGE;
+      if (filters.startUtc) {
+        const startUtc = new Date(filters.startUtc).toISOString();
+        const timestamps = await sheets.spreadsheets.values.get({
+          spreadsheetId: metricsSheetId,
+          range: `${DEVICE_TELEMETRY_SHEET_NAME}!A:A`
+        });
+        const values = timestamps.data.values || [];
+        let first = 1;
+        while (first < values.length && String(values[first]?.[0] || '') < startUtc) first += 1;
+        if (first >= values.length) return [];
+        range = `${DEVICE_TELEMETRY_SHEET_NAME}!A${first + 1}:F`;
       }
-    }
 
-    pageToken = res.data.nextPageToken;
-  } while (pageToken);
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: metricsSheetId,
+        range
+      });
+      const rows = resp.data.values || [];
+      return filterDeviceTelemetryRows(range === DEVICE_TELEMETRY_SHEET_RANGE ? rows.slice(1) : rows, filters);
+    },
 
-  return maxIndex;
-}
+    // Reads timestamp, device and kind for every row, then fetches the full
+    // rows it picked. A row that moved meanwhile (a prune) is dropped.
+    async readLatestDeviceTelemetryRows(filters = {}, limits = {}) {
+      if (!metricsSheetId) return [];
+      const ready = await ensureMetricsSheetHeaders();
+      if (!ready) return [];
 
-// Find next index for filename in Drive (PENDING + APPROVED, including trashed)
-async function getMaxIndexInFolderIncludingTrash(folderId) {
-  const [maxActive, maxTrashed] = await Promise.all([
-    getMaxIndexInFolderWithTrashFlag(folderId, false),
-    getMaxIndexInFolderWithTrashFlag(folderId, true),
-  ]);
-  return Math.max(maxActive, maxTrashed);
-}
+      const index = await sheets.spreadsheets.values.get({
+        spreadsheetId: metricsSheetId,
+        range: `${DEVICE_TELEMETRY_SHEET_NAME}!A:D`
+      });
+      // Column 4 carries the sheet row number
+      const keys = filterDeviceTelemetryRows(
+        (index.data.values || []).slice(1).map((row, i) => [row[0], row[1], row[2], row[3], i + 2]),
+        filters
+      );
+      const wanted = pickLatestDeviceTelemetryRows(keys, limits).map((i) => keys[i]);
+      if (!wanted.length) return [];
+
+      const blocks = [];
+      wanted.forEach((key) => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.end + 1 === key[4]) {
+          last.end = key[4];
+          last.keys.push(key);
+        } else {
+          blocks.push({ start: key[4], end: key[4], keys: [key] });
+        }
+      });
 
-async function getNextPhotoIndex() {
-  const [pendingMax, approvedMax] = await Promise.all([
-    getMaxIndexInFolderIncludingTrash(PENDING_FOLDER_ID),
-    getMaxIndexInFolderIncludingTrash(APPROVED_FOLDER_ID)
-  ]);
+      const rows = [];
+      for (let offset = 0; offset < blocks.length; offset += DEVICE_TELEMETRY_BATCH_RANGES) {
+        const batch = blocks.slice(offset, offset + DEVICE_TELEMETRY_BATCH_RANGES);
+        const resp = await sheets.spreadsheets.values.batchGet({
+          spreadsheetId: metricsSheetId,
+          ranges: batch.map((block) => `${DEVICE_TELEMETRY_SHEET_NAME}!A${block.start}:F${block.end}`)
+        });
+        (resp.data.valueRanges || []).forEach((valueRange, i) => {
+          (valueRange.values || []).forEach((row, j) => {
+            const key = batch[i].keys[j];
+            if (key && row[0] === key[0] && row[1] === key[1]) rows.push(row);
+          });
+        });
+      }
+      return rows;
+    },
 
-  const globalMax = Math.max(pendingMax, approvedMax);
-  return globalMax + 1;
-}
+    // Rows are appended as they arrive, so the expired ones form a single
+    // block right under the header row.
+    async pruneDeviceTelemetryRows(beforeUtc) {
+      if (!metricsSheetId) return 0;
+      const ready = await ensureMetricsSheetHeaders();
+      if (!ready) return 0;
 
-// Upload file to Drive → PENDING folder
-// NO Sharp overlay anymore – we keep filename + ticket metadata only.
-async function uploadFile(fileBuffer, originalname, mimetype) {
-  // Decide ticket index & labels
-  const nextIndex = await getNextPhotoIndex();
-  const finalName = buildServerFileName(nextIndex);
-  const ticketLabel = formatTicketLabel(nextIndex); // "T001"
-  const ticketDisplay = '#' + String(nextIndex).padStart(3, '0'); // "#001" for FE tan ticket
+      const cutoff = new Date(beforeUtc).toISOString();
+      const resp = await sheets.spreadsheets.values.get({
+        spreadsheetId: metricsSheetId,
+        range: `${DEVICE_TELEMETRY_SHEET_NAME}!A:A`
+      });
+      const values = resp.data.values || [];
+      let expired = 0;
+      while (expired + 1 < values.length && String(values[expired + 1]?.[0] || '') < cutoff) {
+        expired += 1;
+      }
+      if (!expired) return 0;
+
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: metricsSheetId,
+        fields: 'sheets(properties(sheetId,title))'
+      });
+      const sheet = (meta.data.sheets || []).find(
+        (entry) => entry.properties && entry.properties.title === DEVICE_TELEMETRY_SHEET_NAME
+      );
+      if (!sheet) return 0;
 
-  // Upload original buffer as-is
-  const bufferStream = new stream.PassThrough();
-  bufferStream.end(fileBuffer);
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: metricsSheetId,
+        requestBody: {
+          requests: [{
+            deleteDimension: {
+              range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: 1, endIndex: expired + 1 }
+            }
+          }]
+        }
+      });
+      return expired;
+    },
 
-  const response = await drive.files.create({
-    requestBody: {
-      name: finalName,
-      mimeType: mimetype,
-      parents: [PENDING_FOLDER_ID]
+    // ----- counters -----
+    async readCounter(name) {
+      if (!(await ensureCountersSheet())) return null;
+      const row = (await readCounterRows()).slice(1).find((entry) => entry && entry[0] === name);
+      if (!row) return null;
+      const { logRow, ...counter } = parseCounterRow(row);
+      return { ...counter, value: counter.value + (await countCounterLogRows(name, logRow)) };
     },
-    media: {
-      mimeType: mimetype,
-      body: bufferStream
+
+    async writeCounter(name, { value, resetAt = '' }) {
+      if (!(await ensureCountersSheet())) return null;
+      const [rows, logRow] = await Promise.all([readCounterRows(), readCounterLogLength()]);
+      const counter = { name, value, resetAt, updatedAt: new Date().toISOString() };
+      await writeCounterRow(rows, { ...counter, logRow });
+      return counter;
     },
-    supportsAllDrives: true
-  });
 
-  return {
-    fileId: response.data.id,
-    finalName,
-    ticketIndex: nextIndex,
-    ticketLabel,
-    ticketDisplay
+    async incrementCounter(name) {
+      if (!(await ensureCountersSheet())) return null;
+      const existing = (await readCounterRows()).slice(1).find((entry) => entry && entry[0] === name);
+      const base = existing ? parseCounterRow(existing) : { value: 0, logRow: 0 };
+
+      const resp = await sheets.spreadsheets.values.append({
+        spreadsheetId: settingsSheetId,
+        range: `${COUNTER_LOG_SHEET_NAME}!A:B`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: [[name, new Date().toISOString()]] }
+      });
+      // e.g. "CounterLog!A57:B57"
+      const match = /!A(\d+)/.exec((resp.data.updates && resp.data.updates.updatedRange) || '');
+      if (!match) return null;
+
+      return base.value + (await countCounterLogRows(name, base.logRow, parseInt(match[1], 10)));
+    },
   };
 }
 
-// Get the oldest pending photo
-async function getNextPendingPhoto() {
-  const res = await drive.files.list({
-    q: `'${PENDING_FOLDER_ID}' in parents and trashed = false`,
-    orderBy: 'createdTime asc',
-    pageSize: 1,
-    fields: 'files(id, name)',
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
-  });
+function createSqliteDataStore(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('DATA_STORE_DRIVER=sqlite requires the "better-sqlite3" package');
+  }
 
-  const files = res.data.files || [];
-  if (!files.length) return null;
-  return files[0]; // { id, name }
-}
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
 
-// NEW: count pending photos for admin UI "AWAITING APPROVAL"
-async function countPendingPhotos() {
-  const res = await drive.files.list({
-    q: `'${PENDING_FOLDER_ID}' in parents and trashed = false`,
-    fields: 'files(id), nextPageToken',
-    pageSize: 1000,
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
-  });
-  const files = res.data.files || [];
-  return files.length;
-}
+  const sessionColumns = SESSION_SHEET_HEADERS;
+  const metricsColumns = METRICS_EVENTS_HEADERS;
+  const newsletterColumns = METRICS_NEWSLETTER_HEADERS;
+  const telemetryColumns = DEVICE_TELEMETRY_HEADERS;
 
-// List all files in a Drive folder (non-trashed)
-async function listFilesInFolder(folderId) {
-  let pageToken = null;
-  const results = [];
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL DEFAULT '',
+      position INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      template_json TEXT NOT NULL DEFAULT '{}',
+      created_at TEXT NOT NULL DEFAULT '',
+      active INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS session_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${sessionColumns.map((column) => `${column} TEXT NOT NULL DEFAULT ''`).join(',\n      ')}
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_events_ts ON session_events (timestamp_utc);
+    CREATE INDEX IF NOT EXISTS idx_session_events_ticket ON session_events (event_type, ticket);
+    CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events (session_id);
+    CREATE TABLE IF NOT EXISTS metrics_events (
+      ${metricsColumns.map((column) => `${column} TEXT NOT NULL DEFAULT ''`).join(',\n      ')},
+      PRIMARY KEY (event_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_metrics_events_ts ON metrics_events (timestamp_utc);
+    CREATE INDEX IF NOT EXISTS idx_metrics_events_family_ts ON metrics_events (event_family, timestamp_utc);
+    CREATE TABLE IF NOT EXISTS counters (
+      name TEXT PRIMARY KEY,
+      value INTEGER NOT NULL DEFAULT 0,
+      reset_at TEXT NOT NULL DEFAULT '',
+      updated_at TEXT NOT NULL DEFAULT ''
+    );
+    CREATE TABLE IF NOT EXISTS newsletter_leads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${newsletterColumns.map((column) => `${column} TEXT NOT NULL DEFAULT ''`).join(',\n      ')}
+    );
+    CREATE TABLE IF NOT EXISTS device_telemetry (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${telemetryColumns.map((column) => `${column} TEXT NOT NULL DEFAULT ''`).join(',\n      ')}
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_telemetry_ts ON device_telemetry (timestamp_utc);
+    CREATE INDEX IF NOT EXISTS idx_device_telemetry_device_ts ON device_telemetry (device_id, timestamp_utc);
+  `);
+
+  // Templates keep the Sheets numbering (row 2 is the first template) so ids
+  // stored in settings stay meaningful when moving between drivers.
+  db.prepare(`
+    INSERT INTO sqlite_sequence (name, seq)
+    SELECT 'templates', 1
+    WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = 'templates')
+  `).run();
+
+  const toText = (value) => (value == null ? '' : String(value));
+  const placeholders = (count) => new Array(count).fill('?').join(', ');
+
+  const stmts = {
+    readSettings: db.prepare('SELECT key, value FROM settings ORDER BY position, key').raw(true),
+    clearSettings: db.prepare('DELETE FROM settings'),
+    insertSetting: db.prepare('INSERT INTO settings (key, value, position) VALUES (?, ?, ?)'),
+    readTemplates: db.prepare('SELECT id, name, template_json, created_at, active FROM templates ORDER BY id'),
+    insertTemplate: db.prepare('INSERT INTO templates (name, template_json, created_at, active) VALUES (?, ?, ?, ?)'),
+    updateTemplate: db.prepare('UPDATE templates SET name = ?, template_json = ?, active = ? WHERE id = ?'),
+    deleteTemplate: db.prepare('DELETE FROM templates WHERE id = ?'),
+    insertSession: db.prepare(
+      `INSERT INTO session_events (${sessionColumns.join(', ')}) VALUES (${placeholders(sessionColumns.length)})`
+    ),
+    clearSession: db.prepare('DELETE FROM session_events'),
+    insertMetrics: db.prepare(
+      `INSERT OR IGNORE INTO metrics_events (${metricsColumns.join(', ')}) VALUES (${placeholders(metricsColumns.length)})`
+    ),
+    readCounter: db.prepare('SELECT name, value, reset_at, updated_at FROM counters WHERE name = ?'),
+    writeCounter: db.prepare(`
+      INSERT INTO counters (name, value, reset_at, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET value = excluded.value, reset_at = excluded.reset_at, updated_at = excluded.updated_at
+    `),
+    incrementCounter: db.prepare(`
+      INSERT INTO counters (name, value, updated_at) VALUES (?, 1, ?)
+      ON CONFLICT(name) DO UPDATE SET value = value + 1, updated_at = excluded.updated_at
+      RETURNING value
+    `),
+    insertNewsletter: db.prepare(
+      `INSERT INTO newsletter_leads (${newsletterColumns.join(', ')}) VALUES (${placeholders(newsletterColumns.length)})`
+    ),
+    insertDeviceTelemetry: db.prepare(
+      `INSERT INTO device_telemetry (${telemetryColumns.join(', ')}) VALUES (${placeholders(telemetryColumns.length)})`
+    ),
+    pruneDeviceTelemetry: db.prepare('DELETE FROM device_telemetry WHERE timestamp_utc < ?'),
+  };
 
-  do {
-    const res = await drive.files.list({
-      q: `'${folderId}' in parents and trashed = false`,
-      fields: 'files(id, name, createdTime), nextPageToken',
-      orderBy: 'createdTime desc', // Newest first
-      pageSize: 100,
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
-      pageToken,
+  const writeSettings = db.transaction((rows) => {
+    stmts.clearSettings.run();
+    rows.forEach((row, index) => {
+      stmts.insertSetting.run(toText(row[0]), toText(row[1]), index);
     });
+  });
 
-    const files = res.data.files || [];
-    for (const f of files) {
-      results.push({
-        id: f.id,
-        name: f.name,
-        createdTime: f.createdTime,
-      });
+  const writeMetrics = db.transaction((row, newsletterRow) => {
+    stmts.insertMetrics.run(metricsColumns.map((_, index) => toText(row[index])));
+    if (newsletterRow) {
+      stmts.insertNewsletter.run(newsletterColumns.map((_, index) => toText(newsletterRow[index])));
     }
+  });
 
-    pageToken = res.data.nextPageToken;
-  } while (pageToken);
+  function deviceTelemetryWhere(filters) {
+    const where = [];
+    const params = [];
+    if (filters.deviceId) {
+      where.push('device_id = ?');
+      params.push(filters.deviceId);
+    }
+    if (filters.startUtc) {
+      where.push('timestamp_utc >= ?');
+      params.push(new Date(filters.startUtc).toISOString());
+    }
+    if (filters.endUtc) {
+      where.push('timestamp_utc <= ?');
+      params.push(new Date(filters.endUtc).toISOString());
+    }
+    return { where, params };
+  }
 
-  return results;
-}
+  const writeDeviceTelemetry = db.transaction((rows) => {
+    rows.forEach((row) => {
+      stmts.insertDeviceTelemetry.run(telemetryColumns.map((_, index) => toText(row[index])));
+    });
+  });
 
-// ---------- SHEETS HELPERS (LOGS) ----------
+  return {
+    name: 'sqlite',
+    label: 'SQLite',
+    atomicCounters: true,
 
-// Generic log to Google Sheets (new columns)
-async function logEventToSheet(
-  eventType,
-  {
-    email = '',
-    sessionId = '',
-    country = '',
-    region = '',
-    lastName = '',
-    newsletter = null,
-    ticket = '',
-    timestampUtc = null
-  } = {}
-) {
-  if (!SESSION_SHEET_ID) {
-    console.warn('SESSION_SHEET_ID missing, skipping logEventToSheet');
-    return;
-  }
+    async init() {},
 
-  const utcStr = timestampUtc || new Date().toISOString();
-  const dUtc = new Date(utcStr);
-  if (Number.isNaN(dUtc.getTime())) {
-    console.warn('Invalid UTC timestamp for logEventToSheet, skipping:', utcStr);
-    return;
-  }
+    async checkHealth() {
+      db.prepare('SELECT 1').get();
+      return true;
+    },
 
-  const dPR = toPR(dUtc);
-  const prStr = formatPRDateTimeShort(dPR);
+    // ----- settings -----
+    async readSettingsRows() {
+      return stmts.readSettings.all();
+    },
 
-  // Normalize newsletter to "Y" / "N" / ""
-  const newsletterStr = getNewsletterFlag(newsletter);
+    async writeSettingsRows(rows) {
+      writeSettings(rows);
+      return true;
+    },
 
-  const values = [[
-    utcStr,          // A timestamp_utc
-    prStr,           // B timestamp_pr
-    eventType,       // C event_type
-    email || '',     // D email
-    sessionId || '', // E session_id
-    country || '',   // F country
-    region || '',    // G region
-    lastName || '',  // H last_name
-    newsletterStr,   // I newsletter
-    ticket || ''     // J ticket
-  ]];
-
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SESSION_SHEET_ID,
-    range: SESSION_SHEET_RANGE,
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values }
-  });
+    // ----- templates -----
+    async readTemplateRows() {
+      return stmts.readTemplates.all().map((row) => ({
+        id: row.id,
+        name: row.name,
+        json: row.template_json,
+        createdAt: row.created_at,
+        active: Boolean(row.active),
+      }));
+    },
 
-  console.log('Logged event to sheet:', {
-    eventType,
-    utcStr,
-    prStr,
-    email,
-    sessionId,
-    country,
-    region,
-    lastName,
-    newsletter: newsletterStr,
-    ticket,
-  });
-}
+    async insertTemplateRow({ name, json, createdAt, active }) {
+      const info = stmts.insertTemplate.run(toText(name), toText(json), toText(createdAt), active ? 1 : 0);
+      return Number(info.lastInsertRowid);
+    },
 
-async function resetSessionLogs() {
-  if (!SESSION_SHEET_ID) {
-    console.warn('SESSION_SHEET_ID missing, cannot reset logs.');
-    return false;
-  }
+    async updateTemplateRow(id, { name, json, active }) {
+      const info = stmts.updateTemplate.run(toText(name), toText(json), active ? 1 : 0, parseInt(id, 10));
+      return info.changes > 0;
+    },
 
-  try {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SESSION_SHEET_ID,
-      range: 'A1:J1',
-      valueInputOption: 'RAW',
-      requestBody: { values: [SESSION_SHEET_HEADERS] }
-    });
+    async deleteTemplateRow(id) {
+      const info = stmts.deleteTemplate.run(parseInt(id, 10));
+      return info.changes > 0;
+    },
 
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: SESSION_SHEET_ID,
-      range: 'A2:J'
-    });
+    // ----- session logs -----
+    async appendSessionRow(row) {
+      stmts.insertSession.run(sessionColumns.map((_, index) => toText(row[index])));
+      return true;
+    },
 
-    return true;
-  } catch (err) {
-    console.error('Error resetting session logs:', err.message || err);
-    return false;
-  }
-}
+    async readSessionRows(filters = {}) {
+      const where = [];
+      const params = [];
+      if (filters.startUtc) {
+        where.push('timestamp_utc >= ?');
+        params.push(new Date(filters.startUtc).toISOString());
+      }
+      if (filters.endUtc) {
+        where.push('timestamp_utc <= ?');
+        params.push(new Date(filters.endUtc).toISOString());
+      }
+      if (filters.eventType) {
+        where.push('event_type = ?');
+        params.push(filters.eventType);
+      }
+      if (filters.ticket) {
+        where.push('ticket = ?');
+        params.push(filters.ticket);
+      }
+      if (filters.sessionId) {
+        where.push('session_id = ?');
+        params.push(filters.sessionId);
+      }
 
-async function clearDriveFolders() {
-  const result = {
-    trashedCount: 0,
-    errors: []
-  };
+      let sql = `SELECT ${sessionColumns.join(', ')} FROM session_events`;
+      if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+      sql += ` ORDER BY id ${filters.newestFirst ? 'DESC' : 'ASC'}`;
+      if (filters.limit) {
+        sql += ' LIMIT ?';
+        params.push(filters.limit);
+      }
 
-  let pendingFiles = [];
-  let approvedFiles = [];
+      return db.prepare(sql).raw(true).all(params);
+    },
 
-  try {
-    pendingFiles = await listFilesInFolder(PENDING_FOLDER_ID);
-  } catch (err) {
-    console.error('Error listing pending files during clear-drive:', err);
-    result.errors.push('pending_list_failed');
-  }
+    async resetSessionRows() {
+      stmts.clearSession.run();
+      return true;
+    },
 
-  try {
-    approvedFiles = await listFilesInFolder(APPROVED_FOLDER_ID);
-  } catch (err) {
-    console.error('Error listing approved files during clear-drive:', err);
-    result.errors.push('approved_list_failed');
-  }
+    // ----- metrics -----
+    async appendMetricsRow(row, newsletterRow = null) {
+      writeMetrics(row, newsletterRow);
+      return true;
+    },
 
-  const allFiles = [...pendingFiles, ...approvedFiles];
+    async readMetricsRows(filters = {}) {
+      const where = [];
+      const params = [];
+      if (filters.family) {
+        where.push('event_family = ?');
+        params.push(filters.family);
+      }
+      if (filters.startUtc) {
+        where.push('timestamp_utc >= ?');
+        params.push(new Date(filters.startUtc).toISOString());
+      }
+      if (filters.endUtc) {
+        where.push('timestamp_utc <= ?');
+        params.push(new Date(filters.endUtc).toISOString());
+      }
 
-  for (const file of allFiles) {
-    try {
-      await drive.files.update({
-        fileId: file.id,
-        requestBody: { trashed: true },
-        fields: 'id, trashed',
-        supportsAllDrives: true,
-      });
-      result.trashedCount += 1;
-    } catch (innerErr) {
-      console.error('Error trashing file during clear-drive:', file.id, innerErr);
-      result.errors.push(`trash_failed:${file.id}`);
-    }
-  }
+      let sql = `SELECT ${metricsColumns.join(', ')} FROM metrics_events`;
+      if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+      sql += ' ORDER BY timestamp_utc ASC';
 
-  invalidateDriveFolderCaches(PENDING_FOLDER_ID);
-  invalidateDriveFolderCaches(APPROVED_FOLDER_ID);
+      return db.prepare(sql).raw(true).all(params);
+    },
 
-  return result;
-}
+    // ----- device telemetry -----
+    async appendDeviceTelemetryRows(rows) {
+      if (!rows.length) return false;
+      writeDeviceTelemetry(rows);
+      return true;
+    },
 
-async function performSessionCleanup() {
-  const cleanup = {
-    logsCleared: false,
-    trashedCount: 0,
-    errors: []
+    async readDeviceTelemetryRows(filters = {}) {
+      const { where, params } = deviceTelemetryWhere(filters);
+      let sql = `SELECT ${telemetryColumns.join(', ')} FROM device_telemetry`;
+      if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+      sql += ' ORDER BY id ASC';
+
+      return db.prepare(sql).raw(true).all(params);
+    },
+
+    async readLatestDeviceTelemetryRows(filters = {}, limits = {}) {
+      const kinds = Object.keys(limits);
+      if (!kinds.length) return [];
+      const { where, params } = deviceTelemetryWhere(filters);
+      where.push(`kind IN (${placeholders(kinds.length)})`);
+      params.push(...kinds);
+
+      const sql = `SELECT ${telemetryColumns.join(', ')} FROM (
+          SELECT id, ${telemetryColumns.join(', ')},
+            ROW_NUMBER() OVER (PARTITION BY device_id, kind ORDER BY id DESC) AS newest
+          FROM device_telemetry WHERE ${where.join(' AND ')}
+        )
+        WHERE newest <= CASE kind ${kinds.map(() => 'WHEN ? THEN ?').join(' ')} ELSE 0 END
+        ORDER BY id ASC`;
+      kinds.forEach((kind) => params.push(kind, limits[kind]));
+
+      return db.prepare(sql).raw(true).all(params);
+    },
+
+    async pruneDeviceTelemetryRows(beforeUtc) {
+      return stmts.pruneDeviceTelemetry.run(new Date(beforeUtc).toISOString()).changes;
+    },
+
+    // ----- counters -----
+    async readCounter(name) {
+      const row = stmts.readCounter.get(name);
+      if (!row) return null;
+      return { name: row.name, value: row.value, resetAt: row.reset_at, updatedAt: row.updated_at };
+    },
+
+    async writeCounter(name, { value, resetAt = '' }) {
+      const updatedAt = new Date().toISOString();
+      stmts.writeCounter.run(name, value, resetAt, updatedAt);
+      return { name, value, resetAt, updatedAt };
+    },
+
+    // Single UPSERT ... RETURNING statement, so concurrent reservations
+    // (even from other processes sharing the file) never hand out the same value.
+    async incrementCounter(name) {
+      return stmts.incrementCounter.get(name, new Date().toISOString()).value;
+    },
   };
+}
 
-  try {
-    cleanup.logsCleared = await resetSessionLogs();
-    if (!cleanup.logsCleared) {
-      cleanup.errors.push('reset_logs_failed');
-    }
-  } catch (err) {
-    console.error('Error during reset logs cleanup:', err);
-    cleanup.errors.push('reset_logs_failed');
+// config: { driver, sqlitePath, sessionSheetId, settingsSheetId, templatesSheetId, metricsSheetId }
+function createDataStore(config) {
+  switch (config.driver) {
+    case 'sqlite':
+      return createSqliteDataStore(config.sqlitePath);
+    case 'sheets':
+      return createSheetsDataStore(config);
+    default:
+      console.warn(`Unknown DATA_STORE_DRIVER "${config.driver}", falling back to Google Sheets`);
+      return createSheetsDataStore(config);
   }
+}
 
+// Extract ticket number from a filename "T"
+function extractTicketNumber(filename) {
   try {
-    const driveResult = await clearDriveFolders();
-    cleanup.trashedCount = driveResult.trashedCount;
-    cleanup.errors.push(...driveResult.errors);
-  } catch (err) {
-    console.error('Error during drive cleanup:', err);
-    cleanup.errors.push('clear_drive_failed');
-  }
+    // filename starts with "T015-..."
+    const dashIndex = filename.indexOf("-");
+    if (dashIndex === -1) return null;
 
-  return cleanup;
+    const ticketPart = filename.substring(1, dashIndex); // "015"
+    return parseInt(ticketPart, 10);
+  } catch {
+    return null;
+  }
 }
 
-// Read TODAY logs (in PR) from the Sheet and compute stats
-async function getTodayStatsFromSheet() {
-  if (!SESSION_SHEET_ID) {
-    console.warn('SESSION_SHEET_ID missing, cannot compute stats.');
-    return {
-      visits: 0,
-      forms: 0,
-      uploads: 0,
-      eventsForPrimeHour: [],
-      newsletterEmails: []
-    };
-  }
+// ---------- DATE / TIME HELPERS ----------
+// The "PR" helpers work in the current event's local time. Events use a fixed
+// UTC offset (no DST); the default event is Puerto Rico, GMT-4.
 
-  const { startUtc, endUtc } = getTodayPRRangeUtc();
+function getEventUtcOffsetHours() {
+  const offset = Number(currentEvent().event.utcOffsetHours);
+  return Number.isFinite(offset) ? offset : -4;
+}
 
-  const resp = await sheets.spreadsheets.values.get({
-    spreadsheetId: SESSION_SHEET_ID,
-    range: SESSION_SHEET_RANGE
-  });
+function getEventUtcOffsetMs() {
+  return getEventUtcOffsetHours() * 60 * 60 * 1000;
+}
 
-  const rows = resp.data.values || [];
-  if (rows.length <= 1) {
-    // Only headers, nothing else
-    return {
-      visits: 0,
-      forms: 0,
-      uploads: 0,
-      eventsForPrimeHour: [],
-      newsletterEmails: []
-    };
-  }
+// Event local time "now" (Puerto Rico: GMT-4 fixed, no DST)
+function getPRDate() {
+  const now = new Date();
+  const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
+  return new Date(utcMs + getEventUtcOffsetMs());
+}
 
-  let visits = 0;
-  let forms = 0;
-  let uploads = 0;
-  const eventsForPrimeHour = []; // { ts: string }
-  const newsletterSet = new Set(); // dedupe emails
+// Convert a Date (UTC) to event local time
+function toPR(date) {
+  const utcMs = date.getTime() + date.getTimezoneOffset() * 60000;
+  return new Date(utcMs + getEventUtcOffsetMs());
+}
 
-  // Skip header row (row 0)
-  for (let i = 1; i < rows.length; i++) {
-    const row = rows[i];
-    const tsUtcStr = row[0];
-    const eventType = row[2];
+// Long date in Spanish: "Miércoles 3 de diciembre de 2025"
+function formatPRDateLong() {
+  const d = getPRDate();
 
-    if (!tsUtcStr || !eventType) continue;
+  const days = [
+    'Domingo', 'Lunes', 'Martes', 'Miércoles',
+    'Jueves', 'Viernes', 'Sábado'
+  ];
+  const months = [
+    'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+    'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+  ];
 
-    const ts = new Date(tsUtcStr);
-    if (Number.isNaN(ts.getTime())) continue;
+  const dayName = days[d.getDay()];
+  const dayNum = d.getDate();
+  const monthName = months[d.getMonth()];
+  const year = d.getFullYear();
 
-    if (ts < startUtc || ts > endUtc) continue;
+  return `${dayName} ${dayNum} de ${monthName} de ${year}`;
+}
 
-    if (eventType === 'visit') visits++;
-    else if (eventType === 'form') forms++;
-    else if (eventType === 'upload') uploads++;
+// Short date/time string for the timestamp_pr column in the Sheet
+// Example: "03/12/2025 22:05:31"
+function formatPRDateTimeShort(prDate) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const dd = pad(prDate.getDate());
+  const mm = pad(prDate.getMonth() + 1);
+  const yyyy = prDate.getFullYear();
+  const HH = pad(prDate.getHours());
+  const MM = pad(prDate.getMinutes());
+  const SS = pad(prDate.getSeconds());
+  return `${dd}/${mm}/${yyyy} ${HH}:${MM}:${SS}`;
+}
 
-    eventsForPrimeHour.push({ ts: tsUtcStr });
+function formatPRDateIso(prDate) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const yyyy = prDate.getFullYear();
+  const mm = pad(prDate.getMonth() + 1);
+  const dd = pad(prDate.getDate());
+  return `${yyyy}-${mm}-${dd}`;
+}
 
-    // newsletter opt-in lives in column I (index 8), email in D (index 3)
-    const email = row[3];
-    const newsletterFlag = row[8];
-    if (newsletterFlag === 'Y' && email && email.trim()) {
-      // we store as-is (no lowercasing) to keep original
-      newsletterSet.add(email.trim());
-    }
-  }
+function formatPRHourKey(prDate) {
+  return `${String(prDate.getHours()).padStart(2, '0')}:00`;
+}
 
-  const newsletterEmails = Array.from(newsletterSet);
-  return { visits, forms, uploads, eventsForPrimeHour, newsletterEmails };
+function prDateToUtc(dateString, hour = 0, minute = 0, second = 0, millisecond = 0) {
+  if (!dateString) return null;
+  const match = String(dateString).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return new Date(Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour) - getEventUtcOffsetHours(),
+    Number(minute),
+    Number(second),
+    Number(millisecond)
+  ));
 }
 
-// Compute prime hour using today's events (in PR time)
-function computePrimeHour(events) {
-  if (!events.length) return null;
+function formatChartHourLabel(prDate) {
+  const hour = prDate.getHours();
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const hour12 = hour % 12 || 12;
+  return `${hour12}${period}`;
+}
 
-  const bucket = {}; // hour -> count
+function formatChartDateLabel(prDate) {
+  const month = String(prDate.getMonth() + 1).padStart(2, '0');
+  const day = String(prDate.getDate()).padStart(2, '0');
+  return `${month}/${day}`;
+}
 
-  for (const ev of events) {
-    const dUTC = new Date(ev.ts);
-    if (Number.isNaN(dUTC.getTime())) continue;
+// For reports: "HH:00–HH:59"
+function formatHourRange(hour) {
+  const h = String(hour).padStart(2, '0');
+  return `${h}:00–${h}:59`;
+}
 
-    const dPR = toPR(dUTC);
-    const h = dPR.getHours(); // 0–23
+// Normalize newsletter input to "Y" / "N" / ""
+function getNewsletterFlag(value) {
+  if (value === null || value === undefined) return '';
 
-    bucket[h] = (bucket[h] || 0) + 1;
+  const val = String(value).toLowerCase();
+  if (val === 'true' || val === '1' || val === 'sí' || val === 'si' || val === 'y') {
+    return 'Y';
   }
-
-  let bestHour = null;
-  let bestCount = 0;
-  for (const [hourStr, count] of Object.entries(bucket)) {
-    const hour = Number(hourStr);
-    if (count > bestCount) {
-      bestCount = count;
-      bestHour = hour;
-    }
+  if (val === 'false' || val === '0' || val === 'no' || val === 'n') {
+    return 'N';
   }
-
-  if (bestHour === null) return null;
-  return { hour: bestHour, count: bestCount };
+  return '';
 }
 
-// Helper: build plain-text session report (used by shutdown + daily email)
-function buildPlainTextSessionReport(longDate, visits, forms, uploads, prime, newsletterEmails) {
-  const totalEvents = visits + forms + uploads;
-
-  let report =
-    `REPORTE DE SESION - SELFIE APP - MUNICIPIO DE MAYAGÜEZ\n` +
-    `${longDate}\n\n` +
-    `Visitas a la app: ${visits}\n` +
-    `Formularios completados: ${forms}\n` +
-    `Fotos capturadas/subidas: ${uploads}\n\n`;
+// Today range (in PR) but expressed in UTC, for filtering logs
+function getTodayPRRangeUtc() {
+  const nowPR = getPRDate();
 
-  if (prime) {
-    report +=
-      `Horario de mayor actividad: ${formatHourRange(prime.hour)} ` +
-      `(${prime.count} interacciones)\n\n`;
-  } else {
-    report += `No se pudo determinar un horario de mayor actividad.\n\n`;
-  }
+  const startPR = new Date(nowPR);
+  startPR.setHours(0, 0, 0, 0);
 
-  if (newsletterEmails && newsletterEmails.length) {
-    report += `Familias que aceptaron recibir noticias y ofertas:\n`;
-    for (const email of newsletterEmails) {
-      report += `- ${email}\n`;
-    }
-    report += `\n`;
-  } else {
-    report += `Ninguna familia aceptó recibir noticias y ofertas en esta sesión.\n\n`;
-  }
+  const endPR = new Date(nowPR);
+  endPR.setHours(23, 59, 59, 999);
 
-  report += `Total de eventos registrados: ${totalEvents}\n`;
+  // Event time → UTC (PR = UTC-4, so we add 4h)
+  const prToUtc = (dPR) => new Date(dPR.getTime() - getEventUtcOffsetMs());
 
-  return report;
+  return {
+    startUtc: prToUtc(startPR),
+    endUtc: prToUtc(endPR)
+  };
 }
-// Live in-app report preview (no email, just returns text)
-app.get('/session-report-preview', ensureAdminAuth, 
-  async (req, res) => {
-  try {
-    const {
-      visits,
-      forms,
-      uploads,
-      eventsForPrimeHour,
-      newsletterEmails = []
-    } = await getTodayStatsFromSheet();
 
-    const prime = computePrimeHour(eventsForPrimeHour);
-    const longDate = formatPRDateLong();
+// ---------- ADMIN AUTH HELPERS ----------
 
-    const reportText = buildPlainTextSessionReport(
-      longDate,
-      visits,
-      forms,
-      uploads,
-      prime,
-      newsletterEmails
-    );
+function getClientIp(req) {
+  const xfwd = req.headers['x-forwarded-for'];
+  if (xfwd) {
+    return xfwd.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
 
-    return res.json({
-      ok: true,
-      reportText
-    });
-  } catch (err) {
-    console.error('Error in /session-report-preview:', err);
-    return res.status(500).json({
-      ok: false,
-      error: 'report_preview_failed'
-    });
+function normalizeIp(ip) {
+  if (!ip) return 'unknown';
+  if (ip.startsWith('::ffff:')) {
+    return ip.slice(7);
   }
-});
+  return ip;
+}
 
-// ---------- DAILY REPORT EMAIL (uses Sheet data) ----------
-async function sendSessionReportEmailFromSheet() {
+function safeDecodeHeader(value) {
+  if (!value) return '';
+  const raw = String(value).trim();
+  try {
+    return decodeURIComponent(raw);
+  } catch (err) {
+    return raw;
+  }
+}
+
+function getClientLocation(req) {
+  const city = safeDecodeHeader(req.headers['x-vercel-ip-city']);
+  const region = safeDecodeHeader(req.headers['x-vercel-ip-country-region']);
+  const countryRaw = safeDecodeHeader(req.headers['x-vercel-ip-country']);
+
+  let country = countryRaw;
+  const countryUpper = countryRaw.toUpperCase();
+  const countryLabels = {
+    PR: 'Puerto Rico',
+    US: 'United States',
+  };
+  if (countryUpper && countryLabels[countryUpper]) {
+    country = countryLabels[countryUpper];
+  }
+
+  return { city, region, country };
+}
+
+function buildSessionIdentifier(req) {
+  const ip = normalizeIp(getClientIp(req));
+  const { city, region, country } = getClientLocation(req);
+  const locationParts = [city, region, country].filter(Boolean);
+  const locationLabel = locationParts.join(', ');
+
+  if (locationLabel && ip !== 'unknown') {
+    return `IP ${ip} ${locationLabel}`;
+  }
+
+  if (ip && ip !== 'unknown') {
+    return `IP ${ip}`;
+  }
+
+  const fallback = req.headers['x-session-id'];
+  return fallback ? String(fallback) : '';
+}
+
+// index.html sends a random per-guest token as x-session-id (new for every
+// browser and app session). The form and upload rows in the session log carry
+// it, and guest emails match a photo to a form on that token alone: IP and
+// location are shared by everyone on the venue Wi-Fi.
+const GUEST_SESSION_PREFIX = 'Guest ';
+const GUEST_SESSION_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function readGuestSessionToken(req) {
+  const token = String((req && req.headers['x-session-id']) || '').trim();
+  return GUEST_SESSION_TOKEN_PATTERN.test(token) ? token : '';
+}
+
+function buildGuestSessionId(token) {
+  return token ? `${GUEST_SESSION_PREFIX}${token}` : '';
+}
+
+function getMetricsEventFamily(eventType) {
+  switch (eventType) {
+    case 'visit':
+    case 'form':
+    case 'upload':
+      return 'public';
+    case 'approve_photo':
+    case 'reject_photo':
+    case 'delete_approved_photo':
+    case 'batch_delete_approved_photos':
+    case 'batch_approve_photos':
+    case 'batch_reject_photos':
+    case 'photo_state_change':
+    case 'auto_moderation_decision':
+    case 'trusted_auto_approve':
+    case 'clear_drive':
+    case 'reset_logs':
+    case 'reset_ticket_counter':
+    case 'resend_guest_email':
+      return 'admin';
+    default:
+      return 'system';
+  }
+}
+
+// Session ids in the logs come in two shapes: "IP <v4 or v6> [location]" from
+// buildSessionIdentifier, and "Guest <token>" from buildGuestSessionId (those
+// rows keep the request location in the country / region columns instead, see
+// buildGuestLocationColumns)
+function parseSessionIdentifier(sessionId = '') {
+  const value = String(sessionId || '').trim();
+  if (value.startsWith(GUEST_SESSION_PREFIX)) {
+    return { guestToken: value.slice(GUEST_SESSION_PREFIX.length).trim(), ip: '', location: '' };
+  }
+  const match = value.match(/^IP\s+([\d.]+|[\da-fA-F:]*:[\da-fA-F:.]*)(?:\s+(.+))?$/);
+  if (!match) return { guestToken: '', ip: '', location: '' };
+  return { guestToken: '', ip: match[1], location: (match[2] || '').trim() };
+}
+
+function extractLocationFromSessionId(sessionId = '') {
+  return parseSessionIdentifier(sessionId).location;
+}
+
+// Country / region columns for a guest-token row: the request's location,
+// since the session id no longer carries it (the IP stays in the metrics log)
+function buildGuestLocationColumns(req) {
+  const { city, region, country } = getClientLocation(req);
+  return { country, region: [city, region].filter(Boolean).join(', ') };
+}
+
+function buildLocationLabel(country = '', region = '', sessionId = '') {
+  const direct = [region, country].filter(Boolean).join(', ').trim();
+  if (direct) return direct;
+  return extractLocationFromSessionId(sessionId);
+}
+
+function safeJsonStringify(value) {
+  try {
+    return JSON.stringify(value || {});
+  } catch (err) {
+    return '{}';
+  }
+}
+
+async function logMetricsEvent(
+  eventType,
+  req,
+  {
+    email = '',
+    sessionId = '',
+    country = '',
+    region = '',
+    lastName = '',
+    newsletter = null,
+    ticket = '',
+    timestampUtc = null,
+    source = '',
+    metadata = {},
+  } = {}
+) {
+  const context = currentEvent();
+  try {
+    const utcStr = timestampUtc || new Date().toISOString();
+    const dateUtc = new Date(utcStr);
+    if (Number.isNaN(dateUtc.getTime())) return;
+
+    const prDate = toPR(dateUtc);
+    const normalizedSessionId = sessionId || buildSessionIdentifier(req);
+    const normalizedCountry = country || '';
+    const normalizedRegion = region || '';
+    const locationLabel = buildLocationLabel(normalizedCountry, normalizedRegion, normalizedSessionId);
+    const newsletterFlag = getNewsletterFlag(newsletter);
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const requestIp = req ? normalizeIp(getClientIp(req)) : ''; // background jobs log without a request
+    const userAgent = String(req?.headers?.['user-agent'] || '').slice(0, 500);
+    const referrer = String(req?.headers?.referer || req?.headers?.referrer || '').slice(0, 500);
+    const pathLabel = req?.path || '';
+    const methodLabel = req?.method || '';
+    const family = getMetricsEventFamily(eventType);
+    const row = [
+      crypto.randomUUID(),
+      utcStr,
+      formatPRDateTimeShort(prDate),
+      formatPRDateIso(prDate),
+      formatPRHourKey(prDate),
+      eventType,
+      family,
+      normalizedSessionId,
+      context.appSessionId || '',
+      email || '',
+      normalizedEmail,
+      normalizedCountry,
+      normalizedRegion,
+      locationLabel,
+      lastName || '',
+      newsletterFlag,
+      ticket || '',
+      source || family,
+      requestIp,
+      userAgent,
+      referrer,
+      pathLabel,
+      methodLabel,
+      safeJsonStringify(metadata),
+    ];
+
+    const newsletterRow = newsletterFlag === 'Y' && normalizedEmail
+      ? [
+          utcStr,
+          formatPRDateTimeShort(prDate),
+          formatPRDateIso(prDate),
+          email || '',
+          normalizedEmail,
+          lastName || '',
+          normalizedCountry,
+          normalizedRegion,
+          locationLabel,
+          normalizedSessionId,
+          context.appSessionId || '',
+          source || family,
+          safeJsonStringify(metadata),
+        ]
+      : null;
+
+    await context.dataStore.appendMetricsRow(row, newsletterRow);
+  } catch (err) {
+    console.warn('Unable to log metrics event:', eventType, err.message || err);
+  }
+}
+
+function parseMetricsEventRow(row = []) {
+  const timestampUtc = row[1] || '';
+  const timestamp = new Date(timestampUtc);
+  if (!timestampUtc || Number.isNaN(timestamp.getTime())) return null;
+
+  return {
+    eventId: row[0] || '',
+    timestampUtc,
+    timestamp,
+    timestampPr: row[2] || '',
+    prDate: row[3] || '',
+    prHour: row[4] || '',
+    eventType: row[5] || '',
+    eventFamily: row[6] || '',
+    sessionId: row[7] || '',
+    serverSessionId: row[8] || '',
+    email: row[9] || '',
+    emailNormalized: row[10] || '',
+    country: row[11] || '',
+    region: row[12] || '',
+    locationLabel: row[13] || '',
+    lastName: row[14] || '',
+    newsletter: row[15] || '',
+    ticket: row[16] || '',
+    source: row[17] || '',
+  };
+}
+
+// filters: { startUtc, endUtc, family } – the SQLite store answers these from
+// indexes, the Sheets store still downloads Events!A:X and filters in memory.
+async function readMetricsEvents(filters = {}) {
+  const rows = await currentEvent().dataStore.readMetricsRows(filters);
+  return rows
+    .map(parseMetricsEventRow)
+    .filter(Boolean);
+}
+
+function getMetricsRangeDefinition(query = {}) {
+  const preset = String(query.preset || '24h').trim();
+  const now = new Date();
+  const definitions = {
+    '1h': { startUtc: new Date(now.getTime() - (1 * 60 * 60 * 1000)), endUtc: now, label: 'Last hour', granularity: 'hour' },
+    '6h': { startUtc: new Date(now.getTime() - (6 * 60 * 60 * 1000)), endUtc: now, label: 'Last 6 hours', granularity: 'hour' },
+    '12h': { startUtc: new Date(now.getTime() - (12 * 60 * 60 * 1000)), endUtc: now, label: 'Last 12 hours', granularity: 'hour' },
+    '24h': { startUtc: new Date(now.getTime() - (24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 24 hours', granularity: 'hour' },
+    '3d': { startUtc: new Date(now.getTime() - (3 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 3 days', granularity: 'day' },
+    '7d': { startUtc: new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 7 days', granularity: 'day' },
+    '15d': { startUtc: new Date(now.getTime() - (15 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 15 days', granularity: 'day' },
+    '30d': { startUtc: new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000)), endUtc: now, label: 'Last 30 days', granularity: 'day' },
+  };
+
+  if (preset === 'today') {
+    const todayPr = getPRDate();
+    const startUtc = prDateToUtc(formatPRDateIso(todayPr), 0, 0, 0, 0);
+    return {
+      preset,
+      startUtc,
+      endUtc: now,
+      label: 'Today',
+      granularity: 'hour',
+    };
+  }
+
+  if (preset === 'this_week') {
+    const nowPr = getPRDate();
+    const dayOfWeek = nowPr.getDay();
+    const startPr = new Date(nowPr);
+    startPr.setDate(nowPr.getDate() - dayOfWeek);
+    startPr.setHours(0, 0, 0, 0);
+
+    return {
+      preset,
+      startUtc: new Date(startPr.getTime() - getEventUtcOffsetMs()),
+      endUtc: now,
+      label: 'This week',
+      granularity: 'day',
+    };
+  }
+
+  if (preset === 'custom') {
+    const startDate = String(query.startDate || '').trim();
+    const endDate = String(query.endDate || '').trim();
+    const startUtc = prDateToUtc(startDate, 0, 0, 0, 0);
+    const endUtc = prDateToUtc(endDate, 23, 59, 59, 999);
+    if (!startUtc || !endUtc || startUtc > endUtc) {
+      throw new Error('invalid_custom_range');
+    }
+
+    const diffMs = endUtc.getTime() - startUtc.getTime();
+    return {
+      preset,
+      startUtc,
+      endUtc,
+      label: `${startDate} to ${endDate}`,
+      granularity: diffMs <= (36 * 60 * 60 * 1000) ? 'hour' : 'day',
+    };
+  }
+
+  if (definitions[preset]) {
+    return { preset, ...definitions[preset] };
+  }
+
+  return { preset: '24h', ...definitions['24h'] };
+}
+
+function filterMetricsEventsByRange(events, rangeDef) {
+  return events.filter((event) => event.timestamp >= rangeDef.startUtc && event.timestamp <= rangeDef.endUtc);
+}
+
+function buildMetricsTimeseries(events, rangeDef) {
+  const buckets = [];
+  const bucketMap = new Map();
+
+  if (rangeDef.granularity === 'hour') {
+    const cursor = new Date(rangeDef.startUtc);
+    cursor.setMinutes(0, 0, 0);
+    const end = new Date(rangeDef.endUtc);
+    end.setMinutes(0, 0, 0);
+
+    while (cursor <= end) {
+      const prCursor = toPR(cursor);
+      const key = `${formatPRDateIso(prCursor)} ${formatPRHourKey(prCursor)}`;
+      const bucket = {
+        key,
+        label: formatChartHourLabel(prCursor),
+        visits: 0,
+        forms: 0,
+        uploads: 0,
+        newsletters: 0,
+      };
+      buckets.push(bucket);
+      bucketMap.set(key, bucket);
+      cursor.setHours(cursor.getHours() + 1);
+    }
+
+    events.forEach((event) => {
+      const prDate = toPR(event.timestamp);
+      const key = `${formatPRDateIso(prDate)} ${formatPRHourKey(prDate)}`;
+      const bucket = bucketMap.get(key);
+      if (!bucket) return;
+      if (event.eventType === 'visit') bucket.visits += 1;
+      if (event.eventType === 'form') bucket.forms += 1;
+      if (event.eventType === 'upload') bucket.uploads += 1;
+      if (event.eventType === 'form' && event.newsletter === 'Y') bucket.newsletters += 1;
+    });
+  } else {
+    const startPrIso = formatPRDateIso(toPR(rangeDef.startUtc));
+    const endPrIso = formatPRDateIso(toPR(rangeDef.endUtc));
+    let cursor = prDateToUtc(startPrIso, 0, 0, 0, 0);
+    const endCursor = prDateToUtc(endPrIso, 0, 0, 0, 0);
+
+    while (cursor && endCursor && cursor <= endCursor) {
+      const prCursor = toPR(cursor);
+      const key = formatPRDateIso(prCursor);
+      const bucket = {
+        key,
+        label: formatChartDateLabel(prCursor),
+        visits: 0,
+        forms: 0,
+        uploads: 0,
+        newsletters: 0,
+      };
+      buckets.push(bucket);
+      bucketMap.set(key, bucket);
+      cursor = new Date(cursor.getTime() + (24 * 60 * 60 * 1000));
+    }
+
+    events.forEach((event) => {
+      const key = event.prDate || formatPRDateIso(toPR(event.timestamp));
+      const bucket = bucketMap.get(key);
+      if (!bucket) return;
+      if (event.eventType === 'visit') bucket.visits += 1;
+      if (event.eventType === 'form') bucket.forms += 1;
+      if (event.eventType === 'upload') bucket.uploads += 1;
+      if (event.eventType === 'form' && event.newsletter === 'Y') bucket.newsletters += 1;
+    });
+  }
+
+  return buckets;
+}
+
+function convertMetricsEventsToCsv(events) {
+  const rows = [
+    [
+      'timestamp_utc',
+      'timestamp_pr',
+      'event_type',
+      'event_family',
+      'session_id',
+      'server_session_id',
+      'email',
+      'country',
+      'region',
+      'location_label',
+      'last_name',
+      'newsletter',
+      'ticket',
+      'source',
+    ],
+    ...events.map((event) => [
+      event.timestampUtc,
+      event.timestampPr,
+      event.eventType,
+      event.eventFamily,
+      event.sessionId,
+      event.serverSessionId,
+      event.email,
+      event.country,
+      event.region,
+      event.locationLabel,
+      event.lastName,
+      event.newsletter,
+      event.ticket,
+      event.source,
+    ])
+  ];
+
+  return rows
+    .map((row) => row.map((value) => {
+      const str = String(value || '');
+      if (/[",\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+      }
+      return str;
+    }).join(','))
+    .join('\n');
+}
+
+function isBlocked(ip) {
+  const record = ipTracker.get(ip);
+  if (!record || !record.blockedUntil) return false;
+  return record.blockedUntil > Date.now();
+}
+
+function remainingBlockMinutes(ip) {
+  const record = ipTracker.get(ip);
+  if (!record || !record.blockedUntil) return 0;
+  const remainingMs = record.blockedUntil - Date.now();
+  return Math.max(0, Math.ceil(remainingMs / 60000));
+}
+
+// Middleware: reject if IP is blocked
+function ensureNotBlocked(req, res, next) {
+  const ip = getClientIp(req);
+  if (isBlocked(ip)) {
+    return res.status(403).json({
+      error: 'blocked',
+      message: 'IP temporarily blocked',
+      blockedMinutes: remainingBlockMinutes(ip),
+    });
+  }
+  next();
+}
+
+// Middleware: require valid admin token AND not blocked
+function ensureAdminAuth(req, res, next) {
+  const ip = getClientIp(req);
+
+  if (isBlocked(ip)) {
+    return res.status(403).json({
+      error: 'blocked',
+      message: 'IP temporarily blocked',
+      blockedMinutes: remainingBlockMinutes(ip),
+    });
+  }
+
+  const session = getAdminSessionFromRequest(req);
+  if (!session) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+
+  // Optional binding: token only valid from same IP that logged in
+  if (session.ip && session.ip !== ip) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+
+  req.adminSession = session;
+  next();
+}
+
+// ---------- PHOTO STORAGE ----------
+// Guest photos live behind a small driver interface so an event can run on
+// Google Drive, on the venue machine's disk, or on any S3-compatible bucket.
+// Every driver returns Drive-shaped file objects:
+// { id, name, mimeType, createdTime, modifiedTime, appProperties, folder, trashed }
+//
+// "derivatives" holds the resized copies made at upload (see IMAGE PIPELINE);
+// it is never listed as a photo folder. Drivers expose `supportsDerivatives`
+// because Drive only has that folder when PHOTO_DERIVATIVES_FOLDER_ID is set.
+// "archive" holds rejected and hidden photos (see MODERATION STATES); same
+// story with `supportsArchive` and PHOTO_ARCHIVE_FOLDER_ID. Drivers also
+// `untrashFile`, which brings those photos back when there is no archive.
+
+const PHOTO_FOLDERS = ['pending', 'approved', 'archive', 'derivatives'];
+
+function assertPhotoFolder(folder) {
+  if (!PHOTO_FOLDERS.includes(folder)) {
+    throw new Error(`unknown_photo_folder:${folder}`);
+  }
+  return folder;
+}
+
+function isSafePhotoFileId(fileId) {
+  return typeof fileId === 'string' && /^[A-Za-z0-9_-]{1,120}$/.test(fileId);
+}
+
+function sortPhotoFiles(files, orderBy = 'createdTime desc') {
+  const direction = /\bdesc$/i.test(String(orderBy || '')) ? -1 : 1;
+  return files.slice().sort((a, b) => {
+    const diff = (Date.parse(a.createdTime || '') || 0) - (Date.parse(b.createdTime || '') || 0);
+    if (diff !== 0) return diff * direction;
+    return String(a.name || '').localeCompare(String(b.name || '')) * direction;
+  });
+}
+
+function paginatePhotoFiles(files, pageSize = 100, pageToken = null) {
+  const offset = Math.max(0, parseInt(pageToken, 10) || 0);
+  const size = Math.max(1, parseInt(pageSize, 10) || 100);
+  const nextOffset = offset + size;
+  return {
+    files: files.slice(offset, nextOffset),
+    nextPageToken: nextOffset < files.length ? String(nextOffset) : null,
+  };
+}
+
+function createDrivePhotoStorage({ pendingFolderId, approvedFolderId, archiveFolderId, derivativesFolderId }) {
+  const { drive } = getGoogleClients();
+  const folderIds = {
+    pending: pendingFolderId,
+    approved: approvedFolderId,
+    archive: archiveFolderId || '',
+    derivatives: derivativesFolderId || '',
+  };
+  const fileFields = 'id, name, mimeType, createdTime, modifiedTime, appProperties, parents, trashed';
+
+  function toPhotoFile(file) {
+    const parents = Array.isArray(file.parents) ? file.parents : [];
+    const folder = PHOTO_FOLDERS.find((key) => parents.includes(folderIds[key])) || '';
+    return {
+      id: file.id,
+      name: file.name || '',
+      mimeType: file.mimeType || '',
+      createdTime: file.createdTime || '',
+      modifiedTime: file.modifiedTime || '',
+      appProperties: file.appProperties || {},
+      folder,
+      trashed: Boolean(file.trashed),
+    };
+  }
+
+  return {
+    name: 'drive',
+    label: 'Google Drive',
+    supportsDerivatives: Boolean(derivativesFolderId),
+    supportsArchive: Boolean(archiveFolderId),
+
+    async createFile(folder, { name, mimeType, buffer, appProperties = {} }) {
+      const bufferStream = new stream.PassThrough();
+      bufferStream.end(buffer);
+
+      const response = await drive.files.create({
+        requestBody: {
+          name,
+          mimeType,
+          parents: [folderIds[assertPhotoFolder(folder)]],
+          appProperties,
+        },
+        media: {
+          mimeType,
+          body: bufferStream
+        },
+        fields: fileFields,
+        supportsAllDrives: true
+      });
+      return toPhotoFile(response.data);
+    },
+
+    async listFiles(folder, { orderBy = 'createdTime desc', pageSize = 100, pageToken = null, trashed = false } = {}) {
+      const res = await drive.files.list({
+        q: `'${folderIds[assertPhotoFolder(folder)]}' in parents and trashed = ${trashed ? 'true' : 'false'}`,
+        fields: `nextPageToken, files(${fileFields})`,
+        orderBy,
+        pageSize,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        pageToken,
+      });
+      return {
+        files: (res.data.files || []).map(toPhotoFile),
+        nextPageToken: res.data.nextPageToken || null,
+      };
+    },
+
+    async getFile(fileId) {
+      const res = await drive.files.get({
+        fileId,
+        fields: fileFields,
+        supportsAllDrives: true,
+      });
+      return toPhotoFile(res.data);
+    },
+
+    async getFileStream(fileId) {
+      const res = await drive.files.get(
+        {
+          fileId,
+          alt: 'media',
+          supportsAllDrives: true,
+        },
+        { responseType: 'stream' }
+      );
+      return res.data;
+    },
+
+    async getThumbnail(fileId) {
+      const fileMeta = await drive.files.get({
+        fileId,
+        fields: 'thumbnailLink, mimeType',
+        supportsAllDrives: true,
+      });
+
+      if (!fileMeta.data.thumbnailLink) {
+        console.warn('Admin thumbnail link missing from Drive metadata; using placeholder', {
+          fileId,
+          mimeType: fileMeta.data.mimeType || '',
+        });
+        return null;
+      }
+
+      const thumbRes = await fetch(fileMeta.data.thumbnailLink);
+      if (!thumbRes.ok) {
+        console.warn('Admin thumbnail Drive link fetch failed; using placeholder', {
+          fileId,
+          status: thumbRes.status,
+        });
+        return null;
+      }
+
+      return {
+        buffer: Buffer.from(await thumbRes.arrayBuffer()),
+        contentType: thumbRes.headers.get('content-type') || fileMeta.data.mimeType || 'image/jpeg',
+        source: 'drive_thumbnail',
+      };
+    },
+
+    async moveFile(fileId, fromFolder, toFolder, appProperties = {}) {
+      const res = await drive.files.update({
+        fileId,
+        addParents: folderIds[assertPhotoFolder(toFolder)],
+        removeParents: folderIds[assertPhotoFolder(fromFolder)],
+        fields: fileFields,
+        supportsAllDrives: true,
+        requestBody: { appProperties },
+      });
+      return toPhotoFile(res.data);
+    },
+
+    async updateFile(fileId, appProperties = {}) {
+      const res = await drive.files.update({
+        fileId,
+        fields: fileFields,
+        supportsAllDrives: true,
+        requestBody: { appProperties },
+      });
+      return toPhotoFile(res.data);
+    },
+
+    async trashFile(fileId) {
+      await drive.files.update({
+        fileId,
+        requestBody: { trashed: true },
+        fields: 'id, trashed',
+        supportsAllDrives: true,
+      });
+    },
+
+    async untrashFile(fileId) {
+      await drive.files.update({
+        fileId,
+        requestBody: { trashed: false },
+        fields: 'id, trashed',
+        supportsAllDrives: true,
+      });
+    },
+
+    async checkFolder(folder) {
+      if (!folderIds[assertPhotoFolder(folder)]) {
+        throw new Error(`photo_folder_not_configured:${folder}`);
+      }
+      await drive.files.get({
+        fileId: folderIds[folder],
+        fields: 'id',
+        supportsAllDrives: true,
+      });
+      return true;
+    },
+  };
+}
+
+// Local disk layout: <root>/<folder>/<id> (image bytes) + <id>.json (metadata).
+// Trashed files stay in their folder with trashed=true, like Drive.
+function createLocalPhotoStorage(rootDir) {
+  const folderDir = (folder) => path.join(rootDir, assertPhotoFolder(folder));
+  const dataPath = (folder, fileId) => path.join(folderDir(folder), fileId);
+  const metaPath = (folder, fileId) => path.join(folderDir(folder), `${fileId}.json`);
+
+  async function readMeta(folder, fileId) {
+    try {
+      const raw = await fs.promises.readFile(metaPath(folder, fileId), 'utf8');
+      return { ...JSON.parse(raw), id: fileId, folder };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function writeMeta(file) {
+    const { folder, ...meta } = file;
+    await fs.promises.writeFile(metaPath(folder, file.id), JSON.stringify(meta, null, 2));
+  }
+
+  async function locate(fileId) {
+    if (!isSafePhotoFileId(fileId)) {
+      throw Object.assign(new Error('photo_not_found'), { code: 404 });
+    }
+    for (const folder of PHOTO_FOLDERS) {
+      const meta = await readMeta(folder, fileId);
+      if (meta) return meta;
+    }
+    throw Object.assign(new Error('photo_not_found'), { code: 404 });
+  }
+
+  return {
+    name: 'local',
+    label: 'Local Disk',
+    supportsDerivatives: true,
+    supportsArchive: true,
+
+    async createFile(folder, { name, mimeType, buffer, appProperties = {} }) {
+      await fs.promises.mkdir(folderDir(folder), { recursive: true });
+      const now = new Date().toISOString();
+      const file = {
+        id: crypto.randomBytes(12).toString('hex'),
+        name,
+        mimeType,
+        createdTime: now,
+        modifiedTime: now,
+        appProperties: { ...appProperties },
+        folder,
+        trashed: false,
+      };
+      await fs.promises.writeFile(dataPath(folder, file.id), buffer);
+      await writeMeta(file);
+      return file;
+    },
+
+    async listFiles(folder, { orderBy = 'createdTime desc', pageSize = 100, pageToken = null, trashed = false } = {}) {
+      let entries = [];
+      try {
+        entries = await fs.promises.readdir(folderDir(folder));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.endsWith('.json')) continue;
+        const meta = await readMeta(folder, entry.slice(0, -5));
+        if (meta && Boolean(meta.trashed) === Boolean(trashed)) {
+          files.push(meta);
+        }
+      }
+
+      return paginatePhotoFiles(sortPhotoFiles(files, orderBy), pageSize, pageToken);
+    },
+
+    async getFile(fileId) {
+      return locate(fileId);
+    },
+
+    async getFileStream(fileId) {
+      const file = await locate(fileId);
+      return fs.createReadStream(dataPath(file.folder, file.id));
+    },
+
+    async getThumbnail() {
+      return null;
+    },
+
+    async moveFile(fileId, fromFolder, toFolder, appProperties = {}) {
+      const file = await locate(fileId);
+      if (file.folder !== assertPhotoFolder(fromFolder)) {
+        throw new Error(`photo_not_in_folder:${fromFolder}`);
+      }
+      await fs.promises.mkdir(folderDir(toFolder), { recursive: true });
+      await fs.promises.rename(dataPath(fromFolder, fileId), dataPath(toFolder, fileId));
+      await fs.promises.unlink(metaPath(fromFolder, fileId));
+
+      const moved = {
+        ...file,
+        folder: toFolder,
+        modifiedTime: new Date().toISOString(),
+        appProperties: { ...(file.appProperties || {}), ...appProperties },
+      };
+      await writeMeta(moved);
+      return moved;
+    },
+
+    async updateFile(fileId, appProperties = {}) {
+      const file = await locate(fileId);
+      const updated = {
+        ...file,
+        modifiedTime: new Date().toISOString(),
+        appProperties: { ...(file.appProperties || {}), ...appProperties },
+      };
+      await writeMeta(updated);
+      return updated;
+    },
+
+    async trashFile(fileId) {
+      const file = await locate(fileId);
+      await writeMeta({ ...file, trashed: true, modifiedTime: new Date().toISOString() });
+    },
+
+    async untrashFile(fileId) {
+      const file = await locate(fileId);
+      await writeMeta({ ...file, trashed: false, modifiedTime: new Date().toISOString() });
+    },
+
+    async checkFolder(folder) {
+      await fs.promises.mkdir(folderDir(folder), { recursive: true });
+      await fs.promises.access(folderDir(folder), fs.constants.W_OK);
+      return true;
+    },
+  };
+}
+
+// S3 layout: <prefix><folder>/<id>. Name, timestamps, trashed flag and appProperties
+// ride along as object metadata; a move is copy + delete.
+function createS3PhotoStorage({ bucket, region, endpoint, prefix, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('PHOTO_STORAGE_S3_BUCKET is required for the s3 photo storage driver');
+  }
+
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    HeadBucketCommand,
+  } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle,
+  });
+  const headCache = new Map(); // key -> { etag, file }
+  const objectKey = (folder, fileId) => `${prefix}${assertPhotoFolder(folder)}/${fileId}`;
+
+  function encodeMetadata(file) {
+    return {
+      name: encodeURIComponent(file.name || ''),
+      'created-time': file.createdTime || '',
+      trashed: file.trashed ? 'true' : 'false',
+      'app-properties': Buffer.from(JSON.stringify(file.appProperties || {}), 'utf8').toString('base64'),
+    };
+  }
+
+  function decodeMetadata(folder, fileId, head) {
+    const metadata = head.Metadata || {};
+    let appProperties = {};
+    try {
+      appProperties = JSON.parse(Buffer.from(metadata['app-properties'] || '', 'base64').toString('utf8') || '{}');
+    } catch (_) {
+      appProperties = {};
+    }
+    const modifiedTime = head.LastModified ? new Date(head.LastModified).toISOString() : '';
+    return {
+      id: fileId,
+      name: safeDecodeHeader(metadata.name || fileId),
+      mimeType: head.ContentType || 'image/jpeg',
+      createdTime: metadata['created-time'] || modifiedTime,
+      modifiedTime,
+      appProperties,
+      folder,
+      trashed: metadata.trashed === 'true',
+    };
+  }
+
+  async function headFile(folder, fileId, etag = '') {
+    const key = objectKey(folder, fileId);
+    const cached = headCache.get(key);
+    if (etag && cached && cached.etag === etag) {
+      return cached.file;
+    }
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    const file = decodeMetadata(folder, fileId, head);
+    headCache.set(key, { etag: head.ETag || etag, file });
+    return file;
+  }
+
+  async function locate(fileId) {
+    if (!isSafePhotoFileId(fileId)) {
+      throw Object.assign(new Error('photo_not_found'), { code: 404 });
+    }
+    for (const folder of PHOTO_FOLDERS) {
+      try {
+        return await headFile(folder, fileId);
+      } catch (err) {
+        const status = err && err.$metadata ? err.$metadata.httpStatusCode : 0;
+        if (status !== 404) throw err;
+      }
+    }
+    throw Object.assign(new Error('photo_not_found'), { code: 404 });
+  }
+
+  async function rewriteFile(file, toFolder) {
+    const fromKey = objectKey(file.folder, file.id);
+    const toKey = objectKey(toFolder, file.id);
+    const next = { ...file, folder: toFolder };
+    await client.send(new CopyObjectCommand({
+      Bucket: bucket,
+      Key: toKey,
+      CopySource: `${bucket}/${encodeURIComponent(fromKey).replace(/%2F/g, '/')}`,
+      ContentType: file.mimeType,
+      Metadata: encodeMetadata(next),
+      MetadataDirective: 'REPLACE',
+    }));
+    if (fromKey !== toKey) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fromKey }));
+      headCache.delete(fromKey);
+    }
+    headCache.delete(toKey);
+    return { ...next, modifiedTime: new Date().toISOString() };
+  }
+
+  return {
+    name: 's3',
+    label: 'S3 Storage',
+    supportsDerivatives: true,
+    supportsArchive: true,
+
+    async createFile(folder, { name, mimeType, buffer, appProperties = {} }) {
+      const now = new Date().toISOString();
+      const file = {
+        id: crypto.randomBytes(12).toString('hex'),
+        name,
+        mimeType,
+        createdTime: now,
+        modifiedTime: now,
+        appProperties: { ...appProperties },
+        folder: assertPhotoFolder(folder),
+        trashed: false,
+      };
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(folder, file.id),
+        Body: buffer,
+        ContentType: mimeType,
+        Metadata: encodeMetadata(file),
+      }));
+      return file;
+    },
+
+    async listFiles(folder, { orderBy = 'createdTime desc', pageSize = 100, pageToken = null, trashed = false } = {}) {
+      const folderPrefix = `${prefix}${assertPhotoFolder(folder)}/`;
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const res = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: folderPrefix,
+          ContinuationToken: continuationToken,
+        }));
+        objects.push(...(res.Contents || []));
+        continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      // Listing does not return user metadata, so resolve it with HEAD calls
+      // (cached per ETag) a few at a time.
+      const files = [];
+      for (let i = 0; i < objects.length; i += 8) {
+        const batch = await Promise.all(
+          objects.slice(i, i + 8).map((object) =>
+            headFile(folder, object.Key.slice(folderPrefix.length), object.ETag || '')
+          )
+        );
+        files.push(...batch);
+      }
+
+      return paginatePhotoFiles(
+        sortPhotoFiles(files.filter((file) => Boolean(file.trashed) === Boolean(trashed)), orderBy),
+        pageSize,
+        pageToken
+      );
+    },
+
+    async getFile(fileId) {
+      return locate(fileId);
+    },
+
+    async getFileStream(fileId) {
+      const file = await locate(fileId);
+      const res = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(file.folder, file.id),
+      }));
+      return res.Body;
+    },
+
+    async getThumbnail() {
+      return null;
+    },
+
+    async moveFile(fileId, fromFolder, toFolder, appProperties = {}) {
+      const file = await locate(fileId);
+      if (file.folder !== assertPhotoFolder(fromFolder)) {
+        throw new Error(`photo_not_in_folder:${fromFolder}`);
+      }
+      return rewriteFile({
+        ...file,
+        appProperties: { ...(file.appProperties || {}), ...appProperties },
+      }, assertPhotoFolder(toFolder));
+    },
+
+    async updateFile(fileId, appProperties = {}) {
+      const file = await locate(fileId);
+      return rewriteFile({
+        ...file,
+        appProperties: { ...(file.appProperties || {}), ...appProperties },
+      }, file.folder);
+    },
+
+    async trashFile(fileId) {
+      const file = await locate(fileId);
+      await rewriteFile({ ...file, trashed: true }, file.folder);
+    },
+
+    async untrashFile(fileId) {
+      const file = await locate(fileId);
+      await rewriteFile({ ...file, trashed: false }, file.folder);
+    },
+
+    async checkFolder(folder) {
+      assertPhotoFolder(folder);
+      await client.send(new HeadBucketCommand({ Bucket: bucket }));
+      return true;
+    },
+  };
+}
+
+// config: { driver, pendingFolderId, approvedFolderId, archiveFolderId, derivativesFolderId, localDir, s3Bucket, s3Region, s3Endpoint, s3Prefix, s3ForcePathStyle }
+function createPhotoStorage(config) {
+  switch (config.driver) {
+    case 'local':
+      return createLocalPhotoStorage(config.localDir);
+    case 's3':
+      return createS3PhotoStorage({
+        bucket: config.s3Bucket,
+        region: config.s3Region,
+        endpoint: config.s3Endpoint,
+        prefix: config.s3Prefix,
+        forcePathStyle: config.s3ForcePathStyle,
+      });
+    case 'drive':
+      return createDrivePhotoStorage(config);
+    default:
+      console.warn(`Unknown PHOTO_STORAGE_DRIVER "${config.driver}", falling back to Google Drive.`);
+      return createDrivePhotoStorage(config);
+  }
+}
+
+// ---------- EVENTS ----------
+// One deployment can serve several events (clients) at once. Each event has its
+// own photo folders, data sheets (or SQLite file), branding, admin code and
+// public slug. Requests pick their event from an `/e/<slug>` path prefix, the
+// `x-event-slug` header, `?event=<slug>` or the host name; anything else falls
+// back to the default event built from the env vars above.
+//
+// Extra events come from EVENTS_CONFIG (JSON array) or EVENTS_CONFIG_FILE:
+// [{
+//   "slug": "fitur", "name": "FITUR 2026", "hosts": ["fitur.luminarapps.com"],
+//   "adminCode": "...", "utcOffsetHours": -4,
+//   "branding": { "organizerName": "...", "venueLabel": "...", "logoUrl": "...", "reportEmailTo": "...", "fileSuffix": "FITUR" },
+//   "alerts": { "emailTo": "...", "webhookUrl": "..." },
+//   "storage": { "driver": "drive", "pendingFolderId": "...", "approvedFolderId": "...", "archiveFolderId": "...", "derivativesFolderId": "..." },
+//   "data": { "driver": "sheets", "sessionSheetId": "...", "settingsSheetId": "...", "templatesSheetId": "...", "metricsSheetId": "..." }
+// }]
+// Template asset folders (backgrounds, logos, QR, flattened overlays) stay shared.
+// branding.fileSuffix ends the photo file names (see buildServerFileName) and
+// defaults to the upper-cased slug; the default event keeps "PR".
+
+function normalizeEventSlug(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '')
+    .slice(0, 64);
+}
+
+function buildDefaultEventConfig() {
+  return {
+    id: DEFAULT_EVENT_SLUG,
+    slug: DEFAULT_EVENT_SLUG,
+    name: process.env.DEFAULT_EVENT_NAME || 'Municipio de Mayagüez',
+    hosts: [],
+    adminCode: ADMIN_ACCESS_CODE || '',
+    utcOffsetHours: -4, // Puerto Rico, no DST
+    branding: {
+      organizerName: 'Municipio de Mayagüez',
+      venueLabel: 'Pantalla Plaza Colón',
+      logoUrl: LUMI_LOGO_URL,
+      senderName: 'Luminar Apps',
+      reportEmailTo: process.env.MAIL_TO || '',
+      fileSuffix: 'PR',
+    },
+    alerts: {
+      emailTo: QUEUE_ALERT_EMAIL_TO,
+      webhookUrl: QUEUE_ALERT_WEBHOOK_URL,
+    },
+    storage: {
+      driver: PHOTO_STORAGE_DRIVER,
+      pendingFolderId: PENDING_FOLDER_ID,
+      approvedFolderId: APPROVED_FOLDER_ID,
+      archiveFolderId: PHOTO_ARCHIVE_FOLDER_ID,
+      derivativesFolderId: PHOTO_DERIVATIVES_FOLDER_ID,
+      localDir: PHOTO_STORAGE_LOCAL_DIR,
+      s3Bucket: PHOTO_STORAGE_S3_BUCKET,
+      s3Region: PHOTO_STORAGE_S3_REGION,
+      s3Endpoint: PHOTO_STORAGE_S3_ENDPOINT,
+      s3Prefix: PHOTO_STORAGE_S3_PREFIX,
+      s3ForcePathStyle: PHOTO_STORAGE_S3_FORCE_PATH_STYLE,
+    },
+    data: {
+      driver: DATA_STORE_DRIVER,
+      sqlitePath: DATA_STORE_SQLITE_PATH,
+      sessionSheetId: SESSION_SHEET_ID,
+      settingsSheetId: SETTINGS_SHEET_ID,
+      templatesSheetId: TEMPLATES_SHEET_ID,
+      metricsSheetId: METRICS_SHEET_ID,
+    },
+  };
+}
+
+// Extra events inherit drivers and branding defaults from the default event,
+// but never its folders or sheets: local paths and S3 prefixes are derived
+// from the slug, Drive / Sheets ids must be given explicitly.
+function normalizeEventConfig(raw, defaultEvent) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const slug = normalizeEventSlug(raw.slug || raw.id);
+  if (!slug) {
+    console.warn('Skipping event config without a slug:', raw.name || raw);
+    return null;
+  }
+
+  const storageRaw = raw.storage && typeof raw.storage === 'object' ? raw.storage : {};
+  const dataRaw = raw.data && typeof raw.data === 'object' ? raw.data : {};
+  const brandingRaw = raw.branding && typeof raw.branding === 'object' ? raw.branding : {};
+  const alertsRaw = raw.alerts && typeof raw.alerts === 'object' ? raw.alerts : {};
+  const eventDataDir = path.join(__dirname, 'data', 'events', slug);
+
+  const storage = {
+    ...defaultEvent.storage,
+    pendingFolderId: '',
+    approvedFolderId: '',
+    archiveFolderId: '',
+    derivativesFolderId: '',
+    localDir: path.join(eventDataDir, 'photos'),
+    s3Prefix: `${defaultEvent.storage.s3Prefix || ''}events/${slug}/`,
+    ...storageRaw,
+  };
+  storage.driver = String(storage.driver || 'drive').trim().toLowerCase();
+
+  const data = {
+    ...defaultEvent.data,
+    sessionSheetId: '',
+    settingsSheetId: '',
+    templatesSheetId: '',
+    metricsSheetId: '',
+    sqlitePath: path.join(eventDataDir, 'photoapp.sqlite'),
+    ...dataRaw,
+  };
+  data.driver = String(data.driver || 'sheets').trim().toLowerCase();
+
+  if (storage.driver === 'drive' && (!storage.pendingFolderId || !storage.approvedFolderId)) {
+    console.warn(`Skipping event "${slug}": Drive storage needs pendingFolderId and approvedFolderId`);
+    return null;
+  }
+  if (data.driver === 'sheets' && (!data.sessionSheetId || !data.settingsSheetId)) {
+    console.warn(`Skipping event "${slug}": Sheets data store needs at least sessionSheetId and settingsSheetId`);
+    return null;
+  }
+
+  const utcOffsetHours = Number(raw.utcOffsetHours);
+
+  return {
+    id: slug,
+    slug,
+    name: String(raw.name || slug),
+    hosts: (Array.isArray(raw.hosts) ? raw.hosts : [])
+      .map((host) => String(host || '').trim().toLowerCase())
+      .filter(Boolean),
+    adminCode: String(raw.adminCode || ''),
+    utcOffsetHours: Number.isFinite(utcOffsetHours) ? utcOffsetHours : defaultEvent.utcOffsetHours,
+    branding: {
+      ...defaultEvent.branding,
+      organizerName: String(raw.name || defaultEvent.branding.organizerName),
+      venueLabel: '',
+      fileSuffix: slug.toUpperCase(),
+      ...brandingRaw,
+    },
+    alerts: {
+      emailTo: String(alertsRaw.emailTo || ''),
+      webhookUrl: String(alertsRaw.webhookUrl || ''),
+    },
+    storage,
+    data,
+  };
+}
+
+function readEventConfigList() {
+  let source = process.env.EVENTS_CONFIG || '';
+  if (!source && EVENTS_CONFIG_FILE && fs.existsSync(EVENTS_CONFIG_FILE)) {
+    source = fs.readFileSync(EVENTS_CONFIG_FILE, 'utf8');
+  }
+  if (!source.trim()) return [];
+
+  try {
+    const parsed = JSON.parse(source);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.warn('Unable to parse events config:', err.message || err);
+    return [];
+  }
+}
+
+function loadEventRegistry() {
+  const defaultEvent = buildDefaultEventConfig();
+  const bySlug = new Map([[defaultEvent.slug, defaultEvent]]);
+  const byHost = new Map();
+
+  readEventConfigList().forEach((raw) => {
+    const slug = normalizeEventSlug(raw && (raw.slug || raw.id));
+    const event = slug === defaultEvent.slug
+      ? { ...defaultEvent, ...raw, id: slug, slug, branding: { ...defaultEvent.branding, ...(raw.branding || {}) }, storage: defaultEvent.storage, data: defaultEvent.data }
+      : normalizeEventConfig(raw, defaultEvent);
+    if (!event) return;
+    bySlug.set(event.slug, event);
+  });
+
+  bySlug.forEach((event) => {
+    (event.hosts || []).forEach((host) => byHost.set(host, event));
+  });
+
+  return {
+    defaultEvent: bySlug.get(defaultEvent.slug),
+    bySlug,
+    byHost,
+  };
+}
+
+const eventRegistry = loadEventRegistry();
+const eventContexts = new Map();
+const eventContextStorage = new AsyncLocalStorage();
+
+console.log('Events:', Array.from(eventRegistry.bySlug.keys()).join(', '));
+
+// Everything that used to be a process-wide singleton (settings, toggle,
+// caches, live devices, storage and data drivers) now lives on the event context.
+function createEventContext(event) {
+  const photoStorage = createPhotoStorage(event.storage);
+  const dataStore = createDataStore(event.data);
+  console.log(`Event "${event.slug}": photos on ${photoStorage.label}, data in ${dataStore.label}`);
+
+  return {
+    event,
+    photoStorage,
+    dataStore,
+    appEnabled: true, // admin toggle will set this to false after event
+    appSessionId: null,
+    appSettings: buildDefaultAppSettingsForEvent(event),
+    settingsLoadedFromSheet: false,
+    settingsLastHydratedAt: 0,
+    settingsHydrationPromise: null,
+    liveGalleryDevices: new Map(),
+    galleryApprovedManifestCache: {
+      value: null,
+      expiresAt: 0,
+      promise: null,
+    },
+    photoFolderPageTokenCache: new Map(),
+    photoFolderCountCache: new Map(),
+    photoDerivativeCache: new Map(),
+    adminSystemHealthCache: {
+      value: null,
+      expiresAt: 0,
+    },
+    ticketCounterReadyPromise: null,
+    ticketCounterQueue: Promise.resolve(),
+    framedPhotoRenders: new Map(),
+    guestEmailJobs: new Map(),
+    guestEmailChain: Promise.resolve(),
+    guestEmailSweep: { running: null, lastRunAt: 0 },
+    photoHashIndex: { entries: new Map(), loadPromise: null },
+    trustedApproveSweep: { running: null, lastRunAt: 0 },
+    galleryStreams: { clients: new Map(), ticker: null, publishTimer: null },
+    adminStreams: { clients: new Map(), ticker: null },
+    settingsStateWrites: Promise.resolve(),
+    deviceHealth: { lastCheckedAt: 0, checking: null },
+    deviceTelemetry: { queue: [], inFlight: [], flushing: null, lastPrunedAt: 0, hydration: null },
+    queueAlert: { lastCheckedAt: 0, snapshot: null, checking: null },
+  };
+}
+
+function getEventContext(event) {
+  let context = eventContexts.get(event.id);
+  if (!context) {
+    context = createEventContext(event);
+    eventContexts.set(event.id, context);
+  }
+  return context;
+}
+
+// Context of the event the current request (or background job) belongs to
+function currentEvent() {
+  return eventContextStorage.getStore() || getEventContext(eventRegistry.defaultEvent);
+}
+
+function runInEvent(context, fn) {
+  return eventContextStorage.run(context, fn);
+}
+
+function listEventContexts() {
+  return Array.from(eventRegistry.bySlug.values()).map(getEventContext);
+}
+
+function findEventForRequest(req) {
+  const headerSlug = normalizeEventSlug(req.headers['x-event-slug']);
+  if (headerSlug) return { slug: headerSlug, event: eventRegistry.bySlug.get(headerSlug) || null };
+
+  const querySlug = normalizeEventSlug(req.query && req.query.event);
+  if (querySlug) return { slug: querySlug, event: eventRegistry.bySlug.get(querySlug) || null };
+
+  const host = String(req.hostname || '').toLowerCase();
+  return { slug: '', event: eventRegistry.byHost.get(host) || eventRegistry.defaultEvent };
+}
+
+function resolveEventMiddleware(req, res, next) {
+  let resolved;
+
+  // "/e/<slug>/gallery/approved" -> "/gallery/approved" for the routes below
+  const prefixMatch = /^\/e\/([^/?]+)(.*)$/.exec(req.url);
+  if (prefixMatch) {
+    let rawSlug;
+    try {
+      rawSlug = decodeURIComponent(prefixMatch[1]);
+    } catch (err) {
+      // Malformed escapes ("/e/%E0/") name no event
+      return res.status(404).json({ ok: false, error: 'event_not_found' });
+    }
+    const slug = normalizeEventSlug(rawSlug);
+    const rest = prefixMatch[2] || '/';
+    req.url = rest.startsWith('/') ? rest : `/${rest}`;
+    resolved = { slug, event: eventRegistry.bySlug.get(slug) || null };
+  } else {
+    resolved = findEventForRequest(req);
+  }
+
+  if (!resolved.event) {
+    return res.status(404).json({ ok: false, error: 'unknown_event', event: resolved.slug });
+  }
+
+  const context = getEventContext(resolved.event);
+  req.eventContext = context;
+  res.setHeader('X-Event-Slug', resolved.event.slug);
+  return runInEvent(context, next);
+}
+
+// Route-level body parsers (express.raw, multer) resume on stream callbacks
+// that lost the async context; put it back before the handler runs.
+function bindEventContext(req, res, next) {
+  return runInEvent(req.eventContext || currentEvent(), next);
+}
+
+function serializeEventForPublic(event) {
+  return {
+    id: event.id,
+    slug: event.slug,
+    name: event.name,
+    organizerName: event.branding.organizerName,
+    venueLabel: event.branding.venueLabel,
+    logoUrl: event.branding.logoUrl,
+  };
+}
+
+// ---------- TICKET COUNTER ----------
+// Ticket numbers come from a persistent counter in the data store instead of
+// listing every photo on each upload. Storage is only scanned once per boot to
+// reconcile the counter with files that already exist.
+
+const TICKET_COUNTER_NAME = 'photo_ticket';
+
+// "T015-DD-MM-YY..." -> 15, legacy "01_DD_MM_YY-..." -> 1
+function parsePhotoIndexFromName(name) {
+  if (!name) return 0;
+
+  let idx = 0;
+
+  // New pattern: T001-DD-MM-YY...
+  const matchNew = /^T(\d{3,})-/.exec(name);
+  if (matchNew) {
+    idx = parseInt(matchNew[1], 10);
+  } else {
+    // Legacy pattern: 01_DD_MM_YY-...
+    const matchOld = /^(\d{2,})_/.exec(name);
+    if (matchOld) {
+      idx = parseInt(matchOld[1], 10);
+    }
+  }
+
+  return Number.isNaN(idx) ? 0 : idx;
+}
+
+// Internal helper: read max index from one folder with a given trashed flag.
+// Files created before `sinceMs` belong to a previous event and are ignored.
+async function getMaxIndexInFolderWithTrashFlag(folder, trashedFlag, sinceMs = 0) {
+  let pageToken = null;
+  let maxIndex = 0;
+
+  do {
+    const res = await currentEvent().photoStorage.listFiles(folder, {
+      trashed: trashedFlag,
+      pageSize: 100,
+      pageToken
+    });
+
+    for (const file of res.files) {
+      if (sinceMs) {
+        const createdMs = new Date(file.createdTime).getTime();
+        if (Number.isFinite(createdMs) && createdMs < sinceMs) continue;
+      }
+
+      const idx = parsePhotoIndexFromName(file.name);
+      if (idx > maxIndex) {
+        maxIndex = idx;
+      }
+    }
+
+    pageToken = res.nextPageToken;
+  } while (pageToken);
+
+  return maxIndex;
+}
+
+// Highest ticket in storage (PENDING + APPROVED, including trashed)
+async function scanMaxPhotoIndex(sinceMs = 0) {
+  const maxima = await Promise.all([
+    getMaxIndexInFolderWithTrashFlag('pending', false, sinceMs),
+    getMaxIndexInFolderWithTrashFlag('pending', true, sinceMs),
+    getMaxIndexInFolderWithTrashFlag('approved', false, sinceMs),
+    getMaxIndexInFolderWithTrashFlag('approved', true, sinceMs),
+  ]);
+  return Math.max(...maxima);
+}
+
+// Serialize counter mutations inside this process
+function enqueueTicketCounterTask(task) {
+  const run = currentEvent().ticketCounterQueue.then(task);
+  currentEvent().ticketCounterQueue = run.catch(() => {});
+  return run;
+}
+
+async function reconcileTicketCounter() {
+  const stored = await currentEvent().dataStore.readCounter(TICKET_COUNTER_NAME);
+  const resetAt = stored ? stored.resetAt : '';
+  const resetMs = resetAt ? new Date(resetAt).getTime() : 0;
+  const scannedMax = await scanMaxPhotoIndex(Number.isFinite(resetMs) ? resetMs : 0);
+  const storedValue = stored ? stored.value : 0;
+
+  if (!stored || scannedMax > storedValue) {
+    await currentEvent().dataStore.writeCounter(TICKET_COUNTER_NAME, {
+      value: Math.max(storedValue, scannedMax),
+      resetAt,
+    });
+  }
+
+  console.log('Ticket counter reconciled:', {
+    stored: storedValue,
+    scanned: scannedMax,
+    resetAt: resetAt || null,
+  });
+}
+
+function ensureTicketCounterReady() {
+  const context = currentEvent();
+  if (!context.ticketCounterReadyPromise) {
+    context.ticketCounterReadyPromise = enqueueTicketCounterTask(reconcileTicketCounter).catch((err) => {
+      context.ticketCounterReadyPromise = null;
+      throw err;
+    });
+  }
+  return context.ticketCounterReadyPromise;
+}
+
+// Reserve the next ticket number. Each call gets its own number, even when
+// uploads arrive at the same moment.
+async function reserveTicketNumber() {
+  await ensureTicketCounterReady();
+  const value = await enqueueTicketCounterTask(() => currentEvent().dataStore.incrementCounter(TICKET_COUNTER_NAME));
+  if (!Number.isFinite(value)) {
+    throw new Error('ticket_counter_unavailable');
+  }
+  return value;
+}
+
+async function getTicketCounterStatus() {
+  await ensureTicketCounterReady();
+  const stored = await currentEvent().dataStore.readCounter(TICKET_COUNTER_NAME);
+  const value = stored ? stored.value : 0;
+  return {
+    lastIssued: value,
+    nextTicket: formatTicketLabel(value + 1),
+    resetAt: stored ? stored.resetAt || null : null,
+    updatedAt: stored ? stored.updatedAt || null : null,
+    atomic: Boolean(currentEvent().dataStore.atomicCounters),
+  };
+}
+
+// Start a new event: the next upload gets T001 (or startAt + 1). Photos
+// uploaded before the reset no longer count during reconciliation.
+async function resetTicketCounter(startAt = 0) {
+  await ensureTicketCounterReady();
+  const value = Math.max(0, parseInt(startAt, 10) || 0);
+  return enqueueTicketCounterTask(() =>
+    currentEvent().dataStore.writeCounter(TICKET_COUNTER_NAME, {
+      value,
+      resetAt: new Date().toISOString(),
+    })
+  );
+}
+
+// ---------- IMAGE PIPELINE ----------
+// Every upload goes through sharp once: EXIF orientation is baked in, the long
+// edge is capped at PHOTO_INGEST_MAX_DIMENSION and the result is re-encoded as
+// JPEG (metadata such as GPS is dropped). The resized copies below are written
+// to the "derivatives" folder and linked from the original's appProperties,
+// so admin thumbnails and the gallery never have to pull the full original.
+
+const PHOTO_DERIVATIVE_VARIANTS = {
+  thumb: { maxDimension: 480, format: 'webp', quality: 70, appProperty: 'thumbFileId' },
+  gallery: { maxDimension: 1920, format: 'webp', quality: 82, appProperty: 'galleryFileId' },
+  full: { maxDimension: 2560, format: 'jpeg', quality: 88, appProperty: 'fullFileId' },
+};
+const PHOTO_VARIANT_NAMES = ['original', ...Object.keys(PHOTO_DERIVATIVE_VARIANTS)];
+const PHOTO_FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+const PHOTO_DERIVATIVE_CACHE_MAX = 5000;
+
+function encodePhotoVariant(image, format, quality) {
+  return format === 'webp'
+    ? image.webp({ quality })
+    : image.jpeg({ quality, mozjpeg: true });
+}
+
+function resizeWithin(image, maxDimension) {
+  return image.resize({
+    width: maxDimension,
+    height: maxDimension,
+    fit: 'inside',
+    withoutEnlargement: true,
+  });
+}
+
+// Returns the normalized original plus one buffer per derivative variant.
+// Derivatives are made from the normalized buffer, which is already upright
+// and smaller than the camera file.
+async function processUploadedImage(buffer) {
+  const original = await encodePhotoVariant(
+    resizeWithin(sharp(buffer, { failOn: 'none' }).rotate(), PHOTO_INGEST_MAX_DIMENSION),
+    'jpeg',
+    92
+  ).toBuffer({ resolveWithObject: true });
+
+  const derivatives = {};
+  for (const [variant, spec] of Object.entries(PHOTO_DERIVATIVE_VARIANTS)) {
+    derivatives[variant] = await encodePhotoVariant(
+      resizeWithin(sharp(original.data), spec.maxDimension),
+      spec.format,
+      spec.quality
+    ).toBuffer();
+  }
+
+  return {
+    buffer: original.data,
+    mimeType: 'image/jpeg',
+    width: original.info.width,
+    height: original.info.height,
+    phash: await computePerceptualHash(derivatives.thumb),
+    quality: await measurePhotoQuality(derivatives.thumb),
+    derivatives,
+  };
+}
+
+// 64-bit difference hash (dHash) as 16 hex chars: shrink to 9x8 greyscale and
+// record whether each pixel is brighter than its right-hand neighbour. Two
+// shots of the same pose land a few bits apart; different guests rarely do.
+// Featureless frames (covered lens, blank test shots) all hash alike, so they
+// get no hash rather than matching each other.
+async function computePerceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  if (Math.max(...pixels) - Math.min(...pixels) < PHOTO_HASH_MIN_CONTRAST) return null;
+
+  let hex = '';
+  for (let row = 0; row < 8; row += 1) {
+    let byte = 0;
+    for (let col = 0; col < 8; col += 1) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+// Writes derivative buffers next to the original and returns the appProperties
+// that link them ({ thumbFileId, galleryFileId, fullFileId }).
+async function storePhotoDerivatives(photoName, derivatives) {
+  const storage = currentEvent().photoStorage;
+  if (!storage.supportsDerivatives) return {};
+
+  const baseName = String(photoName || 'photo').replace(/\.[^.]+$/, '');
+  const links = {};
+
+  for (const [variant, buffer] of Object.entries(derivatives || {})) {
+    const spec = PHOTO_DERIVATIVE_VARIANTS[variant];
+    if (!spec || !buffer) continue;
+    try {
+      const created = await storage.createFile('derivatives', {
+        name: `${baseName}.${variant}.${spec.format}`,
+        mimeType: PHOTO_FORMAT_MIME_TYPES[spec.format],
+        buffer,
+        appProperties: { variant, photoName: String(photoName || '') },
+      });
+      links[spec.appProperty] = created.id;
+    } catch (err) {
+      console.warn('Unable to store photo derivative; it will fall back to the original', {
+        photoName,
+        variant,
+        error: err && err.message ? err.message : String(err),
+      });
+    }
+  }
+
+  return links;
+}
+
+// Derivative ids never change once a photo is written, so they are cached per event.
+async function getPhotoDerivativeIds(fileId) {
+  const cache = currentEvent().photoDerivativeCache;
+  if (cache.has(fileId)) return cache.get(fileId);
+
+  const file = await currentEvent().photoStorage.getFile(fileId);
+  const appProperties = (file && file.appProperties) || {};
+  const ids = {};
+  Object.entries(PHOTO_DERIVATIVE_VARIANTS).forEach(([variant, spec]) => {
+    if (appProperties[spec.appProperty]) {
+      ids[variant] = appProperties[spec.appProperty];
+    }
+  });
+
+  cache.set(fileId, ids);
+  if (cache.size > PHOTO_DERIVATIVE_CACHE_MAX) {
+    cache.delete(cache.keys().next().value);
+  }
+  return ids;
+}
+
+// Opens the requested size of a photo. Photos uploaded before the pipeline
+// existed have no derivatives; they fall back to the original unless
+// `fallbackToOriginal` is false, in which case null is returned.
+async function openPhotoVariantStream(fileId, variant, { fallbackToOriginal = true } = {}) {
+  const storage = currentEvent().photoStorage;
+  const spec = PHOTO_DERIVATIVE_VARIANTS[variant];
+
+  if (spec) {
+    const ids = await getPhotoDerivativeIds(fileId);
+    if (ids[variant]) {
+      try {
+        return {
+          stream: await storage.getFileStream(ids[variant]),
+          contentType: PHOTO_FORMAT_MIME_TYPES[spec.format],
+          variant,
+        };
+      } catch (err) {
+        console.warn('Photo derivative unavailable; falling back', {
+          fileId,
+          variant,
+          error: err && err.message ? err.message : String(err),
+        });
+      }
+    }
+    if (!fallbackToOriginal) return null;
+  }
+
+  return {
+    stream: await storage.getFileStream(fileId),
+    contentType: 'image/jpeg',
+    variant: 'original',
+  };
+}
+
+// ?size=thumb|gallery|full|original; the WebP gallery size drops to the full
+// JPEG for clients that do not advertise WebP support.
+function resolveRequestedPhotoVariant(req, defaultVariant) {
+  const requested = String((req.query && req.query.size) || '').trim().toLowerCase();
+  const variant = PHOTO_VARIANT_NAMES.includes(requested) ? requested : defaultVariant;
+  const spec = PHOTO_DERIVATIVE_VARIANTS[variant];
+  const accept = String(req.headers.accept || '');
+
+  if (spec && spec.format === 'webp' && accept && !/image\/webp|image\/\*|\*\/\*/.test(accept)) {
+    return 'full';
+  }
+  return variant;
+}
+
+async function streamToBuffer(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Thumbnail for photos without a stored derivative (uploaded before the pipeline).
+async function renderThumbnailFromOriginal(fileId) {
+  const original = await streamToBuffer(await currentEvent().photoStorage.getFileStream(fileId));
+  const spec = PHOTO_DERIVATIVE_VARIANTS.thumb;
+  return {
+    buffer: await encodePhotoVariant(
+      resizeWithin(sharp(original, { failOn: 'none' }).rotate(), spec.maxDimension),
+      spec.format,
+      spec.quality
+    ).toBuffer(),
+    contentType: PHOTO_FORMAT_MIME_TYPES[spec.format],
+    source: 'resized_original',
+  };
+}
+
+// ---------- DUPLICATE DETECTION ----------
+// Guests double-tap capture or re-send the same picture. Each upload's dHash
+// (see IMAGE PIPELINE) is compared with the most recent pending / approved
+// photos, kept in an in-memory index per event that is seeded from storage on
+// first use. The hash is stored on each photo (appProperties.phash) and every
+// check re-reads it from the newest photos in storage, so a re-send that lands
+// on another instance (another Vercel lambda) is still matched. A near match
+// is written on the new photo (duplicateOf, duplicateTicket,
+// duplicateDistance) so moderators see it; with settings.duplicates.autoMerge
+// the upload is dropped and the guest gets the earlier ticket back.
+
+const PHOTO_DUPLICATE_MAX_DISTANCE = parseInt(process.env.PHOTO_DUPLICATE_MAX_DISTANCE, 10) || 6;
+const PHOTO_HASH_INDEX_MAX = 400;
+const PHOTO_HASH_REFRESH_COUNT = 25; // newest photos per folder re-read on each check
+const PHOTO_HASH_MIN_CONTRAST = 8; // grey levels across the 9x8 sample
+
+function hammingDistanceHex(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+function rememberPhotoHash(file) {
+  const hash = file && file.appProperties && file.appProperties.phash;
+  if (!hash) return;
+  const entries = currentEvent().photoHashIndex.entries;
+  entries.delete(file.id);
+  entries.set(file.id, { fileId: file.id, name: file.name || '', hash });
+  while (entries.size > PHOTO_HASH_INDEX_MAX) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+function ensurePhotoHashIndex() {
+  const index = currentEvent().photoHashIndex;
+  if (!index.loadPromise) {
+    const storage = currentEvent().photoStorage;
+    const perFolder = Math.floor(PHOTO_HASH_INDEX_MAX / 2);
+    index.loadPromise = Promise.all([
+      storage.listFiles('approved', { orderBy: 'createdTime desc', pageSize: perFolder }),
+      storage.listFiles('pending', { orderBy: 'createdTime desc', pageSize: perFolder }),
+    ])
+      .then((results) => {
+        // Oldest first so the newest end up at the tail of the Map
+        sortPhotoFiles(results.flatMap((res) => res.files), 'createdTime asc').forEach(rememberPhotoHash);
+      })
+      .catch((err) => {
+        index.loadPromise = null;
+        console.warn('Unable to seed photo hash index:', err.message || err);
+      });
+  }
+  return index.loadPromise;
+}
+
+// Uploads handled by other instances since the index was seeded
+async function refreshRecentPhotoHashes() {
+  const storage = currentEvent().photoStorage;
+  const results = await Promise.all(['approved', 'pending'].map((folder) => (
+    storage.listFiles(folder, { orderBy: 'createdTime desc', pageSize: PHOTO_HASH_REFRESH_COUNT })
+  )));
+  sortPhotoFiles(results.flatMap((res) => res.files), 'createdTime asc').forEach(rememberPhotoHash);
+}
+
+// Closest pending / approved photo within PHOTO_DUPLICATE_MAX_DISTANCE, or null.
+// Index entries whose photo has since been rejected or removed are dropped.
+async function findDuplicatePhoto(hash) {
+  if (!hash) return null;
+  const seeding = !currentEvent().photoHashIndex.loadPromise;
+  await ensurePhotoHashIndex();
+  if (!seeding) {
+    await refreshRecentPhotoHashes().catch((err) => {
+      console.warn('Unable to refresh photo hash index:', err.message || err);
+    });
+  }
+
+  const entries = currentEvent().photoHashIndex.entries;
+  const candidates = Array.from(entries.values())
+    .map((entry) => ({ ...entry, distance: hammingDistanceHex(hash, entry.hash) }))
+    .filter((entry) => entry.distance <= PHOTO_DUPLICATE_MAX_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+
+  for (const candidate of candidates) {
+    const file = await currentEvent().photoStorage.getFile(candidate.fileId).catch(() => null);
+    const state = getPhotoState(file);
+    if (state !== 'pending' && state !== 'approved') {
+      entries.delete(candidate.fileId);
+      continue;
+    }
+    const photoNumber = extractTicketNumber(file.name);
+    return {
+      fileId: file.id,
+      name: file.name,
+      state,
+      photoNumber,
+      ticketLabel: photoNumber ? formatTicketLabel(photoNumber) : '',
+      distance: candidate.distance,
+    };
+  }
+  return null;
+}
+
+function isDuplicateAutoMergeEnabled() {
+  const duplicates = currentEvent().appSettings.duplicates;
+  return Boolean(duplicates && duplicates.autoMerge);
+}
+
+// Duplicate flag stored on a photo, shaped for the admin UI
+function serializeDuplicateFlag(file) {
+  const appProperties = (file && file.appProperties) || {};
+  if (!appProperties.duplicateOf) return null;
+  return {
+    fileId: appProperties.duplicateOf,
+    ticketLabel: appProperties.duplicateTicket || '',
+    photoNumber: parseInt(String(appProperties.duplicateTicket || '').replace(/^T/i, ''), 10) || null,
+    distance: parseInt(appProperties.duplicateDistance, 10),
+    thumbnailUrl: `/admin/photo/${encodeURIComponent(appProperties.duplicateOf)}/thumbnail`,
+  };
+}
+
+// ---------- QUALITY PRE-SCREENING ----------
+// Black frames, pocket shots and heavy motion blur are scored at upload time
+// from the thumb derivative: mean brightness, contrast (greyscale stdev) and
+// sharpness (stdev of a Laplacian pass). Each metric scores 50 at its limit
+// and 100 at twice the limit; the photo's score is its weakest metric.
+
+const PHOTO_QUALITY_LIMITS = {
+  minBrightness: 30,
+  maxBrightness: 235,
+  minContrast: 10,
+  minSharpness: 4,
+};
+const PHOTO_QUALITY_WARNINGS = ['dark', 'overexposed', 'uniform', 'blurry'];
+const QUALITY_CHECK_MODERATOR = { id: 'quality-check', name: 'Quality check' };
+
+function scoreAgainstLimit(value, limit) {
+  if (limit <= 0) return 1;
+  return Math.max(0, Math.min(1, value / (2 * limit)));
+}
+
+async function measurePhotoQuality(buffer) {
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#000000' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const raw = { raw: { width: info.width, height: info.height, channels: 1 } };
+
+  // stats() reads its input, not the pipeline, so the Laplacian is materialised first
+  const laplacian = await sharp(data, raw)
+    .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+    .raw()
+    .toBuffer();
+  const [tone] = (await sharp(data, raw).stats()).channels;
+  const [edges] = (await sharp(laplacian, raw).stats()).channels;
+
+  const limits = PHOTO_QUALITY_LIMITS;
+  const brightness = tone.mean;
+  const contrast = tone.stdev;
+  const sharpness = edges.stdev;
+
+  const warnings = [];
+  if (brightness < limits.minBrightness) warnings.push('dark');
+  if (brightness > limits.maxBrightness) warnings.push('overexposed');
+  if (contrast < limits.minContrast) warnings.push('uniform');
+  if (sharpness < limits.minSharpness) warnings.push('blurry');
+
+  const score = Math.min(
+    scoreAgainstLimit(brightness, limits.minBrightness),
+    scoreAgainstLimit(255 - brightness, 255 - limits.maxBrightness),
+    scoreAgainstLimit(contrast, limits.minContrast),
+    scoreAgainstLimit(sharpness, limits.minSharpness)
+  );
+
+  return {
+    score: Math.round(score * 100),
+    brightness: Math.round(brightness),
+    contrast: Math.round(contrast * 10) / 10,
+    sharpness: Math.round(sharpness * 10) / 10,
+    warnings,
+  };
+}
+
+function buildQualityAppProperties(quality) {
+  if (!quality) return {};
+  return {
+    qualityScore: String(quality.score),
+    qualityBrightness: String(quality.brightness),
+    qualityContrast: String(quality.contrast),
+    qualitySharpness: String(quality.sharpness),
+    qualityWarnings: quality.warnings.join(','),
+  };
+}
+
+function serializePhotoQuality(file) {
+  const appProperties = (file && file.appProperties) || {};
+  if (appProperties.qualityScore == null || appProperties.qualityScore === '') return null;
+  return {
+    score: parseInt(appProperties.qualityScore, 10),
+    brightness: parseFloat(appProperties.qualityBrightness),
+    contrast: parseFloat(appProperties.qualityContrast),
+    sharpness: parseFloat(appProperties.qualitySharpness),
+    warnings: String(appProperties.qualityWarnings || '')
+      .split(',')
+      .filter((warning) => PHOTO_QUALITY_WARNINGS.includes(warning)),
+  };
+}
+
+// Threshold to auto-reject below, or 0 when auto-reject is off
+function getQualityAutoRejectThreshold() {
+  const quality = currentEvent().appSettings.quality;
+  if (!quality || !quality.autoReject) return 0;
+  return quality.autoRejectBelow || DEFAULT_APP_SETTINGS.quality.autoRejectBelow;
+}
+
+// ---------- AUTO-MODERATION ----------
+// A classifier gets every upload and answers with labels and 0-1 scores. The
+// event's policy (settings.autoModeration) turns the scores into a decision:
+// reject, approve, or leave the photo for a moderator ("needs_human"). Approve
+// and reject go through the same state transitions as /admin/approve and
+// /admin/reject, so auto-rejected photos stay restorable.
+//
+// Provider interface: { name, classify({ buffer, mimeType, fileId, name }) }
+// resolving to { labels: [{ label, score }] } (or { labels: { label: score } }).
+
+const AUTO_MODERATION_MODERATOR = { id: 'auto-moderation', name: 'Auto-moderation' };
+const AUTO_MODERATION_DECISIONS = ['approve', 'reject', 'needs_human'];
+
+function parseModerationLabelList(value) {
+  return String(value || '')
+    .split(',')
+    .map((label) => label.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// "nsfw=0.1,violence=0" -> [{ label: 'nsfw', score: 0.1 }, ...]
+function parseModerationRules(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.split('='))
+    .filter(([label, score]) => label && label.trim() && Number.isFinite(parseFloat(score)))
+    .map(([label, score]) => ({ label: label.trim().toLowerCase(), score: parseFloat(score) }));
+}
+
+function createHttpModerationProvider({ url, token, timeoutMs }) {
+  return {
+    name: 'http',
+    async classify({ buffer, mimeType, fileId, name }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': mimeType || 'image/jpeg',
+          'x-photo-id': String(fileId || ''),
+          'x-photo-name': String(name || ''),
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+        },
+        body: buffer,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Classifier responded with HTTP ${response.status}`);
+      }
+      return response.json();
+    },
+  };
+}
+
+function createRulesModerationProvider(rules) {
+  const labels = parseModerationRules(rules);
+  return {
+    name: 'rules',
+    async classify() {
+      return { labels: labels.map((entry) => ({ ...entry })) };
+    },
+  };
+}
+
+// config: { provider, url, token, timeoutMs, rules }; null when auto-moderation is off
+function createModerationProvider(config) {
+  switch (config.provider) {
+    case 'none':
+    case '':
+      return null;
+    case 'http':
+      if (!config.url) {
+        console.warn('AUTO_MODERATION_PROVIDER=http needs AUTO_MODERATION_URL; auto-moderation is off.');
+        return null;
+      }
+      return createHttpModerationProvider(config);
+    case 'rules':
+      return createRulesModerationProvider(config.rules);
+    default:
+      console.warn(`Unknown AUTO_MODERATION_PROVIDER "${config.provider}"; auto-moderation is off.`);
+      return null;
+  }
+}
+
+const autoModerationProvider = createModerationProvider({
+  provider: AUTO_MODERATION_PROVIDER,
+  url: AUTO_MODERATION_URL,
+  token: AUTO_MODERATION_TOKEN,
+  timeoutMs: AUTO_MODERATION_TIMEOUT_MS,
+  rules: AUTO_MODERATION_RULES,
+});
+
+function normalizeModerationLabels(result) {
+  const raw = result && result.labels;
+  const entries = Array.isArray(raw)
+    ? raw.map((entry) => [entry && (entry.label || entry.name), entry && (entry.score ?? entry.confidence)])
+    : Object.entries(raw && typeof raw === 'object' ? raw : {});
+  return entries
+    .map(([label, score]) => ({ label: String(label || '').trim().toLowerCase(), score: Number(score) }))
+    .filter((entry) => entry.label && Number.isFinite(entry.score))
+    .map((entry) => ({ label: entry.label, score: Math.min(1, Math.max(0, entry.score)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// The highest-scoring flagged label decides. A result with none of the flagged
+// labels cannot be trusted to approve, so it goes to a moderator.
+function decideAutoModeration(labels, policy) {
+  const flagged = parseModerationLabelList(policy.rejectLabels);
+  const scored = labels.filter((entry) => flagged.includes(entry.label));
+  const top = scored[0] || null;
+
+  if (top && top.score >= policy.rejectAbove) {
+    return { decision: 'reject', flaggedLabel: top.label, flaggedScore: top.score };
+  }
+  if (scored.length && policy.approveBelow > 0 && top.score < policy.approveBelow) {
+    return { decision: 'approve', flaggedLabel: top.label, flaggedScore: top.score };
+  }
+  return {
+    decision: 'needs_human',
+    flaggedLabel: top ? top.label : '',
+    flaggedScore: top ? top.score : null,
+  };
+}
+
+// "nsfw:0.97,violence:0.02", trimmed to fit a Drive appProperty
+function formatModerationLabels(labels) {
+  let text = '';
+  for (const entry of labels) {
+    const part = `${entry.label}:${entry.score.toFixed(2)}`;
+    const nextText = text ? `${text},${part}` : part;
+    if (nextText.length > 100) break;
+    text = nextText;
+  }
+  return text;
+}
+
+function serializeAutoModeration(file) {
+  const appProperties = (file && file.appProperties) || {};
+  if (!AUTO_MODERATION_DECISIONS.includes(appProperties.autoModDecision)) return null;
+  return {
+    decision: appProperties.autoModDecision,
+    provider: appProperties.autoModProvider || '',
+    labels: normalizeModerationLabels({
+      labels: Object.fromEntries(
+        String(appProperties.autoModLabels || '')
+          .split(',')
+          .filter(Boolean)
+          .map((entry) => entry.split(':'))
+      ),
+    }),
+    error: appProperties.autoModError || '',
+  };
+}
+
+// Classify a freshly stored pending photo and act on the policy. Classifier
+// failures never block the upload: the photo simply waits for a moderator.
+async function runAutoModeration(file, { buffer, mimeType, ticketLabel }) {
+  const policy = currentEvent().appSettings.autoModeration;
+  if (!autoModerationProvider || !policy || !policy.enabled) return null;
+
+  let labels = [];
+  let outcome;
+  let error = '';
+  try {
+    labels = normalizeModerationLabels(
+      await autoModerationProvider.classify({ buffer, mimeType, fileId: file.id, name: file.name })
+    );
+    outcome = decideAutoModeration(labels, policy);
+  } catch (err) {
+    error = clampString(err && err.message ? err.message : String(err), 80);
+    console.warn('Auto-moderation classifier failed; leaving photo for a moderator:', error);
+    outcome = { decision: 'needs_human', flaggedLabel: '', flaggedScore: null };
+  }
+
+  const storage = currentEvent().photoStorage;
+  try {
+    await storage.updateFile(file.id, {
+      autoModDecision: outcome.decision,
+      autoModProvider: autoModerationProvider.name,
+      autoModLabels: formatModerationLabels(labels),
+      autoModError: error,
+    });
+
+    if (outcome.decision === 'approve') {
+      await approvePendingPhoto(file.id, AUTO_MODERATION_MODERATOR, null, 'auto_moderation');
+      runPostApprovalWork(file.id);
+    } else if (outcome.decision === 'reject') {
+      await rejectPendingPhoto(
+        file.id,
+        AUTO_MODERATION_MODERATOR,
+        { reason: 'inappropriate', note: `${outcome.flaggedLabel} ${outcome.flaggedScore.toFixed(2)}` },
+        null,
+        'auto_moderation'
+      );
+    }
+  } catch (err) {
+    console.warn('Unable to apply auto-moderation decision; leaving photo pending:', err.message || err);
+    outcome = { ...outcome, decision: 'needs_human' };
+    error = error || clampString(err && err.message ? err.message : String(err), 80);
+  }
+
+  logMetricsEvent('auto_moderation_decision', null, {
+    sessionId: 'moderation',
+    ticket: ticketLabel,
+    source: 'auto_moderation',
+    metadata: {
+      fileId: file.id,
+      provider: autoModerationProvider.name,
+      decision: outcome.decision,
+      flaggedLabel: outcome.flaggedLabel || undefined,
+      flaggedScore: outcome.flaggedScore != null ? outcome.flaggedScore : undefined,
+      labels: formatModerationLabels(labels),
+      error: error || undefined,
+    },
+  }).catch(() => {});
+
+  return { ...outcome, labels, error };
+}
+
+// ---------- FRAMED PHOTOS ----------
+// Server-side version of admin.html's renderDownloadWithTemplate: the photo is
+// cover-fitted into the active template's photoBox and the published flattened
+// overlay is laid on top. The result is stored as a "framed" derivative and
+// linked from the photo's appProperties together with the overlay version it
+// was rendered against, so a template change re-renders on the next request.
+
+const FRAMED_PHOTO_CANVAS = { width: 1920, height: 1080 };
+const FRAMED_PHOTO_QUALITY = 90;
+const FRAMED_OVERLAY_CACHE_MAX = 4;
+const framedOverlayBufferCache = new Map(); // overlayFileId -> Buffer (template assets are shared across events)
+
+async function loadFramedOverlayBuffer(overlayFileId) {
+  if (framedOverlayBufferCache.has(overlayFileId)) {
+    return framedOverlayBufferCache.get(overlayFileId);
+  }
+
+  const driveRes = await getGoogleClients().drive.files.get(
+    {
+      fileId: overlayFileId,
+      alt: 'media',
+    },
+    { responseType: 'stream' }
+  );
+  const buffer = await streamToBuffer(driveRes.data);
+
+  framedOverlayBufferCache.set(overlayFileId, buffer);
+  if (framedOverlayBufferCache.size > FRAMED_OVERLAY_CACHE_MAX) {
+    framedOverlayBufferCache.delete(framedOverlayBufferCache.keys().next().value);
+  }
+  return buffer;
+}
+
+// { template, overlayFileId, version, photoBox } for the active overlay, or null
+async function resolveFramedPhotoTemplate() {
+  try {
+    await hydrateSettingsFromSheet();
+  } catch (hydrateErr) {
+    console.warn('Framed photo settings hydration failed; using last in-memory state.', hydrateErr.message || hydrateErr);
+  }
+
+  const resolved = await resolveActiveGalleryOverlayTemplate();
+  const overlayFileId = normalizeTemplateAssetFileId(resolved.template?.data?.overlayFileId || '');
+  if (!overlayFileId) return null;
+
+  return {
+    template: resolved.template,
+    overlayFileId,
+    version: String(resolved.template.data?.overlayVersion || buildTemplateVersion(resolved.template)),
+    photoBox: normalizeTemplatePhotoBox(resolved.template.data?.photoBox),
+  };
+}
+
+async function compositeFramedPhoto(photoBuffer, overlayBuffer, photoBox) {
+  const { width, height } = FRAMED_PHOTO_CANVAS;
+  const box = {
+    left: Math.min(photoBox.x, width - 1),
+    top: Math.min(photoBox.y, height - 1),
+  };
+  box.width = Math.max(1, Math.min(photoBox.width, width - box.left));
+  box.height = Math.max(1, Math.min(photoBox.height, height - box.top));
+
+  const [photo, overlay] = await Promise.all([
+    sharp(photoBuffer, { failOn: 'none' })
+      .rotate()
+      .resize({ width: box.width, height: box.height, fit: 'cover', position: 'centre' })
+      .toBuffer(),
+    sharp(overlayBuffer)
+      .resize({ width, height, fit: 'fill' })
+      .png()
+      .toBuffer(),
+  ]);
+
+  return sharp({
+    create: { width, height, channels: 3, background: '#000000' },
+  })
+    .composite([
+      { input: photo, left: box.left, top: box.top },
+      { input: overlay, left: 0, top: 0 },
+    ])
+    .jpeg({ quality: FRAMED_PHOTO_QUALITY, mozjpeg: true })
+    .toBuffer();
+}
+
+// Returns { buffer, contentType, fileId, version, source } or null when no
+// flattened overlay is published. `force` skips the stored copy. Concurrent
+// callers (approval + guest email) share one render.
+function getFramedPhoto(fileId, { force = false } = {}) {
+  const renders = currentEvent().framedPhotoRenders;
+  if (!force && renders.has(fileId)) return renders.get(fileId);
+
+  const promise = renderFramedPhoto(fileId, force).finally(() => {
+    if (renders.get(fileId) === promise) renders.delete(fileId);
+  });
+  renders.set(fileId, promise);
+  return promise;
+}
+
+async function renderFramedPhoto(fileId, force) {
+  const storage = currentEvent().photoStorage;
+  const framing = await resolveFramedPhotoTemplate();
+  if (!framing) return null;
+
+  const file = await storage.getFile(fileId);
+  const appProperties = file.appProperties || {};
+
+  if (!force && appProperties.framedFileId && appProperties.framedTemplateVersion === framing.version) {
+    try {
+      return {
+        buffer: await streamToBuffer(await storage.getFileStream(appProperties.framedFileId)),
+        contentType: 'image/jpeg',
+        fileId: appProperties.framedFileId,
+        version: framing.version,
+        source: 'stored',
+      };
+    } catch (err) {
+      console.warn('Stored framed photo unavailable; rendering again', {
+        fileId,
+        framedFileId: appProperties.framedFileId,
+        error: err && err.message ? err.message : String(err),
+      });
+    }
+  }
+
+  const photo = await openPhotoVariantStream(fileId, 'full');
+  const [photoBuffer, overlayBuffer] = await Promise.all([
+    streamToBuffer(photo.stream),
+    loadFramedOverlayBuffer(framing.overlayFileId),
+  ]);
+  const buffer = await compositeFramedPhoto(photoBuffer, overlayBuffer, framing.photoBox);
+
+  let framedFileId = '';
+  if (storage.supportsDerivatives) {
+    try {
+      const created = await storage.createFile('derivatives', {
+        name: `${String(file.name || 'photo').replace(/\.[^.]+$/, '')}.framed.jpeg`,
+        mimeType: 'image/jpeg',
+        buffer,
+        appProperties: { variant: 'framed', photoName: String(file.name || ''), templateVersion: framing.version },
+      });
+      framedFileId = created.id;
+      await storage.updateFile(fileId, {
+        framedFileId,
+        framedTemplateVersion: framing.version,
+      });
+      if (appProperties.framedFileId) {
+        storage.trashFile(appProperties.framedFileId).catch(() => {});
+      }
+    } catch (err) {
+      console.warn('Unable to store framed photo; serving the rendered copy only', {
+        fileId,
+        error: err && err.message ? err.message : String(err),
+      });
+    }
+  }
+
+  return {
+    buffer,
+    contentType: 'image/jpeg',
+    fileId: framedFileId,
+    version: framing.version,
+    source: 'rendered',
+  };
+}
+
+// ---------- PHOTO HELPERS ----------
+
+// Ticket label: T001, T002, ...
+function formatTicketLabel(counter) {
+  const num = String(counter).padStart(3, '0');
+  return `T${num}`;
+}
+
+// Build filename T001-DD-MM-YY-HH-MM-PR.jpeg, ending in the event's branding.fileSuffix
+function buildServerFileName(counter) {
+  const prNow = getPRDate();
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  const dd = pad(prNow.getDate());
+  const mm = pad(prNow.getMonth() + 1);
+  const yy = String(prNow.getFullYear()).slice(-2);
+  const HH = pad(prNow.getHours());
+  const MM = pad(prNow.getMinutes());
+
+  const ticketLabel = formatTicketLabel(counter);
+  const { branding, slug } = currentEvent().event;
+  const suffix = String(branding.fileSuffix || slug.toUpperCase()).replace(/[^A-Za-z0-9]/g, '').slice(0, 24) || 'PR';
+
+  return `${ticketLabel}-${dd}-${mm}-${yy}-${HH}-${MM}-${suffix}.jpeg`;
+}
+
+// Upload file to photo storage → PENDING folder
+// The image is normalized by the IMAGE PIPELINE (no overlay is burned in);
+// if sharp cannot decode it, the buffer is stored as-is like before.
+async function uploadFile(fileBuffer, originalname, mimetype, extraAppProperties = {}) {
+  let processed = null;
+  try {
+    processed = await processUploadedImage(fileBuffer);
+  } catch (err) {
+    console.warn('Image pipeline failed; storing upload unprocessed', {
+      error: err && err.message ? err.message : String(err),
+    });
+  }
+
+  const duplicate = processed
+    ? await findDuplicatePhoto(processed.phash).catch((err) => {
+        console.warn('Duplicate check failed:', err.message || err);
+        return null;
+      })
+    : null;
+
+  // Same picture again: hand back the earlier ticket, no new queue entry
+  if (duplicate && duplicate.photoNumber && isDuplicateAutoMergeEnabled()) {
+    return {
+      fileId: duplicate.fileId,
+      finalName: duplicate.name,
+      ticketIndex: duplicate.photoNumber,
+      ticketLabel: duplicate.ticketLabel,
+      ticketDisplay: '#' + String(duplicate.photoNumber).padStart(3, '0'),
+      duplicate,
+      merged: true,
+    };
+  }
+
+  // Decide ticket index & labels
+  const nextIndex = await reserveTicketNumber();
+  const finalName = buildServerFileName(nextIndex);
+  const ticketLabel = formatTicketLabel(nextIndex); // "T001"
+  const ticketDisplay = '#' + String(nextIndex).padStart(3, '0'); // "#001" for FE tan ticket
+
+  const appProperties = {
+    ...extraAppProperties,
+    ...(duplicate
+      ? {
+          duplicateOf: duplicate.fileId,
+          duplicateTicket: duplicate.ticketLabel,
+          duplicateDistance: String(duplicate.distance),
+        }
+      : {}),
+    ...(processed
+      ? {
+          ingest: 'sharp',
+          width: String(processed.width),
+          height: String(processed.height),
+          ...(processed.phash ? { phash: processed.phash } : {}),
+          ...buildQualityAppProperties(processed.quality),
+          ...(await storePhotoDerivatives(finalName, processed.derivatives)),
+        }
+      : { ingest: 'raw' }),
+  };
+
+  const created = await currentEvent().photoStorage.createFile('pending', {
+    name: finalName,
+    mimeType: processed ? processed.mimeType : mimetype,
+    buffer: processed ? processed.buffer : fileBuffer,
+    appProperties,
+  });
+  broadcastAdminEvent('upload', {
+    fileId: created.id,
+    ticketLabel,
+    photoNumber: nextIndex,
+  });
+
+  // Unusable shot: straight to the archive, restorable like any rejection.
+  // The guest still gets their ticket.
+  const quality = processed ? processed.quality : null;
+  const rejectBelow = getQualityAutoRejectThreshold();
+  let autoRejected = false;
+  if (quality && rejectBelow && quality.score < rejectBelow) {
+    try {
+      await transitionPhotoState(created.id, 'rejected', {
+        moderator: QUALITY_CHECK_MODERATOR,
+        reason: 'poor_quality',
+        note: `Score ${quality.score}${quality.warnings.length ? `: ${quality.warnings.join(', ')}` : ''}`,
+        source: 'quality_check',
+      });
+      autoRejected = true;
+    } catch (err) {
+      console.warn('Quality auto-reject failed; leaving photo pending:', err.message || err);
+    }
+  }
+
+  let autoModeration = null;
+  if (!autoRejected) {
+    autoModeration = await runAutoModeration(created, {
+      buffer: processed ? processed.derivatives.full : fileBuffer,
+      mimeType: processed ? PHOTO_FORMAT_MIME_TYPES[PHOTO_DERIVATIVE_VARIANTS.full.format] : mimetype,
+      ticketLabel,
+    });
+    autoRejected = Boolean(autoModeration && autoModeration.decision === 'reject');
+  }
+  if (!autoRejected) rememberPhotoHash(created);
+
+  const approved = Boolean(autoModeration && autoModeration.decision === 'approve');
+  const trustedEligible = isTrustedApproveEligible({
+    ...appProperties,
+    autoModDecision: autoModeration ? autoModeration.decision : '',
+  });
+  if (!autoRejected && !approved && trustedEligible && getTrustedApproveDelayMs() === 0) {
+    try {
+      await approvePendingPhoto(created.id, TRUSTED_APPROVE_MODERATOR, null, 'trusted_mode');
+      runPostApprovalWork(created.id);
+    } catch (err) {
+      console.warn('Immediate auto-approve failed; the next sweep retries:', err.message || err);
+    }
+  }
+
+  return {
+    fileId: created.id,
+    finalName,
+    ticketIndex: nextIndex,
+    ticketLabel,
+    ticketDisplay,
+    duplicate,
+    merged: false,
+    quality,
+    autoRejected,
+    autoModeration: autoModeration ? autoModeration.decision : null,
+  };
+}
+
+// NEW: count pending photos for admin UI "AWAITING APPROVAL"
+async function countPendingPhotos() {
+  const res = await currentEvent().photoStorage.listFiles('pending', {
+    pageSize: 1000,
+  });
+  return res.files.length;
+}
+
+// List all files in a photo folder (non-trashed)
+async function listFilesInFolder(folder) {
+  let pageToken = null;
+  const results = [];
+
+  do {
+    const res = await currentEvent().photoStorage.listFiles(folder, {
+      orderBy: 'createdTime desc', // Newest first
+      pageSize: 100,
+      pageToken,
+    });
+
+    const files = res.files;
+    for (const f of files) {
+      results.push({
+        id: f.id,
+        name: f.name,
+        createdTime: f.createdTime,
+      });
+    }
+
+    pageToken = res.nextPageToken;
+  } while (pageToken);
+
+  return results;
+}
+
+// ---------- SHEETS HELPERS (LOGS) ----------
+
+// Generic log to Google Sheets (new columns)
+async function logEventToSheet(
+  eventType,
+  {
+    email = '',
+    sessionId = '',
+    country = '',
+    region = '',
+    lastName = '',
+    newsletter = null,
+    ticket = '',
+    timestampUtc = null
+  } = {}
+) {
+  const utcStr = timestampUtc || new Date().toISOString();
+  const dUtc = new Date(utcStr);
+  if (Number.isNaN(dUtc.getTime())) {
+    console.warn('Invalid UTC timestamp for logEventToSheet, skipping:', utcStr);
+    return;
+  }
+
+  const dPR = toPR(dUtc);
+  const prStr = formatPRDateTimeShort(dPR);
+
+  // Normalize newsletter to "Y" / "N" / ""
+  const newsletterStr = getNewsletterFlag(newsletter);
+
+  const values = [
+    utcStr,          // A timestamp_utc
+    prStr,           // B timestamp_pr
+    eventType,       // C event_type
+    email || '',     // D email
+    sessionId || '', // E session_id
+    country || '',   // F country
+    region || '',    // G region
+    lastName || '',  // H last_name
+    newsletterStr,   // I newsletter
+    ticket || ''     // J ticket
+  ];
+
+  const logged = await currentEvent().dataStore.appendSessionRow(values);
+  if (!logged) {
+    console.warn('Session log store unavailable, skipping logEventToSheet');
+    return;
+  }
+
+  console.log('Logged event to sheet:', {
+    eventType,
+    utcStr,
+    prStr,
+    email,
+    sessionId,
+    country,
+    region,
+    lastName,
+    newsletter: newsletterStr,
+    ticket,
+  });
+}
+
+async function resetSessionLogs() {
+  try {
+    const reset = await currentEvent().dataStore.resetSessionRows();
+    if (!reset) {
+      console.warn('Session log store unavailable, cannot reset logs.');
+    }
+    return reset;
+  } catch (err) {
+    console.error('Error resetting session logs:', err.message || err);
+    return false;
+  }
+}
+
+async function clearPhotoFolders() {
+  const result = {
+    trashedCount: 0,
+    errors: []
+  };
+
+  let pendingFiles = [];
+  let approvedFiles = [];
+
+  try {
+    pendingFiles = await listFilesInFolder('pending');
+  } catch (err) {
+    console.error('Error listing pending files during clear-drive:', err);
+    result.errors.push('pending_list_failed');
+  }
+
+  try {
+    approvedFiles = await listFilesInFolder('approved');
+  } catch (err) {
+    console.error('Error listing approved files during clear-drive:', err);
+    result.errors.push('approved_list_failed');
+  }
+
+  let archivedFiles = [];
+  try {
+    archivedFiles = await listArchivedPhotoFiles();
+  } catch (err) {
+    console.error('Error listing archived files during clear-drive:', err);
+    result.errors.push('archive_list_failed');
+  }
+
+  const allFiles = [...pendingFiles, ...approvedFiles, ...archivedFiles];
+
+  for (const file of allFiles) {
+    try {
+      // Already in the trash (no archive folder): only the state keeps it restorable
+      if (file.trashed) await currentEvent().photoStorage.updateFile(file.id, { moderationState: 'deleted' });
+      else await currentEvent().photoStorage.trashFile(file.id);
+      result.trashedCount += 1;
+    } catch (innerErr) {
+      console.error('Error trashing file during clear-drive:', file.id, innerErr);
+      result.errors.push(`trash_failed:${file.id}`);
+    }
+  }
+
+  if (currentEvent().photoStorage.supportsDerivatives) {
+    try {
+      const derivativeFiles = await listFilesInFolder('derivatives');
+      for (const file of derivativeFiles) {
+        await currentEvent().photoStorage.trashFile(file.id).catch((innerErr) => {
+          console.error('Error trashing derivative during clear-drive:', file.id, innerErr);
+        });
+      }
+    } catch (err) {
+      console.error('Error listing derivatives during clear-drive:', err);
+    }
+    currentEvent().photoDerivativeCache.clear();
+  }
+
+  invalidatePhotoFolderCaches('pending');
+  invalidatePhotoFolderCaches('approved');
+  invalidatePhotoFolderCaches('archive');
+
+  return result;
+}
+
+async function performSessionCleanup() {
+  const cleanup = {
+    logsCleared: false,
+    trashedCount: 0,
+    errors: []
+  };
+
+  try {
+    cleanup.logsCleared = await resetSessionLogs();
+    if (!cleanup.logsCleared) {
+      cleanup.errors.push('reset_logs_failed');
+    }
+  } catch (err) {
+    console.error('Error during reset logs cleanup:', err);
+    cleanup.errors.push('reset_logs_failed');
+  }
+
+  try {
+    const driveResult = await clearPhotoFolders();
+    cleanup.trashedCount = driveResult.trashedCount;
+    cleanup.errors.push(...driveResult.errors);
+  } catch (err) {
+    console.error('Error during drive cleanup:', err);
+    cleanup.errors.push('clear_drive_failed');
+  }
+
+  return cleanup;
+}
+
+// Read TODAY logs (in PR) from the Sheet and compute stats
+async function getTodayStatsFromSheet() {
+  const { startUtc, endUtc } = getTodayPRRangeUtc();
+
+  const rows = await currentEvent().dataStore.readSessionRows({ startUtc, endUtc });
+  if (!rows.length) {
+    return {
+      visits: 0,
+      forms: 0,
+      uploads: 0,
+      eventsForPrimeHour: [],
+      newsletterEmails: []
+    };
+  }
+
+  let visits = 0;
+  let forms = 0;
+  let uploads = 0;
+  const eventsForPrimeHour = []; // { ts: string }
+  const newsletterSet = new Set(); // dedupe emails
+
+  for (const row of rows) {
+    const tsUtcStr = row[0];
+    const eventType = row[2];
+
+    if (!tsUtcStr || !eventType) continue;
+
+    const ts = new Date(tsUtcStr);
+    if (Number.isNaN(ts.getTime())) continue;
+
+    if (ts < startUtc || ts > endUtc) continue;
+
+    if (eventType === 'visit') visits++;
+    else if (eventType === 'form') forms++;
+    else if (eventType === 'upload') uploads++;
+
+    eventsForPrimeHour.push({ ts: tsUtcStr });
+
+    // newsletter opt-in lives in column I (index 8), email in D (index 3)
+    const email = row[3];
+    const newsletterFlag = row[8];
+    if (newsletterFlag === 'Y' && email && email.trim()) {
+      // we store as-is (no lowercasing) to keep original
+      newsletterSet.add(email.trim());
+    }
+  }
+
+  const newsletterEmails = Array.from(newsletterSet);
+  return { visits, forms, uploads, eventsForPrimeHour, newsletterEmails };
+}
+
+// Compute prime hour using today's events (in PR time)
+function computePrimeHour(events) {
+  if (!events.length) return null;
+
+  const bucket = {}; // hour -> count
+
+  for (const ev of events) {
+    const dUTC = new Date(ev.ts);
+    if (Number.isNaN(dUTC.getTime())) continue;
+
+    const dPR = toPR(dUTC);
+    const h = dPR.getHours(); // 0–23
+
+    bucket[h] = (bucket[h] || 0) + 1;
+  }
+
+  let bestHour = null;
+  let bestCount = 0;
+  for (const [hourStr, count] of Object.entries(bucket)) {
+    const hour = Number(hourStr);
+    if (count > bestCount) {
+      bestCount = count;
+      bestHour = hour;
+    }
+  }
+
+  if (bestHour === null) return null;
+  return { hour: bestHour, count: bestCount };
+}
+
+// Helper: build plain-text session report (used by shutdown + daily email)
+function buildPlainTextSessionReport(longDate, visits, forms, uploads, prime, newsletterEmails) {
+  const totalEvents = visits + forms + uploads;
+
+  let report =
+    `REPORTE DE SESION - SELFIE APP - MUNICIPIO DE MAYAGÜEZ\n` +
+    `${longDate}\n\n` +
+    `Visitas a la app: ${visits}\n` +
+    `Formularios completados: ${forms}\n` +
+    `Fotos capturadas/subidas: ${uploads}\n\n`;
+
+  if (prime) {
+    report +=
+      `Horario de mayor actividad: ${formatHourRange(prime.hour)} ` +
+      `(${prime.count} interacciones)\n\n`;
+  } else {
+    report += `No se pudo determinar un horario de mayor actividad.\n\n`;
+  }
+
+  if (newsletterEmails && newsletterEmails.length) {
+    report += `Familias que aceptaron recibir noticias y ofertas:\n`;
+    for (const email of newsletterEmails) {
+      report += `- ${email}\n`;
+    }
+    report += `\n`;
+  } else {
+    report += `Ninguna familia aceptó recibir noticias y ofertas en esta sesión.\n\n`;
+  }
+
+  report += `Total de eventos registrados: ${totalEvents}\n`;
+
+  return report;
+}
+// Live in-app report preview (no email, just returns text)
+app.get('/session-report-preview', ensureAdminAuth, 
+  async (req, res) => {
+  try {
+    const {
+      visits,
+      forms,
+      uploads,
+      eventsForPrimeHour,
+      newsletterEmails = []
+    } = await getTodayStatsFromSheet();
+
+    const prime = computePrimeHour(eventsForPrimeHour);
+    const longDate = formatPRDateLong();
+
+    const reportText = buildPlainTextSessionReport(
+      longDate,
+      visits,
+      forms,
+      uploads,
+      prime,
+      newsletterEmails
+    );
+
+    return res.json({
+      ok: true,
+      reportText
+    });
+  } catch (err) {
+    console.error('Error in /session-report-preview:', err);
+    return res.status(500).json({
+      ok: false,
+      error: 'report_preview_failed'
+    });
+  }
+});
+
+// ---------- DAILY REPORT EMAIL (uses Sheet data) ----------
+async function sendSessionReportEmailFromSheet() {
   if (!mailTransporter) {
     console.log('Mail transporter not configured, skipping report email.');
     return;
   }
 
-  const {
-    visits,
-    forms,
-    uploads,
-    eventsForPrimeHour,
-    newsletterEmails = []
-  } = await getTodayStatsFromSheet();
+  const {
+    visits,
+    forms,
+    uploads,
+    eventsForPrimeHour,
+    newsletterEmails = []
+  } = await getTodayStatsFromSheet();
+
+  const totalEvents = visits + forms + uploads;
+  if (totalEvents === 0) {
+    console.log('No activity today in sheet, skipping report email.');
+    return;
+  }
+
+  const prime = computePrimeHour(eventsForPrimeHour);
+  const longDate = formatPRDateLong();
+
+  const subject = `Reporte de sesión diaria – Selfie App · ${currentEvent().event.branding.organizerName}`;
+
+  const textReport = buildPlainTextSessionReport(
+    longDate,
+    visits,
+    forms,
+    uploads,
+    prime,
+    newsletterEmails
+  );
+
+  const htmlNewsletterBlock = newsletterEmails.length
+    ? `
+        <p style="margin:12px 0 4px 0;font-size:13px;">
+          <strong>Familias que aceptaron recibir noticias y ofertas:</strong>
+        </p>
+        <ul style="margin:0 0 10px 20px;padding:0;font-size:12px;color:#333333;">
+          ${newsletterEmails
+            .map(
+              (email) =>
+                `<li style="margin:0 0 2px 0;">${email}</li>`
+            )
+            .join('')}
+        </ul>
+      `
+    : `
+        <p style="margin:12px 0 10px 0;font-size:13px;">
+          <strong>Familias que aceptaron recibir noticias y ofertas:</strong>
+          Ninguna familia aceptó recibir noticias y ofertas en esta sesión.
+        </p>
+      `;
+
+  const htmlReport = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>${subject}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f4f4;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+      <tr>
+        <!-- LEFT aligned main block -->
+        <td align="left" style="padding:24px;">
+          <!-- Card -->
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="560"
+                 style="background:#ffffff;border-radius:8px;box-shadow:0 2px 6px rgba(0,0,0,0.06);
+                        font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
+            <!-- Header band (same style as "Nueva familia registrada") -->
+            <tr>
+              <td style="padding:20px 24px 16px 24px;background:#0a192f;
+                         border-radius:8px 8px 0 0;color:#ffffff;text-align:center;">
+                <div style="font-size:18px;font-weight:600;letter-spacing:0.04em;text-transform:uppercase;">
+                  REPORTE DE SESIÓN DIARIA
+                </div>
+                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
+                  ${getEventEmailTagline()}
+                </div>
+                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
+                  ${longDate}
+                </div>
+              </td>
+            </tr>
+
+            <!-- Body -->
+            <tr>
+              <td style="padding:18px 24px 8px 24px;font-size:13px;color:#333333;text-align:left;">
+                <p style="margin:0 0 10px 0;">
+                  A continuación encontrarás el resumen de uso de la aplicación durante esta sesión:
+                </p>
+
+                <p style="margin:0 0 6px 0;">
+                  <strong>Visitas a la app:</strong> ${visits}
+                </p>
+                <p style="margin:0 0 6px 0;">
+                  <strong>Formularios completados:</strong> ${forms}
+                </p>
+                <p style="margin:0 0 6px 0%;">
+                  <strong>Fotos capturadas/subidas:</strong> ${uploads}
+                </p>
+
+                ${
+                  prime
+                    ? `<p style="margin:10px 0 0 0;font-size:13px;">
+                         <strong>Horario de mayor actividad:</strong>
+                         ${formatHourRange(prime.hour)} (${prime.count} interacciones)
+                       </p>`
+                    : `<p style="margin:10px 0 0 0;font-size:13px;">
+                         No se pudo determinar un horario de mayor actividad.
+                       </p>`
+                }
+
+                ${htmlNewsletterBlock}
+              </td>
+            </tr>
+
+            <!-- Footer with centered logo (same as other emails) -->
+            <tr>
+              <td style="padding:18px 24px 20px 24px;text-align:center;border-top:1px solid #f0f0f0;">
+                <img
+                  src="${currentEvent().event.branding.logoUrl}"
+                  alt="Luminar Apps"
+                  style="display:block;height:40px;margin:0 auto 6px auto;"
+                />
+                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0 0 2px 0;">
+                  Este correo fue generado automáticamente por Luminar Apps.
+                </p>
+                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0;">
+                  Favor no responder a este correo electrónico.
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  await mailTransporter.sendMail({
+    from: getEventMailFrom(),
+    to: getEventReportMailTo() || process.env.MAIL_USER,
+    subject,
+    text: textReport,
+    html: htmlReport,
+    attachments: [
+      {
+        filename: 'reporte_sesion.txt',
+        content: textReport
+      }
+    ]
+  });
+
+  console.log('Daily session report email sent (from Sheets data).');
+}
+
+// ---------- ROUTES ----------
+
+// Public app settings for the main web app
+app.get('/app-settings', (req, res) => {
+  const respond = () => {
+    const context = currentEvent();
+    return res.json({
+      ok: true,
+      enabled: context.appEnabled,
+      settings: omitServerStateSettings(context.appSettings),
+      sessionId: context.appSessionId,
+      event: serializeEventForPublic(context.event)
+    });
+  };
+
+  hydrateSettingsFromSheet()
+    .then(respond)
+    .catch(respond);
+});
+
+app.get('/gallery/runtime-settings', (req, res) => {
+  const respond = async () => {
+    const payload = buildGalleryRuntimeSettingsPayload(getGallerySettingsForDevice(req.query.deviceId));
+    return res.json({
+      ok: true,
+      runtimeSettings: payload.runtimeSettings,
+      runtimeSettingsVersion: payload.runtimeSettingsVersion,
+      disabledSystems: payload.disabledSystems,
+      galleryRuntimeCommand: payload.galleryRuntimeCommand,
+      layout: buildGalleryLayoutPayload(payload.runtimeSettings),
+      playback: buildGalleryPlaybackPayload(payload.runtimeSettings),
+      deviceCommand: await takeDeviceCommandForDelivery(req.query.deviceId, 'runtime_settings').catch(() => null),
+      fetchedAt: new Date().toISOString(),
+      templateRenderingEnabled: false,
+    });
+  };
+
+  hydrateSettingsFromSheet()
+    .then(respond)
+    .catch(respond);
+});
+
+// Simple visit endpoint: FE can call this on page load
+app.post('/ping', async (req, res) => {
+  if (!currentEvent().appEnabled) {
+    return res.status(503).json({ ok: false, error: 'app_offline' });
+  }
+  try {
+    const sessionId = buildSessionIdentifier(req);
+    await Promise.allSettled([
+      logEventToSheet('visit', { sessionId }),
+      logMetricsEvent('visit', req, {
+        sessionId,
+        source: 'public_app',
+        metadata: {
+          trigger: 'page_load'
+        }
+      })
+    ]);
+  } catch (e) {
+    console.error('Error logging visit to sheet:', e);
+  }
+  res.json({ ok: true });
+});
+
+app.post('/api/device-heartbeat', async (req, res) => {
+  const startedAtMs = Date.now();
+  try {
+    await ensureDeviceTelemetryHydrated();
+    pruneLiveGalleryDevices();
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const deviceId = clampString(body.deviceId || '', 120);
+    if (!deviceId) {
+      logObservedRouteResult('/api/device-heartbeat', startedAtMs, 400, 'missing_device_id');
+      return res.status(400).json({ ok: false, error: 'missing_device_id' });
+    }
+
+    // A screen acknowledging a device command right after reloading may not
+    // have telemetry yet; keep what its previous heartbeat reported.
+    const hasStatus = Boolean(body.status && typeof body.status === 'object');
+    const status = sanitizeDeviceStatus(body.status);
+    const device = getOrCreateLiveGalleryDevice(deviceId, status.deviceName);
+    const now = new Date().toISOString();
+
+    device.lastSeenAt = now;
+    if (hasStatus) {
+      device.deviceName = status.deviceName || device.deviceName || deviceId;
+      device.status = status;
+      device.recentErrors = sanitizeDeviceErrors(body.recentErrors);
+    }
+    updateDeviceOnlineAlert(device, true);
+    recordDeviceHeartbeatTelemetry(device, now, hasStatus);
+    const acknowledged = await acknowledgeDeviceCommand(deviceId, body.commandAck);
+    if (acknowledged) {
+      queueDeviceTelemetry(
+        device,
+        'command',
+        acknowledged.ackedAt,
+        `${acknowledged.command} ${acknowledged.status}${acknowledged.message ? `: ${acknowledged.message}` : ''}`,
+        serializeDeviceCommand(acknowledged)
+      );
+    }
+    const deviceCommand = await takeDeviceCommandForDelivery(deviceId, 'heartbeat');
+    await persistDeviceTelemetry();
+    // Offline screens are noticed here or by the /background-jobs cron
+    checkDeviceHealth();
+
+    logObservedRouteResult(
+      '/api/device-heartbeat',
+      startedAtMs,
+      200,
+      `ok device=${deviceId}${acknowledged ? ` ack=${acknowledged.commandId}:${acknowledged.status}` : ''}`
+    );
+    return res.json({ ok: true, deviceId, lastSeenAt: now, deviceCommand });
+  } catch (err) {
+    console.error('Error processing device heartbeat:', err);
+    logObservedRouteResult('/api/device-heartbeat', startedAtMs, 500, err && err.message ? err.message : 'device_heartbeat_failed');
+    return res.status(500).json({ ok: false, error: 'device_heartbeat_failed' });
+  }
+});
+
+app.post('/api/device-log', async (req, res) => {
+  try {
+    await ensureDeviceTelemetryHydrated();
+    pruneLiveGalleryDevices();
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const deviceId = clampString(body.deviceId || '', 120);
+    if (!deviceId) {
+      return res.status(400).json({ ok: false, error: 'missing_device_id' });
+    }
+
+    const deviceName = clampString(body.deviceName || '', 120);
+    const device = getOrCreateLiveGalleryDevice(deviceId, deviceName);
+    const logEntry = sanitizeDeviceLogEntry(body);
+
+    device.lastSeenAt = clampIsoTimestamp(body.lastSeenAt) || device.lastSeenAt || new Date().toISOString();
+    if (deviceName) {
+      device.deviceName = deviceName;
+    }
+    device.recentLogs.push(logEntry);
+    if (device.recentLogs.length > MAX_DEVICE_LOGS) {
+      device.recentLogs = device.recentLogs.slice(-MAX_DEVICE_LOGS);
+    }
+    queueDeviceTelemetry(device, 'log', logEntry.at, logEntry.message || logEntry.event, logEntry);
+    await persistDeviceTelemetry();
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Error storing device log:', err);
+    return res.status(500).json({ ok: false, error: 'device_log_failed' });
+  }
+});
+
+app.get('/api/devices/live', ensureAdminAuth, async (req, res) => {
+  try {
+    await ensureDeviceTelemetryHydrated();
+    pruneLiveGalleryDevices();
+    checkDeviceHealth();
+
+    const now = Date.now();
+    const devices = Array.from(currentEvent().liveGalleryDevices.values())
+      .map((device) => buildLiveGalleryDeviceSummary(device))
+      .filter((device) => {
+        const lastSeenAtMs = Date.parse(device.lastSeenAt || '') || 0;
+        if (!lastSeenAtMs) return false;
+        if ((now - lastSeenAtMs) <= DEVICE_ONLINE_WINDOW_MS) return true;
+        return (now - lastSeenAtMs) <= DEVICE_HISTORY_WINDOW_MS;
+      })
+      .sort((a, b) => {
+        if (a.online !== b.online) return a.online ? -1 : 1;
+        const aSeen = Date.parse(a.lastSeenAt || '') || 0;
+        const bSeen = Date.parse(b.lastSeenAt || '') || 0;
+        return bSeen - aSeen;
+      });
+
+    return res.json({
+      ok: true,
+      devices,
+      meta: {
+        onlineWindowMs: DEVICE_ONLINE_WINDOW_MS,
+        warningWindowMs: DEVICE_WARNING_WINDOW_MS,
+        offlineWindowMs: DEVICE_OFFLINE_WINDOW_MS,
+        historyWindowMs: DEVICE_HISTORY_WINDOW_MS,
+      },
+    });
+  } catch (err) {
+    console.error('Error listing live gallery devices:', err);
+    return res.status(500).json({ ok: false, error: 'list_devices_failed' });
+  }
+});
+
+// GET /api/devices/:deviceId/timeline?hours=24 -> online/offline spans, photo
+// swap cadence and failure bursts from the stored telemetry, see DEVICE
+// TELEMETRY HISTORY
+app.get('/api/devices/:deviceId/timeline', ensureAdminAuth, async (req, res) => {
+  try {
+    await ensureDeviceTelemetryHydrated();
+    const deviceId = normalizeDeviceId(req.params.deviceId);
+    if (!deviceId) {
+      return res.status(400).json({ ok: false, error: 'missing_device_id' });
+    }
+
+    const hours = Math.min(
+      Math.max(parseFloat(req.query.hours) || DEVICE_TIMELINE_DEFAULT_HOURS, 1),
+      DEVICE_TELEMETRY_RETENTION_HOURS
+    );
+    const toMs = Date.now();
+    const fromMs = toMs - hours * 60 * 60 * 1000;
+    const entries = await readDeviceTelemetryEntries({
+      deviceId,
+      startUtc: new Date(fromMs).toISOString(),
+    });
+    const device = currentEvent().liveGalleryDevices.get(deviceId);
+
+    return res.json({
+      ok: true,
+      deviceId,
+      deviceName: clampString((device && device.deviceName) || (entries.length ? entries[entries.length - 1].deviceName : '') || deviceId, 120),
+      hours,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      retentionHours: DEVICE_TELEMETRY_RETENTION_HOURS,
+      ...buildDeviceTimeline(entries, fromMs, toMs),
+    });
+  } catch (err) {
+    console.error('Error building device timeline:', err);
+    return res.status(500).json({ ok: false, error: 'device_timeline_failed' });
+  }
+});
+
+// Photo upload (counts as "upload")
+app.post('/upload', express.raw({ type: 'image/*', limit: '5mb' }), bindEventContext, async (req, res) => {
+  if (!currentEvent().appEnabled) {
+    return res.status(503).json({ error: 'app_offline', message: 'Selfie app is offline for this event.' });
+  }
+
+  if (!req.body || req.body.length === 0) {
+    return res.status(400).json({ error: 'No file uploaded.' });
+  }
+
+  try {
+    const {
+      fileId,
+      finalName,
+      ticketIndex,
+      ticketLabel,
+      ticketDisplay,
+      duplicate,
+      merged,
+      quality,
+      autoRejected,
+      autoModeration
+    } = await uploadFile(
+      req.body,
+      'ignored.jpeg',
+      req.headers['content-type'],
+      {
+        guestLanguage: normalizeGuestEmailLanguage(req.headers['x-guest-language']),
+        guestSession: readGuestSessionToken(req),
+      }
+    );
+
+    if (merged) {
+      logMetricsEvent('upload_duplicate_merged', req, {
+        ticket: ticketLabel,
+        source: 'public_app',
+        metadata: { fileId, distance: duplicate.distance }
+      }).catch(() => {});
+
+      return res.json({
+        ok: true,
+        message: 'Duplicate of an earlier upload',
+        fileId,
+        ticketIndex,
+        ticketLabel,
+        ticketDisplay,
+        duplicate: true
+      });
+    }
+
+    // Log to Sheet
+    try {
+      const sessionId = buildSessionIdentifier(req);
+      await Promise.allSettled([
+        logEventToSheet('upload', {
+          ...(readGuestSessionToken(req)
+            ? { sessionId: buildGuestSessionId(readGuestSessionToken(req)), ...buildGuestLocationColumns(req) }
+            : { sessionId }),
+          ticket: ticketLabel // e.g. "T015"
+        }),
+        logMetricsEvent('upload', req, {
+          sessionId,
+          ticket: ticketLabel,
+          source: 'public_app',
+          metadata: {
+            fileId,
+            finalName,
+            ticketIndex,
+            ticketDisplay,
+            duplicateOf: duplicate ? duplicate.fileId : undefined,
+            qualityScore: quality ? quality.score : undefined,
+            autoRejected: autoRejected || undefined,
+            autoModeration: autoModeration || undefined
+          }
+        })
+      ]);
+    } catch (e) {
+      console.error('Error logging upload event to sheet:', e);
+    }
+
+    res.json({
+      ok: true,
+      message: 'File uploaded successfully',
+      fileId,
+      ticketIndex,
+      ticketLabel,
+      ticketDisplay
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Error uploading file', details: error.message });
+  }
+});
+
+// Visit logging (form submissions)
+app.post('/visit', async (req, res) => {
+  if (!currentEvent().appEnabled) {
+    return res.status(503).json({ ok: false, error: 'app_offline' });
+  }
+  try {
+    const { country, lastName, email, newsletter, timestamp } = req.body || {};
+
+    const timestampUtc = timestamp || new Date().toISOString();
+    const newsletterFlag = getNewsletterFlag(newsletter);
+    const newsletterLabel = newsletterFlag === 'Y' ? 'Sí' : 'No';
+
+    // Split "region, country" if it comes combined
+    let countryClean = '';
+    let region = '';
+
+    if (country) {
+      const parts = String(country)
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+      if (parts.length >= 2) {
+        region = parts[0];       // municipality / region
+        countryClean = parts[1]; // country
+      } else if (parts.length === 1) {
+        countryClean = parts[0];
+      }
+    }
+
+    // Log to Sheet as "form"
+    try {
+      const sessionId = buildSessionIdentifier(req);
+      await Promise.allSettled([
+        logEventToSheet('form', {
+          email,
+          sessionId: buildGuestSessionId(readGuestSessionToken(req)) || sessionId,
+          timestampUtc,
+          country: countryClean,
+          region,
+          lastName,
+          newsletter
+        }),
+        logMetricsEvent('form', req, {
+          email,
+          sessionId,
+          timestampUtc,
+          country: countryClean,
+          region,
+          lastName,
+          newsletter,
+          source: 'public_form',
+          metadata: {
+            newsletterEnabled: newsletter !== '',
+          }
+        })
+      ]);
+    } catch (e) {
+      console.error('Error logging form event to sheet:', e);
+    }
+
+    console.log('Visit payload:', { country, lastName, email, newsletter, timestampUtc });
+
+    if (!mailTransporter) {
+      console.log('Mail transporter is not configured, skipping email.');
+      return res.status(500).json({ ok: false, error: 'mail_disabled' });
+    }
+
+    const subject = 'Nueva familia registrada (Selfie App)';
+
+    const text =
+      'Una nueva familia ha sido registrada en el sistema.\n\n' +
+      `La familia nos visita desde: ${country || 'No provisto'}\n` +
+      `Apellidos de la familia: ${lastName || 'No provisto'}\n` +
+      `Correo electrónico de la familia: ${email || 'No provisto'}\n` +
+      `Acepta recibir noticias y ofertas de MUNICIPIO DE MAYAGÜEZ.: ${newsletterLabel}\n\n` +
+      `Fecha y hora (UTC): ${timestampUtc}`;
+
+    const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>${subject}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f4f4;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+      <tr>
+        <!-- LEFT aligned main block -->
+        <td align="left" style="padding:24px;">
+          <!-- Card -->
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="560"
+                 style="background:#ffffff;border-radius:8px;box-shadow:0 2px 6px rgba(0,0,0,0.06);
+                        font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
+            <!-- Header band -->
+            <tr>
+              <td style="padding:20px 24px 16px 24px;background:#0a192f; 
+                         border-radius:8px 8px 0 0;color:#ffffff;text-align:center;">
+                <div style="font-size:18px;font-weight:600;letter-spacing:0.04em;text-transform:uppercase;">
+                  NUEVA FAMILIA REGISTRADA
+                </div>
+                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
+                  ${getEventEmailTagline()}
+                </div>
+              </td>
+            </tr>
+
+            <!-- Body -->
+            <tr>
+              <td style="padding:18px 24px 8px 24px;font-size:13px;color:#333333;text-align:left;">
+                <p style="margin:0 0 12px 0;">
+                  Se ha registrado una nueva familia en el sistema:
+                </p>
+
+                <p style="margin:0 0 6px 0;">
+                  <strong>Nos visitan desde:</strong> ${country || 'No provisto'}
+                </p>
+
+                <p style="margin:0 0 6px 0;">
+                  <strong>Apellidos de la familia:</strong> ${lastName || 'No provisto'}
+                </p>
+
+                <p style="margin:0 0 6px 0;">
+                  <strong>Correo electrónico:</strong>
+                  ${
+                    email
+                      ? `<a href="mailto:${email}" style="color:#0073e6;text-decoration:none;">${email}</a>`
+                      : 'No provisto'
+                  }
+                </p>
+
+                <p style="margin:0 0 6px 0;">
+                  <strong>Acepta recibir noticias y ofertas:</strong> ${newsletterLabel}
+                </p>
+
+                <p style="margin:10px 0 0 0;font-size:11px;color:#666666;">
+                  <strong>Fecha y hora (UTC):</strong> ${timestampUtc}
+                </p>
+              </td>
+            </tr>
+
+            <!-- Footer with centered logo + text -->
+            <tr>
+              <td style="padding:18px 24px 20px 24px;text-align:center;border-top:1px solid #f0f0f0;">
+                <img
+                  src="${currentEvent().event.branding.logoUrl}"
+                  alt="Luminar Apps"
+                  style="display:block;height:40px;margin:0 auto 6px auto;"
+                />
+                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0 0 2px 0;">
+                  Este correo fue generado automáticamente por Luminar Apps.
+                </p>
+                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0;">
+                  Favor no responder a este correo electrónico.
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+    await mailTransporter.sendMail({
+      from: getEventMailFrom(),
+      to: getEventReportMailTo() || process.env.MAIL_USER,
+      subject,
+      text,
+      html
+    });
+
+    console.log('Email sent OK');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Error sending visit email:', err);
+    res.status(500).json({ ok: false, error: 'email_failed' });
+  }
+});
+
+// --------- ADMIN AUTH ROUTE ----------
+
+app.post('/admin/auth', ensureNotBlocked, async (req, res) => {
+  const adminAccessCode = getAdminAccessCode();
+  if (!adminAccessCode) {
+    console.error(`Admin code is not configured for event "${currentEvent().event.slug}"`);
+    return res.status(500).json({ error: 'admin_code_not_configured' });
+  }
+
+  const ip = getClientIp(req);
+  const { code, moderatorName } = req.body || {};
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'missing_code' });
+  }
+
+  let record = ipTracker.get(ip) || { attempts: 0, blockedUntil: 0 };
+
+  // Safety: if already blocked
+  if (isBlocked(ip)) {
+    return res.status(403).json({
+      error: 'blocked',
+      blockedMinutes: remainingBlockMinutes(ip),
+    });
+  }
+
+  if (code === adminAccessCode) {
+    // Success → reset attempts, clear block, create signed token
+    record = { attempts: 0, blockedUntil: 0 };
+    ipTracker.set(ip, record);
+
+    const token = createAdminSession(ip, clampString(String(moderatorName || '').trim(), 40));
+    return res.json({ ok: true, token });
+  }
+
+  // Wrong code
+  record.attempts += 1;
+
+  if (record.attempts >= ADMIN_MAX_ATTEMPTS) {
+    record.blockedUntil = Date.now() + ADMIN_BLOCK_MINUTES * 60 * 1000;
+    ipTracker.set(ip, record);
+
+    return res.status(403).json({
+      error: 'blocked',
+      blockedMinutes: ADMIN_BLOCK_MINUTES,
+    });
+  }
+
+  ipTracker.set(ip, record);
+
+  return res.status(401).json({
+    error: 'invalid_code',
+    remainingAttempts: ADMIN_MAX_ATTEMPTS - record.attempts,
+  });
+});
+
+// --------- ADMIN UNBLOCK (manual) ----------
+
+app.post('/admin/unblock', (req, res) => {
+  if (!ADMIN_UNLOCK_KEY) {
+    return res.status(500).json({ error: 'unlock_key_not_configured' });
+  }
+
+  const key = req.headers['x-admin-unlock-key'];
+  if (key !== ADMIN_UNLOCK_KEY) {
+    return res.status(403).json({ error: 'forbidden' });
+  }
+
+  const { ip } = req.body || {};
+  if (!ip) {
+    return res.status(400).json({ error: 'missing_ip' });
+  }
+
+  ipTracker.delete(ip);
+  return res.json({ ok: true, message: `IP ${ip} unblocked` });
+});
+
+// --------- ADMIN APP STATUS (for toggle) ----------
+
+app.get('/admin/app-status', ensureAdminAuth, (req, res) => {
+  hydrateSettingsFromSheet({ force: true })
+    .then(() => res.json({ ok: true, enabled: currentEvent().appEnabled }))
+    .catch(() => res.json({ ok: true, enabled: currentEvent().appEnabled }));
+});
+
+app.post('/admin/app-status', ensureAdminAuth, async (req, res) => {
+  const context = currentEvent();
+  try {
+    const { enabled, accessCode } = req.body || {};
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'missing_enabled_flag' });
+    }
+
+    if (!enabled) {
+      if (!accessCode || typeof accessCode !== 'string') {
+        return res.status(400).json({ error: 'missing_access_code' });
+      }
+
+      const adminAccessCode = getAdminAccessCode();
+      if (!adminAccessCode && !ADMIN_UNLOCK_KEY) {
+        return res.status(500).json({ error: 'admin_code_not_configured' });
+      }
+
+      if (accessCode !== adminAccessCode && accessCode !== ADMIN_UNLOCK_KEY) {
+        return res.status(401).json({ error: 'invalid_access_code' });
+      }
+      context.appEnabled = false;
+    } else {
+      if (!context.appEnabled) {
+        context.appSessionId = generateServerSessionId();
+      }
+      context.appEnabled = true;
+    }
+
+    const persisted = await writeSettingsToSheet(context.appSettings, context.appEnabled, context.appSessionId);
+    if (!persisted) {
+      console.warn('Unable to persist settings during app-status update.');
+      return res.json({
+        ok: true,
+        enabled: context.appEnabled,
+        warning: 'settings_persist_failed'
+      });
+    }
+
+    context.adminSystemHealthCache.expiresAt = 0;
+    return res.json({ ok: true, enabled: context.appEnabled });
+  } catch (err) {
+    console.error('Error updating app status:', err);
+    return res.status(500).json({ ok: false, error: 'app_status_failed' });
+  }
+});
+
+// Admin: get current app settings
+app.get('/admin/settings', ensureAdminAuth, (req, res) => {
+  const sendSettings = () => res.json({
+    ok: true,
+    settings: omitServerStateSettings(currentEvent().appSettings),
+    autoModerationProvider: autoModerationProvider ? autoModerationProvider.name : 'none',
+  });
+  hydrateSettingsFromSheet({ force: true })
+    .then(sendSettings)
+    .catch(sendSettings);
+});
 
-  const totalEvents = visits + forms + uploads;
-  if (totalEvents === 0) {
-    console.log('No activity today in sheet, skipping report email.');
-    return;
+// Admin: update app settings
+app.post('/admin/settings', ensureAdminAuth, async (req, res) => {
+  const context = currentEvent();
+  try {
+    // Merged into a fresh read of the row: only the fields in the patch change,
+    // so state another instance or the cron just wrote is kept
+    await writeSettingsState(async () => {
+      const mergedSettings = mergeAppSettings(omitServerStateSettings(req.body));
+      const syncedSettings = await syncActiveTemplateSettings(mergedSettings);
+      syncedSettings.deviceGroups = await syncDeviceGroupTemplates(syncedSettings.deviceGroups);
+      return syncedSettings;
+    });
+    context.settingsLoadedFromSheet = true;
+    context.adminSystemHealthCache.expiresAt = 0;
+    scheduleGalleryStatePublish();
+    broadcastAdminEvent('settings', { moderator: getModeratorFromRequest(req) });
+    return res.json({ ok: true, settings: omitServerStateSettings(context.appSettings) });
+  } catch (err) {
+    if (err && err.message === 'settings_state_persist_failed') {
+      return res.status(500).json({ ok: false, error: 'settings_persist_failed' });
+    }
+    console.error('Error updating app settings:', err);
+    return res.status(400).json({ ok: false, error: 'invalid_settings' });
   }
+});
 
-  const prime = computePrimeHour(eventsForPrimeHour);
-  const longDate = formatPRDateLong();
-
-  const subject = 'Reporte de sesión diaria – Selfie App · Municipio de Mayagüez';
+// --------- ADMIN SHUTDOWN (toggle OFF) ----------
 
-  const textReport = buildPlainTextSessionReport(
-    longDate,
-    visits,
-    forms,
-    uploads,
-    prime,
-    newsletterEmails
-  );
+app.post('/admin/shutdown', ensureAdminAuth, async (req, res) => {
+  const context = currentEvent();
+  try {
+    const { accessCode } = req.body || {};
 
-  const htmlNewsletterBlock = newsletterEmails.length
-    ? `
-        <p style="margin:12px 0 4px 0;font-size:13px;">
-          <strong>Familias que aceptaron recibir noticias y ofertas:</strong>
-        </p>
-        <ul style="margin:0 0 10px 20px;padding:0;font-size:12px;color:#333333;">
-          ${newsletterEmails
-            .map(
-              (email) =>
-                `<li style="margin:0 0 2px 0;">${email}</li>`
-            )
-            .join('')}
-        </ul>
-      `
-    : `
-        <p style="margin:12px 0 10px 0;font-size:13px;">
-          <strong>Familias que aceptaron recibir noticias y ofertas:</strong>
-          Ninguna familia aceptó recibir noticias y ofertas en esta sesión.
-        </p>
-      `;
+    if (!accessCode || typeof accessCode !== 'string') {
+      return res.status(400).json({ error: 'missing_access_code' });
+    }
 
-  const htmlReport = `<!DOCTYPE html>
-<html>
-  <head>
-    <meta charset="UTF-8" />
-    <title>${subject}</title>
-  </head>
-  <body style="margin:0;padding:0;background:#f4f4f4;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
-    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
-      <tr>
-        <!-- LEFT aligned main block -->
-        <td align="left" style="padding:24px;">
-          <!-- Card -->
-          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="560"
-                 style="background:#ffffff;border-radius:8px;box-shadow:0 2px 6px rgba(0,0,0,0.06);
-                        font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
-            <!-- Header band (same style as "Nueva familia registrada") -->
-            <tr>
-              <td style="padding:20px 24px 16px 24px;background:#0a192f;
-                         border-radius:8px 8px 0 0;color:#ffffff;text-align:center;">
-                <div style="font-size:18px;font-weight:600;letter-spacing:0.04em;text-transform:uppercase;">
-                  REPORTE DE SESIÓN DIARIA
-                </div>
-                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
-                  Pantalla Plaza Colón · Selfie App · Municipio de Mayagüez
-                </div>
-                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
-                  ${longDate}
-                </div>
-              </td>
-            </tr>
+    const adminAccessCode = getAdminAccessCode();
+    if (!adminAccessCode && !ADMIN_UNLOCK_KEY) {
+      return res.status(500).json({ error: 'admin_code_not_configured' });
+    }
 
-            <!-- Body -->
-            <tr>
-              <td style="padding:18px 24px 8px 24px;font-size:13px;color:#333333;text-align:left;">
-                <p style="margin:0 0 10px 0;">
-                  A continuación encontrarás el resumen de uso de la aplicación durante esta sesión:
-                </p>
+    // Require re-entering the admin code (or unlock key if you want)
+    if (accessCode !== adminAccessCode && accessCode !== ADMIN_UNLOCK_KEY) {
+      return res.status(401).json({ error: 'invalid_access_code' });
+    }
 
-                <p style="margin:0 0 6px 0;">
-                  <strong>Visitas a la app:</strong> ${visits}
-                </p>
-                <p style="margin:0 0 6px 0;">
-                  <strong>Formularios completados:</strong> ${forms}
-                </p>
-                <p style="margin:0 0 6px 0%;">
-                  <strong>Fotos capturadas/subidas:</strong> ${uploads}
-                </p>
+    // Compute session stats and build report text
+    const {
+      visits,
+      forms,
+      uploads,
+      eventsForPrimeHour,
+      newsletterEmails = []
+    } = await getTodayStatsFromSheet();
 
-                ${
-                  prime
-                    ? `<p style="margin:10px 0 0 0;font-size:13px;">
-                         <strong>Horario de mayor actividad:</strong>
-                         ${formatHourRange(prime.hour)} (${prime.count} interacciones)
-                       </p>`
-                    : `<p style="margin:10px 0 0 0;font-size:13px;">
-                         No se pudo determinar un horario de mayor actividad.
-                       </p>`
-                }
+    const prime = computePrimeHour(eventsForPrimeHour);
+    const longDate = formatPRDateLong();
 
-                ${htmlNewsletterBlock}
-              </td>
-            </tr>
+    const reportText = buildPlainTextSessionReport(
+      longDate,
+      visits,
+      forms,
+      uploads,
+      prime,
+      newsletterEmails
+    );
 
-            <!-- Footer with centered logo (same as other emails) -->
-            <tr>
-              <td style="padding:18px 24px 20px 24px;text-align:center;border-top:1px solid #f0f0f0;">
-                <img
-                  src="${LUMI_LOGO_URL}"
-                  alt="Luminar Apps"
-                  style="display:block;height:40px;margin:0 auto 6px auto;"
-                />
-                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0 0 2px 0;">
-                  Este correo fue generado automáticamente por Luminar Apps.
-                </p>
-                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0;">
-                  Favor no responder a este correo electrónico.
-                </p>
-              </td>
-            </tr>
-          </table>
-        </td>
-      </tr>
-    </table>
-  </body>
-</html>`;
+    // Set app to offline
+    context.appEnabled = false;
 
-  await mailTransporter.sendMail({
-    from: `"Luminar Apps" <${process.env.MAIL_FROM || process.env.MAIL_USER}>`,
-    to: process.env.MAIL_TO || process.env.MAIL_USER,
-    subject,
-    text: textReport,
-    html: htmlReport,
-    attachments: [
-      {
-        filename: 'reporte_sesion.txt',
-        content: textReport
+    // Optionally also send the same report via email on shutdown
+    if (mailTransporter) {
+      try {
+        await mailTransporter.sendMail({
+          from: getEventMailFrom(),
+          to: getEventReportMailTo() || process.env.MAIL_USER,
+          subject: `Reporte de cierre – Selfie App · ${context.event.branding.organizerName}`,
+          text: reportText,
+          attachments: [
+            {
+              filename: 'reporte_sesion.txt',
+              content: reportText
+            }
+          ]
+        });
+        console.log('Shutdown report email sent.');
+      } catch (mailErr) {
+        console.error('Error sending shutdown report email:', mailErr);
       }
-    ]
-  });
-
-  console.log('Daily session report email sent (from Sheets data).');
-}
+    } else {
+      console.log('Mail transporter not configured; shutdown report email skipped.');
+    }
 
-// ---------- ROUTES ----------
+    const cleanup = await performSessionCleanup();
+    if (cleanup.errors.length) {
+      console.warn('Shutdown cleanup encountered errors:', cleanup.errors);
+    }
 
-// Public app settings for the main web app
-app.get('/app-settings', (req, res) => {
-  hydrateSettingsFromSheet()
-    .then(() =>
-      res.json({
-        ok: true,
-        enabled: appEnabled,
-        settings: appSettings,
-        sessionId: appSessionId
-      })
-    )
-    .catch(() =>
-      res.json({
-        ok: true,
-        enabled: appEnabled,
-        settings: appSettings,
-        sessionId: appSessionId
-      })
-    );
-});
+    const persisted = await writeSettingsToSheet(context.appSettings, context.appEnabled, context.appSessionId);
+    if (!persisted) {
+      console.warn('Shutdown: failed to persist settings sheet status.');
+    }
 
-app.get('/gallery/runtime-settings', (req, res) => {
-  const respond = () => {
-    const payload = buildGalleryRuntimeSettingsPayload(appSettings);
+    // Return report text to the admin UI so it can be downloaded as .txt
     return res.json({
       ok: true,
-      runtimeSettings: payload.runtimeSettings,
-      runtimeSettingsVersion: payload.runtimeSettingsVersion,
-      disabledSystems: payload.disabledSystems,
-      galleryRuntimeCommand: payload.galleryRuntimeCommand,
-      fetchedAt: new Date().toISOString(),
-      templateRenderingEnabled: false,
+      enabled: false,
+      reportText,
+      cleanup
     });
-  };
-
-  hydrateSettingsFromSheet()
-    .then(respond)
-    .catch(respond);
-});
-
-// Simple visit endpoint: FE can call this on page load
-app.post('/ping', async (req, res) => {
-  if (!appEnabled) {
-    return res.status(503).json({ ok: false, error: 'app_offline' });
-  }
-  try {
-    const sessionId = buildSessionIdentifier(req);
-    await Promise.allSettled([
-      logEventToSheet('visit', { sessionId }),
-      logMetricsEvent('visit', req, {
-        sessionId,
-        source: 'public_app',
-        metadata: {
-          trigger: 'page_load'
-        }
-      })
-    ]);
-  } catch (e) {
-    console.error('Error logging visit to sheet:', e);
+  } catch (err) {
+    console.error('Error in /admin/shutdown:', err);
+    return res.status(500).json({ ok: false, error: 'shutdown_failed' });
   }
-  res.json({ ok: true });
 });
 
-app.post('/api/device-heartbeat', (req, res) => {
-  const startedAtMs = Date.now();
-  try {
-    pruneLiveGalleryDevices();
+// --------- ADMIN API: review photos ----------
 
-    const body = req.body && typeof req.body === 'object' ? req.body : {};
-    const deviceId = clampString(body.deviceId || '', 120);
-    if (!deviceId) {
-      logObservedRouteResult('/api/device-heartbeat', startedAtMs, 400, 'missing_device_id');
-      return res.status(400).json({ ok: false, error: 'missing_device_id' });
-    }
+// --------- REVIEW CLAIMS ----------
+// Several moderators can work the queue at once. /admin/next-photo leases the
+// oldest unclaimed pending photo to the caller for REVIEW_CLAIM_LEASE_MS; the
+// admin UI polls every 10s (30s while /admin/events is connected), which
+// renews the lease. Approve / reject release it, otherwise it simply expires.
+// Leases are stored on the photo itself (claim* appProperties) so every server
+// instance sees them. Storage has no conditional writes, so a claim is read
+// back after writing and whoever's write landed last keeps the photo.
+
+const REVIEW_CLAIM_LEASE_MS = (parseInt(process.env.REVIEW_CLAIM_LEASE_SECONDS, 10) || 60) * 1000;
+const REVIEW_CLAIM_SCAN_LIMIT = 50;
+// Photos tried per /admin/next-photo before giving up on lost races
+const REVIEW_CLAIM_MAX_ATTEMPTS = 5;
+const CLEARED_REVIEW_CLAIM = { claimModeratorId: '', claimModeratorName: '', claimedAt: '', claimExpiresAt: '' };
+
+// Live lease recorded on a file, or null
+function readReviewClaim(file, now = Date.now()) {
+  const props = (file && file.appProperties) || {};
+  const expiresAtMs = Date.parse(props.claimExpiresAt || '');
+  if (!props.claimModeratorId || !Number.isFinite(expiresAtMs) || expiresAtMs <= now) return null;
+  return {
+    fileId: file.id,
+    name: file.name || '',
+    photoNumber: extractTicketNumber(file.name),
+    moderatorId: props.claimModeratorId,
+    moderatorName: props.claimModeratorName || '',
+    claimedAt: props.claimedAt || '',
+    expiresAtMs,
+  };
+}
 
-    const status = sanitizeDeviceStatus(body.status);
-    const recentErrors = sanitizeDeviceErrors(body.recentErrors);
-    const device = getOrCreateLiveGalleryDevice(deviceId, status.deviceName);
-    const now = new Date().toISOString();
+function collectReviewClaims(files) {
+  const now = Date.now();
+  const claims = new Map();
+  files.forEach((file) => {
+    const claim = readReviewClaim(file, now);
+    if (claim) claims.set(file.id, claim);
+  });
+  return claims;
+}
 
-    device.lastSeenAt = now;
-    device.deviceName = status.deviceName || device.deviceName || deviceId;
-    device.status = status;
-    device.recentErrors = recentErrors;
+// Writes (or renews) the lease and reads it back; null if another instance won
+async function claimPhotoForModerator(file, moderator) {
+  const storage = currentEvent().photoStorage;
+  const now = Date.now();
+  const existing = readReviewClaim(file, now);
+  const mine = Boolean(existing && existing.moderatorId === moderator.id);
+  // Renewing on every 10s poll would cost a storage write each time
+  if (mine && existing.expiresAtMs - now > REVIEW_CLAIM_LEASE_MS / 2) return existing;
+
+  await storage.updateFile(file.id, {
+    claimModeratorId: moderator.id,
+    claimModeratorName: clampString(moderator.name, 40),
+    claimedAt: mine ? existing.claimedAt : new Date(now).toISOString(),
+    claimExpiresAt: new Date(now + REVIEW_CLAIM_LEASE_MS).toISOString(),
+  });
+  const claim = readReviewClaim(await storage.getFile(file.id));
+  return claim && claim.moderatorId === moderator.id ? claim : null;
+}
 
-    logObservedRouteResult('/api/device-heartbeat', startedAtMs, 200, `ok device=${deviceId}`);
-    return res.json({ ok: true, deviceId, lastSeenAt: now });
+// Claim held by someone other than `moderator`, if any
+async function getForeignReviewClaim(fileId, moderator) {
+  let file;
+  try {
+    file = await currentEvent().photoStorage.getFile(fileId);
   } catch (err) {
-    console.error('Error processing device heartbeat:', err);
-    logObservedRouteResult('/api/device-heartbeat', startedAtMs, 500, err && err.message ? err.message : 'device_heartbeat_failed');
-    return res.status(500).json({ ok: false, error: 'device_heartbeat_failed' });
+    // Missing photo: the transition reports it
+    return null;
   }
-});
+  const claim = readReviewClaim(file);
+  return claim && claim.moderatorId !== moderator.id ? claim : null;
+}
 
-app.post('/api/device-log', (req, res) => {
-  try {
-    pruneLiveGalleryDevices();
+function serializeReviewClaim(claim, moderator) {
+  return {
+    fileId: claim.fileId,
+    photoNumber: claim.photoNumber,
+    moderatorName: claim.moderatorName,
+    claimedAt: claim.claimedAt,
+    expiresAt: new Date(claim.expiresAtMs).toISOString(),
+    mine: Boolean(moderator && claim.moderatorId === moderator.id),
+  };
+}
 
-    const body = req.body && typeof req.body === 'object' ? req.body : {};
-    const deviceId = clampString(body.deviceId || '', 120);
-    if (!deviceId) {
-      return res.status(400).json({ ok: false, error: 'missing_device_id' });
-    }
+function listReviewClaims(claims, moderator) {
+  return Array.from(claims.values())
+    .sort((a, b) => (a.photoNumber || 0) - (b.photoNumber || 0))
+    .map((claim) => serializeReviewClaim(claim, moderator));
+}
 
-    const deviceName = clampString(body.deviceName || '', 120);
-    const device = getOrCreateLiveGalleryDevice(deviceId, deviceName);
-    const logEntry = sanitizeDeviceLogEntry(body);
+function listPendingForReview() {
+  return currentEvent().photoStorage.listFiles('pending', {
+    orderBy: 'createdTime asc',
+    pageSize: REVIEW_CLAIM_SCAN_LIMIT,
+  }).then((res) => res.files);
+}
 
-    device.lastSeenAt = clampIsoTimestamp(body.lastSeenAt) || device.lastSeenAt || new Date().toISOString();
-    if (deviceName) {
-      device.deviceName = deviceName;
-    }
-    device.recentLogs.push(logEntry);
-    if (device.recentLogs.length > MAX_DEVICE_LOGS) {
-      device.recentLogs = device.recentLogs.slice(-MAX_DEVICE_LOGS);
+// Keeps the moderator on the photo they already hold; otherwise leases the
+// oldest pending photo nobody else holds. { file, claim, claims, allClaimed }
+async function claimNextPendingPhoto(moderator) {
+  const storage = currentEvent().photoStorage;
+  const files = await listPendingForReview();
+  const claims = collectReviewClaims(files);
+
+  const held = files.filter((file) => {
+    const claim = claims.get(file.id);
+    return claim && claim.moderatorId === moderator.id;
+  });
+  const candidates = [...held.slice(0, 1), ...files.filter((file) => !claims.has(file.id))]
+    .slice(0, REVIEW_CLAIM_MAX_ATTEMPTS);
+
+  for (const next of candidates) {
+    const claim = await claimPhotoForModerator(next, moderator);
+    if (!claim) {
+      // Another instance leased it between our list and write
+      const winner = readReviewClaim(await storage.getFile(next.id).catch(() => null));
+      if (winner) claims.set(next.id, winner);
+      continue;
     }
+    claims.set(next.id, claim);
 
-    return res.json({ ok: true });
+    // One photo per moderator: drop leases on anything else they held
+    const stale = held.filter((file) => file.id !== next.id);
+    await Promise.all(stale.map((file) => storage.updateFile(file.id, CLEARED_REVIEW_CLAIM).catch(() => null)));
+    stale.forEach((file) => claims.delete(file.id));
+
+    return { file: next, claim, claims, allClaimed: false };
+  }
+
+  return { file: null, claim: null, claims, allClaimed: files.length > 0 };
+}
+
+// Who is reviewing what right now
+app.get('/admin/review-claims', ensureAdminAuth, async (req, res) => {
+  try {
+    const moderator = getModeratorFromRequest(req);
+    const claims = collectReviewClaims(await listPendingForReview());
+    res.json({ ok: true, moderator, leaseMs: REVIEW_CLAIM_LEASE_MS, reviewers: listReviewClaims(claims, moderator) });
   } catch (err) {
-    console.error('Error storing device log:', err);
-    return res.status(500).json({ ok: false, error: 'device_log_failed' });
+    console.error('Error listing review claims:', err);
+    res.status(500).json({ error: 'failed_review_claims' });
   }
 });
 
-app.get('/api/devices/live', ensureAdminAuth, (req, res) => {
+// Get next pending photo (for review UI), leased to the calling moderator
+app.get('/admin/next-photo', ensureAdminAuth, async (req, res) => {
   try {
-    pruneLiveGalleryDevices();
+    if (!currentEvent().appEnabled) {
+      // app offline – no photo, but we keep response shape compatible
+      return res.json({ empty: true, reason: 'app_offline', pendingCount: 0 });
+    }
 
-    const now = Date.now();
-    const devices = Array.from(liveGalleryDevices.values())
-      .map((device) => buildLiveGalleryDeviceSummary(device))
-      .filter((device) => {
-        const lastSeenAtMs = Date.parse(device.lastSeenAt || '') || 0;
-        if (!lastSeenAtMs) return false;
-        if ((now - lastSeenAtMs) <= DEVICE_ONLINE_WINDOW_MS) return true;
-        return (now - lastSeenAtMs) <= DEVICE_HISTORY_WINDOW_MS;
-      })
-      .sort((a, b) => {
-        if (a.online !== b.online) return a.online ? -1 : 1;
-        const aSeen = Date.parse(a.lastSeenAt || '') || 0;
-        const bSeen = Date.parse(b.lastSeenAt || '') || 0;
-        return bSeen - aSeen;
+    const moderator = getModeratorFromRequest(req);
+
+    // Claim the next photo + how many remain
+    const [{ file, claim, claims, allClaimed }, pendingCount] = await Promise.all([
+      claimNextPendingPhoto(moderator),
+      countPendingPhotos()
+    ]);
+    const reviewers = listReviewClaims(claims, moderator);
+
+    if (!file) {
+      return res.json({
+        empty: true,
+        reason: allClaimed ? 'all_claimed' : undefined,
+        pendingCount,
+        moderator,
+        reviewers,
       });
+    }
 
-    return res.json({
-      ok: true,
-      devices,
-      meta: {
-        onlineWindowMs: DEVICE_ONLINE_WINDOW_MS,
-        warningWindowMs: DEVICE_WARNING_WINDOW_MS,
-        offlineWindowMs: DEVICE_OFFLINE_WINDOW_MS,
-        historyWindowMs: DEVICE_HISTORY_WINDOW_MS,
-      },
+    // NEW: photoNumber based on filename ticket (T001-…)
+    const photoNumber = extractTicketNumber(file.name);
+
+    res.json({
+      empty: false,
+      fileId: file.id,
+      name: file.name,
+      photoNumber,    // e.g. 1, 2, 3…
+      pendingCount,   // total pending in folder
+      claim: serializeReviewClaim(claim, moderator),
+      duplicate: serializeDuplicateFlag(file),
+      quality: serializePhotoQuality(file),
+      autoModeration: serializeAutoModeration(file),
+      autoApproveAt: getTrustedApproveAt(file),
+      leaseMs: REVIEW_CLAIM_LEASE_MS,
+      moderator,
+      reviewers,      // who is reviewing what, including this moderator
     });
   } catch (err) {
-    console.error('Error listing live gallery devices:', err);
-    return res.status(500).json({ ok: false, error: 'list_devices_failed' });
+    console.error('Error fetching next pending photo:', err);
+    res.status(500).json({ error: 'failed_next_photo' });
   }
 });
 
-// Photo upload (counts as "upload")
-app.post('/upload', express.raw({ type: 'image/*', limit: '5mb' }), async (req, res) => {
-  if (!appEnabled) {
-    return res.status(503).json({ error: 'app_offline', message: 'Selfie app is offline for this event.' });
-  }
-
-  if (!req.body || req.body.length === 0) {
-    return res.status(400).json({ error: 'No file uploaded.' });
-  }
+// Serve the actual image bytes so admin.html can <img src="...">
+// Get photo thumbnail (smaller, faster loading for grid)
+app.get('/admin/photo/:id/thumbnail', ensureAdminAuth, async (req, res) => {
+  const fileId = req.params.id;
 
   try {
-    const {
-      fileId,
-      finalName,
-      ticketIndex,
-      ticketLabel,
-      ticketDisplay
-    } = await uploadFile(
-      req.body,
-      'ignored.jpeg',
-      req.headers['content-type']
-    );
-
-    // Log to Sheet
-    try {
-      const sessionId = buildSessionIdentifier(req);
-      await Promise.allSettled([
-        logEventToSheet('upload', {
-          sessionId,
-          ticket: ticketLabel // e.g. "T015"
-        }),
-        logMetricsEvent('upload', req, {
-          sessionId,
-          ticket: ticketLabel,
-          source: 'public_app',
-          metadata: {
-            fileId,
-            finalName,
-            ticketIndex,
-            ticketDisplay
+    const derivative = await openPhotoVariantStream(fileId, 'thumb', { fallbackToOriginal: false });
+    if (derivative) {
+      res.setHeader('Content-Type', derivative.contentType);
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+      res.setHeader('X-Thumbnail-Source', 'derivative');
+      derivative.stream
+        .on('error', (err) => {
+          console.error('Error streaming photo thumbnail:', err);
+          if (!res.headersSent) {
+            res.status(500).end();
           }
         })
-      ]);
-    } catch (e) {
-      console.error('Error logging upload event to sheet:', e);
+        .pipe(res);
+      return;
     }
 
-    res.json({
-      ok: true,
-      message: 'File uploaded successfully',
-      fileId,
-      ticketIndex,
-      ticketLabel,
-      ticketDisplay
-    });
-  } catch (error) {
-    console.error('Error uploading file:', error);
-    res.status(500).json({ error: 'Error uploading file', details: error.message });
+    const thumbnail = await currentEvent().photoStorage.getThumbnail(fileId)
+      || await renderThumbnailFromOriginal(fileId).catch((err) => {
+        console.warn('Unable to resize original for admin thumbnail', {
+          fileId,
+          error: err && err.message ? err.message : String(err),
+        });
+        return null;
+      });
+
+    if (thumbnail) {
+      res.setHeader('Content-Type', thumbnail.contentType);
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      res.setHeader('X-Thumbnail-Source', thumbnail.source);
+      return res.end(thumbnail.buffer);
+    }
+
+    if (!res.headersSent) {
+      return sendAdminThumbnailPlaceholder(res, fileId, 'thumbnail_unavailable');
+    }
+  } catch (err) {
+    console.error('Error getting photo thumbnail from storage:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'failed_photo_thumbnail' });
+    }
   }
 });
 
-// Visit logging (form submissions)
-app.post('/visit', async (req, res) => {
-  if (!appEnabled) {
-    return res.status(503).json({ ok: false, error: 'app_offline' });
-  }
-  try {
-    const { country, lastName, email, newsletter, timestamp } = req.body || {};
+// Get full resolution photo (for downloads and overlay preview); ?size= picks a derivative
+app.get('/admin/photo/:id', ensureAdminAuth, async (req, res) => {
+  const fileId = req.params.id;
 
-    const timestampUtc = timestamp || new Date().toISOString();
-    const newsletterFlag = getNewsletterFlag(newsletter);
-    const newsletterLabel = newsletterFlag === 'Y' ? 'Sí' : 'No';
+  try {
+    const photo = await openPhotoVariantStream(fileId, resolveRequestedPhotoVariant(req, 'original'));
 
-    // Split "region, country" if it comes combined
-    let countryClean = '';
-    let region = '';
+    res.setHeader('Content-Type', photo.contentType);
+    res.setHeader('X-Photo-Variant', photo.variant);
+    photo.stream
+      .on('error', (err) => {
+        console.error('Error streaming photo:', err);
+        if (!res.headersSent) {
+          res.status(500).end('Error streaming file');
+        }
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error('Error getting photo from storage:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'failed_photo_stream' });
+    }
+  }
+});
 
-    if (country) {
-      const parts = String(country)
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean);
+// Approved photo composited into the active template (same image for downloads and emails)
+app.get('/admin/photo/:id/framed', ensureAdminAuth, async (req, res) => {
+  const fileId = req.params.id;
 
-      if (parts.length >= 2) {
-        region = parts[0];       // municipality / region
-        countryClean = parts[1]; // country
-      } else if (parts.length === 1) {
-        countryClean = parts[0];
-      }
+  try {
+    const framed = await getFramedPhoto(fileId, { force: req.query.refresh === '1' });
+    if (!framed) {
+      return res.status(409).json({ ok: false, error: 'no_active_overlay' });
     }
 
-    // Log to Sheet as "form"
-    try {
-      const sessionId = buildSessionIdentifier(req);
-      await Promise.allSettled([
-        logEventToSheet('form', {
-          email,
-          sessionId,
-          timestampUtc,
-          country: countryClean,
-          region,
-          lastName,
-          newsletter
-        }),
-        logMetricsEvent('form', req, {
-          email,
-          sessionId,
-          timestampUtc,
-          country: countryClean,
-          region,
-          lastName,
-          newsletter,
-          source: 'public_form',
-          metadata: {
-            newsletterEnabled: newsletter !== '',
-          }
-        })
-      ]);
-    } catch (e) {
-      console.error('Error logging form event to sheet:', e);
+    res.setHeader('Content-Type', framed.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Framed-Source', framed.source);
+    res.setHeader('X-Template-Version', framed.version);
+    if (req.query.download === '1') {
+      res.setHeader('Content-Disposition', `attachment; filename="framed_${String(fileId).replace(/[^A-Za-z0-9_-]/g, '')}.jpg"`);
     }
+    return res.end(framed.buffer);
+  } catch (err) {
+    console.error('Error rendering framed photo:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ ok: false, error: 'failed_framed_photo' });
+    }
+  }
+});
 
-    console.log('Visit payload:', { country, lastName, email, newsletter, timestampUtc });
+// --------- MODERATION STATES ----------
+// Every photo is in exactly one state. The folder says where the bytes live,
+// appProperties say how the photo got there:
+//   pending  -> pending folder      approved -> approved folder
+//   rejected -> archive folder      hidden   -> archive folder (was approved)
+//   deleted  -> storage trash (terminal)
+// Drive events without an archive folder put rejected / hidden photos in the
+// storage trash instead, left in their folder and marked with the state, so
+// they restore the same way (untrash). Rejected / hidden photos can go back
+// within PHOTO_RESTORE_WINDOW_HOURS; after that purgeExpiredArchivedPhotos()
+// marks them deleted (and trashes them when they sit in the archive folder). Each transition is written
+// to the photo (moderationState, stateChangedAt/By, stateReason, stateNote,
+// previousState) and logged as a `photo_state_change` metrics event, which is
+// the audit history GET /admin/photo/:id/history reads back.
+
+const PHOTO_STATE_FOLDERS = {
+  pending: 'pending',
+  approved: 'approved',
+  rejected: 'archive',
+  hidden: 'archive',
+  deleted: null,
+};
 
-    if (!mailTransporter) {
-      console.log('Mail transporter is not configured, skipping email.');
-      return res.status(500).json({ ok: false, error: 'mail_disabled' });
-    }
+const PHOTO_STATE_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['pending', 'hidden'],
+  rejected: ['pending', 'deleted'],
+  hidden: ['approved', 'deleted'],
+  deleted: [],
+};
 
-    const subject = 'Nueva familia registrada (Selfie App)';
+const PHOTO_REJECTION_REASONS = ['inappropriate', 'poor_quality', 'no_person', 'duplicate', 'test_photo', 'other'];
+const PHOTO_RESTORE_WINDOW_MS = PHOTO_RESTORE_WINDOW_HOURS * 60 * 60 * 1000;
+const PHOTO_HISTORY_MAX_ENTRIES = 50;
+const ARCHIVE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
-    const text =
-      'Una nueva familia ha sido registrada en el sistema.\n\n' +
-      `La familia nos visita desde: ${country || 'No provisto'}\n` +
-      `Apellidos de la familia: ${lastName || 'No provisto'}\n` +
-      `Correo electrónico de la familia: ${email || 'No provisto'}\n` +
-      `Acepta recibir noticias y ofertas de MUNICIPIO DE MAYAGÜEZ.: ${newsletterLabel}\n\n` +
-      `Fecha y hora (UTC): ${timestampUtc}`;
+function normalizeRejectionReason(value) {
+  const reason = String(value || '').trim().toLowerCase();
+  return PHOTO_REJECTION_REASONS.includes(reason) ? reason : '';
+}
 
-    const html = `<!DOCTYPE html>
-<html>
-  <head>
-    <meta charset="UTF-8" />
-    <title>${subject}</title>
-  </head>
-  <body style="margin:0;padding:0;background:#f4f4f4;">
-    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
-      <tr>
-        <!-- LEFT aligned main block -->
-        <td align="left" style="padding:24px;">
-          <!-- Card -->
-          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="560"
-                 style="background:#ffffff;border-radius:8px;box-shadow:0 2px 6px rgba(0,0,0,0.06);
-                        font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
-            <!-- Header band -->
-            <tr>
-              <td style="padding:20px 24px 16px 24px;background:#0a192f; 
-                         border-radius:8px 8px 0 0;color:#ffffff;text-align:center;">
-                <div style="font-size:18px;font-weight:600;letter-spacing:0.04em;text-transform:uppercase;">
-                  NUEVA FAMILIA REGISTRADA
-                </div>
-                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
-                  Pantalla Plaza Colón · Selfie App · Municipio de Mayagüez
-                </div>
-              </td>
-            </tr>
+// Rejected / hidden on a driver without an archive folder: trashed where it was
+function isTrashArchivedPhoto(file) {
+  const recorded = (file && file.appProperties || {}).moderationState;
+  return Boolean(file && file.trashed) && PHOTO_STATE_FOLDERS[recorded] === 'archive' && file.folder !== 'archive';
+}
 
-            <!-- Body -->
-            <tr>
-              <td style="padding:18px 24px 8px 24px;font-size:13px;color:#333333;text-align:left;">
-                <p style="margin:0 0 12px 0;">
-                  Se ha registrado una nueva familia en el sistema:
-                </p>
+function getPhotoState(file) {
+  if (!file) return null;
+  if (file.trashed) return isTrashArchivedPhoto(file) ? file.appProperties.moderationState : 'deleted';
 
-                <p style="margin:0 0 6px 0;">
-                  <strong>Nos visitan desde:</strong> ${country || 'No provisto'}
-                </p>
+  const recorded = (file.appProperties || {}).moderationState;
+  if (recorded && PHOTO_STATE_FOLDERS[recorded] === file.folder) return recorded;
 
-                <p style="margin:0 0 6px 0;">
-                  <strong>Apellidos de la familia:</strong> ${lastName || 'No provisto'}
-                </p>
+  // Photos from before the state machine only have a folder
+  if (file.folder === 'pending' || file.folder === 'approved') return file.folder;
+  if (file.folder === 'archive') return 'rejected';
+  return null;
+}
 
-                <p style="margin:0 0 6px 0;">
-                  <strong>Correo electrónico:</strong>
-                  ${
-                    email
-                      ? `<a href="mailto:${email}" style="color:#0073e6;text-decoration:none;">${email}</a>`
-                      : 'No provisto'
-                  }
-                </p>
+function getPhotoRestoreDeadline(file) {
+  const changedAt = Date.parse((file.appProperties || {}).stateChangedAt || file.modifiedTime || '');
+  return Number.isFinite(changedAt) ? changedAt + PHOTO_RESTORE_WINDOW_MS : 0;
+}
 
-                <p style="margin:0 0 6px 0;">
-                  <strong>Acepta recibir noticias y ofertas:</strong> ${newsletterLabel}
-                </p>
+function serializePhotoModeration(file) {
+  const appProperties = file.appProperties || {};
+  const state = getPhotoState(file);
+  const archived = state === 'rejected' || state === 'hidden';
+  const restoreDeadline = archived ? getPhotoRestoreDeadline(file) : 0;
+  return {
+    state,
+    reason: appProperties.stateReason || '',
+    note: appProperties.stateNote || '',
+    changedAt: appProperties.stateChangedAt || '',
+    changedBy: appProperties.stateChangedBy || '',
+    previousState: appProperties.previousState || '',
+    restorableUntil: restoreDeadline ? new Date(restoreDeadline).toISOString() : null,
+    restorable: archived && restoreDeadline > Date.now(),
+    transitions: PHOTO_STATE_TRANSITIONS[state] || [],
+  };
+}
 
-                <p style="margin:10px 0 0 0;font-size:11px;color:#666666;">
-                  <strong>Fecha y hora (UTC):</strong> ${timestampUtc}
-                </p>
-              </td>
-            </tr>
+function photoStateError(message, code, extra = {}) {
+  return Object.assign(new Error(message), { code, ...extra });
+}
 
-            <!-- Footer with centered logo + text -->
-            <tr>
-              <td style="padding:18px 24px 20px 24px;text-align:center;border-top:1px solid #f0f0f0;">
-                <img
-                  src="${LUMI_LOGO_URL}"
-                  alt="Luminar Apps"
-                  style="display:block;height:40px;margin:0 auto 6px auto;"
-                />
-                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0 0 2px 0;">
-                  Este correo fue generado automáticamente por Luminar Apps.
-                </p>
-                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0;">
-                  Favor no responder a este correo electrónico.
-                </p>
-              </td>
-            </tr>
-          </table>
-        </td>
-      </tr>
-    </table>
-  </body>
-</html>`;
+// Moves a photo to `toState` if the state machine allows it. Throws errors with
+// an HTTP-ish `code` (404 / 409 / 410) that routes pass straight through.
+async function transitionPhotoState(fileId, toState, { moderator, reason = '', note = '', req = null, source = 'admin_review', extraProperties = {} } = {}) {
+  const storage = currentEvent().photoStorage;
+  const file = await storage.getFile(fileId).catch((err) => {
+    if (err && (err.code === 404 || err.code === '404')) throw photoStateError('photo_not_found', 404);
+    throw err;
+  });
 
-    await mailTransporter.sendMail({
-      from: `"Luminar Apps" <${process.env.MAIL_FROM || process.env.MAIL_USER}>`,
-      to: process.env.MAIL_TO || process.env.MAIL_USER,
-      subject,
-      text,
-      html
-    });
+  const fromState = getPhotoState(file);
+  if (!fromState || !(PHOTO_STATE_TRANSITIONS[fromState] || []).includes(toState)) {
+    throw photoStateError('invalid_transition', 409, { from: fromState, to: toState });
+  }
 
-    console.log('Email sent OK');
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('Error sending visit email:', err);
-    res.status(500).json({ ok: false, error: 'email_failed' });
+  const restoring = (fromState === 'rejected' || fromState === 'hidden') && toState !== 'deleted';
+  if (restoring && getPhotoRestoreDeadline(file) <= Date.now()) {
+    throw photoStateError('restore_window_expired', 410, { from: fromState, to: toState });
   }
-});
 
-// --------- ADMIN AUTH ROUTE ----------
+  const now = new Date().toISOString();
+  const actor = clampString((moderator && moderator.name) || 'system', 40);
+  const appProperties = {
+    ...extraProperties,
+    moderationState: toState,
+    previousState: fromState,
+    stateChangedAt: now,
+    stateChangedBy: actor,
+    stateReason: reason,
+    stateNote: clampString(note, 80),
+    // Leaving the review queue ends any lease on it
+    ...CLEARED_REVIEW_CLAIM,
+  };
 
-app.post('/admin/auth', ensureNotBlocked, async (req, res) => {
-  if (!ADMIN_ACCESS_CODE) {
-    console.error('ADMIN_ACCESS_CODE is not configured');
-    return res.status(500).json({ error: 'admin_code_not_configured' });
+  let toFolder = PHOTO_STATE_FOLDERS[toState];
+  // No archive folder on this Drive event: rejected / hidden go to the trash
+  if (toFolder === 'archive' && !storage.supportsArchive) toFolder = null;
+
+  let updated;
+  if (toFolder) {
+    if (file.trashed) await storage.untrashFile(fileId);
+    updated = toFolder === file.folder
+      ? await storage.updateFile(fileId, appProperties)
+      : await storage.moveFile(fileId, file.folder, toFolder, appProperties);
+  } else {
+    updated = await storage.updateFile(fileId, appProperties);
+    if (!file.trashed) await storage.trashFile(fileId);
+    updated = { ...updated, trashed: true };
   }
 
-  const ip = getClientIp(req);
-  const { code } = req.body || {};
+  invalidatePhotoFolderCaches(file.folder);
+  if (toFolder && toFolder !== file.folder) invalidatePhotoFolderCaches(toFolder);
 
-  if (!code || typeof code !== 'string') {
-    return res.status(400).json({ error: 'missing_code' });
-  }
+  logMetricsEvent('photo_state_change', req, {
+    source,
+    sessionId: req ? '' : 'moderation',
+    metadata: {
+      fileId,
+      name: file.name || '',
+      from: fromState,
+      to: toState,
+      reason,
+      note: appProperties.stateNote,
+      moderator: actor,
+    },
+  }).catch(() => {});
+  broadcastAdminEvent('photo_state', {
+    fileId,
+    photoNumber: extractTicketNumber(file.name),
+    from: fromState,
+    to: toState,
+    reason,
+    source,
+    moderator: {
+      id: String((moderator && moderator.id) || 'system'),
+      name: actor,
+    },
+  });
 
-  let record = ipTracker.get(ip) || { attempts: 0, blockedUntil: 0 };
+  return { file: updated, from: fromState, to: toState };
+}
 
-  // Safety: if already blocked
-  if (isBlocked(ip)) {
-    return res.status(403).json({
-      error: 'blocked',
-      blockedMinutes: remainingBlockMinutes(ip),
+function sendPhotoStateError(res, err, fallbackError) {
+  if (err && [404, 409, 410].includes(err.code)) {
+    return res.status(err.code).json({ ok: false, error: err.message, from: err.from, to: err.to });
+  }
+  console.error(`Error in photo state change (${fallbackError}):`, err);
+  return res.status(500).json({ ok: false, error: fallbackError });
+}
+
+// Audit trail for one photo, oldest first, from the metrics log
+async function readPhotoStateHistory(fileId) {
+  const rows = await currentEvent().dataStore.readMetricsRows({ family: 'admin' });
+  const history = [];
+  rows.forEach((row) => {
+    if (row[5] !== 'photo_state_change') return;
+    let metadata = {};
+    try {
+      metadata = JSON.parse(row[23] || '{}');
+    } catch (_) {
+      return;
+    }
+    if (metadata.fileId !== fileId) return;
+    history.push({
+      at: row[1],
+      from: metadata.from || '',
+      to: metadata.to || '',
+      reason: metadata.reason || '',
+      note: metadata.note || '',
+      moderator: metadata.moderator || '',
     });
+  });
+  history.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  return history.slice(-PHOTO_HISTORY_MAX_ENTRIES);
+}
+
+// Every rejected / hidden photo (full file objects), newest first: the archive
+// folder, or the trashed photos of pending / approved when there is none
+async function listArchivedPhotoFiles() {
+  const storage = currentEvent().photoStorage;
+  const sources = storage.supportsArchive
+    ? [{ folder: 'archive', trashed: false }]
+    : [{ folder: 'pending', trashed: true }, { folder: 'approved', trashed: true }];
+
+  const files = [];
+  for (const { folder, trashed } of sources) {
+    let pageToken = null;
+    do {
+      const res = await storage.listFiles(folder, { pageSize: 200, pageToken, trashed });
+      files.push(...(trashed ? res.files.filter(isTrashArchivedPhoto) : res.files));
+      pageToken = res.nextPageToken;
+    } while (pageToken);
+  }
+  return sortPhotoFiles(files);
+}
+
+// Delete rejected / hidden photos whose restore window has passed
+async function purgeExpiredArchivedPhotos() {
+  const expired = (await listArchivedPhotoFiles())
+    .filter((file) => getPhotoRestoreDeadline(file) <= Date.now())
+    .map((file) => file.id);
+
+  let purged = 0;
+  for (const fileId of expired) {
+    try {
+      await transitionPhotoState(fileId, 'deleted', { source: 'archive_purge', reason: 'restore_window_expired' });
+      purged += 1;
+    } catch (err) {
+      console.warn('Unable to purge archived photo', {
+        fileId,
+        error: err && err.message ? err.message : String(err),
+      });
+    }
   }
+  return purged;
+}
 
-  if (code === ADMIN_ACCESS_CODE) {
-    // Success → reset attempts, clear block, create signed token
-    record = { attempts: 0, blockedUntil: 0 };
-    ipTracker.set(ip, record);
+// Render the framed copy (GET /admin/photo/:id/framed renders on demand if
+// this has not finished or the template changed), then queue the guest email
+// that attaches it. Photos that come back after a trip to pending keep the
+// email they already got.
+function runPostApprovalWork(fileId) {
+  return getFramedPhoto(fileId)
+    .catch((err) => {
+      console.warn('Unable to render framed photo after approval', {
+        fileId,
+        error: err && err.message ? err.message : String(err),
+      });
+    })
+    .then(() => currentEvent().photoStorage.getFile(fileId))
+    .then((file) => (file.appProperties?.guestEmailStatus === 'sent' ? null : queueGuestPhotoEmail(fileId)))
+    .catch((err) => {
+      console.warn('Unable to queue guest photo email', {
+        fileId,
+        error: err && err.message ? err.message : String(err),
+      });
+    });
+}
 
-    const token = createAdminSession(ip);
-    return res.json({ ok: true, token });
-  }
+function approvePendingPhoto(fileId, moderator, req = null, source = 'admin_review') {
+  return transitionPhotoState(fileId, 'approved', {
+    moderator,
+    req,
+    source,
+    extraProperties: {
+      approvedAt: new Date().toISOString(),
+      approvedBy: clampString(moderator.name, 40),
+    },
+  });
+}
 
-  // Wrong code
-  record.attempts += 1;
+function rejectPendingPhoto(fileId, moderator, { reason = '', note = '' } = {}, req = null, source = 'admin_review') {
+  return transitionPhotoState(fileId, 'rejected', { moderator, reason, note, req, source });
+}
 
-  if (record.attempts >= ADMIN_MAX_ATTEMPTS) {
-    record.blockedUntil = Date.now() + ADMIN_BLOCK_MINUTES * 60 * 1000;
-    ipTracker.set(ip, record);
+// --------- TRUSTED AUTO-APPROVE ----------
+// settings.moderation.mode covers the hours nobody is on shift:
+//   manual    -> only moderators approve (default)
+//   delayed   -> photos pending longer than autoApproveAfterMinutes are approved
+//                unless a moderator rejects them first
+//   immediate -> uploads are approved as they arrive (uploadFile)
+// The sweep approves exactly like /admin/approve (approvedAt, cache invalidation,
+// framed copy, guest email). It runs on a timer on long-running servers and,
+// throttled to the same interval, when a gallery display polls /gallery/approved,
+// since Vercel keeps no timers between requests. Photos a moderator has open
+// are left alone, and so is anything that needs a person: see
+// isTrustedApproveEligible.
 
-    return res.status(403).json({
-      error: 'blocked',
-      blockedMinutes: ADMIN_BLOCK_MINUTES,
+const TRUSTED_APPROVE_INTERVAL_MS = 60 * 1000;
+const TRUSTED_APPROVE_MODERATOR = { id: 'trusted-mode', name: 'Trusted mode' };
+
+// How long a photo waits before auto-approval, or null in manual mode
+function getTrustedApproveDelayMs() {
+  const moderation = currentEvent().appSettings.moderation || DEFAULT_APP_SETTINGS.moderation;
+  if (moderation.mode === 'immediate') return 0;
+  if (moderation.mode === 'delayed') return moderation.autoApproveAfterMinutes * 60 * 1000;
+  return null;
+}
+
+// Neither mode publishes a photo the checks flagged: the classifier sent it to
+// a moderator ("needs_human", which includes a failed classifier call) or the
+// quality check found warnings. Those wait for a person like in manual mode.
+function isTrustedApproveEligible(appProperties = {}) {
+  if (appProperties.autoModDecision === 'needs_human') return false;
+  return !String(appProperties.qualityWarnings || '').trim();
+}
+
+function getTrustedApproveAt(file) {
+  if (!isTrustedApproveEligible((file && file.appProperties) || {})) return null;
+  const delayMs = getTrustedApproveDelayMs();
+  const createdAt = Date.parse(file && file.createdTime);
+  if (delayMs == null || !Number.isFinite(createdAt)) return null;
+  return new Date(createdAt + delayMs).toISOString();
+}
+
+async function approveDuePendingPhotos() {
+  const delayMs = getTrustedApproveDelayMs();
+  if (delayMs == null) return 0;
+
+  const storage = currentEvent().photoStorage;
+  const cutoff = Date.now() - delayMs;
+  const due = [];
+  let pageToken = null;
+  do {
+    const res = await storage.listFiles('pending', { orderBy: 'createdTime asc', pageSize: 200, pageToken });
+    res.files.forEach((file) => {
+      if (Date.parse(file.createdTime) > cutoff || readReviewClaim(file)) return;
+      if (isTrustedApproveEligible(file.appProperties || {})) due.push(file.id);
     });
+    pageToken = res.nextPageToken;
+  } while (pageToken);
+
+  const approvedIds = [];
+  for (const fileId of due) {
+    try {
+      await approvePendingPhoto(fileId, TRUSTED_APPROVE_MODERATOR, null, 'trusted_mode');
+      approvedIds.push(fileId);
+      await runPostApprovalWork(fileId);
+    } catch (err) {
+      // Rejected or approved by a moderator since the listing
+      if (err && err.code === 409) continue;
+      console.warn('Unable to auto-approve pending photo', {
+        fileId,
+        error: err && err.message ? err.message : String(err),
+      });
+    }
   }
 
-  ipTracker.set(ip, record);
+  if (approvedIds.length) {
+    logMetricsEvent('trusted_auto_approve', null, {
+      sessionId: 'moderation',
+      source: 'trusted_mode',
+      metadata: {
+        mode: currentEvent().appSettings.moderation.mode,
+        count: approvedIds.length,
+        fileIds: approvedIds.slice(0, 50),
+      },
+    }).catch(() => {});
+  }
+  return approvedIds.length;
+}
 
-  return res.status(401).json({
-    error: 'invalid_code',
-    remainingAttempts: ADMIN_MAX_ATTEMPTS - record.attempts,
-  });
-});
+// One sweep at a time per event, at most once per interval
+function sweepTrustedApprovals({ force = false } = {}) {
+  const sweep = currentEvent().trustedApproveSweep;
+  if (sweep.running) return sweep.running;
+  if (!force && Date.now() - sweep.lastRunAt < TRUSTED_APPROVE_INTERVAL_MS) return Promise.resolve(0);
+  if (getTrustedApproveDelayMs() == null) return Promise.resolve(0);
 
-// --------- ADMIN UNBLOCK (manual) ----------
+  sweep.lastRunAt = Date.now();
+  sweep.running = approveDuePendingPhotos()
+    .then((approved) => {
+      if (approved) console.log(`Auto-approved ${approved} pending photo(s) (${currentEvent().event.slug})`);
+      return approved;
+    })
+    .catch((err) => {
+      console.warn(`Unable to auto-approve pending photos (${currentEvent().event.slug}):`, err.message || err);
+      return 0;
+    })
+    .finally(() => {
+      sweep.running = null;
+    });
+  return sweep.running;
+}
 
-app.post('/admin/unblock', (req, res) => {
-  if (!ADMIN_UNLOCK_KEY) {
-    return res.status(500).json({ error: 'unlock_key_not_configured' });
+// --------- QUEUE SLA ALERTS ----------
+// Watches the pending queue (size and age of the oldest photo) against
+// settings.queueAlerts. Crossing either limit sends an alert by email and / or
+// webhook (destinations: event config `alerts`); while still over it repeats at
+// most once per cooldown, and one "resolved" notice goes out when the queue is
+// back under both limits. Checked on the same schedule as the trusted sweep
+// (and by the /background-jobs cron on Vercel). Whether an alert is open and
+// when it last went out live in the Queue Alert State settings row, so every
+// instance honours the same cooldown.
+
+const QUEUE_ALERT_CHECK_INTERVAL_MS = 60 * 1000;
+const ALERT_WEBHOOK_TIMEOUT_MS = 5000;
+
+function normalizeQueueAlertState(rawState) {
+  const candidate = rawState && typeof rawState === 'object' ? rawState : {};
+  const active = Boolean(candidate.active);
+  return {
+    active,
+    since: active ? clampIsoTimestamp(candidate.since) || null : null,
+    lastAlertAt: Math.max(0, Number(candidate.lastAlertAt) || 0),
+    lastResolvedAt: Math.max(0, Number(candidate.lastResolvedAt) || 0),
+  };
+}
+
+function getQueueAlertState() {
+  return normalizeQueueAlertState(currentEvent().appSettings.queueAlertState);
+}
+
+async function readPendingQueueSnapshot() {
+  const [pendingCount, oldest] = await Promise.all([
+    countPendingPhotos(),
+    currentEvent().photoStorage.listFiles('pending', { orderBy: 'createdTime asc', pageSize: 1 }),
+  ]);
+  const oldestPendingAt = oldest.files[0] ? oldest.files[0].createdTime : null;
+  const oldestMs = Date.parse(oldestPendingAt);
+  return {
+    pendingCount,
+    oldestPendingAt,
+    oldestWaitMinutes: Number.isFinite(oldestMs) ? Math.max(0, Math.floor((Date.now() - oldestMs) / 60000)) : 0,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+function getQueueAlertBreaches(snapshot, settings) {
+  const breaches = [];
+  if (snapshot.pendingCount >= settings.maxPending) breaches.push('size');
+  if (snapshot.pendingCount > 0 && snapshot.oldestWaitMinutes >= settings.maxWaitMinutes) breaches.push('wait');
+  return breaches;
+}
+
+function buildQueueAlertText(kind, snapshot, settings) {
+  const eventName = currentEvent().event.name;
+  if (kind === 'resolved') {
+    return {
+      subject: `Moderation queue back to normal – ${eventName}`,
+      text:
+        `The moderation queue for ${eventName} is back under its limits.\n\n` +
+        `Pending photos: ${snapshot.pendingCount}\n` +
+        `Oldest waiting: ${snapshot.oldestWaitMinutes} min\n`,
+    };
   }
+  return {
+    subject: `${kind === 'test' ? '[TEST] ' : ''}Moderation queue needs attention – ${snapshot.pendingCount} pending (${eventName})`,
+    text:
+      `Guests are waiting for their photos at ${eventName}.\n\n` +
+      `Pending photos: ${snapshot.pendingCount} (limit ${settings.maxPending})\n` +
+      `Oldest waiting: ${snapshot.oldestWaitMinutes} min (limit ${settings.maxWaitMinutes} min)\n\n` +
+      `Open the admin panel to review the queue, or switch the moderation mode to auto-approve.\n`,
+  };
+}
 
-  const key = req.headers['x-admin-unlock-key'];
-  if (key !== ADMIN_UNLOCK_KEY) {
-    return res.status(403).json({ error: 'forbidden' });
+// Sends one alert to the event's `alerts` destinations over channel ('email',
+// 'webhook' or 'both'). Resolves to the channels that delivered.
+async function deliverEventAlert(channel, { label, subject, text, payload }) {
+  const alerts = currentEvent().event.alerts || {};
+  const jobs = [];
+
+  if (channel === 'email' || channel === 'both') {
+    const to = alerts.emailTo || getEventReportMailTo();
+    if (mailTransporter && to) {
+      jobs.push(['email', mailTransporter.sendMail({ from: getEventMailFrom(), to, subject, text })]);
+    } else {
+      console.warn(`${label} email skipped: mail transporter or recipient not configured`);
+    }
   }
 
-  const { ip } = req.body || {};
-  if (!ip) {
-    return res.status(400).json({ error: 'missing_ip' });
+  if (channel === 'webhook' || channel === 'both') {
+    if (alerts.webhookUrl) {
+      jobs.push(['webhook', fetch(alerts.webhookUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS),
+      }).then((response) => {
+        if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}`);
+      })]);
+    } else {
+      console.warn(`${label} webhook skipped: no webhook URL configured for this event`);
+    }
   }
 
-  ipTracker.delete(ip);
-  return res.json({ ok: true, message: `IP ${ip} unblocked` });
-});
+  const results = await Promise.allSettled(jobs.map(([, job]) => job));
+  const delivered = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      delivered.push(jobs[index][0]);
+    } else {
+      console.warn(`${label} ${jobs[index][0]} failed:`, result.reason && result.reason.message ? result.reason.message : result.reason);
+    }
+  });
+  return delivered;
+}
 
-// --------- ADMIN APP STATUS (for toggle) ----------
+function getAlertDestinations() {
+  const alerts = currentEvent().event.alerts || {};
+  return {
+    email: Boolean(mailTransporter && (alerts.emailTo || getEventReportMailTo())),
+    webhook: Boolean(alerts.webhookUrl),
+  };
+}
 
-app.get('/admin/app-status', ensureAdminAuth, (req, res) => {
-  hydrateSettingsFromSheet({ force: true })
-    .then(() => res.json({ ok: true, enabled: appEnabled }))
-    .catch(() => res.json({ ok: true, enabled: appEnabled }));
-});
+// kind: 'alert' | 'resolved' | 'test'. Resolves to the channels that delivered.
+async function sendQueueAlert(kind, snapshot, breaches = []) {
+  const context = currentEvent();
+  const settings = context.appSettings.queueAlerts || DEFAULT_APP_SETTINGS.queueAlerts;
+  const channel = settings.channel;
+  const { subject, text } = buildQueueAlertText(kind, snapshot, settings);
+  const delivered = await deliverEventAlert(channel, {
+    label: 'Queue alert',
+    subject,
+    text,
+    payload: {
+      type: kind === 'resolved' ? 'queue_sla_resolved' : 'queue_sla_alert',
+      test: kind === 'test',
+      event: context.event.slug,
+      eventName: context.event.name,
+      text: subject,
+      breaches,
+      pendingCount: snapshot.pendingCount,
+      oldestPendingAt: snapshot.oldestPendingAt,
+      oldestWaitMinutes: snapshot.oldestWaitMinutes,
+      thresholds: { maxPending: settings.maxPending, maxWaitMinutes: settings.maxWaitMinutes },
+      at: new Date().toISOString(),
+    },
+  });
+
+  logMetricsEvent('queue_sla_alert', null, {
+    sessionId: 'moderation',
+    source: 'queue_monitor',
+    metadata: {
+      kind,
+      breaches,
+      pendingCount: snapshot.pendingCount,
+      oldestWaitMinutes: snapshot.oldestWaitMinutes,
+      channel,
+      delivered,
+    },
+  }).catch(() => {});
 
-app.post('/admin/app-status', ensureAdminAuth, async (req, res) => {
-  try {
-    const { enabled, accessCode } = req.body || {};
+  return delivered;
+}
 
-    if (typeof enabled !== 'boolean') {
-      return res.status(400).json({ error: 'missing_enabled_flag' });
-    }
+async function evaluateQueueAlerts() {
+  const context = currentEvent();
+  await hydrateSettingsFromSheet();
+  const settings = context.appSettings.queueAlerts || DEFAULT_APP_SETTINGS.queueAlerts;
+  const state = getQueueAlertState();
 
-    if (!enabled) {
-      if (!accessCode || typeof accessCode !== 'string') {
-        return res.status(400).json({ error: 'missing_access_code' });
-      }
+  if (!settings.enabled) {
+    // Turning alerts off drops an open alert without a resolve notice
+    if (state.active) await writeSettingsState(() => ({ queueAlertState: { ...state, active: false, since: null } }));
+    return;
+  }
 
-      if (!ADMIN_ACCESS_CODE && !ADMIN_UNLOCK_KEY) {
-        return res.status(500).json({ error: 'admin_code_not_configured' });
-      }
+  const snapshot = await readPendingQueueSnapshot();
+  context.queueAlert.snapshot = snapshot;
 
-      if (accessCode !== ADMIN_ACCESS_CODE && accessCode !== ADMIN_UNLOCK_KEY) {
-        return res.status(401).json({ error: 'invalid_access_code' });
-      }
-      appEnabled = false;
-    } else {
-      if (!appEnabled) {
-        appSessionId = generateServerSessionId();
-      }
-      appEnabled = true;
-    }
+  const breaches = getQueueAlertBreaches(snapshot, settings);
+  const now = Date.now();
+  let kind = '';
+  if (breaches.length) {
+    const cooledDown = now - state.lastAlertAt >= settings.cooldownMinutes * 60 * 1000;
+    if (!state.active || cooledDown) {
+      state.lastAlertAt = now;
+      if (!state.active) state.since = new Date(now).toISOString();
+      state.active = true;
+      kind = 'alert';
+    }
+  } else if (state.active) {
+    state.active = false;
+    state.since = null;
+    state.lastResolvedAt = now;
+    kind = 'resolved';
+  }
+  if (!kind) return;
+
+  // Stored before sending, so another instance checking now does not send it too
+  await writeSettingsState(() => ({ queueAlertState: state }));
+  await sendQueueAlert(kind, snapshot, kind === 'alert' ? breaches : []);
+}
+
+// One check at a time per event, at most once per interval
+function checkQueueAlerts({ force = false } = {}) {
+  const state = currentEvent().queueAlert;
+  if (state.checking) return state.checking;
+  if (!force && Date.now() - state.lastCheckedAt < QUEUE_ALERT_CHECK_INTERVAL_MS) return Promise.resolve();
+
+  state.lastCheckedAt = Date.now();
+  state.checking = evaluateQueueAlerts()
+    .catch((err) => {
+      console.warn(`Unable to check moderation queue alerts (${currentEvent().event.slug}):`, err.message || err);
+    })
+    .finally(() => {
+      state.checking = null;
+    });
+  return state.checking;
+}
 
-    const persisted = await writeSettingsToSheet(appSettings, appEnabled, appSessionId);
-    if (!persisted) {
-      console.warn('Unable to persist settings during app-status update.');
-      return res.json({
-        ok: true,
-        enabled: appEnabled,
-        warning: 'settings_persist_failed'
-      });
-    }
+// Background moderation work: the interval below on long-running servers, and
+// gallery polls (throttled) and the /background-jobs cron on Vercel.
+function runModerationJobs() {
+  sweepTrustedApprovals();
+  checkQueueAlerts();
+}
+
+function serializeQueueAlertState() {
+  const state = getQueueAlertState();
+  return {
+    active: state.active,
+    since: state.since,
+    lastAlertAt: state.lastAlertAt ? new Date(state.lastAlertAt).toISOString() : null,
+    lastResolvedAt: state.lastResolvedAt ? new Date(state.lastResolvedAt).toISOString() : null,
+    snapshot: currentEvent().queueAlert.snapshot,
+    destinations: getAlertDestinations(),
+  };
+}
 
-    adminSystemHealthCache.expiresAt = 0;
-    return res.json({ ok: true, enabled: appEnabled });
+// Admin: queue alert status (refreshes the snapshot first)
+app.get('/admin/queue-alerts', ensureAdminAuth, async (req, res) => {
+  try {
+    await hydrateSettingsFromSheet();
+    currentEvent().queueAlert.snapshot = await readPendingQueueSnapshot();
+    res.json({ ok: true, ...serializeQueueAlertState() });
   } catch (err) {
-    console.error('Error updating app status:', err);
-    return res.status(500).json({ ok: false, error: 'app_status_failed' });
+    console.error('Error reading queue alert status:', err);
+    res.status(500).json({ ok: false, error: 'queue_alerts_failed' });
   }
 });
 
-// Admin: get current app settings
-app.get('/admin/settings', ensureAdminAuth, (req, res) => {
-  hydrateSettingsFromSheet({ force: true })
-    .then(() => res.json({ ok: true, settings: appSettings }))
-    .catch(() => res.json({ ok: true, settings: appSettings }));
-});
-
-// Admin: update app settings
-app.post('/admin/settings', ensureAdminAuth, async (req, res) => {
+// Admin: send a test alert through the configured channel(s)
+app.post('/admin/queue-alerts/test', ensureAdminAuth, async (req, res) => {
   try {
-    const mergedSettings = mergeAppSettings(req.body || {});
-    appSettings = await syncActiveTemplateSettings(mergedSettings);
-    const persisted = await writeSettingsToSheet(appSettings, appEnabled, appSessionId);
-    if (!persisted) {
-      return res.status(500).json({ ok: false, error: 'settings_persist_failed' });
-    }
-    settingsLoadedFromSheet = true;
-    adminSystemHealthCache.expiresAt = 0;
-    return res.json({ ok: true, settings: appSettings });
+    const snapshot = await readPendingQueueSnapshot();
+    const delivered = await sendQueueAlert('test', snapshot);
+    res.json({ ok: delivered.length > 0, delivered, ...serializeQueueAlertState() });
   } catch (err) {
-    console.error('Error updating app settings:', err);
-    return res.status(400).json({ ok: false, error: 'invalid_settings' });
+    console.error('Error sending test queue alert:', err);
+    res.status(500).json({ ok: false, error: 'queue_alert_test_failed' });
   }
 });
 
-// --------- ADMIN SHUTDOWN (toggle OFF) ----------
-
-app.post('/admin/shutdown', ensureAdminAuth, async (req, res) => {
+// Approve: move file from Pending to Approved
+app.post('/admin/approve', ensureAdminAuth, async (req, res) => {
   try {
-    const { accessCode } = req.body || {};
-
-    if (!accessCode || typeof accessCode !== 'string') {
-      return res.status(400).json({ error: 'missing_access_code' });
-    }
-
-    if (!ADMIN_ACCESS_CODE && !ADMIN_UNLOCK_KEY) {
-      return res.status(500).json({ error: 'admin_code_not_configured' });
+    const { fileId } = req.body || {};
+    if (!fileId) {
+      return res.status(400).json({ error: 'missing_fileId' });
     }
 
-    // Require re-entering the admin code (or unlock key if you want)
-    if (accessCode !== ADMIN_ACCESS_CODE && accessCode !== ADMIN_UNLOCK_KEY) {
-      return res.status(401).json({ error: 'invalid_access_code' });
+    const moderator = getModeratorFromRequest(req);
+    const foreignClaim = await getForeignReviewClaim(fileId, moderator);
+    if (foreignClaim) {
+      return res.status(409).json({ error: 'photo_claimed', claim: serializeReviewClaim(foreignClaim, moderator) });
     }
 
-    // Compute session stats and build report text
-    const {
-      visits,
-      forms,
-      uploads,
-      eventsForPrimeHour,
-      newsletterEmails = []
-    } = await getTodayStatsFromSheet();
+    await approvePendingPhoto(fileId, moderator, req);
 
-    const prime = computePrimeHour(eventsForPrimeHour);
-    const longDate = formatPRDateLong();
+    runPostApprovalWork(fileId);
 
-    const reportText = buildPlainTextSessionReport(
-      longDate,
-      visits,
-      forms,
-      uploads,
-      prime,
-      newsletterEmails
-    );
+    logMetricsEvent('approve_photo', req, {
+      source: 'admin_review',
+      metadata: { fileId, moderator: moderator.name }
+    }).catch(() => {});
 
-    // Set app to offline
-    appEnabled = false;
+    res.json({ ok: true });
+  } catch (err) {
+    sendPhotoStateError(res, err, 'failed_approve');
+  }
+});
 
-    // Optionally also send the same report via email on shutdown
-    if (mailTransporter) {
-      try {
-        await mailTransporter.sendMail({
-          from: `"Luminar Apps" <${process.env.MAIL_FROM || process.env.MAIL_USER}>`,
-          to: process.env.MAIL_TO || process.env.MAIL_USER,
-          subject: 'Reporte de cierre – Selfie App · Municipio de Mayagüez',
-          text: reportText,
-          attachments: [
-            {
-              filename: 'reporte_sesion.txt',
-              content: reportText
-            }
-          ]
-        });
-        console.log('Shutdown report email sent.');
-      } catch (mailErr) {
-        console.error('Error sending shutdown report email:', mailErr);
-      }
-    } else {
-      console.log('Mail transporter not configured; shutdown report email skipped.');
+// Reject: move file to the archive (restorable) with an optional reason
+app.post('/admin/reject', ensureAdminAuth, async (req, res) => {
+  try {
+    const { fileId, reason, note } = req.body || {};
+    if (!fileId) {
+      return res.status(400).json({ error: 'missing_fileId' });
     }
 
-    const cleanup = await performSessionCleanup();
-    if (cleanup.errors.length) {
-      console.warn('Shutdown cleanup encountered errors:', cleanup.errors);
+    const moderator = getModeratorFromRequest(req);
+    const foreignClaim = await getForeignReviewClaim(fileId, moderator);
+    if (foreignClaim) {
+      return res.status(409).json({ error: 'photo_claimed', claim: serializeReviewClaim(foreignClaim, moderator) });
     }
 
-    const persisted = await writeSettingsToSheet(appSettings, appEnabled, appSessionId);
-    if (!persisted) {
-      console.warn('Shutdown: failed to persist settings sheet status.');
-    }
+    const rejectionReason = normalizeRejectionReason(reason);
+    await rejectPendingPhoto(fileId, moderator, { reason: rejectionReason, note }, req);
 
-    // Return report text to the admin UI so it can be downloaded as .txt
-    return res.json({
-      ok: true,
-      enabled: false,
-      reportText,
-      cleanup
-    });
+    logMetricsEvent('reject_photo', req, {
+      source: 'admin_review',
+      metadata: { fileId, moderator: moderator.name, reason: rejectionReason }
+    }).catch(() => {});
+
+    res.json({ ok: true });
   } catch (err) {
-    console.error('Error in /admin/shutdown:', err);
-    return res.status(500).json({ ok: false, error: 'shutdown_failed' });
+    sendPhotoStateError(res, err, 'failed_reject');
   }
 });
 
-// --------- ADMIN API: review photos ----------
-
-// Get next pending photo (for review UI)
-app.get('/admin/next-photo', ensureAdminAuth, async (req, res) => {
-  try {
-    if (!appEnabled) {
-      // app offline – no photo, but we keep response shape compatible
-      return res.json({ empty: true, reason: 'app_offline', pendingCount: 0 });
-    }
+// --------- ADMIN: pending queue browser (grid + batch actions) ----------
 
-    // Get oldest pending photo + how many remain
-    const [file, pendingCount] = await Promise.all([
-      getNextPendingPhoto(),
-      countPendingPhotos()
-    ]);
+const PENDING_BATCH_MAX = 100;
+// Photos a batch works on at once: each one is several storage and data
+// store calls, and a whole batch at once runs into Drive / Sheets rate limits
+const PENDING_BATCH_CONCURRENCY = 4;
 
-    if (!file) {
-      return res.json({ empty: true, pendingCount });
-    }
+// Pending photos oldest first (queue order), with thumbnail URLs and who is
+// currently reviewing each one.
+app.get('/admin/pending-list', ensureAdminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = parseInt(req.query.pageSize, 10) || 24;
+    const moderator = getModeratorFromRequest(req);
 
-    // NEW: photoNumber based on filename ticket (T001-…)
-    const photoNumber = extractTicketNumber(file.name);
+    const result = await listFilesInFolderPaginated('pending', page, pageSize, 'createdTime asc');
+    const files = result.files.map(({ appProperties, ...file }) => {
+      const claim = readReviewClaim({ ...file, appProperties });
+      return {
+        ...file,
+        photoNumber: extractTicketNumber(file.name),
+        thumbnailUrl: `/admin/photo/${encodeURIComponent(file.id)}/thumbnail`,
+        claim: claim ? serializeReviewClaim(claim, moderator) : null,
+        duplicate: serializeDuplicateFlag({ appProperties }),
+        quality: serializePhotoQuality({ appProperties }),
+        autoModeration: serializeAutoModeration({ appProperties }),
+        autoApproveAt: getTrustedApproveAt({ ...file, appProperties }),
+      };
+    });
 
     res.json({
-      empty: false,
-      fileId: file.id,
-      name: file.name,
-      photoNumber,    // e.g. 1, 2, 3…
-      pendingCount    // total pending in folder
+      ok: true,
+      files,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      totalPages: result.totalPages,
+      hasNextPage: result.hasNextPage,
     });
   } catch (err) {
-    console.error('Error fetching next pending photo:', err);
-    res.status(500).json({ error: 'failed_next_photo' });
+    console.error('Error listing pending files for admin:', err);
+    res.status(500).json({ ok: false, error: 'list_pending_failed' });
   }
 });
 
-// Serve the actual image bytes so admin.html can <img src="...">
-// Get photo thumbnail (smaller, faster loading for grid)
-app.get('/admin/photo/:id/thumbnail', ensureAdminAuth, async (req, res) => {
-  const fileId = req.params.id;
+function readPendingBatchFileIds(body) {
+  const fileIds = Array.isArray(body?.fileIds) ? body.fileIds.filter(Boolean).map(String) : [];
+  return Array.from(new Set(fileIds));
+}
+
+// Runs `action` on every id nobody else has claimed, PENDING_BATCH_CONCURRENCY
+// at a time. Photos held by another moderator come back in `claimed` instead
+// of being touched; a photo whose action fails (a rate limit, say) stays where
+// it was and comes back in `failedIds`.
+async function runPendingBatch(fileIds, moderator, action, label) {
+  const claimed = [];
+  const doneIds = [];
+  const failedIds = [];
+
+  for (let i = 0; i < fileIds.length; i += PENDING_BATCH_CONCURRENCY) {
+    const chunk = fileIds.slice(i, i + PENDING_BATCH_CONCURRENCY);
+    const results = await Promise.allSettled(chunk.map(async (fileId) => {
+      const foreignClaim = await getForeignReviewClaim(fileId, moderator);
+      if (foreignClaim) return foreignClaim;
+      await action(fileId);
+      return null;
+    }));
 
-  try {
-    const fileMeta = await drive.files.get({
-      fileId,
-      fields: 'thumbnailLink, mimeType',
-      supportsAllDrives: true,
+    results.forEach((result, index) => {
+      const fileId = chunk[index];
+      if (result.status === 'rejected') {
+        failedIds.push(fileId);
+        console.error(`Error ${label} pending photo in batch:`, fileId, result.reason);
+      } else if (result.value) {
+        claimed.push(serializeReviewClaim(result.value, moderator));
+      } else {
+        doneIds.push(fileId);
+      }
     });
+  }
 
-    if (fileMeta.data.thumbnailLink) {
-      const thumbRes = await fetch(fileMeta.data.thumbnailLink);
-      if (thumbRes.ok) {
-        const contentType = thumbRes.headers.get('content-type') || fileMeta.data.mimeType || 'image/jpeg';
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Cache-Control', 'private, max-age=300');
-        res.setHeader('X-Thumbnail-Source', 'drive_thumbnail');
-        const thumbBuffer = Buffer.from(await thumbRes.arrayBuffer());
-        return res.end(thumbBuffer);
-      }
-      console.warn('Admin thumbnail Drive link fetch failed; using placeholder', {
-        fileId,
-        status: thumbRes.status,
-      });
-    } else {
-      console.warn('Admin thumbnail link missing from Drive metadata; using placeholder', {
-        fileId,
-        mimeType: fileMeta.data.mimeType || '',
-      });
-    }
+  return { doneIds, failedIds, claimed };
+}
 
-    if (!res.headersSent) {
-      return sendAdminThumbnailPlaceholder(res, fileId, 'thumbnail_unavailable');
+app.post('/admin/approve-batch', ensureAdminAuth, async (req, res) => {
+  try {
+    const fileIds = readPendingBatchFileIds(req.body);
+    if (!fileIds.length) {
+      return res.status(400).json({ ok: false, error: 'missing_fileIds' });
     }
-  } catch (err) {
-    console.error('Error getting photo thumbnail from Drive:', err);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'failed_photo_thumbnail' });
+    if (fileIds.length > PENDING_BATCH_MAX) {
+      return res.status(400).json({ ok: false, error: 'too_many_fileIds', max: PENDING_BATCH_MAX });
     }
-  }
-});
 
-// Get full resolution photo (for downloads and overlay preview)
-app.get('/admin/photo/:id', ensureAdminAuth, async (req, res) => {
-  const fileId = req.params.id;
+    const moderator = getModeratorFromRequest(req);
+    const { doneIds, failedIds, claimed } = await runPendingBatch(
+      fileIds,
+      moderator,
+      (fileId) => approvePendingPhoto(fileId, moderator, req, 'admin_queue'),
+      'approving'
+    );
 
-  try {
-    const driveRes = await drive.files.get(
-      {
-        fileId,
-        alt: 'media'
-      },
-      { responseType: 'stream' }
+    // One framed render at a time so a 50-photo batch does not load 50
+    // full-size images into sharp at once.
+    doneIds.reduce(
+      (chain, fileId) => chain.then(() => runPostApprovalWork(fileId)),
+      Promise.resolve()
     );
 
-    res.setHeader('Content-Type', 'image/jpeg');
-    driveRes.data
-      .on('error', (err) => {
-        console.error('Error streaming photo:', err);
-        if (!res.headersSent) {
-          res.status(500).end('Error streaming file');
-        }
-      })
-      .pipe(res);
+    logMetricsEvent('batch_approve_photos', req, {
+      source: 'admin_queue',
+      metadata: {
+        requestedCount: fileIds.length,
+        approvedCount: doneIds.length,
+        approvedIds: doneIds,
+        failedIds,
+        claimedIds: claimed.map((claim) => claim.fileId),
+        moderator: moderator.name,
+      }
+    }).catch(() => {});
+
+    res.json({
+      ok: failedIds.length === 0 && claimed.length === 0,
+      approvedIds: doneIds,
+      failedIds,
+      claimed,
+    });
   } catch (err) {
-    console.error('Error getting photo from Drive:', err);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'failed_photo_stream' });
-    }
+    console.error('Error batch approving photos:', err);
+    res.status(500).json({ ok: false, error: 'approve_batch_failed' });
   }
 });
 
-// Approve: move file from Pending to Approved
-app.post('/admin/approve', ensureAdminAuth, async (req, res) => {
+app.post('/admin/reject-batch', ensureAdminAuth, async (req, res) => {
   try {
-    const { fileId } = req.body || {};
-    if (!fileId) {
-      return res.status(400).json({ error: 'missing_fileId' });
+    const fileIds = readPendingBatchFileIds(req.body);
+    if (!fileIds.length) {
+      return res.status(400).json({ ok: false, error: 'missing_fileIds' });
     }
+    if (fileIds.length > PENDING_BATCH_MAX) {
+      return res.status(400).json({ ok: false, error: 'too_many_fileIds', max: PENDING_BATCH_MAX });
+    }
+
+    const moderator = getModeratorFromRequest(req);
+    const reason = normalizeRejectionReason(req.body?.reason);
+    const { doneIds, failedIds, claimed } = await runPendingBatch(
+      fileIds,
+      moderator,
+      (fileId) => rejectPendingPhoto(fileId, moderator, { reason, note: req.body?.note }, req, 'admin_queue'),
+      'rejecting'
+    );
 
-    const approvedAt = new Date().toISOString();
+    logMetricsEvent('batch_reject_photos', req, {
+      source: 'admin_queue',
+      metadata: {
+        requestedCount: fileIds.length,
+        rejectedCount: doneIds.length,
+        rejectedIds: doneIds,
+        reason,
+        failedIds,
+        claimedIds: claimed.map((claim) => claim.fileId),
+        moderator: moderator.name,
+      }
+    }).catch(() => {});
 
-    await drive.files.update({
-      fileId,
-      addParents: APPROVED_FOLDER_ID,
-      removeParents: PENDING_FOLDER_ID,
-      fields: 'id, parents, appProperties, modifiedTime',
-      supportsAllDrives: true,
-      requestBody: {
-        appProperties: {
-          approvedAt,
-        },
-      },
+    res.json({
+      ok: failedIds.length === 0 && claimed.length === 0,
+      rejectedIds: doneIds,
+      failedIds,
+      claimed,
     });
+  } catch (err) {
+    console.error('Error batch rejecting photos:', err);
+    res.status(500).json({ ok: false, error: 'reject_batch_failed' });
+  }
+});
 
-    invalidateDriveFolderCaches(APPROVED_FOLDER_ID);
-    invalidateDriveFolderCaches(PENDING_FOLDER_ID);
+// --------- ADMIN: moderation states (restore / send back / history) ----------
 
-    logMetricsEvent('approve_photo', req, {
-      source: 'admin_review',
-      metadata: { fileId }
-    }).catch(() => {});
+// Generic transition: { state: 'pending' | 'approved' | 'hidden' | 'rejected' | 'deleted', reason?, note? }
+// Used to restore rejected / hidden photos and to send approved ones back to review.
+app.post('/admin/photo/:id/state', ensureAdminAuth, async (req, res) => {
+  const fileId = req.params.id;
+  const { state, reason, note } = req.body || {};
+  if (!Object.prototype.hasOwnProperty.call(PHOTO_STATE_FOLDERS, state)) {
+    return res.status(400).json({ ok: false, error: 'invalid_state' });
+  }
 
-    res.json({ ok: true });
+  try {
+    const moderator = getModeratorFromRequest(req);
+    const foreignClaim = await getForeignReviewClaim(fileId, moderator);
+    if (foreignClaim) {
+      return res.status(409).json({ ok: false, error: 'photo_claimed', claim: serializeReviewClaim(foreignClaim, moderator) });
+    }
+
+    const result = await transitionPhotoState(fileId, state, {
+      moderator,
+      reason: normalizeRejectionReason(reason),
+      note,
+      req,
+      extraProperties: state === 'approved'
+        ? { approvedAt: new Date().toISOString(), approvedBy: clampString(moderator.name, 40) }
+        : {},
+    });
+
+    if (result.from === 'pending' && result.to === 'approved') {
+      runPostApprovalWork(fileId);
+    }
+
+    res.json({ ok: true, from: result.from, to: result.to, moderation: serializePhotoModeration(result.file) });
   } catch (err) {
-    console.error('Error approving photo:', err);
-    res.status(500).json({ error: 'failed_approve' });
+    sendPhotoStateError(res, err, 'photo_state_change_failed');
   }
 });
 
-// Reject: send file to Drive trash
-app.post('/admin/reject', ensureAdminAuth, async (req, res) => {
+app.get('/admin/photo/:id/history', ensureAdminAuth, async (req, res) => {
+  const fileId = req.params.id;
   try {
-    const { fileId } = req.body || {};
-    if (!fileId) {
-      return res.status(400).json({ error: 'missing_fileId' });
-    }
-
-    await drive.files.update({
+    const [file, history] = await Promise.all([
+      currentEvent().photoStorage.getFile(fileId).catch(() => null),
+      readPhotoStateHistory(fileId),
+    ]);
+    res.json({
+      ok: true,
       fileId,
-      requestBody: { trashed: true },
-      fields: 'id, trashed',
-      supportsAllDrives: true
+      moderation: file ? serializePhotoModeration(file) : null,
+      history,
     });
+  } catch (err) {
+    console.error('Error loading photo state history:', err);
+    res.status(500).json({ ok: false, error: 'photo_history_failed' });
+  }
+});
 
-    invalidateDriveFolderCaches(PENDING_FOLDER_ID);
-    invalidateDriveFolderCaches(APPROVED_FOLDER_ID);
+// Rejected + hidden photos, newest first, with how long each one can still be restored
+app.get('/admin/archived-list', ensureAdminAuth, async (req, res) => {
+  try {
+    const archiveEnabled = Boolean(currentEvent().photoStorage.supportsArchive);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.max(1, Math.min(100, parseInt(req.query.pageSize, 10) || 24));
+
+    // No archive folder: the photos are in the trash, so there is no folder to page through
+    if (!archiveEnabled) {
+      const archived = await listArchivedPhotoFiles();
+      const totalPages = Math.ceil(archived.length / pageSize);
+      return res.json({
+        ok: true,
+        archiveEnabled,
+        restoreWindowHours: PHOTO_RESTORE_WINDOW_HOURS,
+        files: archived.slice((page - 1) * pageSize, page * pageSize).map((file) => ({
+          id: file.id,
+          name: file.name,
+          createdTime: file.createdTime,
+          photoNumber: extractTicketNumber(file.name),
+          moderation: serializePhotoModeration(file),
+        })),
+        total: archived.length,
+        page,
+        pageSize,
+        totalPages,
+        hasNextPage: page < totalPages,
+      });
+    }
 
-    logMetricsEvent('reject_photo', req, {
-      source: 'admin_review',
-      metadata: { fileId }
-    }).catch(() => {});
+    // Paginated rows only carry id / name / createdTime; the state lives on the file
+    const result = await listFilesInFolderPaginated('archive', page, pageSize);
+    const files = await Promise.all(result.files.map(async ({ appProperties, ...file }) => {
+      const full = await currentEvent().photoStorage.getFile(file.id).catch(() => null);
+      return {
+        ...file,
+        photoNumber: extractTicketNumber(file.name),
+        moderation: full ? serializePhotoModeration(full) : null,
+      };
+    }));
 
-    res.json({ ok: true });
+    res.json({
+      ok: true,
+      archiveEnabled,
+      restoreWindowHours: PHOTO_RESTORE_WINDOW_HOURS,
+      files,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      totalPages: result.totalPages,
+      hasNextPage: result.hasNextPage,
+    });
   } catch (err) {
-    console.error('Error rejecting photo:', err);
-    res.status(500).json({ error: 'failed_reject' });
+    console.error('Error listing archived files for admin:', err);
+    res.status(500).json({ ok: false, error: 'list_archived_failed' });
   }
 });
 
 // --------- ADMIN: list / manage APPROVED photos ----------
 
-const driveFolderPageTokenCache = new Map();
-const driveFolderCountCache = new Map();
-const DRIVE_FOLDER_COUNT_TTL_MS = 60 * 1000;
+const PHOTO_FOLDER_COUNT_TTL_MS = 60 * 1000;
 const ADMIN_SYSTEM_HEALTH_TTL_MS = 30 * 1000;
-let adminSystemHealthCache = {
-  value: null,
-  expiresAt: 0,
-};
 
-function getDriveFolderPageCacheKey(folderId, pageSize) {
-  return `${folderId}:${pageSize}`;
+function getPhotoFolderPageCacheKey(folder, pageSize, orderBy) {
+  return `${folder}:${pageSize}:${orderBy}`;
 }
 
-function invalidateDriveFolderCaches(folderId) {
-  for (const key of Array.from(driveFolderPageTokenCache.keys())) {
-    if (key.startsWith(`${folderId}:`)) {
-      driveFolderPageTokenCache.delete(key);
+function invalidatePhotoFolderCaches(folder) {
+  const context = currentEvent();
+  for (const key of Array.from(context.photoFolderPageTokenCache.keys())) {
+    if (key.startsWith(`${folder}:`)) {
+      context.photoFolderPageTokenCache.delete(key);
     }
   }
-  driveFolderCountCache.delete(folderId);
-  adminSystemHealthCache.expiresAt = 0;
-  if (folderId === APPROVED_FOLDER_ID) {
+  context.photoFolderCountCache.delete(folder);
+  context.adminSystemHealthCache.expiresAt = 0;
+  if (folder === 'approved') {
     invalidateGalleryApprovedManifestCache();
   }
 }
 
-async function countFilesInFolder(folderId) {
+async function countFilesInFolder(folder) {
   let pageToken = null;
   let total = 0;
 
   do {
-    const res = await drive.files.list({
-      q: `'${folderId}' in parents and trashed = false`,
-      fields: 'files(id), nextPageToken',
+    const res = await currentEvent().photoStorage.listFiles(folder, {
       pageSize: 1000,
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
       pageToken,
     });
 
-    total += (res.data.files || []).length;
-    pageToken = res.data.nextPageToken || null;
+    total += res.files.length;
+    pageToken = res.nextPageToken;
   } while (pageToken);
 
   return total;
 }
 
-function getCachedFolderCount(folderId) {
+function getCachedFolderCount(folder) {
+  const context = currentEvent();
   const now = Date.now();
-  const existing = driveFolderCountCache.get(folderId);
+  const existing = context.photoFolderCountCache.get(folder);
 
   if (existing && existing.value != null && existing.expiresAt > now) {
     return existing.value;
   }
 
   if (!existing || !existing.promise) {
-    const refreshPromise = countFilesInFolder(folderId)
+    const refreshPromise = countFilesInFolder(folder)
       .then((value) => {
-        driveFolderCountCache.set(folderId, {
+        context.photoFolderCountCache.set(folder, {
           value,
-          expiresAt: Date.now() + DRIVE_FOLDER_COUNT_TTL_MS,
+          expiresAt: Date.now() + PHOTO_FOLDER_COUNT_TTL_MS,
           promise: null
         });
         return value;
@@ -4434,7 +9584,7 @@ function getCachedFolderCount(folderId) {
       .catch((err) => {
         console.error('Error refreshing folder count cache:', err);
         const staleValue = existing && existing.value != null ? existing.value : null;
-        driveFolderCountCache.set(folderId, {
+        context.photoFolderCountCache.set(folder, {
           value: staleValue,
           expiresAt: Date.now() + 5000,
           promise: null
@@ -4442,7 +9592,7 @@ function getCachedFolderCount(folderId) {
         return staleValue;
       });
 
-    driveFolderCountCache.set(folderId, {
+    context.photoFolderCountCache.set(folder, {
       value: existing && existing.value != null ? existing.value : null,
       expiresAt: existing && existing.expiresAt ? existing.expiresAt : 0,
       promise: refreshPromise
@@ -4452,17 +9602,17 @@ function getCachedFolderCount(folderId) {
   return existing && existing.value != null ? existing.value : null;
 }
 
-async function getFolderCountForHealth(folderId) {
-  const cached = getCachedFolderCount(folderId);
+async function getFolderCountForHealth(folder) {
+  const cached = getCachedFolderCount(folder);
   if (typeof cached === 'number') {
     return cached;
   }
 
   try {
-    const fresh = await countFilesInFolder(folderId);
-    driveFolderCountCache.set(folderId, {
+    const fresh = await countFilesInFolder(folder);
+    currentEvent().photoFolderCountCache.set(folder, {
       value: fresh,
-      expiresAt: Date.now() + DRIVE_FOLDER_COUNT_TTL_MS,
+      expiresAt: Date.now() + PHOTO_FOLDER_COUNT_TTL_MS,
       promise: null
     });
     return fresh;
@@ -4472,15 +9622,16 @@ async function getFolderCountForHealth(folderId) {
   }
 }
 
-async function listFilesInFolderPaginated(folderId, page = 1, pageSize = 24) {
+async function listFilesInFolderPaginated(folder, page = 1, pageSize = 24, orderBy = 'createdTime desc') {
+  const context = currentEvent();
   const pageNumber = Math.max(1, parseInt(page, 10) || 1);
   const size = Math.max(1, Math.min(100, parseInt(pageSize, 10) || 24));
-  const cacheKey = getDriveFolderPageCacheKey(folderId, size);
+  const cacheKey = getPhotoFolderPageCacheKey(folder, size, orderBy);
 
-  let tokenMap = driveFolderPageTokenCache.get(cacheKey);
+  let tokenMap = context.photoFolderPageTokenCache.get(cacheKey);
   if (!tokenMap) {
     tokenMap = new Map([[1, null]]);
-    driveFolderPageTokenCache.set(cacheKey, tokenMap);
+    context.photoFolderPageTokenCache.set(cacheKey, tokenMap);
   }
 
   let currentPage = 1;
@@ -4491,23 +9642,19 @@ async function listFilesInFolderPaginated(folderId, page = 1, pageSize = 24) {
     }
 
     const currentToken = tokenMap.get(currentPage) || null;
-    const res = await drive.files.list({
-      q: `'${folderId}' in parents and trashed = false`,
-      fields: 'nextPageToken',
-      orderBy: 'createdTime desc',
+    const res = await context.photoStorage.listFiles(folder, {
+      orderBy,
       pageSize: size,
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
       pageToken: currentToken,
     });
 
-    const nextToken = res.data.nextPageToken || null;
+    const nextToken = res.nextPageToken;
     tokenMap.set(currentPage + 1, nextToken);
 
     if (!nextToken) {
       return {
         files: [],
-        total: getCachedFolderCount(folderId),
+        total: getCachedFolderCount(folder),
         page: pageNumber,
         pageSize: size,
         totalPages: null,
@@ -4522,7 +9669,7 @@ async function listFilesInFolderPaginated(folderId, page = 1, pageSize = 24) {
   if (pageNumber > 1 && pageToken === null) {
     return {
       files: [],
-      total: getCachedFolderCount(folderId),
+      total: getCachedFolderCount(folder),
       page: pageNumber,
       pageSize: size,
       totalPages: null,
@@ -4530,25 +9677,22 @@ async function listFilesInFolderPaginated(folderId, page = 1, pageSize = 24) {
     };
   }
 
-  const res = await drive.files.list({
-    q: `'${folderId}' in parents and trashed = false`,
-    fields: 'files(id, name, createdTime), nextPageToken',
-    orderBy: 'createdTime desc',
+  const res = await context.photoStorage.listFiles(folder, {
+    orderBy,
     pageSize: size,
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
     pageToken,
   });
 
-  const files = (res.data.files || []).map((f) => ({
+  const files = res.files.map((f) => ({
     id: f.id,
     name: f.name,
     createdTime: f.createdTime,
+    appProperties: f.appProperties || {},
   }));
-  const nextPageToken = res.data.nextPageToken || null;
+  const nextPageToken = res.nextPageToken;
   tokenMap.set(pageNumber + 1, nextPageToken);
 
-  const total = getCachedFolderCount(folderId);
+  const total = getCachedFolderCount(folder);
 
   return {
     files,
@@ -4561,53 +9705,44 @@ async function listFilesInFolderPaginated(folderId, page = 1, pageSize = 24) {
 }
 
 app.get('/admin/system-health', ensureAdminAuth, async (req, res) => {
+  const context = currentEvent();
   try {
-    if (adminSystemHealthCache.value && adminSystemHealthCache.expiresAt > Date.now()) {
-      return res.json({ ok: true, health: adminSystemHealthCache.value });
+    if (context.adminSystemHealthCache.value && context.adminSystemHealthCache.expiresAt > Date.now()) {
+      return res.json({ ok: true, health: context.adminSystemHealthCache.value });
     }
 
-    const healthSheetRange = 'A1:A2';
-    const [drivePending, driveApproved, sheetsStatus, pendingCount, approvedCount] = await Promise.all([
-      drive.files.get({
-        fileId: PENDING_FOLDER_ID,
-        fields: 'id',
-        supportsAllDrives: true,
-      }).then(() => true).catch((err) => {
+    const [storagePending, storageApproved, sheetsStatus, pendingCount, approvedCount] = await Promise.all([
+      context.photoStorage.checkFolder('pending').then(() => true).catch((err) => {
         console.error('System health pending folder check failed:', err);
         return false;
       }),
-      drive.files.get({
-        fileId: APPROVED_FOLDER_ID,
-        fields: 'id',
-        supportsAllDrives: true,
-      }).then(() => true).catch((err) => {
+      context.photoStorage.checkFolder('approved').then(() => true).catch((err) => {
         console.error('System health approved folder check failed:', err);
         return false;
       }),
-      SESSION_SHEET_ID
-        ? sheets.spreadsheets.values.get({
-            spreadsheetId: SESSION_SHEET_ID,
-            range: healthSheetRange,
-          }).then(() => true).catch((err) => {
-            console.error('System health sheet check failed:', err);
-            return false;
-          })
-        : Promise.resolve(false),
-      getFolderCountForHealth(PENDING_FOLDER_ID),
-      getFolderCountForHealth(APPROVED_FOLDER_ID),
+      context.dataStore.checkHealth().catch((err) => {
+        console.error('System health data store check failed:', err);
+        return false;
+      }),
+      getFolderCountForHealth('pending'),
+      getFolderCountForHealth('approved'),
     ]);
 
     const health = {
-      serverEnabled: Boolean(appEnabled),
-      driveOk: Boolean(drivePending && driveApproved),
+      serverEnabled: Boolean(context.appEnabled),
+      driveOk: Boolean(storagePending && storageApproved),
+      storageDriver: context.photoStorage.name,
+      storageLabel: context.photoStorage.label,
       sheetsOk: Boolean(sheetsStatus),
+      dataStoreDriver: context.dataStore.name,
+      dataStoreLabel: context.dataStore.label,
       pendingCount: typeof pendingCount === 'number' ? pendingCount : null,
       approvedCount: typeof approvedCount === 'number' ? approvedCount : null,
-      activeTemplateId: String(appSettings?.activeTemplateId || ''),
+      activeTemplateId: String(context.appSettings?.activeTemplateId || ''),
       checkedAt: new Date().toISOString(),
     };
 
-    adminSystemHealthCache = {
+    context.adminSystemHealthCache = {
       value: health,
       expiresAt: Date.now() + ADMIN_SYSTEM_HEALTH_TTL_MS,
     };
@@ -4624,10 +9759,10 @@ app.get('/admin/approved-list', ensureAdminAuth, async (req, res) => {
     const page = parseInt(req.query.page, 10) || 1;
     const pageSize = parseInt(req.query.pageSize, 10) || 24;
     
-    const result = await listFilesInFolderPaginated(APPROVED_FOLDER_ID, page, pageSize);
+    const result = await listFilesInFolderPaginated('approved', page, pageSize);
     res.json({ 
       ok: true, 
-      files: result.files,
+      files: result.files.map(({ appProperties, ...file }) => file),
       total: result.total,
       page: result.page,
       pageSize: result.pageSize,
@@ -4641,51 +9776,30 @@ app.get('/admin/approved-list', ensureAdminAuth, async (req, res) => {
 });
 
 // --------- EVENT LOGS (for admin dashboard) ---------
-// Uses the SAME sheet (SESSION_SHEET_ID / A:J) that already stores all events.
+// Uses the SAME session log (SESSION_SHEET_ID / A:J, or session_events in SQLite) that already stores all events.
 
 app.get('/admin/event-logs', ensureAdminAuth, async (req, res) => {
   try {
-    if (!SESSION_SHEET_ID) {
-      console.warn('SESSION_SHEET_ID missing, cannot read event logs.');
-      return res.json({ ok: true, events: [] });
-    }
-
     const max = Math.min(parseInt(req.query.limit, 10) || 12, 100);
 
-    const apiRes = await sheets.spreadsheets.values.get({
-      spreadsheetId: SESSION_SHEET_ID,
-      range: SESSION_SHEET_RANGE, // "A:J"
-    });
-
-    const rows = apiRes.data.values || [];
-    if (rows.length <= 1) {
-      // Only headers
+    // Newest first, only the last N rows
+    const lastRows = await currentEvent().dataStore.readSessionRows({ limit: max, newestFirst: true });
+    if (!lastRows.length) {
       return res.json({ ok: true, events: [] });
     }
 
-    // Skip header row, then take last N and reverse so newest is on top
-    const dataRows = rows.slice(1);
-    const lastRows = dataRows.slice(-max).reverse();
-
     const events = lastRows.map((row) => {
       const tsUtc = row[0] || '';  // timestamp_utc (ISO)
       const tsPr  = row[1] || '';  // timestamp_pr "DD/MM/YYYY HH:MM:SS"
       const eventType = row[2] || '';
       const email     = row[3] || '';
-      const sessionId = row[4] || ''; // session_id (e.g., "IP 172.225.248.16 San Juan, Puerto Rico")
+      const sessionId = row[4] || ''; // session_id ("IP 172.225.248.16 San Juan, Puerto Rico" or "Guest <token>")
       const country = row[5] || '';
       const region = row[6] || '';
       const newsletterFlag = row[8] || ''; // "Y" / "N" / ""
 
-      // Extract location from session_id if country is not available
-      // Format: "IP 172.225.248.16 San Juan, Puerto Rico"
-      let locationFromSession = '';
-      if (!country && sessionId) {
-        const ipMatch = sessionId.match(/^IP\s+[\d.]+\s+(.+)$/);
-        if (ipMatch && ipMatch[1]) {
-          locationFromSession = ipMatch[1].trim(); // "San Juan, Puerto Rico"
-        }
-      }
+      // Country / region columns first, else the location in an IP session id
+      const location = buildLocationLabel(country, region, sessionId);
 
       // --- TIME LABEL (we prefer PR time if available) ---
       let timeText = '';
@@ -4716,8 +9830,6 @@ app.get('/admin/event-logs', ensureAdminAuth, async (req, res) => {
 
       switch (eventType) {
         case 'visit': {
-          // Use country if available, otherwise extract from session_id
-          const location = country || locationFromSession;
           if (location) {
             text = `New visit from ${location.toUpperCase()}`;
           } else {
@@ -4741,7 +9853,7 @@ app.get('/admin/event-logs', ensureAdminAuth, async (req, res) => {
           break;
       }
 
-      return { time: timeText, text };
+      return { time: timeText, text, location };
     });
 
     return res.json({ ok: true, events });
@@ -4772,32 +9884,31 @@ app.get('/admin/activity-stats', ensureAdminAuth, async (req, res) => {
     return res.status(500).json({ ok: false, error: 'activity_stats_failed' });
   }
 });
-// Delete a single approved photo (send to trash)
+// Remove a single approved photo from the gallery (hidden, restorable from the archive)
 app.post('/admin/delete-approved', ensureAdminAuth, async (req, res) => {
   try {
-    const { fileId } = req.body || {};
+    const { fileId, reason, note } = req.body || {};
     if (!fileId) {
       return res.status(400).json({ error: 'missing_fileId' });
     }
 
-    await drive.files.update({
-      fileId,
-      requestBody: { trashed: true },
-      fields: 'id, trashed',
-      supportsAllDrives: true,
+    const moderator = getModeratorFromRequest(req);
+    const result = await transitionPhotoState(fileId, 'hidden', {
+      moderator,
+      reason: normalizeRejectionReason(reason),
+      note,
+      req,
+      source: 'admin_gallery',
     });
 
-    invalidateDriveFolderCaches(APPROVED_FOLDER_ID);
-
     logMetricsEvent('delete_approved_photo', req, {
       source: 'admin_gallery',
-      metadata: { fileId }
+      metadata: { fileId, state: result.to, moderator: moderator.name }
     }).catch(() => {});
 
-    res.json({ ok: true });
+    res.json({ ok: true, state: result.to });
   } catch (err) {
-    console.error('Error deleting approved photo:', err);
-    res.status(500).json({ ok: false, error: 'delete_approved_failed' });
+    sendPhotoStateError(res, err, 'delete_approved_failed');
   }
 });
 
@@ -4808,15 +9919,9 @@ app.post('/admin/delete-approved-batch', ensureAdminAuth, async (req, res) => {
       return res.status(400).json({ ok: false, error: 'missing_fileIds' });
     }
 
+    const moderator = getModeratorFromRequest(req);
     const results = await Promise.allSettled(
-      fileIds.map((fileId) =>
-        drive.files.update({
-          fileId,
-          requestBody: { trashed: true },
-          fields: 'id, trashed',
-          supportsAllDrives: true,
-        })
-      )
+      fileIds.map((fileId) => transitionPhotoState(fileId, 'hidden', { moderator, req, source: 'admin_gallery' }))
     );
 
     const deletedIds = [];
@@ -4832,7 +9937,7 @@ app.post('/admin/delete-approved-batch', ensureAdminAuth, async (req, res) => {
       }
     });
 
-    invalidateDriveFolderCaches(APPROVED_FOLDER_ID);
+    invalidatePhotoFolderCaches('approved');
 
     logMetricsEvent('batch_delete_approved_photos', req, {
       source: 'admin_gallery',
@@ -4859,7 +9964,7 @@ app.post('/admin/delete-approved-batch', ensureAdminAuth, async (req, res) => {
 // ⚠️ CAREFUL: this is meant for after the event.
 app.post('/admin/clear-drive', ensureAdminAuth, async (req, res) => {
   try {
-    const result = await clearDriveFolders();
+    const result = await clearPhotoFolders();
     logMetricsEvent('clear_drive', req, {
       source: 'admin_maintenance',
       metadata: {
@@ -4894,10 +9999,46 @@ app.post('/admin/reset-logs', ensureAdminAuth, async (req, res) => {
   }
 });
 
+// Ticket counter status / per-event reset
+app.get('/admin/ticket-counter', ensureAdminAuth, async (req, res) => {
+  try {
+    const counter = await getTicketCounterStatus();
+    res.json({ ok: true, counter });
+  } catch (err) {
+    console.error('Error reading ticket counter:', err);
+    res.status(500).json({ ok: false, error: 'ticket_counter_failed' });
+  }
+});
+
+app.post('/admin/ticket-counter/reset', ensureAdminAuth, async (req, res) => {
+  try {
+    const startAt = Math.max(0, parseInt(req.body?.startAt, 10) || 0);
+    await resetTicketCounter(startAt);
+    const counter = await getTicketCounterStatus();
+
+    logMetricsEvent('reset_ticket_counter', req, {
+      source: 'admin_maintenance',
+      metadata: {
+        resetTarget: 'ticket_counter',
+        startAt,
+      }
+    }).catch(() => {});
+
+    res.json({ ok: true, counter });
+  } catch (err) {
+    console.error('Error resetting ticket counter:', err);
+    res.status(500).json({ ok: false, error: 'ticket_counter_reset_failed' });
+  }
+});
+
 app.get('/admin/metrics/overview', ensureAdminAuth, async (req, res) => {
   try {
     const range = getMetricsRangeDefinition(req.query || {});
-    const allEvents = await readMetricsEvents();
+    const allEvents = await readMetricsEvents({
+      family: 'public',
+      startUtc: range.startUtc,
+      endUtc: range.endUtc,
+    });
     const publicEvents = filterMetricsEventsByRange(
       allEvents.filter((event) => event.eventFamily === 'public'),
       range
@@ -4971,7 +10112,11 @@ app.get('/admin/metrics/export', ensureAdminAuth, async (req, res) => {
   try {
     const kind = String(req.query.kind || 'newsletter').trim().toLowerCase();
     const range = getMetricsRangeDefinition(req.query || {});
-    const allEvents = await readMetricsEvents();
+    const allEvents = await readMetricsEvents({
+      family: 'public',
+      startUtc: range.startUtc,
+      endUtc: range.endUtc,
+    });
     const publicEvents = filterMetricsEventsByRange(
       allEvents.filter((event) => event.eventFamily === 'public'),
       range
@@ -4999,25 +10144,802 @@ app.get('/admin/metrics/export', ensureAdminAuth, async (req, res) => {
         ])
       ];
 
-      csv = csvRows
-        .map((row) => row.map((value) => {
-          const str = String(value || '');
-          if (/[",\n]/.test(str)) {
-            return `"${str.replace(/"/g, '""')}"`;
-          }
-          return str;
-        }).join(','))
-        .join('\n');
-      filename = `newsletter_report_${range.preset}_${formatPRDateIso(getPRDate())}.csv`;
+      csv = csvRows
+        .map((row) => row.map((value) => {
+          const str = String(value || '');
+          if (/[",\n]/.test(str)) {
+            return `"${str.replace(/"/g, '""')}"`;
+          }
+          return str;
+        }).join(','))
+        .join('\n');
+      filename = `newsletter_report_${range.preset}_${formatPRDateIso(getPRDate())}.csv`;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(csv);
+  } catch (err) {
+    console.error('Error exporting metrics report:', err);
+    return res.status(500).json({ ok: false, error: 'metrics_export_failed' });
+  }
+});
+
+// --------- GALLERY EVENTS (SSE) ----------
+// GET /gallery/events holds a Server-Sent Events stream open per screen and
+// pushes what a /gallery/approved poll would otherwise have to notice:
+//   hello    -> full state, on every (re)connect
+//   manifest -> { manifestVersion }                 approved photo list changed
+//   overlay  -> { overlayEnabled, overlayVersion }  published overlay changed
+//   command  -> galleryRuntimeCommand               reload / clear-cache issued
+//   layout   -> { mode, gridSize, tileCount, ... }  layout mode or mosaic size changed
+//   playback -> { displayMs, transition, ... }      timing or transition changed
+//   slides   -> { slidesVersion }                   a slide was edited, or one ended
+//   device_command -> a command for this screen only, see DEVICE COMMANDS
+// Approvals and settings writes publish right away (debounced); a ticker
+// catches changes made by another instance. Screens pass ?deviceId= so they
+// hear about their device group's manifest and overlay; screens of one group
+// share a lookup per check. Vercel cuts long responses, so there the browser
+// reconnects (retry) and gets a fresh hello.
+
+const GALLERY_STREAM_CHECK_MS = 15 * 1000; // also the keep-alive comment interval
+const GALLERY_STREAM_PUBLISH_DEBOUNCE_MS = 500;
+const GALLERY_STREAM_RETRY_MS = 5000;
+
+async function readGalleryStreamState(deviceId = '') {
+  const manifest = await getGalleryApprovedManifest(deviceId);
+  const settings = getGallerySettingsForDevice(deviceId);
+  const overlay = buildLegacyKioskOverlayPayload(settings);
+  return {
+    manifestVersion: manifest.manifestVersion || '',
+    overlayEnabled: Boolean(overlay.enabled),
+    overlayVersion: overlay.overlayVersion || '',
+    galleryRuntimeCommand: normalizeGalleryRuntimeCommand(settings.galleryRuntimeCommand),
+    layout: buildGalleryLayoutPayload(settings.galleryRuntime),
+    playback: buildGalleryPlaybackPayload(settings.galleryRuntime),
+    slidesVersion: buildGallerySlidesPayload(settings.gallerySlides).slidesVersion,
+  };
+}
+
+function writeStreamEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publishGalleryStateToClient(res, client, state) {
+  const last = client.lastState;
+  client.lastState = state;
+  if (!last) return;
+
+  if (state.manifestVersion !== last.manifestVersion) {
+    writeStreamEvent(res, 'manifest', { manifestVersion: state.manifestVersion });
+  }
+  if (state.overlayEnabled !== last.overlayEnabled || state.overlayVersion !== last.overlayVersion) {
+    writeStreamEvent(res, 'overlay', {
+      overlayEnabled: state.overlayEnabled,
+      overlayVersion: state.overlayVersion,
+    });
+  }
+  if (JSON.stringify(state.layout) !== JSON.stringify(last.layout)) {
+    writeStreamEvent(res, 'layout', state.layout);
+  }
+  if (JSON.stringify(state.playback) !== JSON.stringify(last.playback)) {
+    writeStreamEvent(res, 'playback', state.playback);
+  }
+  if (state.slidesVersion !== last.slidesVersion) {
+    writeStreamEvent(res, 'slides', { slidesVersion: state.slidesVersion });
+  }
+  const command = state.galleryRuntimeCommand;
+  if (command.commandId && command.commandId !== last.galleryRuntimeCommand.commandId) {
+    writeStreamEvent(res, 'command', command);
+  }
+}
+
+// State is compared per screen, not per group, so a screen moved to another
+// group is told about the manifest and overlay it now plays.
+async function publishGalleryState() {
+  const streams = currentEvent().galleryStreams;
+  if (!streams.clients.size) return;
+
+  const statesByGroup = new Map();
+  for (const [res, client] of streams.clients) {
+    const group = findDeviceGroup(client.deviceId);
+    const groupKey = group ? group.id : '';
+    if (!statesByGroup.has(groupKey)) {
+      statesByGroup.set(groupKey, await readGalleryStreamState(client.deviceId));
+    }
+    publishGalleryStateToClient(res, client, statesByGroup.get(groupKey));
+  }
+}
+
+function runGalleryStatePublish(context) {
+  runInEvent(context, () => {
+    publishGalleryState().catch((err) => {
+      console.warn(`Unable to publish gallery state (${context.event.slug}):`, err.message || err);
+    });
+  });
+}
+
+// Called wherever the manifest, overlay or runtime command may have changed.
+// A batch approval invalidates many times but publishes once.
+function scheduleGalleryStatePublish() {
+  const context = currentEvent();
+  const streams = context.galleryStreams;
+  if (!streams.clients.size || streams.publishTimer) return;
+  streams.publishTimer = setTimeout(() => {
+    streams.publishTimer = null;
+    runGalleryStatePublish(context);
+  }, GALLERY_STREAM_PUBLISH_DEBOUNCE_MS);
+}
+
+function startGalleryStreamTicker(context) {
+  const streams = context.galleryStreams;
+  if (streams.ticker) return;
+  streams.ticker = setInterval(() => {
+    streams.clients.forEach((client, res) => res.write(': ping\n\n'));
+    runGalleryStatePublish(context);
+  }, GALLERY_STREAM_CHECK_MS);
+  streams.ticker.unref();
+}
+
+function stopGalleryStreamTicker(context) {
+  const streams = context.galleryStreams;
+  if (streams.clients.size || !streams.ticker) return;
+  clearInterval(streams.ticker);
+  streams.ticker = null;
+}
+
+app.get('/gallery/events', (req, res) => {
+  const context = currentEvent();
+  const streams = context.galleryStreams;
+  const client = { deviceId: normalizeDeviceId(req.query.deviceId), lastState: null };
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: ${GALLERY_STREAM_RETRY_MS}\n\n`);
+
+  streams.clients.set(res, client);
+  startGalleryStreamTicker(context);
+
+  Promise.all([readGalleryStreamState(client.deviceId), takeDeviceCommandForDelivery(client.deviceId, 'events')])
+    .then(([state, deviceCommand]) => {
+      if (!client.lastState) client.lastState = state;
+      writeStreamEvent(res, 'hello', { ...state, deviceCommand });
+    })
+    .catch((err) => {
+      console.warn('Unable to read gallery state for new stream:', err.message || err);
+    });
+
+  req.on('close', () => {
+    streams.clients.delete(res);
+    stopGalleryStreamTicker(context);
+  });
+});
+
+// --------- ADMIN EVENTS (SSE) ----------
+// GET /admin/events is the moderators' counterpart of /gallery/events. The
+// admin UI opens it with its session token (EventSource cannot send headers,
+// so ?token= as for photo links) and reacts to:
+//   hello        -> { moderator }                  who this stream belongs to
+//   upload       -> { fileId, ticketLabel, photoNumber }
+//   photo_state  -> { fileId, photoNumber, from, to, reason, source, moderator }
+//   settings     -> { moderator }                  app settings were saved
+//   device_alert -> { deviceId, deviceName, online, lastSeenAt }
+//   device_command -> device command record         issued / delivered / acked
+// Events are only seen by streams on the same instance; the admin UI keeps a
+// slow poll as a safety net.
+
+const ADMIN_STREAM_CHECK_MS = 15 * 1000; // keep-alive and device online check
+
+function broadcastAdminEvent(type, data) {
+  currentEvent().adminStreams.clients.forEach((moderator, res) => writeStreamEvent(res, type, data));
+}
+
+// A device is reported once when it drops out of the online window and once
+// when its heartbeat comes back; the flag lives on the in-memory device entry.
+function updateDeviceOnlineAlert(device, online) {
+  if (device.alertedOnline === undefined) {
+    device.alertedOnline = online;
+    return;
+  }
+  if (device.alertedOnline === online) return;
+  device.alertedOnline = online;
+  broadcastAdminEvent('device_alert', {
+    deviceId: device.deviceId,
+    deviceName: clampString(device.deviceName || device.deviceId, 120),
+    online,
+    lastSeenAt: device.lastSeenAt,
+  });
+}
+
+function checkDeviceOnlineAlerts() {
+  const now = Date.now();
+  currentEvent().liveGalleryDevices.forEach((device) => {
+    const lastSeenAtMs = Date.parse(device.lastSeenAt || '') || 0;
+    updateDeviceOnlineAlert(device, lastSeenAtMs > 0 && (now - lastSeenAtMs) <= DEVICE_ONLINE_WINDOW_MS);
+  });
+}
+
+function startAdminStreamTicker(context) {
+  const streams = context.adminStreams;
+  if (streams.ticker) return;
+  streams.ticker = setInterval(() => {
+    streams.clients.forEach((moderator, res) => res.write(': ping\n\n'));
+    runInEvent(context, checkDeviceOnlineAlerts);
+  }, ADMIN_STREAM_CHECK_MS);
+  streams.ticker.unref();
+}
+
+function stopAdminStreamTicker(context) {
+  const streams = context.adminStreams;
+  if (streams.clients.size || !streams.ticker) return;
+  clearInterval(streams.ticker);
+  streams.ticker = null;
+}
+
+app.get('/admin/events', ensureAdminAuth, (req, res) => {
+  const context = currentEvent();
+  const streams = context.adminStreams;
+  const moderator = getModeratorFromRequest(req);
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: ${GALLERY_STREAM_RETRY_MS}\n\n`);
+
+  streams.clients.set(res, moderator);
+  startAdminStreamTicker(context);
+  writeStreamEvent(res, 'hello', { moderator });
+
+  req.on('close', () => {
+    streams.clients.delete(res);
+    stopAdminStreamTicker(context);
+  });
+});
+
+// --------- DEVICE COMMANDS ----------
+// galleryRuntimeCommand reloads every screen of the event. A device command
+// reloads one screen, or each screen of a device group, and is tracked until
+// that screen reports back:
+//   pending   -> issued, the screen has not picked it up yet
+//   delivered -> handed out on /gallery/events (device_command), the
+//                /gallery/approved and /gallery/runtime-settings polls or a
+//                heartbeat response, as deviceCommand
+//   acked     -> the screen sent { commandAck: { commandId, result } } with a
+//                heartbeat after reloading (failed when result is 'failed')
+//   expired   -> not acked within DEVICE_COMMAND_TTL_MS
+// Commands are stored in the Device Commands settings row (like
+// galleryRuntimeCommand), one per device, so every instance hands out and
+// tracks the same ones; a newer one replaces it. A delivered command keeps
+// being handed out until acked, in case the response carrying it was lost;
+// screens skip command IDs they have already run.
+
+const DEVICE_COMMANDS = ['reload_gallery', 'clear_cache_reload_gallery'];
+const DEVICE_COMMAND_TTL_MS = 15 * 60 * 1000;
+// How far along a command is; a stored record is only replaced by a later one
+const DEVICE_COMMAND_PROGRESS = { pending: 0, delivered: 1, acked: 2, failed: 2 };
+// Records older than this are dropped from the settings row
+const DEVICE_COMMAND_KEEP_MS = 24 * 60 * 60 * 1000;
+const DEVICE_COMMANDS_MAX = 100;
+
+function normalizeDeviceCommandRecord(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const deviceId = normalizeDeviceId(raw.deviceId);
+  const command = String(raw.command || '').trim();
+  const commandId = clampString(raw.commandId || '', 120);
+  const issuedAt = clampIsoTimestamp(raw.issuedAt);
+  if (!deviceId || !DEVICE_COMMANDS.includes(command) || !commandId || !issuedAt) return null;
+
+  const target = raw.target && typeof raw.target === 'object' ? raw.target : {};
+  const issuedBy = raw.issuedBy && typeof raw.issuedBy === 'object' ? raw.issuedBy : {};
+  return {
+    deviceId,
+    commandId,
+    command,
+    clearCache: command === 'clear_cache_reload_gallery',
+    reason: clampString(raw.reason || '', 160),
+    target: {
+      type: target.type === 'group' ? 'group' : 'device',
+      id: clampString(target.id || '', 120),
+      name: clampString(target.name || '', 120),
+    },
+    issuedAt,
+    issuedBy: { id: clampString(issuedBy.id || '', 120), name: clampString(issuedBy.name || '', 120) },
+    status: Object.prototype.hasOwnProperty.call(DEVICE_COMMAND_PROGRESS, raw.status) ? raw.status : 'pending',
+    deliveredAt: clampIsoTimestamp(raw.deliveredAt) || null,
+    deliveredVia: clampString(raw.deliveredVia || '', 40),
+    ackedAt: clampIsoTimestamp(raw.ackedAt) || null,
+    result: raw.result === 'ok' || raw.result === 'failed' ? raw.result : '',
+    message: clampString(raw.message || '', 240),
+  };
+}
+
+// { [deviceId]: record }, newest DEVICE_COMMANDS_MAX from the last day
+function normalizeDeviceCommands(rawCommands) {
+  const candidate = rawCommands && typeof rawCommands === 'object' ? rawCommands : {};
+  const cutoff = Date.now() - DEVICE_COMMAND_KEEP_MS;
+  return Object.values(candidate)
+    .map(normalizeDeviceCommandRecord)
+    .filter((record) => record && Date.parse(record.issuedAt) >= cutoff)
+    .sort((a, b) => (a.issuedAt < b.issuedAt ? 1 : a.issuedAt > b.issuedAt ? -1 : 0))
+    .slice(0, DEVICE_COMMANDS_MAX)
+    .reduce((commands, record) => {
+      if (!commands[record.deviceId]) commands[record.deviceId] = record;
+      return commands;
+    }, {});
+}
+
+// Per device the newer command wins, and for the same command whichever side
+// is further along.
+function saveDeviceCommands(records) {
+  return writeSettingsState((settings) => {
+    const deviceCommands = { ...(settings.deviceCommands || {}) };
+    records.forEach((record) => {
+      const stored = deviceCommands[record.deviceId];
+      const newer = !stored
+        || (stored.commandId === record.commandId
+          ? DEVICE_COMMAND_PROGRESS[record.status] > DEVICE_COMMAND_PROGRESS[stored.status]
+          : record.issuedAt >= stored.issuedAt);
+      if (newer) deviceCommands[record.deviceId] = record;
+    });
+    return { deviceCommands: normalizeDeviceCommands(deviceCommands) };
+  });
+}
+
+function getDeviceCommand(deviceId) {
+  const record = (currentEvent().appSettings.deviceCommands || {})[normalizeDeviceId(deviceId)] || null;
+  if (
+    record &&
+    (record.status === 'pending' || record.status === 'delivered') &&
+    Date.now() - (Date.parse(record.issuedAt) || 0) > DEVICE_COMMAND_TTL_MS
+  ) {
+    return { ...record, status: 'expired' };
+  }
+  return record;
+}
+
+function serializeDeviceCommand(record) {
+  if (!record) return null;
+  return { ...record, target: { ...record.target }, issuedBy: { ...record.issuedBy } };
+}
+
+// What a screen runs; the same shape as galleryRuntimeCommand
+function buildDeviceCommandForScreen(record) {
+  return {
+    command: record.command,
+    commandId: record.commandId,
+    issuedAt: record.issuedAt,
+    reason: record.reason,
+    clearCache: record.clearCache,
+  };
+}
+
+async function markDeviceCommandDelivered(record, via) {
+  if (record.status !== 'pending') return;
+  const delivered = { ...record, status: 'delivered', deliveredAt: new Date().toISOString(), deliveredVia: via };
+  await saveDeviceCommands([delivered]);
+  broadcastAdminEvent('device_command', serializeDeviceCommand(delivered));
+}
+
+async function takeDeviceCommandForDelivery(deviceId, via) {
+  if (!normalizeDeviceId(deviceId)) return null;
+  await hydrateSettingsFromSheet();
+  const record = getDeviceCommand(deviceId);
+  if (!record || (record.status !== 'pending' && record.status !== 'delivered')) return null;
+  // The screen still gets the command if recording the delivery fails
+  await markDeviceCommandDelivered(record, via).catch((err) => {
+    console.warn('Unable to record device command delivery:', err.message || err);
+  });
+  return buildDeviceCommandForScreen(record);
+}
+
+async function acknowledgeDeviceCommand(deviceId, rawAck) {
+  const ack = rawAck && typeof rawAck === 'object' ? rawAck : null;
+  if (!ack) return null;
+  await hydrateSettingsFromSheet();
+  const record = getDeviceCommand(deviceId);
+  if (!record || record.commandId !== clampString(ack.commandId || '', 120)) return null;
+  if (record.status === 'acked' || record.status === 'failed') return record;
+
+  const failed = String(ack.result || '').trim().toLowerCase() === 'failed';
+  const acknowledged = {
+    ...record,
+    status: failed ? 'failed' : 'acked',
+    deliveredAt: record.deliveredAt || new Date().toISOString(),
+    ackedAt: clampIsoTimestamp(ack.at) || new Date().toISOString(),
+    result: failed ? 'failed' : 'ok',
+    message: clampString(ack.message || '', 240),
+  };
+  await saveDeviceCommands([acknowledged]);
+  broadcastAdminEvent('device_command', serializeDeviceCommand(acknowledged));
+  return acknowledged;
+}
+
+// Stored before any screen sees it; screens connected to this instance's
+// /gallery/events get it right away, the rest on their next poll.
+async function issueDeviceCommands(deviceIds, { command, target, moderator, reason = '' }) {
+  const context = currentEvent();
+  const issuedAt = new Date().toISOString();
+  const commandId = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+  const records = deviceIds.map((deviceId) => {
+    const streams = Array.from(context.galleryStreams.clients.entries())
+      .filter(([, client]) => client.deviceId === deviceId)
+      .map(([res]) => res);
+    const record = normalizeDeviceCommandRecord({
+      deviceId,
+      commandId,
+      command,
+      reason: reason || (target.type === 'group' ? 'admin_group_command' : 'admin_device_command'),
+      target,
+      issuedAt,
+      issuedBy: moderator,
+      status: streams.length ? 'delivered' : 'pending',
+      deliveredAt: streams.length ? issuedAt : null,
+      deliveredVia: streams.length ? 'events' : '',
+    });
+    return { record, streams };
+  });
+
+  await saveDeviceCommands(records.map(({ record }) => record));
+  return records.map(({ record, streams }) => {
+    streams.forEach((res) => writeStreamEvent(res, 'device_command', buildDeviceCommandForScreen(record)));
+    broadcastAdminEvent('device_command', serializeDeviceCommand(record));
+    return serializeDeviceCommand(record);
+  });
+}
+
+// POST /admin/devices/command { command, deviceId } or { command, groupId }
+app.post('/admin/devices/command', ensureAdminAuth, async (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const command = String(body.command || '').trim();
+  if (!DEVICE_COMMANDS.includes(command)) {
+    return res.status(400).json({ ok: false, error: 'invalid_command' });
+  }
+
+  let deviceIds;
+  let target;
+  if (body.groupId) {
+    const groupId = normalizeDeviceGroupId(body.groupId);
+    const group = (currentEvent().appSettings.deviceGroups || []).find((entry) => entry.id === groupId);
+    if (!group) {
+      return res.status(404).json({ ok: false, error: 'device_group_not_found' });
+    }
+    if (!group.deviceIds.length) {
+      return res.status(400).json({ ok: false, error: 'device_group_empty' });
+    }
+    deviceIds = group.deviceIds;
+    target = { type: 'group', id: group.id, name: group.name };
+  } else {
+    const deviceId = normalizeDeviceId(body.deviceId);
+    if (!deviceId) {
+      return res.status(400).json({ ok: false, error: 'missing_device_id' });
+    }
+    deviceIds = [deviceId];
+    target = { type: 'device', id: deviceId, name: '' };
+  }
+
+  let commands;
+  try {
+    commands = await issueDeviceCommands(deviceIds, {
+      command,
+      target,
+      moderator: getModeratorFromRequest(req),
+    });
+  } catch (err) {
+    console.error('Error issuing device command:', err);
+    return res.status(500).json({ ok: false, error: 'device_command_persist_failed' });
+  }
+  console.log(`[device-command] ${command} -> ${target.type}:${target.id} (${deviceIds.length} device(s))`);
+  return res.json({ ok: true, commandId: commands[0].commandId, commands });
+});
+
+// --------- DEVICE HEALTH ----------
+// Runs the live-devices diagnosis for every screen seen in the last day, so a
+// problem is caught without anyone having the devices overlay open. A screen is
+//   offline  -> no heartbeat for settings.deviceHealth.offlineMinutes
+//   stalled  -> still reporting, but its slideshow says it stopped advancing
+//   failing  -> a recent burst of failed poll / image / overlay fetches
+// With alertsEnabled the queue alert destinations get an alert when a screen
+// turns unhealthy (repeated at most once per cooldown) and a notice when it
+// recovers. With autoRecovery an online unhealthy screen is sent a targeted
+// reload_gallery command, retried with doubling backoff until
+// recoveryMaxAttempts; the attempt count is kept until the screen has been
+// healthy for DEVICE_HEALTH_RESET_MS so a screen that keeps freezing is not
+// reloaded forever. An offline screen cannot receive commands, so it only
+// gets the alert.
+// Problems, alert cooldowns and recovery attempts are kept in the Device
+// Health settings row so every instance continues from the same state. The
+// check runs on heartbeats, the devices overlay and the interval below; on
+// Vercel the /background-jobs cron also runs it, since an offline screen sends
+// no heartbeat to trigger it.
+
+const DEVICE_HEALTH_CHECK_INTERVAL_MS = 30 * 1000;
+const DEVICE_HEALTH_RESET_MS = 30 * 60 * 1000;
+const DEVICE_HEALTH_RECORDS_MAX = 200;
+const DEVICE_HEALTH_PROBLEM_LABELS = {
+  offline: 'is offline',
+  stalled: 'has a stalled slideshow',
+  failing: 'keeps failing to load photos',
+};
+
+function getDeviceHealthSettings() {
+  return currentEvent().appSettings.deviceHealth || DEFAULT_APP_SETTINGS.deviceHealth;
+}
+
+// A screen that only just went quiet keeps whatever state it had; failures
+// from before the last automatic reload do not count again.
+function diagnoseDeviceHealth(summary, settings, now, record) {
+  const problemWindowMs = settings.offlineMinutes * 60 * 1000;
+  if (summary.lastSeenAgoMs === null || summary.lastSeenAgoMs > problemWindowMs) return 'offline';
+  if (!summary.online) return record ? record.problem : null;
+  if (summary.status.slideshowStalled) return 'stalled';
+  const burst = summary.analysis.fetchFailureBurst;
+  const burstEndedAt = Date.parse(burst.lastAt) || 0;
+  if (burst.detected && burstEndedAt > (record ? record.recovery.lastAttemptAt : 0) && now - burstEndedAt <= problemWindowMs) return 'failing';
+  return null;
+}
+
+function normalizeDeviceHealthRecords(rawRecords) {
+  const candidate = rawRecords && typeof rawRecords === 'object' && !Array.isArray(rawRecords) ? rawRecords : {};
+  const toMs = (value) => Math.max(0, Number(value) || 0);
+  return Object.entries(candidate).slice(0, DEVICE_HEALTH_RECORDS_MAX).reduce((records, [rawDeviceId, raw]) => {
+    const deviceId = normalizeDeviceId(rawDeviceId);
+    if (!deviceId || !raw || typeof raw !== 'object') return records;
+    const recovery = raw.recovery && typeof raw.recovery === 'object' ? raw.recovery : {};
+    records[deviceId] = {
+      problem: Object.prototype.hasOwnProperty.call(DEVICE_HEALTH_PROBLEM_LABELS, raw.problem) ? raw.problem : null,
+      since: clampIsoTimestamp(raw.since) || '',
+      lastAlertAt: toMs(raw.lastAlertAt),
+      recoveredAt: toMs(raw.recoveredAt),
+      recovery: {
+        attempts: Math.max(0, parseInt(recovery.attempts, 10) || 0),
+        lastAttemptAt: toMs(recovery.lastAttemptAt),
+        exhausted: Boolean(recovery.exhausted),
+      },
+    };
+    return records;
+  }, {});
+}
+
+function getDeviceHealthRecords() {
+  return currentEvent().appSettings.deviceHealthRecords || {};
+}
+
+function serializeDeviceHealth(deviceId, records = getDeviceHealthRecords()) {
+  const record = records[deviceId];
+  if (!record) return null;
+  return {
+    problem: record.problem,
+    since: record.since,
+    lastAlertAt: record.lastAlertAt ? new Date(record.lastAlertAt).toISOString() : null,
+    recoveredAt: record.recoveredAt ? new Date(record.recoveredAt).toISOString() : null,
+    recovery: {
+      attempts: record.recovery.attempts,
+      maxAttempts: getDeviceHealthSettings().recoveryMaxAttempts,
+      lastAttemptAt: record.recovery.lastAttemptAt ? new Date(record.recovery.lastAttemptAt).toISOString() : null,
+      exhausted: record.recovery.exhausted,
+    },
+  };
+}
+
+function buildDeviceHealthAlertText(kind, summary, record, settings) {
+  const eventName = currentEvent().event.name;
+  const name = summary.deviceName;
+  const lastSeen = summary.lastSeenAt || 'never';
+  const recoveryLine = settings.autoRecovery
+    ? `Automatic reloads: ${record.recovery.attempts} of ${settings.recoveryMaxAttempts}\n`
+    : '';
+
+  if (kind === 'recovered') {
+    return {
+      subject: `Gallery screen ${name} recovered – ${eventName}`,
+      text:
+        `${name} (${summary.deviceId}) at ${eventName} is healthy again.\n\n` +
+        `Last heartbeat: ${lastSeen}\n` +
+        recoveryLine,
+    };
+  }
+
+  const label = DEVICE_HEALTH_PROBLEM_LABELS[record.problem];
+  const freezeHint = summary.analysis.yodeckChromiumFreezeLikely
+    ? 'This looks like the known Yodeck Chromium freeze; a power cycle is usually needed.\n'
+    : '';
+  return {
+    subject: kind === 'recovery_failed'
+      ? `Automatic reload could not fix ${name} – ${eventName}`
+      : `Gallery screen ${name} ${label} – ${eventName}`,
+    text:
+      `${name} (${summary.deviceId}) at ${eventName} ${label} since ${record.since}.\n\n` +
+      `Last heartbeat: ${lastSeen}\n` +
+      `Diagnosis: ${summary.analysis.likelyDiagnosis}\n` +
+      `Next step: ${summary.analysis.recommendedNextAction}\n` +
+      recoveryLine +
+      freezeHint,
+  };
+}
+
+// kind: 'alert' | 'recovery_failed' | 'recovered'
+async function sendDeviceHealthAlert(kind, summary, record) {
+  const context = currentEvent();
+  const settings = getDeviceHealthSettings();
+  const { subject, text } = buildDeviceHealthAlertText(kind, summary, record, settings);
+  const delivered = await deliverEventAlert(settings.channel, {
+    label: 'Device health alert',
+    subject,
+    text,
+    payload: {
+      type: `device_health_${kind}`,
+      event: context.event.slug,
+      eventName: context.event.name,
+      text: subject,
+      deviceId: summary.deviceId,
+      deviceName: summary.deviceName,
+      problem: record.problem,
+      since: record.since,
+      lastSeenAt: summary.lastSeenAt,
+      diagnosis: summary.analysis.likelyDiagnosis,
+      recovery: serializeDeviceHealth(summary.deviceId, { [summary.deviceId]: record }).recovery,
+      at: new Date().toISOString(),
+    },
+  });
+
+  logMetricsEvent('device_health_alert', null, {
+    sessionId: 'device_health',
+    source: 'device_monitor',
+    metadata: {
+      kind,
+      deviceId: summary.deviceId,
+      problem: record.problem,
+      recoveryAttempts: record.recovery.attempts,
+      channel: settings.channel,
+      delivered,
+    },
+  }).catch(() => {});
+
+  return delivered;
+}
+
+// Returns 'attempted', 'exhausted' (just gave up) or '' (waiting)
+async function attemptDeviceRecovery(summary, record, settings, now) {
+  const recovery = record.recovery;
+  if (recovery.exhausted || !summary.online) return '';
+  const command = getDeviceCommand(summary.deviceId);
+  if (command && command.status === 'pending') return '';
+
+  const backoffMs = settings.recoveryBackoffMinutes * 60 * 1000 * 2 ** Math.max(0, recovery.attempts - 1);
+  if (recovery.attempts && now - recovery.lastAttemptAt < backoffMs) return '';
+  if (recovery.attempts >= settings.recoveryMaxAttempts) {
+    recovery.exhausted = true;
+    return 'exhausted';
+  }
+
+  recovery.attempts += 1;
+  recovery.lastAttemptAt = now;
+  await issueDeviceCommands([summary.deviceId], {
+    command: 'reload_gallery',
+    target: { type: 'device', id: summary.deviceId, name: summary.deviceName },
+    moderator: { id: 'device-health', name: 'Auto recovery' },
+    reason: 'auto_recovery',
+  });
+  console.log(`[device-health] reload_gallery -> ${summary.deviceId} (${record.problem}, attempt ${recovery.attempts}/${settings.recoveryMaxAttempts})`);
+  return 'attempted';
+}
+
+async function evaluateDeviceHealth() {
+  const context = currentEvent();
+  // Start from what the last check (on any instance) stored
+  await hydrateSettingsFromSheet();
+  const settings = getDeviceHealthSettings();
+  const stored = getDeviceHealthRecords();
+  const records = JSON.parse(JSON.stringify(stored));
+
+  if (!settings.alertsEnabled && !settings.autoRecovery) {
+    // Turning both off forgets open problems without recovered notices
+    if (Object.keys(stored).length) await writeSettingsState(() => ({ deviceHealthRecords: {} }));
+    return;
+  }
+
+  await ensureDeviceTelemetryHydrated();
+  pruneLiveGalleryDevices();
+
+  const now = Date.now();
+  const cooldownMs = settings.cooldownMinutes * 60 * 1000;
+  const jobs = [];
+  for (const device of context.liveGalleryDevices.values()) {
+    const summary = buildLiveGalleryDeviceSummary(device);
+    let record = records[device.deviceId];
+    const problem = diagnoseDeviceHealth(summary, settings, now, record);
+
+    if (!problem) {
+      if (!record) continue;
+      if (record.problem) {
+        if (record.lastAlertAt && settings.alertsEnabled) jobs.push(sendDeviceHealthAlert('recovered', summary, record));
+        record.problem = null;
+        record.recoveredAt = now;
+        broadcastAdminEvent('device_health', { deviceId: device.deviceId, deviceName: summary.deviceName, health: serializeDeviceHealth(device.deviceId, records) });
+      } else if (now - record.recoveredAt >= DEVICE_HEALTH_RESET_MS) {
+        delete records[device.deviceId];
+      }
+      continue;
     }
 
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    return res.send(csv);
-  } catch (err) {
-    console.error('Error exporting metrics report:', err);
-    return res.status(500).json({ ok: false, error: 'metrics_export_failed' });
+    if (!record || record.problem !== problem) {
+      const isNew = !record || !record.problem;
+      record = {
+        problem,
+        since: isNew ? new Date(now).toISOString() : record.since,
+        lastAlertAt: record && !isNew ? record.lastAlertAt : 0,
+        recoveredAt: 0,
+        recovery: record ? record.recovery : { attempts: 0, lastAttemptAt: 0, exhausted: false },
+      };
+      records[device.deviceId] = record;
+      broadcastAdminEvent('device_health', { deviceId: device.deviceId, deviceName: summary.deviceName, health: serializeDeviceHealth(device.deviceId, records) });
+    }
+
+    const recovery = settings.autoRecovery ? await attemptDeviceRecovery(summary, record, settings, now) : '';
+    if (recovery) {
+      broadcastAdminEvent('device_health', { deviceId: device.deviceId, deviceName: summary.deviceName, health: serializeDeviceHealth(device.deviceId, records) });
+    }
+    if (!settings.alertsEnabled) continue;
+    if (recovery === 'exhausted') {
+      record.lastAlertAt = now;
+      jobs.push(sendDeviceHealthAlert('recovery_failed', summary, record));
+    } else if (!record.lastAlertAt || now - record.lastAlertAt >= cooldownMs) {
+      record.lastAlertAt = now;
+      jobs.push(sendDeviceHealthAlert('alert', summary, record));
+    }
+  }
+
+  // Only the screens this check changed, applied to the freshest stored copy
+  const changedIds = new Set([...Object.keys(stored), ...Object.keys(records)]
+    .filter((deviceId) => JSON.stringify(stored[deviceId]) !== JSON.stringify(records[deviceId])));
+  if (changedIds.size) {
+    await writeSettingsState((latest) => {
+      const deviceHealthRecords = { ...(latest.deviceHealthRecords || {}) };
+      changedIds.forEach((deviceId) => {
+        if (records[deviceId]) deviceHealthRecords[deviceId] = records[deviceId];
+        else delete deviceHealthRecords[deviceId];
+      });
+      return { deviceHealthRecords: normalizeDeviceHealthRecords(deviceHealthRecords) };
+    });
   }
+  await Promise.all(jobs);
+}
+
+// One check at a time per event, at most once per interval
+function checkDeviceHealth({ force = false } = {}) {
+  const state = currentEvent().deviceHealth;
+  if (state.checking) return state.checking;
+  if (!force && Date.now() - state.lastCheckedAt < DEVICE_HEALTH_CHECK_INTERVAL_MS) return Promise.resolve();
+
+  state.lastCheckedAt = Date.now();
+  state.checking = evaluateDeviceHealth()
+    .catch((err) => {
+      console.warn(`Unable to check device health (${currentEvent().event.slug}):`, err.message || err);
+    })
+    .finally(() => {
+      state.checking = null;
+    });
+  return state.checking;
+}
+
+// Admin: device health settings state and open problems
+app.get('/admin/device-health', ensureAdminAuth, async (req, res) => {
+  await hydrateSettingsFromSheet().catch(() => {});
+  const devices = Object.keys(getDeviceHealthRecords()).map((deviceId) => ({ deviceId, ...serializeDeviceHealth(deviceId) }));
+  res.json({
+    ok: true,
+    unhealthy: devices.filter((entry) => entry.problem).length,
+    devices,
+    destinations: getAlertDestinations(),
+  });
 });
 
 // --------- PUBLIC GALLERY API (for Yodeck / gallery.html) ----------
@@ -5027,10 +10949,14 @@ app.get('/gallery/approved', async (req, res) => {
   const startedAtMs = Date.now();
   try {
     setGalleryJsonNoStoreHeaders(res);
-    const manifest = await getGalleryApprovedManifest();
+    runModerationJobs();
+    const deviceId = normalizeDeviceId(req.query.deviceId);
+    const manifest = await getGalleryApprovedManifest(deviceId);
     const files = manifest.files || [];
-    const galleryRuntimeCommand = normalizeGalleryRuntimeCommand(appSettings.galleryRuntimeCommand);
-    const legacyOverlay = buildLegacyKioskOverlayPayload(appSettings);
+    const settings = getGallerySettingsForDevice(deviceId);
+    const galleryRuntimeCommand = normalizeGalleryRuntimeCommand(settings.galleryRuntimeCommand);
+    const legacyOverlay = buildLegacyKioskOverlayPayload(settings);
+    const { slides, slidesVersion } = buildGallerySlidesPayload(settings.gallerySlides);
     logObservedRouteResult(
       '/gallery/approved',
       startedAtMs,
@@ -5042,8 +10968,16 @@ app.get('/gallery/approved', async (req, res) => {
       files,
       manifestVersion: manifest.manifestVersion || '',
       generatedAt: manifest.generatedAt || '',
+      order: manifest.order,
+      deviceGroup: serializeDeviceGroup(settings.deviceGroup),
       galleryRuntimeCommand,
+      deviceCommand: await takeDeviceCommandForDelivery(deviceId, 'approved'),
       legacyOverlay,
+      layout: buildGalleryLayoutPayload(settings.galleryRuntime),
+      playback: buildGalleryPlaybackPayload(settings.galleryRuntime),
+      // Distinct from files: { type: 'slide', kind, ... }, see GALLERY SLIDES
+      slides,
+      slidesVersion,
     });
   } catch (err) {
     console.error('Error listing approved files for gallery', err);
@@ -5055,25 +10989,28 @@ app.get('/gallery/approved', async (req, res) => {
   }
 });
 
-// Stream a single approved photo (no admin token, for public gallery)
+// Stream a single approved photo (no admin token, for public gallery).
+// Serves the gallery-size WebP by default; ?size=full|thumb|original overrides.
+// Anything that is not an approved photo (pending, rejected, hidden, a
+// derivative or some other file id) is a 404.
 app.get('/gallery/photo/:fileId', async (req, res) => {
   const { fileId } = req.params;
 
   try {
-    const driveRes = await drive.files.get(
-      {
-        fileId,
-        alt: 'media',
-      },
-      { responseType: 'stream' }
-    );
+    const file = await currentEvent().photoStorage.getFile(fileId);
+    if (getPhotoState(file) !== 'approved') {
+      return res.status(404).end();
+    }
+    const photo = await openPhotoVariantStream(fileId, resolveRequestedPhotoVariant(req, 'gallery'));
 
-    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Content-Type', photo.contentType);
     res.setHeader('Cache-Control', 'private, max-age=300, stale-while-revalidate=600');
+    res.setHeader('Vary', 'Accept');
+    res.setHeader('X-Photo-Variant', photo.variant);
 
-    driveRes.data
+    photo.stream
       .on('error', (err) => {
-        console.error('Drive stream error (gallery)', err);
+        console.error('Photo stream error (gallery)', err);
         if (!res.headersSent) {
           res.end();
         }
@@ -5093,7 +11030,7 @@ app.get('/gallery/template-overlay/:fileId', async (req, res) => {
   let respondedStatus = 200;
 
   try {
-    const driveRes = await drive.files.get(
+    const driveRes = await getGoogleClients().drive.files.get(
       {
         fileId,
         alt: 'media',
@@ -5102,7 +11039,7 @@ app.get('/gallery/template-overlay/:fileId', async (req, res) => {
     );
 
     try {
-      const metadata = await drive.files.get({
+      const metadata = await getGoogleClients().drive.files.get({
         fileId,
         fields: 'mimeType'
       });
@@ -5157,7 +11094,7 @@ app.get('/gallery/template-asset/:fileId', async (req, res) => {
   let respondedStatus = 200;
 
   try {
-    const driveRes = await drive.files.get(
+    const driveRes = await getGoogleClients().drive.files.get(
       {
         fileId,
         alt: 'media',
@@ -5166,7 +11103,7 @@ app.get('/gallery/template-asset/:fileId', async (req, res) => {
     );
 
     try {
-      const metadata = await drive.files.get({
+      const metadata = await getGoogleClients().drive.files.get({
         fileId,
         fields: 'mimeType'
       });
@@ -5215,9 +11152,9 @@ app.get('/gallery/template-asset/:fileId', async (req, res) => {
   }
 });
 
-async function resolveActiveGalleryOverlayTemplate() {
-  const snapshot = parseActiveTemplateSnapshot(appSettings.activeTemplateSnapshot);
-  const activeTemplateId = String(appSettings.activeTemplateId || '').trim();
+async function resolveActiveGalleryOverlayTemplate(settings = currentEvent().appSettings) {
+  const snapshot = parseActiveTemplateSnapshot(settings.activeTemplateSnapshot);
+  const activeTemplateId = String(settings.activeTemplateId || '').trim();
 
   if (snapshot && snapshot.data && String(snapshot.id || '').trim()) {
     const snapshotTemplate = {
@@ -5280,7 +11217,7 @@ app.get('/gallery/active-overlay-image', async (req, res) => {
       console.warn('Active overlay image settings hydration failed; using last in-memory state.', hydrateErr.message || hydrateErr);
     }
 
-    const resolved = await resolveActiveGalleryOverlayTemplate();
+    const resolved = await resolveActiveGalleryOverlayTemplate(getGallerySettingsForDevice(req.query.deviceId));
     const template = resolved.template;
     const overlayFileId = normalizeTemplateAssetFileId(template?.data?.overlayFileId || '');
 
@@ -5290,7 +11227,7 @@ app.get('/gallery/active-overlay-image', async (req, res) => {
       return res.status(404).end();
     }
 
-    const driveRes = await drive.files.get(
+    const driveRes = await getGoogleClients().drive.files.get(
       {
         fileId: overlayFileId,
         alt: 'media',
@@ -5299,7 +11236,7 @@ app.get('/gallery/active-overlay-image', async (req, res) => {
     );
 
     try {
-      const metadata = await drive.files.get({
+      const metadata = await getGoogleClients().drive.files.get({
         fileId: overlayFileId,
         fields: 'mimeType',
       });
@@ -5346,6 +11283,7 @@ app.get('/gallery/active-overlay-image', async (req, res) => {
 });
 
 app.get('/gallery/active-overlay', async (req, res) => {
+  let settings = currentEvent().appSettings;
   const startedAtMs = Date.now();
   let settingsHydrated = false;
   try {
@@ -5355,15 +11293,17 @@ app.get('/gallery/active-overlay', async (req, res) => {
     } catch (hydrateErr) {
       console.warn('Active overlay settings hydration failed; using last in-memory state.', hydrateErr.message || hydrateErr);
     }
+    // A screen in a device group gets its group's template
+    settings = getGallerySettingsForDevice(req.query.deviceId);
 
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
 
-    const snapshot = parseActiveTemplateSnapshot(appSettings.activeTemplateSnapshot);
-    if (snapshot && String(snapshot.id || '') === String(appSettings.activeTemplateId || snapshot.id || '')) {
+    const snapshot = parseActiveTemplateSnapshot(settings.activeTemplateSnapshot);
+    if (snapshot && String(snapshot.id || '') === String(settings.activeTemplateId || snapshot.id || '')) {
       const snapshotTemplate = {
-        id: snapshot.id || appSettings.activeTemplateId || '',
+        id: snapshot.id || settings.activeTemplateId || '',
         name: snapshot.name || '',
         createdAt: snapshot.createdAt || '',
         data: snapshot.data
@@ -5381,8 +11321,8 @@ app.get('/gallery/active-overlay', async (req, res) => {
       }));
     }
 
-    if (appSettings.activeTemplateId) {
-      const liveTemplate = await getTemplateById(appSettings.activeTemplateId);
+    if (settings.activeTemplateId) {
+      const liveTemplate = await getTemplateById(settings.activeTemplateId);
       if (liveTemplate) {
         console.log('Gallery active overlay served from template row', {
           settingsHydrated,
@@ -5399,18 +11339,18 @@ app.get('/gallery/active-overlay', async (req, res) => {
 
       console.warn('Gallery active overlay row missing for activeTemplateId', {
         settingsHydrated,
-        activeTemplateId: String(appSettings.activeTemplateId || ''),
+        activeTemplateId: String(settings.activeTemplateId || ''),
       });
 
       if (snapshot) {
         const fallbackTemplate = {
-          id: snapshot.id || appSettings.activeTemplateId || '',
+          id: snapshot.id || settings.activeTemplateId || '',
           name: snapshot.name || '',
           createdAt: snapshot.createdAt || '',
           data: snapshot.data
         };
         console.log('Gallery active overlay falling back to stale snapshot because row is missing', {
-          activeTemplateId: String(appSettings.activeTemplateId || ''),
+          activeTemplateId: String(settings.activeTemplateId || ''),
           templateId: String(fallbackTemplate.id || ''),
           overlayFileId: String(fallbackTemplate.data?.overlayFileId || ''),
           version: String(fallbackTemplate.data?.overlayVersion || ''),
@@ -5425,29 +11365,29 @@ app.get('/gallery/active-overlay', async (req, res) => {
 
     console.log('Gallery active overlay unavailable', {
       settingsHydrated,
-      activeTemplateId: String(appSettings.activeTemplateId || ''),
+      activeTemplateId: String(settings.activeTemplateId || ''),
       hasSnapshot: Boolean(snapshot),
-      reason: appSettings.activeTemplateId ? 'overlay_row_missing_no_snapshot' : 'no_active_template_id',
+      reason: settings.activeTemplateId ? 'overlay_row_missing_no_snapshot' : 'no_active_template_id',
     });
 
-    logObservedRouteResult('/gallery/active-overlay', startedAtMs, 200, appSettings.activeTemplateId ? 'ok source=overlay_row_missing_no_snapshot' : 'ok source=no_active_template_id');
+    logObservedRouteResult('/gallery/active-overlay', startedAtMs, 200, settings.activeTemplateId ? 'ok source=overlay_row_missing_no_snapshot' : 'ok source=no_active_template_id');
     return res.json(buildActiveOverlayResponse(null, {
       disabled: false,
       source: settingsHydrated ? 'settings_state' : 'memory_state_after_settings_failure',
-      reason: appSettings.activeTemplateId ? 'overlay_row_missing_no_snapshot' : 'no_active_template_id',
+      reason: settings.activeTemplateId ? 'overlay_row_missing_no_snapshot' : 'no_active_template_id',
     }));
   } catch (err) {
     console.error('Error loading active gallery overlay', err);
-    const snapshot = parseActiveTemplateSnapshot(appSettings.activeTemplateSnapshot);
+    const snapshot = parseActiveTemplateSnapshot(settings.activeTemplateSnapshot);
     if (snapshot) {
       const fallbackTemplate = {
-        id: snapshot.id || appSettings.activeTemplateId || '',
+        id: snapshot.id || settings.activeTemplateId || '',
         name: snapshot.name || '',
         createdAt: snapshot.createdAt || '',
         data: snapshot.data
       };
       console.warn('Gallery active overlay route failed; serving last in-memory snapshot fallback', {
-        activeTemplateId: String(appSettings.activeTemplateId || ''),
+        activeTemplateId: String(settings.activeTemplateId || ''),
         templateId: String(fallbackTemplate.id || ''),
         overlayFileId: String(fallbackTemplate.data?.overlayFileId || ''),
         version: String(fallbackTemplate.data?.overlayVersion || ''),
@@ -5469,7 +11409,7 @@ app.get('/gallery/active-overlay', async (req, res) => {
         disabled: false,
         reason: 'route_exception_no_snapshot',
         source: 'route_exception',
-        templateId: String(appSettings.activeTemplateId || ''),
+        templateId: String(settings.activeTemplateId || ''),
         version: '',
       }
     });
@@ -5477,6 +11417,7 @@ app.get('/gallery/active-overlay', async (req, res) => {
 });
 
 app.get('/gallery/active-template', async (req, res) => {
+  let settings = currentEvent().appSettings;
   let settingsHydrated = false;
   try {
     try {
@@ -5488,14 +11429,16 @@ app.get('/gallery/active-template', async (req, res) => {
     } catch (hydrateErr) {
       console.warn('Active template settings hydration failed; using last in-memory state.', hydrateErr.message || hydrateErr);
     }
+    // A screen in a device group gets its group's template
+    settings = getGallerySettingsForDevice(req.query.deviceId);
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
 
-    const snapshot = parseActiveTemplateSnapshot(appSettings.activeTemplateSnapshot);
-    if (snapshot && String(snapshot.id || '') === String(appSettings.activeTemplateId || snapshot.id || '')) {
+    const snapshot = parseActiveTemplateSnapshot(settings.activeTemplateSnapshot);
+    if (snapshot && String(snapshot.id || '') === String(settings.activeTemplateId || snapshot.id || '')) {
       const snapshotTemplate = {
-        id: snapshot.id || appSettings.activeTemplateId || '',
+        id: snapshot.id || settings.activeTemplateId || '',
         name: snapshot.name || '',
         createdAt: snapshot.createdAt || '',
         data: snapshot.data
@@ -5511,8 +11454,8 @@ app.get('/gallery/active-template', async (req, res) => {
       }));
     }
 
-    if (appSettings.activeTemplateId) {
-      const liveTemplate = await getTemplateById(appSettings.activeTemplateId);
+    if (settings.activeTemplateId) {
+      const liveTemplate = await getTemplateById(settings.activeTemplateId);
       if (liveTemplate) {
         console.log('Gallery active template served from template row', {
           settingsHydrated,
@@ -5526,17 +11469,17 @@ app.get('/gallery/active-template', async (req, res) => {
       }
       console.warn('Gallery active template row missing for activeTemplateId', {
         settingsHydrated,
-        activeTemplateId: String(appSettings.activeTemplateId || ''),
+        activeTemplateId: String(settings.activeTemplateId || ''),
       });
       if (snapshot) {
         const fallbackTemplate = {
-          id: snapshot.id || appSettings.activeTemplateId || '',
+          id: snapshot.id || settings.activeTemplateId || '',
           name: snapshot.name || '',
           createdAt: snapshot.createdAt || '',
           data: snapshot.data
         };
         console.log('Gallery active template falling back to stale snapshot because row is missing', {
-          activeTemplateId: String(appSettings.activeTemplateId || ''),
+          activeTemplateId: String(settings.activeTemplateId || ''),
           templateId: String(fallbackTemplate.id || ''),
           version: buildTemplateVersion(fallbackTemplate),
         });
@@ -5549,28 +11492,28 @@ app.get('/gallery/active-template', async (req, res) => {
 
     console.log('Gallery active template unavailable', {
       settingsHydrated,
-      activeTemplateId: String(appSettings.activeTemplateId || ''),
+      activeTemplateId: String(settings.activeTemplateId || ''),
       hasSnapshot: Boolean(snapshot),
-      reason: appSettings.activeTemplateId ? 'template_row_missing_no_snapshot' : 'no_active_template_id',
+      reason: settings.activeTemplateId ? 'template_row_missing_no_snapshot' : 'no_active_template_id',
     });
 
     return res.json(buildActiveTemplateResponse(null, {
       disabled: false,
       source: settingsHydrated ? 'settings_state' : 'memory_state_after_settings_failure',
-      reason: appSettings.activeTemplateId ? 'template_row_missing_no_snapshot' : 'no_active_template_id',
+      reason: settings.activeTemplateId ? 'template_row_missing_no_snapshot' : 'no_active_template_id',
     }));
   } catch (err) {
     console.error('Error loading active gallery template', err);
-    const snapshot = parseActiveTemplateSnapshot(appSettings.activeTemplateSnapshot);
+    const snapshot = parseActiveTemplateSnapshot(settings.activeTemplateSnapshot);
     if (snapshot) {
       const fallbackTemplate = {
-        id: snapshot.id || appSettings.activeTemplateId || '',
+        id: snapshot.id || settings.activeTemplateId || '',
         name: snapshot.name || '',
         createdAt: snapshot.createdAt || '',
         data: snapshot.data
       };
       console.warn('Gallery active template route failed; serving last in-memory snapshot fallback', {
-        activeTemplateId: String(appSettings.activeTemplateId || ''),
+        activeTemplateId: String(settings.activeTemplateId || ''),
         templateId: String(fallbackTemplate.id || ''),
         version: buildTemplateVersion(fallbackTemplate),
         error: err && err.message ? err.message : err,
@@ -5589,18 +11532,53 @@ app.get('/gallery/active-template', async (req, res) => {
         disabled: false,
         reason: 'route_exception_no_snapshot',
         source: 'route_exception',
-        templateId: String(appSettings.activeTemplateId || ''),
+        templateId: String(settings.activeTemplateId || ''),
         version: '',
       }
     });
   }
 });
 
+// --------- Background jobs route (for Vercel cron) ----------
+// Serverless instances only run the interval timers below while a request
+// keeps them alive, so this cron runs the time-based jobs for every event:
+// guest email retries, device health (offline screens send nothing), trusted
+// auto-approve and queue alerts. The route is public, so only the cron itself
+// (CRON_SECRET) forces them; anyone else gets the usual throttled runs.
+// The "* * * * *" schedule in vercel.json needs a paid Vercel plan (Hobby only
+// allows daily crons). On Hobby set it to "0 0 * * *": auto-approve, queue
+// alerts and device health still run from gallery requests, but guest email
+// retries then wait for that daily run or a cold start.
+function isCronRequest(req) {
+  return Boolean(CRON_SECRET) && req.get('authorization') === `Bearer ${CRON_SECRET}`;
+}
+
+app.get('/background-jobs', async (req, res) => {
+  const force = isCronRequest(req);
+  try {
+    let guestEmails = 0;
+    for (const context of listEventContexts()) {
+      await runInEvent(context, async () => {
+        guestEmails += await sweepGuestPhotoEmails({ force });
+        await checkDeviceHealth({ force });
+        await Promise.all([sweepTrustedApprovals({ force }), checkQueueAlerts({ force })]);
+      });
+    }
+    res.json({ ok: true, guestEmails });
+  } catch (e) {
+    console.error('Error running background jobs:', e);
+    res.status(500).json({ ok: false, error: 'background_jobs_failed' });
+  }
+});
+
 // --------- Daily report route (for Vercel cron) ----------
 app.get('/session-report-daily', async (req, res) => {
   try {
     console.log('Daily cron hit: /session-report-daily');
-    await sendSessionReportEmailFromSheet();
+    // One cron for the whole deployment: report every event
+    for (const context of listEventContexts()) {
+      await runInEvent(context, () => sendSessionReportEmailFromSheet());
+    }
     res.json({ ok: true });
   } catch (e) {
     console.error('Error sending daily session report:', e);
@@ -5630,25 +11608,19 @@ app.post('/session-report-date', async (req, res) => {
     // date = "2025-12-06"
     const [yyyy, mm, dd] = date.split("-");
     const prefix = `${dd}/${mm}/${yyyy}`; // matches timestamp_pr format
-
-    // Pull entire sheet -----------------------------------------
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: SESSION_SHEET_ID,
-      range: SESSION_SHEET_RANGE
-    });
-
-    const rows = resp.data.values || [];
-    if (rows.length <= 1) {
+    const dayStartUtc = prDateToUtc(date, 0, 0, 0, 0);
+    const dayEndUtc = prDateToUtc(date, 23, 59, 59, 999);
+
+    // Pull that PR day from the session log ----------------------
+    const rows = dayStartUtc
+      ? await currentEvent().dataStore.readSessionRows({ startUtc: dayStartUtc, endUtc: dayEndUtc })
+      : [];
+    if (!rows.length) {
       return res.json({ ok: true, reportText: `No data for ${date}.` });
     }
 
     // Filter rows belonging to this date -------------------------
-    const filtered = [];
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const tsPr = row[1] || ""; // timestamp_pr
-      if (tsPr.startsWith(prefix)) filtered.push(row);
-    }
+    const filtered = rows.filter((row) => String(row[1] || "").startsWith(prefix)); // timestamp_pr
 
     // Count metrics ---------------------------------------------
     let visits = 0;
@@ -5687,10 +11659,10 @@ app.post('/session-report-date', async (req, res) => {
       `Generated at: ${new Date().toISOString()}`;
 
     // Email it ---------------------------------------------------
-    if (mailTransporter && process.env.MAIL_TO) {
+    if (mailTransporter && getEventReportMailTo()) {
       await mailTransporter.sendMail({
-        from: `"Luminar Apps" <${process.env.MAIL_FROM || process.env.MAIL_USER}>`,
-        to: process.env.MAIL_TO,
+        from: getEventMailFrom(),
+        to: getEventReportMailTo(),
         subject: `Selfie App Report – ${date}`,
         text: report,
         attachments: [
@@ -5713,24 +11685,12 @@ app.post('/session-report-date', async (req, res) => {
   }
 });
 
-// Get photo info (email, country, last name) by ticket number
-async function getEmailForPhoto(ticketNumber) {
+// Get photo info (email, country, last name) by ticket number. Only the guest
+// token links a form to a photo: `guestSession` (stored on the photo) when the
+// caller has it, otherwise the one on the ticket's upload row.
+async function getEmailForPhoto(ticketNumber, { guestSession = '', uploadedAt = '' } = {}) {
   try {
-    if (!SESSION_SHEET_ID) {
-      console.warn('SESSION_SHEET_ID missing, cannot match photo to email');
-      return null;
-    }
-
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SESSION_SHEET_ID,
-      range: SESSION_SHEET_RANGE,
-    });
-
-    const rows = response.data.values || [];
-    if (rows.length < 2) return null; // No data (header + rows)
-
-    // Skip header row, map to objects
-    const events = rows.slice(1).map(row => ({
+    const toEvent = (row) => ({
       timestamp_utc: row[0] || '',
       timestamp_pr: row[1] || '',
       event_type: row[2] || '',
@@ -5741,28 +11701,35 @@ async function getEmailForPhoto(ticketNumber) {
       last_name: row[7] || '',
       newsletter: row[8] || '',
       ticket: row[9] || '',
-    }));
+    });
 
-    // Find upload event with this ticket number
-    const uploadEvent = events.find(
-      e => e.event_type === 'upload' && e.ticket === ticketNumber
-    );
+    let sessionId = buildGuestSessionId(guestSession);
+    let uploadTime = new Date(uploadedAt || Date.now());
 
-    if (!uploadEvent || !uploadEvent.session_id) {
-      return null;
+    if (!sessionId) {
+      // Find upload event with this ticket number
+      const uploadRows = await currentEvent().dataStore.readSessionRows({
+        eventType: 'upload',
+        ticket: ticketNumber,
+        limit: 1,
+      });
+      const uploadEvent = uploadRows.length ? toEvent(uploadRows[0]) : null;
+      if (!uploadEvent) return null;
+      sessionId = uploadEvent.session_id;
+      uploadTime = new Date(uploadEvent.timestamp_utc);
     }
 
-    const sessionId = uploadEvent.session_id;
-    const uploadTime = new Date(uploadEvent.timestamp_utc);
+    // Uploads from before guest tokens (or without one) only have an IP session
+    if (!sessionId || !sessionId.startsWith(GUEST_SESSION_PREFIX)) {
+      return null;
+    }
 
-    // Find form events with same session_id
+    // Find form events from the same guest
     // Prefer form events that happened before or close to upload time
-    const formEvents = events
-      .filter(e => 
-        e.event_type === 'form' && 
-        e.session_id === sessionId &&
-        e.email // Must have email
-      )
+    const formRows = await currentEvent().dataStore.readSessionRows({ eventType: 'form', sessionId });
+    const formEvents = formRows
+      .map(toEvent)
+      .filter(e => e.email) // Must have email
       .map(e => ({
         ...e,
         timeDiff: Math.abs(new Date(e.timestamp_utc) - uploadTime),
@@ -5790,7 +11757,7 @@ async function getEmailForPhoto(ticketNumber) {
   }
 }
 
-// Admin endpoint to get photo info by ticket number
+// Admin endpoint to get photo info by ticket number (?fileId= adds the guest email delivery log)
 app.get('/admin/photo-info/:ticketNumber', ensureAdminAuth, async (req, res) => {
   try {
     const ticketNumber = req.params.ticketNumber; // e.g., "T001"
@@ -5799,12 +11766,19 @@ app.get('/admin/photo-info/:ticketNumber', ensureAdminAuth, async (req, res) =>
       return res.status(400).json({ ok: false, error: 'missing_ticket_number' });
     }
 
-    const match = await getEmailForPhoto(ticketNumber);
+    const [match, delivery] = await Promise.all([
+      getEmailForPhoto(ticketNumber),
+      req.query.fileId
+        ? currentEvent().photoStorage.getFile(String(req.query.fileId))
+            .then(getGuestEmailDelivery)
+            .catch(() => null)
+        : null,
+    ]);
     
     if (match) {
-      return res.json({ ok: true, match });
+      return res.json({ ok: true, match, delivery });
     } else {
-      return res.json({ ok: false, error: 'no_match_found' });
+      return res.json({ ok: false, error: 'no_match_found', delivery });
     }
   } catch (err) {
     console.error('Error getting photo info:', err);
@@ -5812,39 +11786,427 @@ app.get('/admin/photo-info/:ticketNumber', ensureAdminAuth, async (req, res) =>
   }
 });
 
-// ---------- TEMPLATE API ENDPOINTS ----------
+// ---------- GUEST PHOTO EMAIL ----------
+// When an event opts in (settings.guestEmail.enabled), approving a photo queues
+// a "your photo is on the big screen" email to the family that registered the
+// ticket, with the framed photo attached. Sends run one at a time per event.
+// The status and the time of the next attempt live in the photo's
+// appProperties, and a sweep (interval here, /background-jobs cron on
+// Vercel) sends whatever is due: failed sends retry with backoff, and a send
+// cut off by a restart or a frozen serverless instance is picked up again once
+// its lease runs out. Every status change is a `guest_email_<status>` metrics
+// event, which is the per-attempt log the photo-info overlay reads back (from
+// any instance).
+
+const GUEST_EMAIL_RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+// How long a started send keeps other sweeps off the photo
+const GUEST_EMAIL_SEND_LEASE_MS = 10 * 60 * 1000;
+const GUEST_EMAIL_SWEEP_INTERVAL_MS = 60 * 1000;
+const GUEST_EMAIL_MAX_ATTEMPTS = GUEST_EMAIL_RETRY_DELAYS_MS.length + 1;
+const GUEST_EMAIL_LOG_MAX_ENTRIES = 20;
+const GUEST_EMAIL_PENDING_STATUSES = ['queued', 'retrying'];
+
+const GUEST_EMAIL_COPY = {
+  es: {
+    subject: (organizer) => `¡Tu foto está en la pantalla! · ${organizer}`,
+    heading: '¡TU FOTO ESTÁ EN LA PANTALLA!',
+    greeting: (lastName) => (lastName ? `Hola, familia ${lastName}:` : '¡Hola!'),
+    body: (venue) =>
+      `Tu selfie fue aprobada y ya aparece en ${venue || 'la pantalla del evento'}. ` +
+      'Te la enviamos con el marco del evento para que la guardes y la compartas.',
+    ticket: 'Número de foto',
+    thanks: '¡Gracias por visitarnos!',
+    footer: 'Este correo fue generado automáticamente. Favor no responder a este correo electrónico.',
+    fileName: 'mi_selfie',
+  },
+  en: {
+    subject: (organizer) => `Your photo is on the big screen! · ${organizer}`,
+    heading: 'YOUR PHOTO IS ON THE BIG SCREEN!',
+    greeting: (lastName) => (lastName ? `Hi, ${lastName} family!` : 'Hi there!'),
+    body: (venue) =>
+      `Your selfie was approved and is now showing on ${venue || 'the event screen'}. ` +
+      "Here it is with the event frame so you can keep it and share it.",
+    ticket: 'Photo number',
+    thanks: 'Thanks for visiting!',
+    footer: 'This email was sent automatically. Please do not reply.',
+    fileName: 'my_selfie',
+  },
+};
+
+function normalizeGuestEmailLanguage(value) {
+  const language = String(value || '').trim().toLowerCase().slice(0, 2);
+  return GUEST_EMAIL_LANGUAGES.includes(language) ? language : '';
+}
+
+function escapeEmailHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isGuestEmailEnabled() {
+  const guestEmail = currentEvent().appSettings.guestEmail;
+  return Boolean(guestEmail && guestEmail.enabled);
+}
+
+function buildGuestPhotoEmail({ language, lastName, ticketLabel }) {
+  const copy = GUEST_EMAIL_COPY[language] || GUEST_EMAIL_COPY.es;
+  const { branding } = currentEvent().event;
+  const subject = copy.subject(branding.organizerName);
+  const ticketDisplay = ticketLabel ? `#${ticketLabel.replace(/^T/, '')}` : '';
+
+  const text =
+    `${copy.greeting(lastName)}\n\n` +
+    `${copy.body(branding.venueLabel)}\n\n` +
+    (ticketDisplay ? `${copy.ticket}: ${ticketDisplay}\n\n` : '') +
+    `${copy.thanks}\n${branding.organizerName}\n\n` +
+    `${copy.footer}`;
+
+  const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeEmailHtml(subject)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f4f4f4;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Arial,sans-serif;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+      <tr>
+        <td align="center" style="padding:24px;">
+          <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="560"
+                 style="background:#ffffff;border-radius:8px;box-shadow:0 2px 6px rgba(0,0,0,0.06);">
+            <tr>
+              <td style="padding:20px 24px 16px 24px;background:#0a192f;
+                         border-radius:8px 8px 0 0;color:#ffffff;text-align:center;">
+                <div style="font-size:18px;font-weight:600;letter-spacing:0.04em;text-transform:uppercase;">
+                  ${copy.heading}
+                </div>
+                <div style="margin-top:4px;font-size:10px;opacity:0.9;">
+                  ${escapeEmailHtml(getEventEmailTagline())}
+                </div>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:18px 24px 8px 24px;font-size:13px;color:#333333;text-align:left;">
+                <p style="margin:0 0 10px 0;">${escapeEmailHtml(copy.greeting(lastName))}</p>
+                <p style="margin:0 0 14px 0;">${escapeEmailHtml(copy.body(branding.venueLabel))}</p>
+                <img src="cid:guest-photo" alt="${escapeEmailHtml(ticketDisplay)}"
+                     style="display:block;width:100%;max-width:512px;border-radius:6px;margin:0 0 12px 0;" />
+                ${ticketDisplay ? `<p style="margin:0 0 6px 0;"><strong>${copy.ticket}:</strong> ${escapeEmailHtml(ticketDisplay)}</p>` : ''}
+                <p style="margin:10px 0 0 0;">${copy.thanks}<br />${escapeEmailHtml(branding.organizerName)}</p>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:18px 24px 20px 24px;text-align:center;border-top:1px solid #f0f0f0;">
+                <img
+                  src="${escapeEmailHtml(branding.logoUrl)}"
+                  alt="${escapeEmailHtml(branding.senderName || 'Luminar Apps')}"
+                  style="display:block;height:40px;margin:0 auto 6px auto;"
+                />
+                <p style="font-size:9px;color:#aaaaaa;line-height:1.4;margin:0;">
+                  ${copy.footer}
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  return { subject, text, html, fileName: `${copy.fileName}_${ticketLabel || 'foto'}.jpg` };
+}
+
+// Latest status goes to appProperties (Drive caps key+value at 124 bytes, so
+// only short fields), every attempt goes to the metrics log.
+async function recordGuestEmailDelivery(fileId, entry) {
+  const context = currentEvent();
+  const record = { at: new Date().toISOString(), ...entry };
 
-// Ensure templates sheet has headers
-async function ensureTemplatesSheetHeaders() {
-  if (!TEMPLATES_SHEET_ID) return false;
   try {
-    const ready = await ensureTemplatesSheet();
-    if (!ready) return false;
+    await context.photoStorage.updateFile(fileId, {
+      guestEmailStatus: record.status,
+      guestEmailAttempts: String(record.attempt || 0),
+      guestEmailAt: record.at,
+      guestEmailError: clampString(record.error || '', 60),
+      guestEmailNextAt: record.nextAt || '',
+    });
+  } catch (err) {
+    console.warn('Unable to store guest email status on photo', {
+      fileId,
+      status: record.status,
+      error: err && err.message ? err.message : String(err),
+    });
+  }
 
-    const resp = await sheets.spreadsheets.values.get({
-      spreadsheetId: TEMPLATES_SHEET_ID,
-      range: `${TEMPLATES_SHEET_NAME}!A1:D1`
+  await logMetricsEvent(`guest_email_${record.status}`, null, {
+    email: record.email || '',
+    ticket: record.ticket || '',
+    sessionId: 'guest_email',
+    source: 'guest_email',
+    timestampUtc: record.at,
+    metadata: { fileId, attempt: record.attempt || 0, error: record.error || '', nextAt: record.nextAt || '' },
+  }).catch(() => {});
+
+  return record;
+}
+
+// Adds a send to this instance's chain. Returns null when the photo already
+// has one waiting here.
+function enqueueGuestPhotoEmail(fileId, attempt = 1) {
+  const context = currentEvent();
+  if (context.guestEmailJobs.has(fileId)) return null;
+
+  const job = context.guestEmailChain
+    .then(() => runInEvent(context, () => sendGuestPhotoEmail(fileId, attempt)))
+    .catch((err) => {
+      console.error('Guest email job crashed:', fileId, err);
+    })
+    .finally(() => {
+      context.guestEmailJobs.delete(fileId);
     });
+  context.guestEmailJobs.set(fileId, job);
+  context.guestEmailChain = job;
+  return job;
+}
 
-    const rows = resp.data.values || [];
-    if (rows.length === 0 || !rows[0] || rows[0][0] !== 'Name') {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: TEMPLATES_SHEET_ID,
-        range: `${TEMPLATES_SHEET_NAME}!A1:D1`,
-        valueInputOption: 'RAW',
-        requestBody: { values: [['Name', 'Template JSON', 'Created', 'Active']] }
+function getGuestEmailLeaseUntil() {
+  return new Date(Date.now() + GUEST_EMAIL_SEND_LEASE_MS).toISOString();
+}
+
+async function sendGuestPhotoEmail(fileId, attempt = 1) {
+  const context = currentEvent();
+
+  if (!mailTransporter) {
+    await recordGuestEmailDelivery(fileId, { status: 'skipped', attempt, error: 'mail_not_configured' });
+    return;
+  }
+
+  const file = await context.photoStorage.getFile(fileId);
+  const ticketIndex = parsePhotoIndexFromName(file.name);
+  const ticketLabel = ticketIndex ? formatTicketLabel(ticketIndex) : '';
+  const match = ticketLabel
+    ? await getEmailForPhoto(ticketLabel, {
+        guestSession: (file.appProperties && file.appProperties.guestSession) || '',
+        uploadedAt: file.createdTime,
+      })
+    : null;
+
+  if (!match || !match.email) {
+    await recordGuestEmailDelivery(fileId, { status: 'skipped', attempt, ticket: ticketLabel, error: 'no_email_for_ticket' });
+    return;
+  }
+
+  try {
+    const framed = await getFramedPhoto(fileId).catch((err) => {
+      console.warn('Framed photo unavailable for guest email; attaching the photo unframed', {
+        fileId,
+        error: err && err.message ? err.message : String(err),
       });
-    }
-    return true;
+      return null;
+    });
+    const attachment = framed
+      ? framed.buffer
+      : await streamToBuffer((await openPhotoVariantStream(fileId, 'full')).stream);
+
+    const language =
+      normalizeGuestEmailLanguage(file.appProperties && file.appProperties.guestLanguage) ||
+      normalizeGuestEmailLanguage(context.appSettings.guestEmail && context.appSettings.guestEmail.language) ||
+      'es';
+    const message = buildGuestPhotoEmail({ language, lastName: match.last_name, ticketLabel });
+
+    await mailTransporter.sendMail({
+      from: getEventMailFrom(),
+      to: match.email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: [
+        {
+          filename: message.fileName,
+          content: attachment,
+          contentType: 'image/jpeg',
+          cid: 'guest-photo',
+        },
+      ],
+    });
+
+    await recordGuestEmailDelivery(fileId, {
+      status: 'sent',
+      attempt,
+      ticket: ticketLabel,
+      email: match.email,
+      language,
+      framed: Boolean(framed),
+    });
+    console.log('Guest photo email sent', { fileId, ticket: ticketLabel });
   } catch (err) {
-    console.warn('Unable to ensure templates sheet headers:', err.message || err);
-    return false;
+    const error = err && err.message ? err.message : String(err);
+    const willRetry = attempt < GUEST_EMAIL_MAX_ATTEMPTS;
+    console.warn('Guest photo email failed', { fileId, ticket: ticketLabel, attempt, willRetry, error });
+
+    // The sweep sends the retry once nextAt passes
+    await recordGuestEmailDelivery(fileId, {
+      status: willRetry ? 'retrying' : 'failed',
+      attempt,
+      ticket: ticketLabel,
+      email: match.email,
+      error,
+      nextAt: willRetry ? new Date(Date.now() + GUEST_EMAIL_RETRY_DELAYS_MS[attempt - 1]).toISOString() : '',
+    });
+  }
+}
+
+// Called from /admin/approve (and the manual resend route). The first attempt
+// runs right away on this instance; the lease in nextAt lets the sweep take
+// over if it never finishes.
+async function queueGuestPhotoEmail(fileId, { manual = false } = {}) {
+  if (!manual && !isGuestEmailEnabled()) return null;
+  if (currentEvent().guestEmailJobs.has(fileId)) return { status: 'queued', alreadyQueued: true };
+
+  const record = await recordGuestEmailDelivery(fileId, {
+    status: 'queued',
+    attempt: 0,
+    manual,
+    nextAt: getGuestEmailLeaseUntil(),
+  });
+  enqueueGuestPhotoEmail(fileId, 1);
+  return record;
+}
+
+function isGuestEmailDue(file, now = Date.now()) {
+  const appProperties = (file && file.appProperties) || {};
+  if (!GUEST_EMAIL_PENDING_STATUSES.includes(appProperties.guestEmailStatus)) return false;
+  if ((parseInt(appProperties.guestEmailAttempts, 10) || 0) >= GUEST_EMAIL_MAX_ATTEMPTS) return false;
+  const nextAt = Date.parse(appProperties.guestEmailNextAt || '');
+  return !Number.isFinite(nextAt) || nextAt <= now;
+}
+
+// Sends every queued / retrying email whose next attempt is due, one at a time
+async function sendDueGuestPhotoEmails() {
+  if (!mailTransporter) return 0;
+  const context = currentEvent();
+  const storage = context.photoStorage;
+
+  const due = [];
+  let pageToken = null;
+  do {
+    const res = await storage.listFiles('approved', { pageSize: 200, pageToken });
+    const now = Date.now();
+    res.files.forEach((file) => {
+      if (isGuestEmailDue(file, now) && !context.guestEmailJobs.has(file.id)) due.push(file.id);
+    });
+    pageToken = res.nextPageToken;
+  } while (pageToken);
+
+  let attempted = 0;
+  for (const fileId of due) {
+    // Another instance may have taken it since the listing
+    const file = await storage.getFile(fileId).catch(() => null);
+    if (!file || !isGuestEmailDue(file)) continue;
+
+    await storage.updateFile(fileId, { guestEmailNextAt: getGuestEmailLeaseUntil() });
+    const job = enqueueGuestPhotoEmail(fileId, (parseInt(file.appProperties.guestEmailAttempts, 10) || 0) + 1);
+    if (!job) continue;
+    await job;
+    attempted += 1;
   }
+  return attempted;
+}
+
+// One sweep at a time per event, at most once per interval
+function sweepGuestPhotoEmails({ force = false } = {}) {
+  const sweep = currentEvent().guestEmailSweep;
+  if (sweep.running) return sweep.running;
+  if (!force && Date.now() - sweep.lastRunAt < GUEST_EMAIL_SWEEP_INTERVAL_MS) return Promise.resolve(0);
+
+  sweep.lastRunAt = Date.now();
+  sweep.running = sendDueGuestPhotoEmails()
+    .then((attempted) => {
+      if (attempted) console.log(`Sent ${attempted} due guest photo email(s) (${currentEvent().event.slug})`);
+      return attempted;
+    })
+    .catch((err) => {
+      console.warn(`Unable to send due guest photo emails (${currentEvent().event.slug}):`, err.message || err);
+      return 0;
+    })
+    .finally(() => {
+      sweep.running = null;
+    });
+  return sweep.running;
+}
+
+// Delivery attempts for one photo, oldest first, from the metrics log
+async function readGuestEmailLog(fileId) {
+  const rows = await currentEvent().dataStore.readMetricsRows({ family: 'system' });
+  const log = [];
+  rows.forEach((row) => {
+    const eventType = String(row[5] || '');
+    if (!eventType.startsWith('guest_email_')) return;
+    let metadata = {};
+    try {
+      metadata = JSON.parse(row[23] || '{}');
+    } catch (_) {
+      return;
+    }
+    if (metadata.fileId !== fileId) return;
+    log.push({
+      at: row[1],
+      status: eventType.slice('guest_email_'.length),
+      attempt: metadata.attempt || 0,
+      ticket: row[16] || '',
+      error: metadata.error || '',
+      nextAt: metadata.nextAt || '',
+    });
+  });
+  log.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  return log.slice(-GUEST_EMAIL_LOG_MAX_ENTRIES);
+}
+
+async function getGuestEmailDelivery(file) {
+  const appProperties = (file && file.appProperties) || {};
+  const pending = GUEST_EMAIL_PENDING_STATUSES.includes(appProperties.guestEmailStatus);
+
+  return {
+    enabled: isGuestEmailEnabled(),
+    status: appProperties.guestEmailStatus || 'none',
+    attempts: parseInt(appProperties.guestEmailAttempts, 10) || 0,
+    updatedAt: appProperties.guestEmailAt || '',
+    error: appProperties.guestEmailError || '',
+    nextAttemptAt: pending ? appProperties.guestEmailNextAt || '' : '',
+    log: file ? await readGuestEmailLog(file.id) : [],
+  };
 }
 
-// Initialize templates sheet on startup
-ensureTemplatesSheetHeaders().catch(() => {});
-ensureMetricsSheetHeaders().catch(() => {});
+// Resend (or first send when the event has not opted in) from the photo-info overlay
+app.post('/admin/photo/:id/email', ensureAdminAuth, async (req, res) => {
+  const fileId = req.params.id;
+
+  try {
+    if (!mailTransporter) {
+      return res.status(503).json({ ok: false, error: 'mail_not_configured' });
+    }
+    const file = await currentEvent().photoStorage.getFile(fileId);
+    if (file.folder !== 'approved') {
+      return res.status(409).json({ ok: false, error: 'photo_not_approved' });
+    }
+
+    await queueGuestPhotoEmail(fileId, { manual: true });
+    logMetricsEvent('resend_guest_email', req, {
+      source: 'admin_review',
+      metadata: { fileId },
+    }).catch(() => {});
+
+    return res.json({ ok: true, delivery: await getGuestEmailDelivery(await currentEvent().photoStorage.getFile(fileId)) });
+  } catch (err) {
+    console.error('Error queueing guest photo email:', err);
+    return res.status(500).json({ ok: false, error: 'guest_email_queue_failed' });
+  }
+});
+
+// ---------- TEMPLATE API ENDPOINTS ----------
 
 // List all templates
 app.get('/admin/templates', ensureAdminAuth, async (req, res) => {
@@ -5899,6 +12261,7 @@ app.post('/admin/templates', ensureAdminAuth, async (req, res) => {
 
 // Update template
 app.put('/admin/templates/:id(\\d+)', ensureAdminAuth, async (req, res) => {
+  const context = currentEvent();
   try {
     const { id } = req.params;
     const { name, data, isActive } = req.body || {};
@@ -5913,22 +12276,22 @@ app.put('/admin/templates/:id(\\d+)', ensureAdminAuth, async (req, res) => {
       return res.status(500).json({ ok: false, error: 'update_template_failed' });
     }
 
-    if (String(appSettings.activeTemplateId || '') === String(id)) {
-      appSettings = await syncActiveTemplateSettings({
-        ...appSettings,
+    const updatedTemplate = { id: String(id), name, createdAt: new Date().toISOString(), data };
+    const isActiveTemplate = String(context.appSettings.activeTemplateId || '') === String(id);
+    if (isActiveTemplate) {
+      context.appSettings = await syncActiveTemplateSettings({
+        ...context.appSettings,
         activeTemplateId: String(id),
-        activeTemplateSnapshot: buildActiveTemplateSnapshotString({
-          id: String(id),
-          name,
-          createdAt: new Date().toISOString(),
-          data
-        })
+        activeTemplateSnapshot: buildActiveTemplateSnapshotString(updatedTemplate)
       });
+    }
 
-      const settingsPersisted = await writeSettingsToSheet(appSettings, appEnabled, appSessionId);
+    if (refreshDeviceGroupTemplateSnapshots(updatedTemplate) || isActiveTemplate) {
+      const settingsPersisted = await writeSettingsToSheet(context.appSettings, context.appEnabled, context.appSessionId);
       if (!settingsPersisted) {
         return res.status(500).json({ ok: false, error: 'active_template_sync_failed' });
       }
+      scheduleGalleryStatePublish();
     }
 
     res.json({ ok: true });
@@ -5956,7 +12319,7 @@ app.delete('/admin/templates/:id(\\d+)', ensureAdminAuth, async (req, res) => {
 });
 
 // Upload template asset (background or logo) to Drive
-app.post('/admin/templates/upload-asset', ensureAdminAuth, multer({ storage: multer.memoryStorage() }).single('file'), async (req, res) => {
+app.post('/admin/templates/upload-asset', ensureAdminAuth, multer({ storage: multer.memoryStorage() }).single('file'), bindEventContext, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ ok: false, error: 'missing_file' });
@@ -5985,7 +12348,7 @@ app.post('/admin/templates/upload-asset', ensureAdminAuth, multer({ storage: mul
     const bufferStream = new stream.PassThrough();
     bufferStream.end(req.file.buffer);
 
-    const response = await drive.files.create({
+    const response = await getGoogleClients().drive.files.create({
       requestBody: {
         name: filename,
         mimeType: req.file.mimetype,
@@ -6013,7 +12376,7 @@ app.post('/admin/templates/upload-asset', ensureAdminAuth, multer({ storage: mul
 
 app.get('/admin/templates/background-assets', ensureAdminAuth, async (req, res) => {
   try {
-    const response = await drive.files.list({
+    const response = await getGoogleClients().drive.files.list({
       q: `'${TEMPLATES_BG_FOLDER_ID}' in parents and trashed = false`,
       fields: 'files(id, name, createdTime)',
       orderBy: 'createdTime desc',
@@ -6037,7 +12400,7 @@ app.get('/admin/templates/background-assets', ensureAdminAuth, async (req, res)
 
 app.get('/admin/templates/qr-assets', ensureAdminAuth, async (req, res) => {
   try {
-    const response = await drive.files.list({
+    const response = await getGoogleClients().drive.files.list({
       q: `'${TEMPLATES_QR_FOLDER_ID}' in parents and trashed = false`,
       fields: 'files(id, name, createdTime)',
       orderBy: 'createdTime desc',
@@ -6066,7 +12429,7 @@ app.delete('/admin/templates/background-assets/:fileId', ensureAdminAuth, async
       return res.status(400).json({ ok: false, error: 'missing_file_id' });
     }
 
-    await drive.files.update({
+    await getGoogleClients().drive.files.update({
       fileId,
       requestBody: { trashed: true },
       supportsAllDrives: true,
@@ -6079,7 +12442,8 @@ app.delete('/admin/templates/background-assets/:fileId', ensureAdminAuth, async
   }
 });
 
-app.post('/admin/templates/:id(\\d+)/flattened-overlay', ensureAdminAuth, multer({ storage: multer.memoryStorage() }).single('file'), async (req, res) => {
+app.post('/admin/templates/:id(\\d+)/flattened-overlay', ensureAdminAuth, multer({ storage: multer.memoryStorage() }).single('file'), bindEventContext, async (req, res) => {
+  const context = currentEvent();
   const { id } = req.params;
   const startedAt = Date.now();
 
@@ -6120,7 +12484,7 @@ app.post('/admin/templates/:id(\\d+)/flattened-overlay', ensureAdminAuth, multer
     const bufferStream = new stream.PassThrough();
     bufferStream.end(req.file.buffer);
 
-    const uploadResponse = await drive.files.create({
+    const uploadResponse = await getGoogleClients().drive.files.create({
       requestBody: {
         name: filename,
         mimeType: req.file.mimetype,
@@ -6148,7 +12512,7 @@ app.post('/admin/templates/:id(\\d+)/flattened-overlay', ensureAdminAuth, multer
 
     const updateOk = await updateTemplateInSheet(template.id, template.name, nextTemplateData, template.isActive !== false);
     if (!updateOk) {
-      await drive.files.update({
+      await getGoogleClients().drive.files.update({
         fileId: overlayFileId,
         requestBody: { trashed: true },
         supportsAllDrives: true,
@@ -6157,7 +12521,7 @@ app.post('/admin/templates/:id(\\d+)/flattened-overlay', ensureAdminAuth, multer
     }
 
     if (previousOverlayFileId && previousOverlayFileId !== overlayFileId) {
-      drive.files.update({
+      getGoogleClients().drive.files.update({
         fileId: previousOverlayFileId,
         requestBody: { trashed: true },
         supportsAllDrives: true,
@@ -6166,21 +12530,26 @@ app.post('/admin/templates/:id(\\d+)/flattened-overlay', ensureAdminAuth, multer
       });
     }
 
-    if (String(appSettings.activeTemplateId || '') === String(template.id)) {
-      appSettings = await syncActiveTemplateSettings({
-        ...appSettings,
+    const updatedTemplate = {
+      id: String(template.id),
+      name: template.name || '',
+      createdAt: template.createdAt || overlayUpdatedAt,
+      data: nextTemplateData
+    };
+    const isActiveTemplate = String(context.appSettings.activeTemplateId || '') === String(template.id);
+    if (isActiveTemplate) {
+      context.appSettings = await syncActiveTemplateSettings({
+        ...context.appSettings,
         activeTemplateId: String(template.id),
-        activeTemplateSnapshot: buildActiveTemplateSnapshotString({
-          id: String(template.id),
-          name: template.name || '',
-          createdAt: template.createdAt || overlayUpdatedAt,
-          data: nextTemplateData
-        })
+        activeTemplateSnapshot: buildActiveTemplateSnapshotString(updatedTemplate)
       });
-      const persisted = await writeSettingsToSheet(appSettings, appEnabled, appSessionId);
+    }
+    if (refreshDeviceGroupTemplateSnapshots(updatedTemplate) || isActiveTemplate) {
+      const persisted = await writeSettingsToSheet(context.appSettings, context.appEnabled, context.appSessionId);
       if (!persisted) {
         console.warn('Active template settings sync failed after flattened overlay upload for template', template.id);
       }
+      scheduleGalleryStatePublish();
     }
 
     console.log('Flattened template overlay uploaded', {
@@ -6211,7 +12580,7 @@ app.get('/admin/templates/asset/:fileId', ensureAdminAuth, async (req, res) => {
   const { fileId } = req.params;
 
   try {
-    const driveRes = await drive.files.get(
+    const driveRes = await getGoogleClients().drive.files.get(
       {
         fileId,
         alt: 'media'
@@ -6221,7 +12590,7 @@ app.get('/admin/templates/asset/:fileId', ensureAdminAuth, async (req, res) => {
 
     // Try to get file metadata for content type
     try {
-      const metadata = await drive.files.get({
+      const metadata = await getGoogleClients().drive.files.get({
         fileId,
         fields: 'mimeType'
       });
@@ -6248,5 +12617,62 @@ app.get('/admin/templates/asset/:fileId', ensureAdminAuth, async (req, res) => {
   }
 });
 
+// ---------- STARTUP ----------
+// Warm every event: settings, data store headers / tables, ticket counter, archive purge, guest email queue
+listEventContexts().forEach((context) => {
+  runInEvent(context, () => {
+    hydrateSettingsFromSheet().catch((err) => {
+      console.warn(`Unable to hydrate settings on startup (${context.event.slug}):`, err.message || err);
+    });
+    context.dataStore.init().catch(() => {});
+    // Reconcile with existing photos once per boot
+    ensureTicketCounterReady().catch((err) => {
+      console.warn(`Unable to reconcile ticket counter on startup (${context.event.slug}):`, err.message || err);
+    });
+    // Rejected / hidden photos past their restore window
+    purgeExpiredArchivedPhotos()
+      .then((purged) => {
+        if (purged) console.log(`Purged ${purged} expired archived photo(s) (${context.event.slug})`);
+      })
+      .catch((err) => {
+        console.warn(`Unable to purge archived photos (${context.event.slug}):`, err.message || err);
+      });
+    // Guest emails that were queued or retrying when the process stopped
+    sweepGuestPhotoEmails({ force: true });
+  });
+});
+
+// Long-running servers keep purging; on Vercel each cold start does it above
+setInterval(() => {
+  listEventContexts().forEach((context) => {
+    runInEvent(context, () => {
+      purgeExpiredArchivedPhotos().catch((err) => {
+        console.warn(`Unable to purge archived photos (${context.event.slug}):`, err.message || err);
+      });
+    });
+  });
+}, ARCHIVE_PURGE_INTERVAL_MS).unref();
+
+// Trusted auto-approve and queue alerts (both no-ops unless enabled in settings)
+setInterval(() => {
+  listEventContexts().forEach((context) => {
+    runInEvent(context, runModerationJobs);
+  });
+}, Math.min(TRUSTED_APPROVE_INTERVAL_MS, QUEUE_ALERT_CHECK_INTERVAL_MS)).unref();
+
+// Guest email retries (Vercel runs them from the /background-jobs cron)
+setInterval(() => {
+  listEventContexts().forEach((context) => {
+    runInEvent(context, () => sweepGuestPhotoEmails());
+  });
+}, GUEST_EMAIL_SWEEP_INTERVAL_MS).unref();
+
+// Device health alerts and automatic recovery (a no-op unless enabled in settings)
+setInterval(() => {
+  listEventContexts().forEach((context) => {
+    runInEvent(context, checkDeviceHealth);
+  });
+}, DEVICE_HEALTH_CHECK_INTERVAL_MS).unref();
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
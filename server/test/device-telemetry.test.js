@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+} = require('./helpers');
+
+function postJson(server, pathname, body) {
+  return fetch(`${server.baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  }).then((res) => res.json());
+}
+
+function heartbeat(server, deviceId, status) {
+  return postJson(server, '/api/device-heartbeat', {
+    deviceId,
+    status: { deviceName: `Screen ${deviceId}`, userAgent: 'Mozilla/5.0 (X11; Linux armv7l)', ...status },
+  });
+}
+
+test('a cold instance restores screens from their newest slim telemetry rows', async (t) => {
+  const dir = makeEventDir();
+  const first = await startServer(dir);
+  t.after(async () => {
+    await first.stop();
+    removeEventDir(dir);
+  });
+
+  // A stall starting is written even inside the sample window
+  assert.ok((await heartbeat(first, 'lobby', { currentPhotoId: 'photo-1', directSwapCount: 3 })).ok);
+  assert.ok((await heartbeat(first, 'lobby', { currentPhotoId: 'photo-2', directSwapCount: 5, slideshowStalled: true })).ok);
+  assert.ok((await heartbeat(first, 'stage', { currentPhotoId: 'photo-9' })).ok);
+  for (let i = 0; i < 3; i += 1) {
+    assert.ok((await postJson(first, '/api/device-log', { deviceId: 'lobby', event: 'reload', message: `log ${i}` })).ok);
+  }
+
+  const second = await startServer(dir);
+  t.after(() => second.stop());
+  const token = await loginAdmin(second);
+  const { devices } = await adminFetch(second, token, '/api/devices/live');
+  const lobby = devices.find((device) => device.deviceId === 'lobby');
+  const stage = devices.find((device) => device.deviceId === 'stage');
+
+  assert.ok(lobby && stage, JSON.stringify(devices));
+  assert.strictEqual(lobby.status.currentPhotoId, 'photo-2');
+  assert.strictEqual(lobby.status.slideshowStalled, true);
+  assert.strictEqual(lobby.status.userAgent, undefined);
+  assert.deepStrictEqual(lobby.recentLogs.map((entry) => entry.message), ['log 0', 'log 1', 'log 2']);
+  assert.strictEqual(stage.status.currentPhotoId, 'photo-9');
+
+  // The timeline still reads every sample in its window
+  const timeline = await adminFetch(second, token, '/api/devices/lobby/timeline?hours=1');
+  assert.strictEqual(timeline.swapCadence.buckets.reduce((total, bucket) => total + bucket.samples, 0), 2);
+  assert.strictEqual(timeline.swapCadence.buckets.reduce((total, bucket) => total + bucket.swaps, 0), 2);
+});
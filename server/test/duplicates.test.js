@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+  uploadPhoto,
+  makeTestPhoto,
+} = require('./helpers');
+
+test('a re-send that lands on another instance is flagged as a duplicate', async (t) => {
+  const dir = makeEventDir();
+  const first = await startServer(dir);
+  const second = await startServer(dir);
+  t.after(async () => {
+    await Promise.all([first.stop(), second.stop()]);
+    removeEventDir(dir);
+  });
+
+  // The second instance seeds its hash index before the original exists
+  const warmUp = await uploadPhoto(second, await makeTestPhoto(1));
+  assert.ok(warmUp.ok, JSON.stringify(warmUp));
+
+  const photo = await makeTestPhoto(0);
+  const original = await uploadPhoto(first, photo);
+  assert.ok(original.ok, JSON.stringify(original));
+  const resend = await uploadPhoto(second, photo);
+  assert.ok(resend.ok, JSON.stringify(resend));
+
+  const token = await loginAdmin(second);
+  const pending = await adminFetch(second, token, '/admin/pending-list');
+  const flagged = pending.files.find((file) => file.id === resend.fileId);
+  assert.ok(flagged, 'the re-send is in the pending list');
+  assert.ok(flagged.duplicate, 'the re-send carries a duplicate flag');
+  assert.strictEqual(flagged.duplicate.fileId, original.fileId);
+
+  const other = pending.files.find((file) => file.id === warmUp.fileId);
+  assert.strictEqual(other.duplicate, null);
+});
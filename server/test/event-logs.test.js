@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+  uploadPhoto,
+  makeTestPhoto,
+} = require('./helpers');
+
+const GEO_HEADERS = {
+  'x-vercel-ip-city': 'Mayag%C3%BCez',
+  'x-vercel-ip-country': 'PR',
+};
+
+test('event logs keep the visitor location for IPv6 visits and guest-token uploads', async (t) => {
+  const dir = makeEventDir();
+  const server = await startServer(dir);
+  t.after(async () => {
+    await server.stop();
+    removeEventDir(dir);
+  });
+
+  const ping = await fetch(`${server.baseUrl}/ping`, {
+    method: 'POST',
+    headers: { ...GEO_HEADERS, 'x-forwarded-for': '2001:db8::7' },
+  });
+  assert.strictEqual(ping.status, 200);
+
+  const upload = await fetch(`${server.baseUrl}/upload`, {
+    method: 'POST',
+    headers: {
+      ...GEO_HEADERS,
+      'content-type': 'image/jpeg',
+      'x-forwarded-for': '203.0.113.9',
+      'x-session-id': 'guest_0123456789abcdef0123456789abcdef',
+    },
+    body: await makeTestPhoto(0),
+  }).then((res) => res.json());
+  assert.ok(upload.ok, JSON.stringify(upload));
+
+  // A visit without location headers still logs, just without a place
+  await fetch(`${server.baseUrl}/ping`, { method: 'POST', headers: { 'x-forwarded-for': '198.51.100.4' } });
+  await uploadPhoto(server, await makeTestPhoto(1));
+
+  const token = await loginAdmin(server);
+  const { events } = await adminFetch(server, token, '/admin/event-logs?limit=10');
+  const [plainUpload, plainVisit, guestUpload, ipv6Visit] = events;
+
+  assert.strictEqual(ipv6Visit.text, 'New visit from MAYAGÜEZ, PUERTO RICO');
+  assert.strictEqual(ipv6Visit.location, 'Mayagüez, Puerto Rico');
+  assert.strictEqual(guestUpload.text, 'User uploaded a photo');
+  assert.strictEqual(guestUpload.location, 'Mayagüez, Puerto Rico');
+  assert.strictEqual(plainVisit.text, 'New visit');
+  assert.strictEqual(plainUpload.location, '');
+});
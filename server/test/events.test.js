@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { makeEventDir, removeEventDir, startServer } = require('./helpers');
+
+test('a malformed event prefix is a 404, not a server error', async (t) => {
+  const dir = makeEventDir();
+  const server = await startServer(dir);
+  t.after(async () => {
+    await server.stop();
+    removeEventDir(dir);
+  });
+
+  const res = await fetch(`${server.baseUrl}/e/%E0/app-settings`);
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(await res.json(), { ok: false, error: 'event_not_found' });
+
+  const known = await fetch(`${server.baseUrl}/e/mayaguez/app-settings`);
+  assert.strictEqual(known.status, 200);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+  uploadPhoto,
+  makeTestPhoto,
+} = require('./helpers');
+
+test('the public photo route only streams approved photos', async (t) => {
+  const dir = makeEventDir();
+  const server = await startServer(dir);
+  t.after(async () => {
+    await server.stop();
+    removeEventDir(dir);
+  });
+
+  const photoStatus = (fileId) => fetch(`${server.baseUrl}/gallery/photo/${fileId}?size=original`)
+    .then(async (res) => {
+      await res.arrayBuffer();
+      return res.status;
+    });
+
+  const upload = await uploadPhoto(server, await makeTestPhoto(0));
+  assert.ok(upload.ok, JSON.stringify(upload));
+  assert.strictEqual(await photoStatus(upload.fileId), 404, 'pending photos are not public');
+  assert.strictEqual(await photoStatus('0123456789abcdef01234567'), 404);
+
+  const token = await loginAdmin(server);
+  const approved = await adminFetch(server, token, '/admin/approve', { method: 'POST', body: { fileId: upload.fileId } });
+  assert.ok(approved.ok, JSON.stringify(approved));
+  assert.strictEqual(await photoStatus(upload.fileId), 200);
+
+  const hidden = await adminFetch(server, token, '/admin/delete-approved', { method: 'POST', body: { fileId: upload.fileId } });
+  assert.strictEqual(hidden.state, 'hidden');
+  assert.strictEqual(await photoStatus(upload.fileId), 404, 'hidden photos are not public');
+});
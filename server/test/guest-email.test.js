@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+  uploadPhoto,
+  makeTestPhoto,
+} = require('./helpers');
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value || Date.now() > deadline) return value;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
+
+test('the guest email delivery log is the same from every instance', async (t) => {
+  const dir = makeEventDir();
+  const first = await startServer(dir);
+  const second = await startServer(dir);
+  t.after(async () => {
+    await Promise.all([first.stop(), second.stop()]);
+    removeEventDir(dir);
+  });
+
+  const firstToken = await loginAdmin(first);
+  await adminFetch(first, firstToken, '/admin/settings', { method: 'POST', body: { guestEmail: { enabled: true } } });
+
+  const upload = await uploadPhoto(first, await makeTestPhoto(0));
+  assert.ok(upload.ok, JSON.stringify(upload));
+  const approved = await adminFetch(first, firstToken, '/admin/approve', { method: 'POST', body: { fileId: upload.fileId } });
+  assert.ok(approved.ok, JSON.stringify(approved));
+
+  // No mail transport here: the send is queued, then skipped
+  const secondToken = await loginAdmin(second);
+  const infoPath = `/admin/photo-info/${upload.ticketLabel}?fileId=${upload.fileId}`;
+  const info = await waitFor(async () => {
+    const data = await adminFetch(second, secondToken, infoPath);
+    return data.delivery && data.delivery.status === 'skipped' && data.delivery.log.length >= 2 ? data : null;
+  });
+  assert.ok(info, 'the second instance sees the finished delivery');
+  assert.deepStrictEqual(info.delivery.log.map((entry) => entry.status), ['queued', 'skipped']);
+  assert.strictEqual(info.delivery.log[1].error, 'mail_not_configured');
+  assert.ok(info.delivery.log.every((entry) => !('email' in entry)));
+});
@@ -0,0 +1,126 @@
+// Shared by the server tests: each one boots real server processes on local
+// disk + SQLite in a throwaway directory, the way a second instance (or a
+// cold Vercel lambda) would see the same event.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const SERVER_DIR = path.join(__dirname, '..');
+let nextPort = 4100 + Math.floor(Math.random() * 500);
+
+function makeEventDir(prefix = 'photoapp-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function removeEventDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Starts `node index.js` against `dir`; servers given the same dir share storage and data
+function startServer(dir, env = {}) {
+  const port = nextPort;
+  nextPort += 1;
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DATA_STORE_DRIVER: 'sqlite',
+      DATA_STORE_SQLITE_PATH: path.join(dir, 'photoapp.sqlite'),
+      PHOTO_STORAGE_DRIVER: 'local',
+      PHOTO_STORAGE_LOCAL_DIR: path.join(dir, 'photos'),
+      ADMIN_ACCESS_CODE: 'test-code',
+      ADMIN_SESSION_SECRET: 'test-secret',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  const ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 20000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes(`Server running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const server = {
+    baseUrl: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise((resolve) => {
+        child.once('exit', () => resolve());
+        child.kill();
+      });
+    },
+  };
+  return ready.then(() => server);
+}
+
+async function loginAdmin(server, moderatorName = '') {
+  const res = await fetch(`${server.baseUrl}/admin/auth`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ code: 'test-code', moderatorName }),
+  });
+  const data = await res.json();
+  if (!data.token) throw new Error(`admin login failed: ${JSON.stringify(data)}`);
+  return data.token;
+}
+
+function adminFetch(server, token, pathname, { method = 'GET', body } = {}) {
+  return fetch(`${server.baseUrl}${pathname}`, {
+    method,
+    headers: { 'x-admin-token': token, 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }).then((res) => res.json());
+}
+
+async function uploadPhoto(server, buffer, sessionId = '') {
+  const headers = { 'content-type': 'image/jpeg' };
+  if (sessionId) headers['x-session-id'] = sessionId;
+  const res = await fetch(`${server.baseUrl}/upload`, { method: 'POST', headers, body: buffer });
+  return res.json();
+}
+
+// A picture with enough contrast to get a perceptual hash; `variant` picks
+// which way the gradient runs, so different variants never match each other
+function makeTestPhoto(variant = 0) {
+  const width = 480;
+  const height = 360;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = (y * width + x) * 3;
+      const band = variant % 2 ? Math.floor(y / 40) : Math.floor(x / 40);
+      const value = (band * (37 + variant * 53)) % 256;
+      pixels[i] = value;
+      pixels[i + 1] = 255 - value;
+      pixels[i + 2] = (value * 3) % 256;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality: 90 }).toBuffer();
+}
+
+module.exports = {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+  uploadPhoto,
+  makeTestPhoto,
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  makeEventDir,
+  removeEventDir,
+  startServer,
+  loginAdmin,
+  adminFetch,
+  uploadPhoto,
+  makeTestPhoto,
+} = require('./helpers');
+
+test('a batch approve works a few photos at a time and reports the rate-limited one', async (t) => {
+  const dir = makeEventDir();
+  const statsFile = path.join(dir, 'moves.json');
+  const server = await startServer(dir, {
+    NODE_OPTIONS: `--require ${path.join(__dirname, 'rate-limited-storage.js')}`,
+    RATE_LIMIT_FAIL_MOVE: '3',
+    RATE_LIMIT_STATS_FILE: statsFile,
+  });
+  t.after(async () => {
+    await server.stop();
+    removeEventDir(dir);
+  });
+
+  const fileIds = [];
+  for (let variant = 0; variant < 10; variant += 1) {
+    const upload = await uploadPhoto(server, await makeTestPhoto(variant));
+    assert.ok(upload.ok, JSON.stringify(upload));
+    fileIds.push(upload.fileId);
+  }
+
+  const token = await loginAdmin(server);
+  const result = await adminFetch(server, token, '/admin/approve-batch', { method: 'POST', body: { fileIds } });
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.failedIds.length, 1);
+  assert.strictEqual(result.approvedIds.length, 9);
+  assert.deepStrictEqual([...result.approvedIds, ...result.failedIds].sort(), [...fileIds].sort());
+
+  const stats = JSON.parse(fs.readFileSync(statsFile, 'utf8'));
+  assert.strictEqual(stats.moves, 10);
+  assert.ok(stats.peak > 1 && stats.peak <= 4, `at most 4 moves at once, saw ${stats.peak}`);
+
+  // The failed photo is still waiting in the queue, ready to be retried
+  const pending = await adminFetch(server, token, '/admin/pending-list');
+  assert.deepStrictEqual(pending.files.map((file) => file.id), result.failedIds);
+});
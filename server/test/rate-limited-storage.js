@@ -0,0 +1,32 @@
+// Preloaded into a test server (NODE_OPTIONS=--require) to stand in for a
+// rate-limited photo store: moves into `approved` are slowed down, the
+// RATE_LIMIT_FAIL_MOVE-th one fails with a 429, and the most moves seen in
+// flight at once is written to RATE_LIMIT_STATS_FILE.
+const fs = require('fs');
+const path = require('path');
+
+const rename = fs.promises.rename;
+const failMove = parseInt(process.env.RATE_LIMIT_FAIL_MOVE, 10) || 0;
+const statsFile = process.env.RATE_LIMIT_STATS_FILE;
+let moves = 0;
+let inFlight = 0;
+let peak = 0;
+
+fs.promises.rename = async function rateLimitedRename(from, to) {
+  if (!String(to).includes(`${path.sep}approved${path.sep}`)) return rename(from, to);
+
+  moves += 1;
+  const move = moves;
+  inFlight += 1;
+  peak = Math.max(peak, inFlight);
+  fs.writeFileSync(statsFile, JSON.stringify({ moves, peak }));
+  try {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    if (move === failMove) {
+      throw Object.assign(new Error('rateLimitExceeded'), { code: 429 });
+    }
+    return await rename(from, to);
+  } finally {
+    inFlight -= 1;
+  }
+};